@@ -34,6 +34,13 @@ function onOpen() {
     .createMenu('Planning Tool')
     .addItem('Open Sidebar', 'showSidebar')
     .addItem('Generate Plan', 'generatePlan')
+    .addItem('Update Plan From Shipment Changes', 'updatePlanIncrementally')
+    .addItem('Compare Planning Algorithms', 'compareAlgorithms')
+    .addItem('Compare Last Two Plan Versions', 'comparePlanVersions')
+    .addItem('Benchmark Against Human Plan', 'benchmarkAgainstHumanPlan')
+    .addItem('Suggest ClusterData Edits', 'suggestClusterDataEdits')
+    .addItem('Audit Distance Matrix', 'auditDistanceMatrix')
+    .addItem('Preview Distance Lookups', 'previewDistanceLookups')
     .addToUi();
 }
 
@@ -49,11 +56,18 @@ function showSidebar() {
 
 // --- SIDEBAR DATA MANAGEMENT & SETTINGS SERVICE ---
 
+/**
+ * [NEW] Depot used when the workbook has no Warehouses sheet.
+ */
+const DEFAULT_WAREHOUSE = 'US0007';
+
 const SettingsService = {
-  get: function() {
-    const properties = PropertiesService.getScriptProperties();
-    const storedSettings = properties.getProperty('routingSettings');
-    const defaultSettings = {
+  /**
+   * [NEW] In-code routing defaults, without reading script properties. Pure entry points
+   * (planPlanFromData, planBestOfN) fall back to these when their input carries no settings.
+   */
+  getDefaults: function() {
+    return {
       MAX_ROUTE_MILEAGE: 425, // Reduced from 500 to 425 miles to ensure routes stay well below 450
       MAX_STOPS_GENERAL: 5,
       MAX_STOPS_NY: 3,
@@ -63,8 +77,37 @@ const SettingsService = {
       ALLOW_ALL_ALL: true, // Enable ALL-ALL rule for ambient/chiller/produce
       SMALL_AMBIENT_THRESHOLD: 8, // Allow up to 8 pallets when mixing ambient/produce with chiller
       MIN_PALLETS_OVERSPILL_CLEANUP: 6, // REDUCED from 8 to 6 - allow smaller consolidations
-      MAX_CROSS_REGION_LEG_MILES: 70 // NEW - maximum leg distance to prevent cross-region routing
+      MAX_CROSS_REGION_LEG_MILES: 70, // NEW - maximum leg distance to prevent cross-region routing
+      MULTI_DEPOT_MODE: 'ASSIGNED', // NEW - ASSIGNED: stores go to the depot listing them; CHEAPEST: nearest depot
+      PLANNING_ALGORITHM: 'GREEDY', // NEW - GREEDY: seed-and-insert loop; SAVINGS: Clarke-Wright savings
+      SEED_ORDER: 'LARGEST_FIRST', // NEW - greedy seed order: LARGEST_FIRST, CLUSTER_FIRST or RANDOMIZED
+      BEST_OF_N: false, // NEW - run every planning strategy and keep the lowest-scoring plan
+      BEST_OF_N_RANDOM_RUNS: 2, // NEW - randomized strategies added to best-of-N
+      RANDOM_SEED: 42, // NEW - fixed seed so randomized runs are reproducible
+      UNPLANNED_PALLET_PENALTY: 500, // NEW - best-of-N score added per pallet left unplanned
+      MAX_WAIT_MINS: 60, // NEW - longest a truck may wait at a store for its delivery window to open
+      HOS_MAX_SHIFTS: 1, // NEW - driver shifts a route may span; 2 allows one 10-hour reset mid-route
+      HOS_SLEEPER_SPLIT: false, // NEW - take mid-route resets as a 7-hour sleeper period (3 hours owed after return)
+      PLAN_HISTORY_MAX_VERSIONS: 30, // NEW - plan versions whose full rows are kept for comparison
+      TOLL_PROFILE: 'T1', // NEW - TollMatrix Profile for equipment without a Toll Profile in Carrier Inventory
+      TOLL_CATEGORY: 1, // NEW - TollMatrix Category for equipment without a Toll Category in Carrier Inventory
+      TRAILER_TYPE: 'Dual', // NEW - TRAILER_COMPARTMENTS type for equipment without a Trailer Type in Carrier Inventory
+      TRAILER_COMPARTMENTS: { Single: { compartments: 1, minPositions: 0 }, Dual: { compartments: 2, minPositions: 4 }, Tri: { compartments: 3, minPositions: 4 } }, // NEW - temperature compartments per trailer type and the fewest pallet positions a bulkhead leaves each
+      ESTIMATE_MISSING_DISTANCES: true, // NEW - fill Distance Matrix gaps from Addresses Latitude/Longitude
+      ESTIMATE_CIRCUITY_FACTOR: 1.3, // NEW - road miles per straight-line mile for estimated pairs
+      ESTIMATE_SPEED_MPH: { DEFAULT: 40, NYC: 18, NJ: 35 }, // NEW - average speed by speed region for estimated durations
+      ESTIMATE_SPEED_REGIONS: { NYC: 'NYC', UpperNYC: 'NYC', NewYork: 'NYC', NorthJersey: 'NJ', UpperNorthJersey: 'NJ', SouthJersey: 'NJ', EastJersey: 'NJ' }, // NEW - ESTIMATE_SPEED_MPH key per Addresses cluster (NYC stop-cap clusters use NYC)
+      MAPS_LOOKUP_BUDGET: 250, // NEW - most live Maps lookups one run may make for missing distance pairs (0 disables them)
+      REUSE_REVERSE_DISTANCES: true, // NEW - fill a missing pair from its reverse direction instead of looking it up
+      AFFINITY_WEIGHT: 500, // NEW - route score bonus for a route whose stores dispatchers always co-route (penalty when never)
+      AFFINITY_MIN_PLANS: 4, // NEW - human-reviewed plans a store pair needs before its affinity counts in full
+      AFFINITY_SUGGEST_THRESHOLD: 0.5 // NEW - |affinity| at which history contradicting ClusterData is suggested as an edit
     };
+  },
+  get: function() {
+    const properties = PropertiesService.getScriptProperties();
+    const storedSettings = properties.getProperty('routingSettings');
+    const defaultSettings = SettingsService.getDefaults();
     if (storedSettings) {
       try {
         const parsed = JSON.parse(storedSettings);
@@ -84,8 +127,25 @@ const SettingsService = {
 // --- TOLL MATRIX INTEGRATION ---
 
 /**
- * Loads the TollMatrix from the spreadsheet for cost calculations.
- * @returns {Object} Toll matrix as nested object {fromStore: {toStore: tollCost}}
+ * [NEW] Toll class of rows with no Profile (and Category 0 or blank): they apply to every
+ * vehicle class whose own table has no entry for the leg.
+ */
+const TOLL_ANY_CLASS = '*';
+
+/**
+ * [NEW] Key of a TollMatrix table: toll profile and vehicle (axle) category, e.g. "T1|1".
+ */
+function getTollClassKey(profile, category) {
+  const p = String(profile === undefined || profile === null ? '' : profile).trim();
+  const c = String(category === undefined || category === null ? '' : category).trim();
+  if (!p && (c === '' || c === '0')) return TOLL_ANY_CLASS;
+  return `${p}|${c}`;
+}
+
+/**
+ * [UPDATED] Loads the TollMatrix from the spreadsheet for cost calculations.
+ * Rows are kept per toll Profile and Category, so a leg can cost more for a heavier vehicle.
+ * @returns {Object} Toll matrix {tollClassKey: {fromStore: {toStore: tollCost}}}
  */
 function loadTollMatrix() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -101,6 +161,8 @@ function loadTollMatrix() {
   const headers = data[0];
   const fromIdx = headers.indexOf('From');
   const toIdx = headers.indexOf('To');
+  const profileIdx = headers.indexOf('Profile');
+  const categoryIdx = headers.indexOf('Category');
   const tollCostIdx = headers.indexOf('TollCost');
   
   if (fromIdx === -1 || toIdx === -1 || tollCostIdx === -1) {
@@ -109,19 +171,61 @@ function loadTollMatrix() {
   }
   
   const tollMatrix = {};
+  let duplicates = 0;
   for (let i = 1; i < data.length; i++) {
     const from = String(data[i][fromIdx]);
     const to = String(data[i][toIdx]);
     const cost = parseFloat(data[i][tollCostIdx]) || 0;
+    const tollClass = getTollClassKey(profileIdx !== -1 ? data[i][profileIdx] : '', categoryIdx !== -1 ? data[i][categoryIdx] : '');
     
-    if (!tollMatrix[from]) tollMatrix[from] = {};
-    tollMatrix[from][to] = cost;
+    if (!tollMatrix[tollClass]) tollMatrix[tollClass] = {};
+    if (!tollMatrix[tollClass][from]) tollMatrix[tollClass][from] = {};
+    if (tollMatrix[tollClass][from][to] !== undefined) duplicates++;
+    tollMatrix[tollClass][from][to] = cost;
   }
   
-  Logger.log(`Loaded TollMatrix with ${Object.keys(tollMatrix).length} origins`);
+  if (duplicates > 0) Logger.log(`Warning: TollMatrix has ${duplicates} duplicate From/To rows within a Profile and Category; the last row wins`);
+  Object.keys(tollMatrix).forEach(tollClass => {
+    Logger.log(`Loaded TollMatrix class ${tollClass} with ${Object.keys(tollMatrix[tollClass]).length} origins`);
+  });
   return tollMatrix;
 }
 
+/**
+ * [NEW] Logs carrier equipment whose toll class has no TollMatrix rows; those legs are only
+ * charged from class-less rows.
+ * @returns {Array<string>} Missing toll class keys
+ */
+function reportMissingTollClasses(carriers, tollMatrix, settings) {
+  if (!tollMatrix || Object.keys(tollMatrix).length === 0) return [];
+  const missing = {};
+  carriers.forEach(carrier => {
+    ['36', '48', '53'].forEach(size => {
+      const tollClass = getCarrierTollClass(carrier, size, settings);
+      if (!tollMatrix[tollClass]) (missing[tollClass] = missing[tollClass] || []).push(`${carrier.name} ${size}'`);
+    });
+  });
+  Object.keys(missing).forEach(tollClass => {
+    Logger.log(`Warning: TollMatrix has no rows for toll class ${tollClass} (${missing[tollClass].join(', ')})`);
+  });
+  return Object.keys(missing);
+}
+
+/**
+ * [NEW] Regions (getStoreRegion results) that count as New York City: routes made only of
+ * them are held to 2 stops, and estimated distances there use the NYC speed.
+ */
+const NYC_CLUSTERS = new Set(['East NY', 'West NY', 'NY', 'UpperMidLG', 'UpperEastLG', 'LowerMidLG', 'LGMain', 'LowerEastLG']);
+
+/**
+ * [NEW] Whether a getStoreRegion result is one of the NYC_CLUSTERS.
+ * @param {string} region - Region from getStoreRegion
+ * @returns {boolean} True for NYC regions
+ */
+function isNycRegion(region) {
+  return NYC_CLUSTERS.has(region);
+}
+
 /**
  * Gets regional classification for a store to detect cross-region routing.
  * @param {string} store - Store number
@@ -234,7 +338,9 @@ function enforceColdSafeOrdering(stops) {
 
 /**
  * Gets the current routes that can be replanned.
- * @param {string} filter - Optional filter for routes (all, low-utilization, high-mileage, mixed-clusters)
+ * [UPDATED] Each route carries its approval status, approver and last status change.
+ * @param {string} filter - Optional filter for routes (all, low-utilization, high-mileage, mixed-clusters,
+ *   unlocked, or a status: draft, approved, communicated, locked)
  * @returns {Array} Array of route objects with relevant details for the UI
  */
 function getRoutesForReplanning(filter = 'all') {
@@ -252,6 +358,10 @@ function getRoutesForReplanning(filter = 'all') {
   const costIdx = headers.indexOf('Estimated Cost');
   const clusterIdx = headers.indexOf('Cluster');
   const stopSeqIdx = headers.indexOf('Stop Sequence');
+  const statusIdx = headers.indexOf('Route Status');
+  const approvedByIdx = headers.indexOf('Approved By');
+  const statusUpdatedIdx = headers.indexOf('Status Updated');
+  const planData = readPlanData(); // NEW - stores and clusters per stop
 
   const routes = new Map(); // Use Map to aggregate stops by route
   
@@ -269,6 +379,8 @@ function getRoutesForReplanning(filter = 'all') {
     }
     
     if (!routes.has(routeId)) {
+      const status = statusIdx === -1 ? 'Draft' : (String(row[statusIdx] || '').trim() || 'Draft');
+      const statusUpdated = statusUpdatedIdx === -1 ? '' : row[statusUpdatedIdx];
       routes.set(routeId, {
         routeId: routeId,
         carrier: row[carrierIdx],
@@ -276,14 +388,27 @@ function getRoutesForReplanning(filter = 'all') {
         clusters: new Set(),
         utilization: parseFloat(String(row[utilizationIdx]).replace('%', '')),
         totalMiles: parseFloat(row[mileageIdx]) || 0,
-        cost: parseFloat(row[costIdx]) || 0
+        cost: parseFloat(row[costIdx]) || 0,
+        status: status,
+        locked: isRouteLocked(status),
+        approvedBy: approvedByIdx === -1 ? '' : String(row[approvedByIdx] || ''),
+        // Dates do not survive google.script.run, so send text
+        statusUpdated: statusUpdated instanceof Date ? statusUpdated.toISOString() : String(statusUpdated || '')
       });
     }
     
     const route = routes.get(routeId);
-    route.stops.push(stopSeq);
-    if (row[clusterIdx] && row[clusterIdx] !== 'N/A') {
-      route.clusters.add(row[clusterIdx]);
+    const dataStops = planData && planData.get(String(routeId));
+    if (dataStops) {
+      dataStops.forEach(s => {
+        route.stops.push(s.store);
+        if (s.cluster) route.clusters.add(s.cluster);
+      });
+    } else {
+      route.stops.push(stopSeq);
+      if (row[clusterIdx] && row[clusterIdx] !== 'N/A') {
+        route.clusters.add(row[clusterIdx]);
+      }
     }
   }
 
@@ -291,6 +416,7 @@ function getRoutesForReplanning(filter = 'all') {
   let routeArray = Array.from(routes.values())
     .map(r => ({
       ...r,
+      clusters: Array.from(r.clusters),
       numStops: new Set(r.stops).size,
       hasMixedClusters: r.clusters.size > 1
     }));
@@ -306,150 +432,142 @@ function getRoutesForReplanning(filter = 'all') {
     case 'mixed-clusters':
       routeArray = routeArray.filter(r => r.hasMixedClusters);
       break;
+    case 'unlocked':
+      routeArray = routeArray.filter(r => !r.locked);
+      break;
+    default:
+      if (ROUTE_STATUSES.some(s => s.toLowerCase() === filter)) {
+        routeArray = routeArray.filter(r => r.status.toLowerCase() === filter);
+      }
   }
   return routeArray;
 }
 
 /**
- * Replans specified routes by removing their shipments and running the planning algorithm again.
- * @param {Array<string>} routeIds - Array of route IDs to replan
+ * [NEW] Sets the Route Status of routes in Generated Plan and records who changed it and when.
+ * Approved, Communicated and Locked routes are frozen (see LOCKED_ROUTE_STATUSES); setting a
+ * route back to Draft releases it. Overspill and manual-review rows cannot be approved.
+ * @param {Array<string>} routeIds - Route IDs to update
+ * @param {string} status - One of ROUTE_STATUSES (case-insensitive)
+ * @returns {Object} {status, updated: string[], skipped: string[], notFound: string[]}
  */
-function replanRoutes(routeIds) {
+function updateRouteStatus(routeIds, status) {
   if (!routeIds || routeIds.length === 0) {
-    throw new Error('No routes selected for replanning');
+    throw new Error('No routes selected');
+  }
+  const newStatus = ROUTE_STATUSES.find(s => s.toLowerCase() === String(status || '').trim().toLowerCase());
+  if (!newStatus) {
+    throw new Error(`Unknown route status '${status}'. Use one of: ${ROUTE_STATUSES.join(', ')}`);
   }
 
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Generated Plan');
   if (!sheet) throw new Error('Generated Plan sheet not found');
-
   const data = sheet.getDataRange().getValues();
-  if (data.length <= 1) throw new Error('No plan data found');
-
-  // Get indices for required columns
-  const headers = data[0];
+  const headers = data[0] || [];
   const routeIdIdx = headers.indexOf('Route ID');
-  const stopSeqIdx = headers.indexOf('Stop Sequence');
-  
-  // Collect all shipments from selected routes
-  const shipmentsToReplan = [];
-  const routeSet = new Set(routeIds);
-  
-  // Add logging to debug the collection process
-  Logger.log(`Looking for shipments in routes: ${Array.from(routeSet).join(', ')}`);
+  const carrierIdx = headers.indexOf('Carrier');
+  const statusIdx = headers.indexOf('Route Status');
+  const approvedByIdx = headers.indexOf('Approved By');
+  const statusUpdatedIdx = headers.indexOf('Status Updated');
+  if ([routeIdIdx, statusIdx, approvedByIdx, statusUpdatedIdx].includes(-1)) {
+    throw new Error('Generated Plan has no route status columns. Run Generate Plan first.');
+  }
+
+  const user = Session.getActiveUser().getEmail() || 'unknown';
+  const now = new Date();
+  const result = { status: newStatus, updated: [], skipped: [], notFound: [] };
+  const found = new Set();
 
   for (let i = 1; i < data.length; i++) {
-    const row = data[i];
-    const routeId = row[routeIdIdx];
-    const stopSeq = row[stopSeqIdx];
-    
-    // Log what we find for each relevant row
-    if (routeSet.has(routeId)) {
-      Logger.log(`Found row for route ${routeId}: Stop=${stopSeq}, Pallets=${row[headers.indexOf('Total Pallets')]}`);
-    }
-    
-    if (routeSet.has(routeId) && 
-        stopSeq && stopSeq !== 'UNUSED CAPACITY' && 
-        stopSeq !== 'NOT PLANNED' &&
-        stopSeq !== 'N/A') {
-      const context = {
-        store: stopSeq,
-        pallets: parseFloat(row[headers.indexOf('Total Pallets')]) || 0,
-        category: row[headers.indexOf('Category')] || 'Ambient',
-        palletType1: row[headers.indexOf('Pallet Type 1')] || '',
-        palletType2: row[headers.indexOf('Pallet Type 2')] || '',
-        tollMatrix, // NEW - toll cost integration
-        insertionFailures: 0
-      };
-      
-      // Only add valid shipments
-      if (context.store && context.pallets > 0) {
-        shipmentsToReplan.push(context);
-        Logger.log(`Added shipment: ${JSON.stringify(context)}`);
-      } else {
-        Logger.log(`Skipped invalid shipment: ${JSON.stringify(context)}`);
-      }
+    const routeId = String(data[i][routeIdIdx]);
+    if (!routeIds.includes(routeId)) continue;
+    found.add(routeId);
+    const carrier = String(data[i][carrierIdx]);
+    if (carrier.includes('Overspill') || carrier.includes('Unplannable')) {
+      result.skipped.push(routeId);
+      continue;
     }
+    sheet.getRange(i + 1, statusIdx + 1).setValue(newStatus);
+    sheet.getRange(i + 1, approvedByIdx + 1).setValue(newStatus === 'Draft' ? '' : user);
+    sheet.getRange(i + 1, statusUpdatedIdx + 1).setValue(now);
+    result.updated.push(routeId);
   }
-  Logger.log(`Found ${shipmentsToReplan.length} shipments to replan`);
+  result.notFound = routeIds.filter(id => !found.has(id));
 
-  if (shipmentsToReplan.length === 0) {
-    throw new Error('No valid shipments found in selected routes');
+  Logger.log(`Route status set to ${newStatus} by ${user}: ${result.updated.join(', ') || 'none'}` +
+    `${result.skipped.length ? ` (skipped ${result.skipped.join(', ')})` : ''}` +
+    `${result.notFound.length ? ` (not found ${result.notFound.join(', ')})` : ''}`);
+  return result;
+}
+
+/**
+ * Replans specified routes by removing their shipments and running the planning algorithm again.
+ * [UPDATED] Rebuilds the routes' real store/category/pallet shipments from the plan, frees their
+ * carrier slots and replans them with the same input and context as generatePlan
+ * (see planReplanFromData). Locked routes are refused.
+ * @param {Array<string>} routeIds - Array of route IDs to replan
+ */
+function replanRoutes(routeIds) {
+  const API_KEY = "YOUR_API_KEY_HERE";
+  if (!routeIds || routeIds.length === 0) {
+    throw new Error('No routes selected for replanning');
   }
 
-  // Remove the original routes
-  const rowsToDelete = [];
-  for (let i = data.length - 1; i >= 1; i--) {
-    if (routeSet.has(data[i][routeIdIdx])) {
-      rowsToDelete.push(i + 1); // +1 because sheet rows are 1-based
-    }
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Generated Plan');
+  if (!sheet) throw new Error('Generated Plan sheet not found');
+  if (sheet.getLastRow() <= 1) throw new Error('No plan data found');
+
+  const existing = readPlanRoutes(sheet);
+  if (!existing || existing.headers.join('|') !== PLAN_HEADERS.join('|')) {
+    throw new Error('Generated Plan was written by an older version and has no shipment details. Run Generate Plan once before replanning.');
   }
-  
-  // Delete rows in reverse order to maintain correct indices
-  rowsToDelete.sort((a, b) => b - a).forEach(row => {
-    sheet.deleteRow(row);
-  });
 
-  // Update carrier availability for replanning
-  const originalCarriers = getCarriers(); // This gets fresh carrier data
-  const timeSlotUsage = new Map(); // Track current usage
-  
-  // Count existing usage from remaining routes
-  const remainingData = sheet.getDataRange().getValues();
-  for (let i = 1; i < remainingData.length; i++) {
-    const row = remainingData[i];
-    const carrier = row[carrierIdx];
-    const timeSlot = row[headers.indexOf('Time Slot')];
-    const key = `${carrier}-${timeSlot}`;
-    timeSlotUsage.set(key, (timeSlotUsage.get(key) || 0) + 1);
+  const selected = existing.routes.filter(r => routeIds.includes(r.routeId));
+  const missing = routeIds.filter(id => !selected.some(r => r.routeId === id));
+  if (missing.length > 0) {
+    throw new Error(`Routes not found in Generated Plan: ${missing.join(', ')}`);
   }
 
-  // Update carrier time slot availability
-  originalCarriers.forEach(carrier => {
-    carrier.timeSlots.forEach(slot => {
-      const key = `${carrier.name}-${slot.time}`;
-      slot.used = timeSlotUsage.get(key) || 0;
-    });
-  });
+  // NEW: Approved, communicated and locked routes are never replanned
+  const lockedIds = selected.filter(r => r.locked).map(r => `${r.routeId} (${r.status})`);
+  if (lockedIds.length > 0) {
+    throw new Error(`Cannot replan locked routes: ${lockedIds.join(', ')}. Set them back to Draft first.`);
+  }
 
-  // Get all the context data needed for replanning
   const settings = SettingsService.get();
-  const warehouse = 'US0007';
-  
-  const productTypeMap = getProductTypeMap();
-  const allCarriers = getCarriers();
-  const restrictions = getRestrictions();
-  const detailedDurations = getDetailedDurations();
-  const addressData = getAddressData();
-  const distanceMatrix = getDistanceMatrix(shipmentsToReplan, addressData, warehouse, "YOUR_API_KEY_HERE");
+  const input = loadPlanningInput(DEFAULT_WAREHOUSE, API_KEY, settings);
+  if (!input) throw new Error('No valid shipments found in the Shipments sheet');
 
-  // Create planning context
-  const context = {
-    ...settings,
-    restrictions,
-    detailedDurations,
-    distanceMatrix,
-    addressData,
-    warehouse,
-    OVERPLAN_FACTOR: 1.0,
-    MIN_PALLETS_PER_ROUTE: 18, // Slightly lower to allow flexibility on smaller runs
-    MAX_PLANNING_ATTEMPTS: 5, // Increased attempts to try harder
-    RELAX_MIN_ATTEMPTS: 4, // Require more attempts before relaxing
-    RELAX_MIN_FACTOR: 0.8, // Less relaxation (was 0.7)
-    CLUSTER_FAILURE_THRESHOLD: 3 // Reduced to keep routes more clustered
-  };
+  const result = planReplanFromData(input, existing.routes, routeIds);
+  if (result.replannedShipments === 0) {
+    throw new Error('No valid shipments found in selected routes');
+  }
 
-  // Ensure shipments have cluster information
-  shipmentsToReplan.forEach(s => {
-    s.cluster = (addressData[s.store] && addressData[s.store].cluster) || 'Others';
-    if (s.insertionFailures === undefined) s.insertionFailures = 0;
-  });
+  // Remove the selected routes and the unused-capacity rows, which are rewritten from the new slot usage
+  const data = sheet.getDataRange().getValues();
+  const routeIdIdx = existing.headers.indexOf('Route ID');
+  const stopSeqIdx = existing.headers.indexOf('Stop Sequence');
+  const removedRows = [];
+  for (let i = 1; i < data.length; i++) {
+    const stopSeq = data[i][stopSeqIdx];
+    if (routeIds.includes(String(data[i][routeIdIdx])) || stopSeq === 'UNUSED CAPACITY' || stopSeq === 'NOT PLANNED') {
+      removedRows.push(i + 1);
+    }
+  }
+  deleteSheetRows(sheet, removedRows);
+  removePlanDataRoutes(routeId => routeIds.includes(routeId));
+  writePlanToSheet(result.plan, sheet);
+  markStrategyResultsStale(`replanning ${routeIds.join(', ')}`); // NEW
 
-  // Replan the shipments
-  const result = runPlanningLoop(shipmentsToReplan, allCarriers, context, sheet, () => {}, 1);
-  
-  // Handle any remaining unplanned shipments
-  if (result.remainingShipments.length > 0) {
-    planRemainingShipments(result.remainingShipments, context, sheet);
+  if (result.plan.rejected.length > 0) {
+    Logger.log(`Warning: ${result.plan.rejected.length} replanned routes exceeded limits and were dropped: ${result.plan.rejected.map(r => r.routeId).join(', ')}`);
+  }
+  Logger.log(`Replanned ${routeIds.join(', ')} into ${result.plan.routes.length} routes and ${result.plan.overspill.length + result.plan.unplannable.length} overspill rows`);
+
+  try {
+    validateAndReportPlanIssues(sheet, result.plan.context);
+  } catch(e) {
+    Logger.log('Validation error: '+e);
   }
 
   // Diagnostics after replanning
@@ -475,6 +593,7 @@ function getSheetData(sheetName) {
 /**
  * [NEW] Fetches carrier cost data.
  * Assumes a sheet named 'Carrier Costs' with 'Carrier', 'Cost Per Mile', 'Cost Per Route'.
+ * [UPDATED] An optional 'Team Drivers' column (TRUE/Yes) marks carriers that run two-driver teams.
  * @returns {object} A map of carrier names to their cost structures.
  */
 function getCarrierCosts() {
@@ -489,6 +608,7 @@ function getCarrierCosts() {
   const costPerMileIdx = 1; // Column B
   const costPerRouteIdx = 2; // Column C
   const costNotToUseIdx = 3; // Column D
+  const teamDriversIdx = headers.indexOf('Team Drivers'); // NEW - optional
 
   values.slice(1).forEach(row => {
     const carrierName = String(row[carrierIdx] || '').trim();
@@ -496,7 +616,8 @@ function getCarrierCosts() {
       costs[carrierName] = {
         costPerMile: parseFloat(row[costPerMileIdx]) || 0,
         costPerRoute: parseFloat(row[costPerRouteIdx]) || 0,
-        costNotToUse: parseFloat(row[costNotToUseIdx]) || 0
+        costNotToUse: parseFloat(row[costNotToUseIdx]) || 0,
+        teamDrivers: teamDriversIdx !== -1 && ['TRUE', 'YES', 'Y', 'TEAM', '2'].includes(String(row[teamDriversIdx]).trim().toUpperCase())
       };
     }
   });
@@ -520,39 +641,54 @@ function getCarriers() {
   const palletCapacities = getPalletCapacities();
   const carrierCosts = getCarrierCosts(); // Get cost data
   const headers = values[0];
-  const timeSlotsHeaders = headers.slice(1);
+  // NEW: optional Warehouse column ties a carrier's slots to a depot; every other column is a time slot
+  const warehouseIdx = headers.indexOf('Warehouse');
+  const timeSlotColumns = [];
+  for (let j = 1; j < headers.length; j++) {
+    if (j !== warehouseIdx && String(headers[j]).trim() !== '') timeSlotColumns.push(j);
+  }
 
   for (let i = 1; i < values.length; i++) {
     const row = values[i];
     const carrierName = String(row[0] || '').trim();
     if (!carrierName) continue;
+    const warehouse = warehouseIdx !== -1 ? String(row[warehouseIdx] || '').trim() : '';
+    const carrierKey = warehouse ? `${warehouse}|${carrierName}` : carrierName;
 
-    if (!carriers[carrierName]) {
-      const costs = carrierCosts[carrierName] || { costPerMile: 0, costPerRoute: 0, costNotToUse: 0 };
+    if (!carriers[carrierKey]) {
+      const costs = carrierCosts[carrierName] || { costPerMile: 0, costPerRoute: 0, costNotToUse: 0, teamDrivers: false };
       Logger.log(`Carrier ${carrierName} costs: ${JSON.stringify(costs)}`);
-      carriers[carrierName] = {
+      carriers[carrierKey] = {
         name: carrierName,
+        warehouse,
         timeSlots: [],
         pallets36: palletCapacities[carrierName]?.pallets36 || 18,
         pallets48: palletCapacities[carrierName]?.pallets48 || 22,
         pallets53: palletCapacities[carrierName]?.pallets53 || 26,
+        tollClasses: palletCapacities[carrierName]?.tollClasses || {}, // NEW - trailer size -> {profile, category}
+        trailerSizes: palletCapacities[carrierName]?.sizes || [], // NEW - sizes listed in Carrier Inventory (empty: every size)
+        fleet: palletCapacities[carrierName]?.fleet || {}, // NEW - trailer size -> trailers owned (see getTrailersOwned)
+        tractors: palletCapacities[carrierName]?.tractors ?? null, // NEW - tractors owned (null: unlimited)
+        trailerTypes: palletCapacities[carrierName]?.trailerTypes || {}, // NEW - trailer size -> TRAILER_COMPARTMENTS type
+        trailerCosts: palletCapacities[carrierName]?.trailerCosts || {}, // NEW - trailer size -> {costPerMile, costPerRoute} overrides
         costPerMile: costs.costPerMile,
         costPerRoute: costs.costPerRoute,
-        costNotToUse: costs.costNotToUse
+        costNotToUse: costs.costNotToUse,
+        teamDrivers: costs.teamDrivers
       };
     }
 
-    for (let j = 0; j < timeSlotsHeaders.length; j++) {
-      const time = timeSlotsHeaders[j];
-      const capacity = parseInt(row[j + 1], 10) || 0;
+    timeSlotColumns.forEach(j => {
+      const time = headers[j];
+      const capacity = parseInt(row[j], 10) || 0;
       if (capacity > 0) {
-        carriers[carrierName].timeSlots.push({
+        carriers[carrierKey].timeSlots.push({
           time: String(time).trim(),
           capacity: capacity,
           used: 0
         });
       }
-    }
+    });
   }
 
   Logger.log(`Fetched and aggregated ${Object.keys(carriers).length} carriers from 'Carriers_2' sheet.`);
@@ -562,6 +698,10 @@ function getCarriers() {
 
 /**
  * Helper function to get pallet capacities from Carrier Inventory sheet.
+ * [UPDATED] Also reads the optional Trailers count and per-size Cost Per Mile / Cost Per Route,
+ * and the carrier's Tractors count (the largest value on any of its rows).
+ * [UPDATED] Reads the optional Trailer Type (Single, Dual or Tri compartments) per size.
+ * [UPDATED] Lists the sizes each carrier has rows for; getTrailerCapacity gives other sizes 0 pallets.
  * @returns {object}
  */
 function getPalletCapacities() {
@@ -572,35 +712,67 @@ function getPalletCapacities() {
   const carrierIndex = headers.indexOf('Carrier');
   const sizeIndex = headers.indexOf('Size');
   const maxPalletsIndex = headers.indexOf('Max Pallets');
+  const tollProfileIndex = headers.indexOf('Toll Profile'); // NEW - optional TollMatrix Profile for this equipment
+  const tollCategoryIndex = headers.indexOf('Toll Category'); // NEW - optional TollMatrix Category (axle class)
+  const trailersIndex = headers.indexOf('Trailers'); // NEW - optional number of trailers of this size the carrier has
+  const tractorsIndex = headers.indexOf('Tractors'); // NEW - optional number of tractors the carrier has (any row)
+  const trailerTypeIndex = headers.indexOf('Trailer Type'); // NEW - optional TRAILER_COMPARTMENTS type of this size
+  const costPerMileIndex = headers.indexOf('Cost Per Mile'); // NEW - optional Carrier Costs override for this size
+  const costPerRouteIndex = headers.indexOf('Cost Per Route'); // NEW - optional Carrier Costs override for this size
+  const optionalNumber = (row, index) => {
+      const value = index === -1 ? NaN : parseFloat(row[index]);
+      return isNaN(value) ? null : value;
+  };
 
   values.slice(1).forEach(row => {
       const carrier = String(row[carrierIndex] || '').trim();
       if (carrier) {
           if (!capacities[carrier]) {
-              capacities[carrier] = { pallets36: 18, pallets48: 22, pallets53: 26 };
+              capacities[carrier] = { pallets36: 18, pallets48: 22, pallets53: 26, sizes: [], tollClasses: {}, fleet: {}, trailerCosts: {}, trailerTypes: {} };
           }
           const size = String(row[sizeIndex] || '');
+          if (TRAILER_SIZES.includes(size) && !capacities[carrier].sizes.includes(size)) capacities[carrier].sizes.push(size);
           const maxPallets = parseFloat(row[maxPalletsIndex]);
           if (size === '36') capacities[carrier].pallets36 = maxPallets;
           else if (size === '48') capacities[carrier].pallets48 = maxPallets;
           else if (size === '53') capacities[carrier].pallets53 = maxPallets;
+
+          const tollProfile = tollProfileIndex !== -1 ? String(row[tollProfileIndex] || '').trim() : '';
+          const tollCategory = tollCategoryIndex !== -1 ? String(row[tollCategoryIndex] || '').trim() : '';
+          if (size && (tollProfile || tollCategory)) {
+              capacities[carrier].tollClasses[size] = { profile: tollProfile, category: tollCategory };
+          }
+
+          const trailers = optionalNumber(row, trailersIndex);
+          if (size && trailers !== null) capacities[carrier].fleet[size] = Math.max(0, Math.floor(trailers));
+          const tractors = optionalNumber(row, tractorsIndex);
+          if (tractors !== null) capacities[carrier].tractors = Math.max(capacities[carrier].tractors || 0, Math.floor(tractors));
+          const trailerType = trailerTypeIndex !== -1 ? String(row[trailerTypeIndex] || '').trim() : '';
+          if (size && trailerType) capacities[carrier].trailerTypes[size] = trailerType;
+          const costPerMile = optionalNumber(row, costPerMileIndex);
+          const costPerRoute = optionalNumber(row, costPerRouteIndex);
+          if (size && (costPerMile !== null || costPerRoute !== null)) {
+              capacities[carrier].trailerCosts[size] = { costPerMile, costPerRoute };
+          }
       }
   });
   return capacities;
 }
 
-function getDistanceMatrix(shipments, addressData, warehouseLocation, apiKey) {
+/**
+ * [NEW] Reads the Distance Matrix sheet into {from: {to: {distance, duration[, estimated]}}}.
+ * @returns {Object} Distance matrix (empty when the sheet is missing or blank)
+ */
+function readDistanceMatrixSheet() {
   const matrix = {};
   const sheetData = getSheetData('Distance Matrix');
-  
-  Logger.log('Starting to build distance matrix...');
-  
   if (sheetData && sheetData.length > 1) {
     const headers = sheetData[0];
     const fromIndex = headers.indexOf('From');
     const toIndex = headers.indexOf('To');
     const distIndex = headers.indexOf('Distance (M)');
     const durIndex = headers.indexOf('Duration (Min)');
+    const sourceIndex = headers.indexOf('Source'); // NEW - 'Estimated' rows came from estimateDistance
 
     if (fromIndex === -1 || toIndex === -1 || distIndex === -1 || durIndex === -1) {
       Logger.log('Error: Missing required columns in Distance Matrix sheet');
@@ -617,45 +789,221 @@ function getDistanceMatrix(shipments, addressData, warehouseLocation, apiKey) {
         distance: parseFloat(row[distIndex]) || 0,
         duration: parseFloat(row[durIndex]) || 0
       };
+      if (sourceIndex !== -1 && String(row[sourceIndex]).trim() === DISTANCE_SOURCE_ESTIMATED) matrix[from][to].estimated = true;
     }
     Logger.log(`Built initial distance matrix from sheet for ${Object.keys(matrix).length} origins.`);
   }
+  return matrix;
+}
 
-  const uniqueStoreNumbers = [...new Set(shipments.map(s => s.store)), warehouseLocation];
+/**
+ * [NEW] Ordered location pairs with no Distance Matrix entry.
+ * [UPDATED] Pairs whose entry was only estimated are listed too (estimated: true), after the
+ * missing ones, so live lookups left in the budget replace estimates with measured distances.
+ * @param {Object} matrix - Distance matrix
+ * @param {Array<string>} locations - Stores and depots
+ * @returns {Array<Object>} [{from, to[, estimated]}]
+ */
+function findMissingDistancePairs(matrix, locations) {
+  const uniqueStoreNumbers = [...new Set(locations)];
   const missingPairs = [];
+  const estimatedPairs = [];
   for (const from of uniqueStoreNumbers) {
     for (const to of uniqueStoreNumbers) {
-      if ((!matrix[from] || !matrix[from][to]) && from !== to) {
-        missingPairs.push({ from, to });
-      }
+      if (from === to) continue;
+      const entry = matrix[from] && matrix[from][to];
+      if (!entry) missingPairs.push({ from, to });
+      else if (entry.estimated) estimatedPairs.push({ from, to, estimated: true });
     }
   }
+  return [...missingPairs, ...estimatedPairs];
+}
 
-  if (missingPairs.length > 0 && apiKey && apiKey !== "YOUR_API_KEY") {
-    Logger.log(`Found ${missingPairs.length} missing distance pairs. Calling Google Maps API.`);
-    missingPairs.forEach(pair => {
-      const fromAdr = addressData[pair.from] ? `${addressData[pair.from].street}, ${addressData[pair.from].city}` : null;
-      const toAdr = addressData[pair.to] ? `${addressData[pair.to].street}, ${addressData[pair.to].city}` : null;
-      if (fromAdr && toAdr) {
-        try {
-          const directions = Maps.newDirectionFinder().setOrigin(fromAdr).setDestination(toAdr).getDirections();
-          if (directions && directions.routes.length > 0) {
-            const leg = directions.routes[0].legs[0];
-            const distanceMiles = Math.round(leg.distance.value * 0.000621371);
-            const durationMinutes = Math.round(leg.duration.value / 60);
-            if (!matrix[pair.from]) matrix[pair.from] = {};
-            matrix[pair.from][pair.to] = { distance: distanceMiles, duration: durationMinutes };
-          }
-        } catch (e) {
-          Logger.log(`Could not get directions for ${pair.from} to ${pair.to}: ${e.toString()}`);
-        }
-      }
+/**
+ * [UPDATED] Builds the distance matrix for the shipments' stores and the depots.
+ * Gaps are filled through fillMissingDistances (reverse pairs, the Distance Cache and live
+ * lookups within MAPS_LOOKUP_BUDGET, written back to the sheet), then estimated from coordinates.
+ */
+function getDistanceMatrix(shipments, addressData, warehouseLocation, apiKey, settings) {
+  Logger.log('Starting to build distance matrix...');
+  const matrix = readDistanceMatrixSheet();
+
+  // warehouseLocation may be a single depot or an array of depots
+  const missingPairs = findMissingDistancePairs(matrix, [...shipments.map(s => s.store), ...[].concat(warehouseLocation)]);
+
+  settings = settings || SettingsService.get();
+  if (missingPairs.length > 0) {
+    try {
+      fillMissingDistances(matrix, missingPairs, addressData, settings, apiKey && apiKey !== "YOUR_API_KEY");
+    } catch (e) {
+      Logger.log('Distance lookup error: ' + e);
+    }
+  }
+
+  // NEW: Estimate whatever is still missing from store coordinates and keep it for next time
+  const stillMissing = missingPairs.filter(pair => !matrix[pair.from] || !matrix[pair.from][pair.to]);
+  if (stillMissing.length > 0 && settings.ESTIMATE_MISSING_DISTANCES) {
+    const estimatedRows = [];
+    stillMissing.forEach(pair => {
+      const estimate = estimateDistance(pair.from, pair.to, addressData, settings);
+      if (!estimate) return;
+      if (!matrix[pair.from]) matrix[pair.from] = {};
+      matrix[pair.from][pair.to] = { ...estimate, estimated: true };
+      estimatedRows.push([pair.from, pair.to, estimate.distance, estimate.duration, DISTANCE_SOURCE_ESTIMATED]);
     });
+    Logger.log(`Estimated ${estimatedRows.length} of ${stillMissing.length} missing distance pairs from coordinates`);
+    if (estimatedRows.length < stillMissing.length) {
+      Logger.log(`Warning: ${stillMissing.length - estimatedRows.length} distance pairs are still missing (stores without Latitude/Longitude)`);
+    }
+    if (estimatedRows.length > 0) {
+      try {
+        appendDistanceMatrixRows(estimatedRows);
+      } catch (e) {
+        Logger.log('Estimated distance write-back error: ' + e);
+      }
+    }
   }
 
   return matrix;
 }
 
+/**
+ * [NEW] Source column value of Distance Matrix rows filled in by estimateDistance.
+ */
+const DISTANCE_SOURCE_ESTIMATED = 'Estimated';
+
+/** [NEW] Parses a latitude/longitude cell; null when blank or outside +/-limit. */
+function parseCoordinate(value, limit) {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = parseFloat(value);
+  return isNaN(number) || Math.abs(number) > limit ? null : number;
+}
+
+/** [NEW] Great-circle distance in miles between two coordinates. */
+function haversineMiles(lat1, lng1, lat2, lng2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * [NEW] ESTIMATE_SPEED_MPH key for a store: its Addresses cluster mapped through
+ * ESTIMATE_SPEED_REGIONS, NYC for the NYC_CLUSTERS, otherwise its getStoreRegion region.
+ * @param {string} store - Store or depot
+ * @param {Object} addressData - Address lookup data
+ * @param {Object} settings - Routing settings
+ * @returns {string} Speed region
+ */
+function getEstimateSpeedRegion(store, addressData, settings) {
+  const region = getStoreRegion(store, addressData);
+  const mapped = (settings.ESTIMATE_SPEED_REGIONS || {})[region];
+  if (mapped) return mapped;
+  return isNycRegion(region) ? 'NYC' : region;
+}
+
+/**
+ * [NEW] Offline estimate for a missing Distance Matrix pair: haversine miles times
+ * ESTIMATE_CIRCUITY_FACTOR, driven at the slower of the two stores' regional speeds
+ * (ESTIMATE_SPEED_MPH, keyed by getEstimateSpeedRegion, with DEFAULT for other regions).
+ * @param {string} from - Origin store or depot
+ * @param {string} to - Destination store or depot
+ * @param {Object} addressData - Address lookup data with lat/lng
+ * @param {Object} settings - Routing settings
+ * @returns {Object|null} {distance, duration}, or null if either end has no coordinates
+ */
+function estimateDistance(from, to, addressData, settings) {
+  const a = addressData[from];
+  const b = addressData[to];
+  const hasCoordinates = addr => addr && typeof addr.lat === 'number' && typeof addr.lng === 'number';
+  if (!hasCoordinates(a) || !hasCoordinates(b)) return null;
+
+  const distance = haversineMiles(a.lat, a.lng, b.lat, b.lng) * (settings.ESTIMATE_CIRCUITY_FACTOR || 1.3);
+  const speeds = settings.ESTIMATE_SPEED_MPH || {};
+  const speedFor = store => speeds[getEstimateSpeedRegion(store, addressData, settings)] || speeds.DEFAULT || 40;
+  const mph = Math.min(speedFor(from), speedFor(to));
+  return {
+    distance: Math.round(distance * 10) / 10,
+    duration: Math.round(distance / mph * 60)
+  };
+}
+
+/**
+ * [NEW] Appends pairs to the Distance Matrix sheet, adding its Source column if needed.
+ * [UPDATED] Each row carries its own Source (estimated, looked up or copied from the reverse pair).
+ * [UPDATED] A pair whose row was estimated is overwritten in place instead of appended.
+ * @param {Array<Array<*>>} rows - [from, to, distance, duration, source]
+ */
+function appendDistanceMatrixRows(rows) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Distance Matrix');
+  if (!sheet) {
+    sheet = ss.insertSheet('Distance Matrix');
+    sheet.appendRow(['From', 'To', 'Distance (M)', 'Duration (Min)', 'Source']);
+  }
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  let sourceCol = headers.indexOf('Source') + 1;
+  if (sourceCol === 0) {
+    sourceCol = headers.length + 1;
+    sheet.getRange(1, sourceCol).setValue('Source');
+  }
+  const col = name => headers.indexOf(name);
+  const width = Math.max(headers.length, sourceCol);
+  const values = rows.map(([from, to, distance, duration, source]) => {
+    const row = new Array(width).fill('');
+    row[col('From')] = from;
+    row[col('To')] = to;
+    row[col('Distance (M)')] = distance;
+    row[col('Duration (Min)')] = duration;
+    row[sourceCol - 1] = source;
+    return row;
+  });
+
+  const pairKey = row => `${row[col('From')]}|${row[col('To')]}`;
+  const existing = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues() : [];
+  const estimatedRows = {};
+  existing.forEach((row, i) => {
+    if (String(row[sourceCol - 1]).trim() === DISTANCE_SOURCE_ESTIMATED) estimatedRows[pairKey(row)] = i;
+  });
+  const appended = [];
+  let replaced = 0;
+  values.forEach(row => {
+    const index = estimatedRows[pairKey(row)];
+    if (index === undefined) {
+      appended.push(row);
+      return;
+    }
+    existing[index] = row;
+    delete estimatedRows[pairKey(row)];
+    replaced++;
+  });
+  if (replaced > 0) sheet.getRange(2, 1, existing.length, width).setValues(existing);
+  if (appended.length > 0) sheet.getRange(sheet.getLastRow() + 1, 1, appended.length, width).setValues(appended);
+  Logger.log(`Wrote ${values.length} pairs to the Distance Matrix sheet (${replaced} replaced estimates)`);
+}
+
+/**
+ * [NEW] Distance Matrix pairs that were estimated rather than measured.
+ * @returns {Set<string>} "from|to" keys
+ */
+function getEstimatedDistancePairs() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Distance Matrix');
+  const pairs = new Set();
+  if (!sheet) return pairs;
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0] || [];
+  const fromIdx = headers.indexOf('From');
+  const toIdx = headers.indexOf('To');
+  const sourceIdx = headers.indexOf('Source');
+  if (fromIdx === -1 || toIdx === -1 || sourceIdx === -1) return pairs;
+  values.slice(1).forEach(row => {
+    if (String(row[sourceIdx]).trim() === DISTANCE_SOURCE_ESTIMATED) pairs.add(`${row[fromIdx]}|${row[toIdx]}`);
+  });
+  return pairs;
+}
+
 function getRestrictions() {
   const values = getSheetData('Restrictions');
   if (!values || values.length <= 1) return {};
@@ -787,14 +1135,135 @@ function getShipments(productTypeMap) {
   return shipments;
 }
 
-function getDetailedDurations() {
+/** [NEW] Store value of the 'Adress Product Type Duration' rows that apply to every store. */
+const DEFAULT_DURATION_KEY = 'DEFAULT';
+
+/**
+ * [UPDATED] Reads the 'Adress Product Type Duration' sheet into loading and unloading minutes
+ * per store and product type: {store: {productTypeId: {loading, unloading}}}.
+ * Minutes are for a full load (26 pallets); calculateRouteMetricsWithHOS prorates them by pallets.
+ * A row whose Store is DEFAULT applies to every store without its own row for that product type.
+ * Product Type may be the ProductTypes ID or its name.
+ * @param {object} [productTypeMap] - Name -> ID map from getProductTypeMap, used to resolve names
+ * @returns {object} Durations keyed by store, then product type ID
+ */
+function getDetailedDurations(productTypeMap) {
   const values = getSheetData('Adress Product Type Duration');
   if (!values || values.length <= 1) return {};
+
+  const headers = values[0].map(h => String(h).trim());
+  // Try different possible column name formats
+  const findColumn = names => {
+    const idx = names.map(n => headers.indexOf(n)).find(i => i !== -1);
+    return idx === undefined ? -1 : idx;
+  };
+  const storeIdx = findColumn(['Store', 'Store Number', 'Adress', 'Address']);
+  const typeIdx = findColumn(['Product Type', 'Product Type ID', 'ProductType']);
+  const loadingIdx = findColumn(['Loading (Min)', 'Loading', 'Loading Duration']);
+  const unloadingIdx = findColumn(['Unloading (Min)', 'Unloading', 'Unloading Duration']);
+
+  if (storeIdx === -1 || typeIdx === -1 || (loadingIdx === -1 && unloadingIdx === -1)) {
+    Logger.log("Error: 'Adress Product Type Duration' needs Store, Product Type and Loading (Min) / Unloading (Min) columns. Using default stop times.");
+    return {};
+  }
+
+  const typeMap = productTypeMap || {};
+  const knownIds = new Set(Object.values(typeMap).map(id => String(id)));
+  const resolveProductType = raw => {
+    const value = String(raw).trim();
+    if (!value) return null;
+    if (knownIds.size === 0 || knownIds.has(value)) return value;
+    return typeMap[value] !== undefined ? String(typeMap[value]) : null;
+  };
+  // Blank means "not given"; anything else must be a non-negative number of minutes
+  const parseMinutes = raw => {
+    if (raw === '' || raw === null || raw === undefined) return { value: undefined, valid: true };
+    const minutes = parseFloat(raw);
+    return { value: minutes, valid: !isNaN(minutes) && minutes >= 0 };
+  };
+
   const durations = {};
-  // ...existing code to populate durations...
+  let validRows = 0, invalidRows = 0;
+  values.slice(1).forEach((row, index) => {
+    const rawStore = String(row[storeIdx] || '').trim();
+    if (!rawStore) return;
+    const store = rawStore.toUpperCase() === DEFAULT_DURATION_KEY ? DEFAULT_DURATION_KEY : rawStore;
+    const productTypeId = resolveProductType(row[typeIdx]);
+    const loading = loadingIdx === -1 ? { value: undefined, valid: true } : parseMinutes(row[loadingIdx]);
+    const unloading = unloadingIdx === -1 ? { value: undefined, valid: true } : parseMinutes(row[unloadingIdx]);
+
+    if (productTypeId === null || !loading.valid || !unloading.valid || (loading.value === undefined && unloading.value === undefined)) {
+      invalidRows++;
+      Logger.log(`Invalid duration at row ${index + 2}: Store='${rawStore}', Product Type='${row[typeIdx]}', Loading='${loadingIdx === -1 ? '' : row[loadingIdx]}', Unloading='${unloadingIdx === -1 ? '' : row[unloadingIdx]}'`);
+      return;
+    }
+
+    if (!durations[store]) durations[store] = {};
+    if (durations[store][productTypeId]) {
+      Logger.log(`Warning: Duplicate duration for store ${store}, product type ${productTypeId} at row ${index + 2}; using the later row.`);
+    }
+    const entry = {};
+    if (loading.value !== undefined) entry.loading = loading.value;
+    if (unloading.value !== undefined) entry.unloading = unloading.value;
+    durations[store][productTypeId] = entry;
+    validRows++;
+  });
+
+  const defaultTypes = durations[DEFAULT_DURATION_KEY] ? Object.keys(durations[DEFAULT_DURATION_KEY]).length : 0;
+  Logger.log(`Fetched detailed durations: ${validRows} valid rows, ${invalidRows} invalid, ${Object.keys(durations).length - (defaultTypes ? 1 : 0)} stores, ${defaultTypes} default product types.`);
   return durations;
 }
 
+/**
+ * [NEW] Loading/unloading minutes for a stop: the store's own row, filled in from the
+ * DEFAULT row for its product type.
+ * @returns {object|null} {loading, unloading} (either may be missing), or null when nothing applies
+ */
+function getStopDurations(detailedDurations, stop) {
+  if (!detailedDurations || stop.productTypeId === null || stop.productTypeId === undefined) return null;
+  const own = detailedDurations[stop.store] ? detailedDurations[stop.store][stop.productTypeId] : null;
+  const fallback = detailedDurations[DEFAULT_DURATION_KEY] ? detailedDurations[DEFAULT_DURATION_KEY][stop.productTypeId] : null;
+  if (!own) return fallback || null;
+  return fallback ? { ...fallback, ...own } : own;
+}
+
+/**
+ * [NEW] Logs which shipments have no loading or unloading duration, so the sheet can be completed.
+ * Those stops fall back to 15 minutes unloading and no loading time.
+ * @returns {object} {stores: {store: [productTypeIds]}, unmappedPalletTypes: string[]}
+ */
+function reportMissingDurations(shipments, detailedDurations) {
+  const missing = { stores: {}, unmappedPalletTypes: [] };
+  if (!detailedDurations || Object.keys(detailedDurations).length === 0) {
+    Logger.log("Duration report: no 'Adress Product Type Duration' data; every stop uses 15 min unloading and no loading time.");
+    return missing;
+  }
+
+  const unmapped = new Set();
+  shipments.forEach(s => {
+    if (s.productTypeId === null || s.productTypeId === undefined) {
+      unmapped.add(s.palletType1);
+      return;
+    }
+    const durations = getStopDurations(detailedDurations, s);
+    if (!durations || durations.loading === undefined || durations.unloading === undefined) {
+      if (!missing.stores[s.store]) missing.stores[s.store] = [];
+      if (!missing.stores[s.store].includes(String(s.productTypeId))) missing.stores[s.store].push(String(s.productTypeId));
+    }
+  });
+  missing.unmappedPalletTypes = [...unmapped];
+
+  const storeList = Object.keys(missing.stores);
+  Logger.log('--- MISSING DURATIONS REPORT ---');
+  Logger.log(`Stores with missing loading/unloading durations: ${storeList.length}`);
+  storeList.forEach(store => Logger.log(`  Store ${store}: product types ${missing.stores[store].join(', ')}`));
+  if (missing.unmappedPalletTypes.length > 0) {
+    Logger.log(`Pallet types not in ProductTypes (no duration lookup possible): ${missing.unmappedPalletTypes.join(', ')}`);
+  }
+  Logger.log('--------------------------------');
+  return missing;
+}
+
 /**
  * [NEW] Fetches address and cluster data for all store locations.
  * Reads from Addresses sheet with required columns for addresses and clustering.
@@ -819,6 +1288,10 @@ function getAddressData() {
     }
   });
 
+  // NEW: optional coordinates for the offline distance estimator
+  const latIdx = headers.indexOf('Latitude');
+  const lngIdx = headers.indexOf('Longitude');
+
   const addresses = {};
   values.slice(1).forEach(row => {
     const storeNumber = row[columnIndices['Store Number']];
@@ -828,7 +1301,9 @@ function getAddressData() {
         street: row[columnIndices['Street']] || '',
         city: row[columnIndices['City']] || '',
         zip: row[columnIndices['ZipCode']] || '',
-        cluster: row[columnIndices['Cluster']] || 'Others'
+        cluster: row[columnIndices['Cluster']] || 'Others',
+        lat: latIdx !== -1 ? parseCoordinate(row[latIdx], 90) : null,
+        lng: lngIdx !== -1 ? parseCoordinate(row[lngIdx], 180) : null
       };
     }
   });
@@ -837,6 +1312,84 @@ function getAddressData() {
   return addresses;
 }
 
+/**
+ * [NEW] Fetches depots from the optional Warehouses sheet.
+ * Columns: 'Warehouse' (location id used in Distance Matrix), 'Name', 'Street', 'City', 'ZipCode'
+ * and 'Stores' (comma-separated store numbers served from that depot).
+ * The first row is the primary depot: it takes carriers without a Warehouse and unassigned stores.
+ * @param {string} defaultWarehouse - Depot used when the sheet is missing or empty
+ * @returns {Array<object>} Depots [{id, name, street, city, zip, stores}]
+ */
+function getWarehouses(defaultWarehouse) {
+  const fallback = [{ id: defaultWarehouse, name: '', street: '', city: '', zip: '', lat: null, lng: null, stores: [] }];
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Warehouses');
+  if (!sheet) return fallback;
+
+  const values = sheet.getDataRange().getValues();
+  if (values.length <= 1) return fallback;
+
+  const headers = values[0];
+  const idIdx = headers.indexOf('Warehouse');
+  if (idIdx === -1) {
+    Logger.log("Warning: Warehouses sheet has no 'Warehouse' column. Using default depot.");
+    return fallback;
+  }
+  const cell = (row, header) => {
+    const idx = headers.indexOf(header);
+    return idx === -1 ? '' : String(row[idx] || '').trim();
+  };
+
+  const warehouses = [];
+  values.slice(1).forEach(row => {
+    const id = String(row[idIdx] || '').trim();
+    if (!id || warehouses.some(w => w.id === id)) return;
+    warehouses.push({
+      id,
+      name: cell(row, 'Name'),
+      street: cell(row, 'Street'),
+      city: cell(row, 'City'),
+      zip: cell(row, 'ZipCode'),
+      lat: parseCoordinate(cell(row, 'Latitude'), 90),
+      lng: parseCoordinate(cell(row, 'Longitude'), 180),
+      stores: cell(row, 'Stores').split(/[,;\s]+/).filter(Boolean)
+    });
+  });
+
+  if (warehouses.length === 0) return fallback;
+  Logger.log(`Loaded ${warehouses.length} depots: ${warehouses.map(w => w.id).join(', ')}`);
+  return warehouses;
+}
+
+/**
+ * [NEW] Adds depot addresses from the Warehouses sheet to the address lookup so map links and
+ * distance lookups can resolve them. Existing Addresses rows win.
+ * @param {object} addressData - Address lookup data (mutated)
+ * @param {Array<object>} warehouses - Depots from getWarehouses
+ */
+function mergeDepotAddresses(addressData, warehouses) {
+  warehouses.forEach(depot => {
+    const existing = addressData[depot.id];
+    if (existing) {
+      // NEW: Warehouses coordinates fill in an Addresses row that has none
+      if ((existing.lat === null || existing.lat === undefined) && depot.lat !== null && depot.lat !== undefined) {
+        existing.lat = depot.lat;
+        existing.lng = depot.lng;
+      }
+      return;
+    }
+    if (!depot.street && (depot.lat === null || depot.lat === undefined)) return;
+    addressData[depot.id] = {
+      name: depot.name || depot.id,
+      street: depot.street,
+      city: depot.city,
+      zip: depot.zip,
+      cluster: 'Others',
+      lat: depot.lat,
+      lng: depot.lng
+    };
+  });
+}
+
 /**
  * [NEW] Loads cluster data from ClusterData sheet for strict cluster validation.
  * Each store has up to 4 valid clusters it can be paired with.
@@ -890,24 +1443,226 @@ function getClusterData() {
 
 // --- SHEET SETUP & UTILITY FUNCTIONS ---
 
+/**
+ * [NEW] Column layout of the Generated Plan sheet. Writers build rows with buildPlanRow so the
+ * order is defined in one place; readers look columns up by name.
+ */
+const PLAN_HEADERS = [
+  'Carrier', 'Route ID', 'Cluster', 'Stops', 'Stop Sequence', 'Detailed Route',
+  'Total Route Mileage', 'Has Restrictions?', 'Trailer Size', 'Temp Zones', 'Total Pallets',
+  'Truck Utilization', 'Total Travel (min)', 'Total Stop Time (min)', 'Total Duration (min)',
+  'HOS Status', 'Estimated Cost', 'Mileage Status', 'Notes', 'Map Link', 'Origin Depot',
+  'Stop ETAs', 'HOS Breaks', 'Time Slot', 'Route Status', 'Shipment Detail',
+  'Approved By', 'Status Updated', 'Toll Cost', 'Toll Breakdown', 'Load Diagram'
+];
+
 function setupPlanSheet() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let sheet = ss.getSheetByName('Generated Plan');
   if (sheet) sheet.clear(); else sheet = ss.insertSheet('Generated Plan');
-  const headers = [
-    'Carrier', 'Route ID', 'Cluster', 'Stops', 'Stop Sequence', 'Detailed Route',
-    'Total Route Mileage', 'Has Restrictions?', 'Trailer Size', 'Temp Zones', 'Total Pallets',
-    'Truck Utilization', 'Total Travel (min)', 'Total Stop Time (min)', 'Total Duration (min)',
-    'HOS Status', 'Estimated Cost', 'Mileage Status', 'Notes', 'Map Link'
-  ];
-  sheet.appendRow(headers).getRange("A1:T1").setFontWeight("bold");
+  sheet.appendRow(PLAN_HEADERS).getRange(1, 1, 1, PLAN_HEADERS.length).setFontWeight("bold");
   sheet.setFrozenRows(1);
+  setupPlanDataSheet(); // NEW - the machine-readable copy starts over with the plan
   return sheet;
 }
 
-// --- DIAGNOSTICS ---
-
-function getPlanDiagnostics() {
+/**
+ * [NEW] Deletes sheet rows with one deleteRows call per run of consecutive rows, working
+ * bottom-up so the row numbers still to be deleted stay valid.
+ * @param {Sheet} sheet - Sheet to delete from
+ * @param {Array<number>} rows - 1-based row numbers, in any order
+ */
+function deleteSheetRows(sheet, rows) {
+  const sorted = [...new Set(rows)].sort((a, b) => b - a);
+  let i = 0;
+  while (i < sorted.length) {
+    const end = sorted[i];
+    while (i + 1 < sorted.length && sorted[i + 1] === sorted[i] - 1) i++;
+    sheet.deleteRows(sorted[i], end - sorted[i] + 1);
+    i++;
+  }
+}
+
+// --- PLAN DATA STORE ---
+
+/**
+ * [NEW] Hidden sheet holding the plan in normalized form, one row per route-stop-category.
+ * writeRouteToSheet fills it next to Generated Plan; code that needs stores, categories,
+ * pallets or legs reads it instead of parsing the display columns.
+ */
+const PLAN_DATA_SHEET = 'PlanData';
+const PLAN_DATA_HEADERS = [
+  'Route ID', 'Route Kind', 'Carrier', 'Origin Depot', 'Time Slot', 'Sequence', 'Store',
+  'Category', 'Pallets', 'Product Type ID', 'Cluster', 'ETA (min)', 'Leg Miles'
+];
+
+/**
+ * [NEW] PlanData Route IDs of pallets the plan holds without a route: shipments too small to
+ * route (plan.unrouted) and cancelled pallets left on locked routes (see appendPlanDataHeld).
+ */
+const PLAN_DATA_UNROUTED_ID = 'Unrouted';
+const PLAN_DATA_SHORTFALL_ID = 'Locked Shortfall';
+
+/** [NEW] Kind of a plan row from its carrier name: 'route', 'overspill' or 'unplannable'. */
+function getPlanRouteKind(carrierName) {
+  const name = String(carrierName || '');
+  if (name.includes('Overspill')) return 'overspill';
+  if (name.includes('Unplannable')) return 'unplannable';
+  return 'route';
+}
+
+/** [NEW] Clears (or creates) the hidden PlanData sheet and writes its header. */
+function setupPlanDataSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PLAN_DATA_SHEET);
+  if (sheet) sheet.clear(); else sheet = ss.insertSheet(PLAN_DATA_SHEET);
+  sheet.appendRow(PLAN_DATA_HEADERS);
+  sheet.setFrozenRows(1);
+  sheet.hideSheet();
+  return sheet;
+}
+
+/**
+ * [NEW] Builds the PlanData rows for a finalized route, in stop order. 'Sequence' numbers the
+ * store visits, so the categories unloaded at one store share it; 'ETA (min)' is minutes after
+ * midnight of the dispatch day (blank without a time slot) and 'Leg Miles' is the drive from
+ * the previous stop (the depot for the first).
+ * @param {Object} planned - Route returned by finalizeRoute
+ * @param {Object} distanceMatrix - Distance lookup
+ * @returns {Array<Array>} Rows in PLAN_DATA_HEADERS order
+ */
+function buildPlanDataRows(planned, distanceMatrix) {
+  const schedule = {};
+  (planned.metrics.stopSchedule || []).forEach(s => { schedule[s.store] = s.arrival + s.wait; });
+  const stores = [...new Set(planned.stops.map(s => s.store))];
+  const rows = [];
+  let lastLocation = planned.warehouse;
+  stores.forEach((store, idx) => {
+    const leg = distanceMatrix && distanceMatrix[lastLocation] && distanceMatrix[lastLocation][store];
+    lastLocation = store;
+    planned.stops.filter(s => s.store === store).forEach(stop => {
+      rows.push([
+        planned.routeId,
+        getPlanRouteKind(planned.carrier.name),
+        planned.carrier.name,
+        planned.warehouse,
+        planned.time || '',
+        idx + 1,
+        String(store),
+        stop.category,
+        Math.round(stop.pallets * 1000) / 1000,
+        stop.productTypeId === null || stop.productTypeId === undefined ? '' : stop.productTypeId,
+        stop.cluster || '',
+        schedule[store] === undefined ? '' : schedule[store],
+        leg ? leg.distance : ''
+      ]);
+    });
+  });
+  return rows;
+}
+
+/** [NEW] Appends a finalized route's rows to PlanData, creating the sheet if needed. */
+function appendPlanData(planned, context) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(PLAN_DATA_SHEET) || setupPlanDataSheet();
+  const rows = buildPlanDataRows(planned, context && context.distanceMatrix);
+  if (rows.length === 0) return;
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, PLAN_DATA_HEADERS.length).setValues(rows);
+}
+
+/**
+ * [NEW] Appends pallets the plan holds without a route to PlanData, under PLAN_DATA_UNROUTED_ID
+ * (Route Kind 'unrouted') or PLAN_DATA_SHORTFALL_ID ('shortfall'). Incremental updates diff the
+ * Shipments sheet against them too, so they are not reported as changes on every run.
+ * @param {string} routeId - PLAN_DATA_UNROUTED_ID or PLAN_DATA_SHORTFALL_ID
+ * @param {Array<Object>} items - Shipments ({store, category, pallets, productTypeId, cluster, warehouse})
+ */
+function appendPlanDataHeld(routeId, items) {
+  if (!items || items.length === 0) return;
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(PLAN_DATA_SHEET) || setupPlanDataSheet();
+  const kind = routeId === PLAN_DATA_SHORTFALL_ID ? 'shortfall' : 'unrouted';
+  const rows = items.map((item, idx) => [
+    routeId,
+    kind,
+    '',
+    item.warehouse || '',
+    '',
+    idx + 1,
+    String(item.store),
+    item.category,
+    Math.round(item.pallets * 1000) / 1000,
+    item.productTypeId === null || item.productTypeId === undefined ? '' : item.productTypeId,
+    item.cluster || '',
+    '',
+    ''
+  ]);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, PLAN_DATA_HEADERS.length).setValues(rows);
+}
+
+/**
+ * [NEW] Removes the PlanData rows of routes being rewritten (replanning, incremental updates).
+ * @param {function(string): boolean} shouldRemove - Called with each row's Route ID
+ */
+function removePlanDataRoutes(shouldRemove) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PLAN_DATA_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return;
+  const data = sheet.getDataRange().getValues();
+  const kept = data.filter((row, i) => i === 0 || !shouldRemove(String(row[0])));
+  if (kept.length === data.length) return;
+  sheet.clearContents();
+  sheet.getRange(1, 1, kept.length, kept[0].length).setValues(kept);
+}
+
+/**
+ * [NEW] Reads PlanData grouped by route.
+ * @returns {Map|null} Route ID -> stop rows in sequence order ({routeId, kind, carrier, warehouse,
+ *   time, sequence, store, category, pallets, productTypeId, cluster, eta, legMiles}),
+ *   or null when the workbook has no PlanData (plan written before it existed)
+ */
+function readPlanData() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PLAN_DATA_SHEET);
+  if (!sheet) return null;
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0] || [];
+  const col = name => headers.indexOf(name);
+  if (col('Route ID') === -1 || col('Store') === -1) return null;
+
+  const byRoute = new Map();
+  data.slice(1).forEach(row => {
+    const store = String(row[col('Store')] || '').trim();
+    if (!store) return;
+    const routeId = String(row[col('Route ID')]);
+    const number = name => (row[col(name)] === '' || row[col(name)] === null ? null : parseFloat(row[col(name)]));
+    if (!byRoute.has(routeId)) byRoute.set(routeId, []);
+    byRoute.get(routeId).push({
+      routeId,
+      kind: String(row[col('Route Kind')] || 'route'),
+      carrier: String(row[col('Carrier')] || ''),
+      warehouse: String(row[col('Origin Depot')] || ''),
+      time: String(row[col('Time Slot')] || ''),
+      sequence: parseInt(row[col('Sequence')], 10) || 0,
+      store,
+      category: String(row[col('Category')] || 'Ambient'),
+      pallets: parseFloat(row[col('Pallets')]) || 0,
+      productTypeId: row[col('Product Type ID')] === '' ? null : String(row[col('Product Type ID')]),
+      cluster: String(row[col('Cluster')] || ''),
+      eta: number('ETA (min)'),
+      legMiles: number('Leg Miles')
+    });
+  });
+  byRoute.forEach(stops => stops.sort((a, b) => a.sequence - b.sequence));
+  return byRoute;
+}
+
+/** [NEW] Distinct stores of a route's PlanData rows, in visiting order. */
+function getPlanDataStores(stops) {
+  return [...new Set((stops || []).map(s => s.store))];
+}
+
+// --- DIAGNOSTICS ---
+
+function getPlanDiagnostics() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const planSheet = ss.getSheetByName('Generated Plan');
   if (!planSheet) return null;
@@ -986,7 +1741,7 @@ function getPlanDiagnostics() {
 function validateAndReportPlanIssues(planSheet, context) {
   Logger.log('=== POST-PLANNING VALIDATION ===');
   
-  const { distanceMatrix, addressData, MAX_DISTANCE_BETWEEN_STOPS = 35, ABSOLUTE_MAX_DISTANCE_BETWEEN_STOPS = 45, MAX_CROSS_REGION_LEG_MILES = 70 } = context;
+  const { distanceMatrix, addressData, tollMatrix, MAX_DISTANCE_BETWEEN_STOPS = 35, ABSOLUTE_MAX_DISTANCE_BETWEEN_STOPS = 45, MAX_CROSS_REGION_LEG_MILES = 70 } = context;
   const planData = planSheet.getDataRange().getValues();
   
   if (!planData || planData.length <= 1) {
@@ -1000,10 +1755,18 @@ function validateAndReportPlanIssues(planSheet, context) {
   const detailedRouteIdx = headers.indexOf('Detailed Route');
   const clusterIdx = headers.indexOf('Cluster');
   const mileageIdx = headers.indexOf('Total Route Mileage');
+  const depotIdx = headers.indexOf('Origin Depot');
+  const stopsByRoute = readPlanData(); // NEW - stores in visiting order
+  if (!stopsByRoute) {
+    Logger.log('No PlanData sheet found; run Generate Plan to validate routes.');
+    return;
+  }
   
   let clusterWarnings = 0;
   let legDistanceWarnings = 0;
   let severeViolations = 0;
+  const missingTollLegs = {}; // NEW - "from→to" -> route IDs, for legs no toll class covers
+  const hasTollData = tollMatrix && Object.keys(tollMatrix).length > 0;
   
   for (let i = 1; i < planData.length; i++) {
     const row = planData[i];
@@ -1018,9 +1781,7 @@ function validateAndReportPlanIssues(planSheet, context) {
       continue;
     }
     
-    // Extract store numbers from stop sequence
-    const storePattern = /(\d{4})/g;
-    const stores = (stopSeq.match(storePattern) || []).filter((v, i, a) => a.indexOf(v) === i);
+    const stores = getPlanDataStores(stopsByRoute.get(String(routeId)));
     
     if (stores.length === 0) continue;
     
@@ -1065,12 +1826,31 @@ function validateAndReportPlanIssues(planSheet, context) {
         Logger.log(`⚠️ CROSS-REGION: Route ${routeId} max leg ${maxLeg} mi exceeds cross-region threshold ${MAX_CROSS_REGION_LEG_MILES} mi`);
       }
     }
+
+    // Check 3 (NEW): Legs, including depot legs, with no TollMatrix entry in any toll class
+    if (hasTollData) {
+      const depot = depotIdx !== -1 && row[depotIdx] ? row[depotIdx] : context.warehouse;
+      getRouteTollLegs(stores.map(store => ({ store })), depot, tollMatrix, TOLL_ANY_CLASS).forEach(leg => {
+        const covered = Object.keys(tollMatrix).some(tollClass =>
+          tollMatrix[tollClass][leg.from] && tollMatrix[tollClass][leg.from][leg.to] !== undefined);
+        if (covered) return;
+        const key = `${leg.from}→${leg.to}`;
+        (missingTollLegs[key] = missingTollLegs[key] || []).push(routeId);
+      });
+    }
+  }
+
+  const missingTollKeys = Object.keys(missingTollLegs);
+  if (missingTollKeys.length > 0) {
+    Logger.log('⚠️ TOLL DATA: Route legs with no TollMatrix entry (charged $0):');
+    missingTollKeys.forEach(key => Logger.log(`  ${key}: ${missingTollLegs[key].join(', ')}`));
   }
   
   Logger.log('=== VALIDATION SUMMARY ===');
   Logger.log(`Cluster Warnings: ${clusterWarnings}`);
   Logger.log(`Leg Distance Warnings: ${legDistanceWarnings}`);
   Logger.log(`Severe Violations (exceeding hard limit): ${severeViolations}`);
+  if (hasTollData) Logger.log(`Legs Missing From TollMatrix: ${missingTollKeys.length}`);
   
   if (severeViolations > 0) {
     Logger.log('🚨 CRITICAL: Some routes have legs exceeding the hard distance limit. Review and replan these routes.');
@@ -1179,15 +1959,77 @@ function parseTimeToMinutes(timeStr) {
   return null;
 }
 
-function isTimeInWindow(routeTimeStr, windowStr) {
-  if (!windowStr || typeof windowStr !== 'string' || windowStr.trim().toUpperCase() === 'N/A' || windowStr.trim() === '') return true;
+/**
+ * [NEW] Parses a Restrictions delivery window such as "05:00-11:00", "5AM-11AM" or the
+ * overnight "20:00-06:00" into minutes after midnight.
+ * @returns {object|null} { start, end, overnight, label }, or null when the store has no usable window.
+ */
+function parseDeliveryWindow(windowStr) {
+  if (!windowStr || typeof windowStr !== 'string' || windowStr.trim().toUpperCase() === 'N/A' || windowStr.trim() === '') return null;
   const parts = windowStr.split('-');
-  if (parts.length !== 2) return true;
-  const routeTime = parseTimeToMinutes(routeTimeStr);
-  const startTime = parseTimeToMinutes(parts[0].trim());
-  const endTime = parseTimeToMinutes(parts[1].trim());
-  if (routeTime === null || startTime === null || endTime === null) return true;
-  return startTime <= endTime ? (routeTime >= startTime && routeTime <= endTime) : (routeTime >= startTime || routeTime <= endTime);
+  if (parts.length !== 2) return null;
+  const start = parseTimeToMinutes(parts[0].trim());
+  const end = parseTimeToMinutes(parts[1].trim());
+  if (start === null || end === null) return null;
+  return { start: start, end: end, overnight: start > end, label: windowStr.trim() };
+}
+
+/**
+ * [NEW] Fits an arrival time into a daily delivery window, waiting up to maxWaitMins for it to open.
+ * Arrival is in minutes after midnight of the dispatch day and may run past 1440 on long routes.
+ * @returns {object} { wait, inWindow }
+ */
+function fitArrivalToWindow(arrival, window, maxWaitMins) {
+  let bestWait = null;
+  // The window repeats daily; check the occurrences around the arrival (an overnight window
+  // opening yesterday may still be open this morning).
+  for (let day = -1; day <= 2; day++) {
+    const open = window.start + day * 1440;
+    const close = window.end + (window.overnight ? 1440 : 0) + day * 1440;
+    if (arrival >= open && arrival <= close) return { wait: 0, inWindow: true };
+    const wait = open - arrival;
+    if (wait > 0 && wait <= maxWaitMins && (bestWait === null || wait < bestWait)) bestWait = wait;
+  }
+  return bestWait === null ? { wait: 0, inWindow: false } : { wait: bestWait, inWindow: true };
+}
+
+/**
+ * [NEW] Formats minutes after midnight of the dispatch day as "HH:MM", with "+1" for the next day.
+ */
+function formatClockTime(minutes) {
+  const day = Math.floor(minutes / 1440);
+  const inDay = ((minutes % 1440) + 1440) % 1440;
+  const hh = String(Math.floor(inDay / 60)).padStart(2, '0');
+  const mm = String(inDay % 60).padStart(2, '0');
+  return `${hh}:${mm}${day > 0 ? ` +${day}` : ''}`;
+}
+
+/**
+ * [NEW] Schedule options for calculateRouteMetricsWithHOS from a route's carrier slot.
+ * [UPDATED] Also carries the carrier's team-driver mode and the HOS shift settings.
+ */
+function getRouteScheduleOptions(route, context) {
+  return {
+    startTime: route.time,
+    restrictions: context.restrictions || {},
+    maxWaitMins: context.MAX_WAIT_MINS,
+    teamDrivers: !!(route.carrier && route.carrier.teamDrivers),
+    maxShifts: context.HOS_MAX_SHIFTS,
+    sleeperSplit: context.HOS_SLEEPER_SPLIT
+  };
+}
+
+/**
+ * [NEW] Summarizes a stop schedule for the 'Stop ETAs' column, e.g.
+ * "1001 06:10 / 1002 07:05 (wait 25m) / 1003 09:40 !OUTSIDE 05:00-09:00".
+ */
+function formatStopEtas(stopSchedule) {
+  return (stopSchedule || []).map(s => {
+    let text = `${s.store} ${formatClockTime(s.arrival + s.wait)}`;
+    if (s.wait > 0) text += ` (wait ${s.wait}m)`;
+    if (!s.inWindow) text += ` !OUTSIDE ${s.window}`;
+    return text;
+  }).join(' / ');
 }
 
 /**
@@ -1239,46 +2081,12 @@ function validateColdChainCompliance(stops, context) {
   return false; // Ambient items loaded after cold (violates cold chain)
 }
 
-/**
- * [NEW] Allocates temperature zones on the trailer for the given stops.
- * Returns zone allocation information for route optimization.
- * @param {Array} stops - Route stops
- * @returns {object} Zone allocation {frontZone, rearZone, info}
- */
-function allocateTemperatureZones(stops) {
-  if (!stops || stops.length === 0) {
-    return { frontZone: [], rearZone: [], info: 'Empty route' };
-  }
-
-  // Separate by category
-  const cold = stops.filter(s => s.category === 'Chiller' || s.category === 'Freezer');
-  const ambient = stops.filter(s => s.category === 'Ambient' || s.category === 'Produce');
-
-  // Allocation strategy: Cold items in rear (loaded last), ambient in front (loaded first)
-  if (cold.length > 0 && ambient.length > 0) {
-    return {
-      frontZone: ambient,
-      rearZone: cold,
-      info: `Front: ${ambient.length} ambient stops | Rear: ${cold.length} cold stops`
-    };
-  } else if (cold.length > 0) {
-    return {
-      frontZone: [],
-      rearZone: cold,
-      info: `Single Temp (Cold): ${cold.length} stops`
-    };
-  } else {
-    return {
-      frontZone: ambient,
-      rearZone: [],
-      info: `Single Temp (Ambient): ${ambient.length} stops`
-    };
-  }
-}
-
 /**
  * [NEW] Optimizes stop order considering both cold chain and geography.
  * Ensures ambient stops are served before cold stops when mixed.
+ * [UPDATED] The nearest-neighbor blocks are refined with improveStopOrder.
+ * [UPDATED] Both blocks start from runNearestNeighbor, as in advancedOptimizeStopOrder, and are
+ * refined by a single improveStopOrder call.
  * @param {Array} stops - Unoptimized stops
  * @param {string} warehouse - Warehouse location
  * @param {object} distanceMatrix - Distance matrix
@@ -1305,13 +2113,14 @@ function coldChainOptimizeStopOrder(stops, warehouse, distanceMatrix) {
   }
 
   // For mixed loads: ambient first, then cold (for cold chain compliance)
-  const optimizedAmbient = advancedOptimizeStopOrder(ambient, warehouse, distanceMatrix);
-  const lastAmbientStore = optimizedAmbient.length > 0 ? 
-    optimizedAmbient[optimizedAmbient.length - 1].store : warehouse;
-  
-  const optimizedCold = advancedOptimizeStopOrder(cold, lastAmbientStore, distanceMatrix);
-
-  return [...optimizedAmbient, ...optimizedCold];
+  const storesOf = list => [...new Set(list.map(s => s.store))];
+  const ambientStores = runNearestNeighbor(storesOf(ambient), warehouse, distanceMatrix);
+  const lastAmbientStore = ambientStores.length > 0 ? ambientStores[ambientStores.length - 1] : warehouse;
+  const coldStores = runNearestNeighbor(storesOf(cold), lastAmbientStore, distanceMatrix);
+
+  // [UPDATED] Refine both blocks together, including the return leg, keeping ambient before cold
+  const inStoreOrder = (list, order) => order.flatMap(store => list.filter(s => s.store === store));
+  return improveStopOrder([inStoreOrder(ambient, ambientStores), inStoreOrder(cold, coldStores)], warehouse, distanceMatrix);
 }
 
 /**
@@ -1319,8 +2128,10 @@ function coldChainOptimizeStopOrder(stops, warehouse, distanceMatrix) {
  * Default: disallow Chiller + Freezer together.
  * New behavior: allow ALL-ALL mixes when all stores/categories are identical or when
  * a small ambient/produce quantity can be carried with freezer (configurable threshold).
+ * [UPDATED] On a trailer with three or more compartments (options.compartments, e.g. a Tri
+ * Trailer Type) Freezer rides in its own zone, so it may join any mix the other categories allow.
  * @param {Set<string>} requiredCategories - set of category strings present on the route/stops
- * @param {object} [options] - optional overrides: { allowAllAll: boolean, smallAmbientThreshold: number, details: {perStoreCounts} }
+ * @param {object} [options] - optional overrides: { allowAllAll: boolean, smallAmbientThreshold: number, compartments: number, details: {perStoreCounts} }
  */
 function isTempCompatible(requiredCategories, options) {
   options = options || {};
@@ -1335,6 +2146,10 @@ function isTempCompatible(requiredCategories, options) {
 
   // Freezer rules: cannot mix with Chiller, and cannot mix with Ambient/Produce
   if (hasFreezer) {
+    if ((options.compartments || 0) >= 3 && requiredCategories.size > 1) {
+      const others = new Set([...requiredCategories].filter(c => c !== 'Freezer'));
+      return isTempCompatible(others, { ...options, compartments: 0 });
+    }
     if (hasChiller) return false;
     if (hasAmbient || hasProduce) return false;
     return true;
@@ -1423,10 +2238,10 @@ function formatStopSequence(stops) {
 
 /**
  * Main function to generate the transportation plan.
+ * [UPDATED] Loads sheet data, runs the pure planning engine and renders its result to Generated Plan.
  */
 function generatePlan() {
   const API_KEY = "YOUR_API_KEY_HERE";
-  const WAREHOUSE_LOCATION = 'US0007';
   
   const settings = SettingsService.get();
   const ui = SpreadsheetApp.getUi();
@@ -1434,75 +2249,143 @@ function generatePlan() {
   
   const planSheet = setupPlanSheet();
   
-  let shipments, allCarriers, restrictions, detailedDurations, addressData, distanceMatrix, tollMatrix, clusterData;
+  let input;
   try {
-    Logger.log('Starting data collection...');
-    const productTypeMap = getProductTypeMap();
-    Logger.log('Got product type map');
-    
-    shipments = getShipments(productTypeMap);
-    Logger.log(`Got ${shipments.length} shipments`);
-    
-    allCarriers = getCarriers();
-    Logger.log(`Got ${allCarriers.length} carriers`);
-    
-    restrictions = getRestrictions();
-    Logger.log('Got restrictions');
-    
-    detailedDurations = getDetailedDurations();
-    Logger.log('Got detailed durations');
-    
-    addressData = getAddressData();
-    Logger.log('Got address data');
-    
-    // Verify we have shipments to process
-    if (!shipments || shipments.length === 0) {
-      ui.alert('Error', 'No valid shipments found in the Shipments sheet. Please check the data format.', ui.ButtonSet.OK);
-      Logger.log('Error: No shipments to process');
-      return;
-    }
-
-    Logger.log('Starting distance matrix calculation...');
-    distanceMatrix = getDistanceMatrix(shipments, addressData, WAREHOUSE_LOCATION, API_KEY);
-    
-    Logger.log('Loading TollMatrix for cost calculations...');
-    tollMatrix = loadTollMatrix();
-    
-    Logger.log('Loading cluster validation data...');
-    clusterData = getClusterData();
-    Logger.log('Got cluster validation data');
-    
-    // Assign clusters and initialize insertion failures
-    Logger.log('Assigning clusters to shipments...');
-    shipments.forEach(s => {
-      if (!s || !s.store) {
-        Logger.log(`Warning: Invalid shipment found: ${JSON.stringify(s)}`);
-        return;
-      }
-      const existingCluster = (addressData[s.store] && addressData[s.store].cluster) || 'Others';
-      // NEW: Auto-classify region if cluster is missing to improve geographic grouping
-      const inferredRegion = getStoreRegion(s.store, addressData);
-      s.cluster = existingCluster === 'Others' ? inferredRegion : existingCluster;
-      if (addressData[s.store]) {
-        addressData[s.store].cluster = s.cluster; // persist inferred cluster for downstream logic
-      }
-      if (s.insertionFailures === undefined) s.insertionFailures = 0;
-    });
+    input = loadPlanningInput(DEFAULT_WAREHOUSE, API_KEY, settings);
   } catch (e) {
     ui.alert('Error loading data. Check script logs.');
     Logger.log("Data Loading Error: " + e.toString() + e.stack);
     return;
   }
 
-  const context = {
-    ...settings,
+  // Verify we have shipments to process
+  if (!input) {
+    ui.alert('Error', 'No valid shipments found in the Shipments sheet. Please check the data format.', ui.ButtonSet.OK);
+    Logger.log('Error: No shipments to process');
+    return;
+  }
+
+  const inputHashes = getPlanInputHashes(input); // NEW - recorded with the plan version
+
+  let plan;
+  let bestOfN = null;
+  if (settings.BEST_OF_N) {
+    bestOfN = planBestOfN(input);
+    plan = bestOfN.plan;
+  } else {
+    plan = planPlanFromData(input);
+  }
+  writePlanToSheet(plan, planSheet);
+
+  // NEW: Record this run in Plan History for later comparison
+  let version = null;
+  try {
+    version = snapshotPlanVersion(plan, planSheet, settings, inputHashes);
+  } catch(e) {
+    Logger.log('Plan history error: '+e);
+  }
+  saveStrategyResults(version, bestOfN); // NEW - best-of-N results belong to this plan version
+
+  updateDashboard();
+
+  // NEW: Validate plan for cluster consistency and leg distance violations
+  try { 
+    validateAndReportPlanIssues(planSheet, plan.context);
+  } catch(e) { 
+    Logger.log('Validation error: '+e); 
+  }
+
+  // Generate diagnostics after plan build
+  try { generateDiagnosticReport(planSheet, settings); } catch(e) { Logger.log('Diagnostics error: '+e); }
+
+  ui.alert('Success', 'Planning complete! Check the Dashboard sheet for analytics.', ui.ButtonSet.OK);
+}
+
+// --- PLANNING ENGINE (PURE) ---
+
+/**
+ * [NEW] Reads every sheet the planner depends on into the plain JSON input taken by planPlanFromData.
+ * [UPDATED] Includes the depots from the Warehouses sheet.
+ * @param {string} warehouse - Depot used when the workbook has no Warehouses sheet
+ * @param {string} apiKey - Maps API key passed through to getDistanceMatrix
+ * @param {Object} settings - Routing settings (SettingsService.get())
+ * @returns {Object|null} Planning input, or null when the Shipments sheet has no valid rows
+ */
+function loadPlanningInput(warehouse, apiKey, settings) {
+  Logger.log('Starting data collection...');
+  const productTypeMap = getProductTypeMap();
+  Logger.log('Got product type map');
+  
+  const shipments = getShipments(productTypeMap);
+  Logger.log(`Got ${shipments.length} shipments`);
+  
+  const carriers = getCarriers();
+  Logger.log(`Got ${carriers.length} carriers`);
+  
+  const restrictions = getRestrictions();
+  Logger.log('Got restrictions');
+  
+  const detailedDurations = getDetailedDurations(productTypeMap);
+  Logger.log('Got detailed durations');
+  reportMissingDurations(shipments, detailedDurations);
+  
+  const addressData = getAddressData();
+  Logger.log('Got address data');
+
+  const warehouses = getWarehouses(warehouse);
+  mergeDepotAddresses(addressData, warehouses);
+  
+  if (!shipments || shipments.length === 0) return null;
+
+  Logger.log('Starting distance matrix calculation...');
+  const distanceMatrix = getDistanceMatrix(shipments, addressData, warehouses.map(w => w.id), apiKey, settings);
+  
+  Logger.log('Loading TollMatrix for cost calculations...');
+  const tollMatrix = loadTollMatrix();
+  reportMissingTollClasses(carriers, tollMatrix, settings || SettingsService.get());
+  
+  Logger.log('Loading cluster validation data...');
+  const clusterData = getClusterData();
+  Logger.log('Got cluster validation data');
+
+  const storeAffinity = loadStoreAffinities((settings || SettingsService.get()).AFFINITY_MIN_PLANS);
+
+  return {
+    shipments,
+    carriers,
     restrictions,
     detailedDurations,
-    distanceMatrix,
     addressData,
+    distanceMatrix,
+    tollMatrix,
     clusterData,
-    tollMatrix, // NEW - toll cost integration
-    warehouse: WAREHOUSE_LOCATION,
+    storeAffinity,
+    settings,
+    warehouse: warehouses[0].id,
+    warehouses
+  };
+}
+
+/**
+ * [NEW] Builds the planning context shared by the engine, replanning and validation:
+ * routing settings plus the lookup tables and the fixed planning constants.
+ * @param {Object} input - Planning input (see loadPlanningInput)
+ * @returns {Object} Planning context
+ */
+function buildPlanningContext(input) {
+  const settings = input.settings || SettingsService.getDefaults();
+  return {
+    ...settings,
+    restrictions: input.restrictions || {},
+    detailedDurations: input.detailedDurations || {},
+    distanceMatrix: input.distanceMatrix || {},
+    addressData: input.addressData || {},
+    clusterData: input.clusterData || {},
+    storeAffinity: input.storeAffinity || null, // NEW - co-routing history from human-reviewed plans
+    tollMatrix: input.tollMatrix || {}, // NEW - toll cost integration
+    fleetBookings: {}, // NEW - [{start, end}] per "carrier|size" trailer and "carrier|tractor", shared by every depot (see assignFleetEquipment)
+    fleetHolds: { lastId: 0, holds: [] }, // NEW - equipment of routes planned so far, until they are booked (see holdFleetEquipment)
+    warehouse: input.warehouse || DEFAULT_WAREHOUSE,
     OVERPLAN_FACTOR: 1.0,
     MIN_PALLETS_PER_ROUTE: 18, // Slightly lower to allow flexibility on smaller runs
     MAX_PLANNING_ATTEMPTS: 5, // Increased attempts to try harder
@@ -1511,79 +2394,296 @@ function generatePlan() {
     CLUSTER_FAILURE_THRESHOLD: 5, // Stricter clustering to prevent cross-region routing
     MIN_PALLETS_OVERSPILL_CLEANUP: settings.MIN_PALLETS_OVERSPILL_CLEANUP || 6 // NEW - reduced for better consolidation
   };
-  
-  let carriersForPlanning = JSON.parse(JSON.stringify(allCarriers));
-
-  let { remainingShipments } = runPlanningLoop(shipments, carriersForPlanning, context, planSheet, ()=>{}, 1);
-  
-  planRemainingShipments(remainingShipments, context, planSheet);
+}
 
-  const plannedCarrierNames = new Set();
-  const generatedPlanValues = planSheet.getDataRange().getValues();
-  const carrierColIndex = 0;
-  for (let i = 1; i < generatedPlanValues.length; i++) {
-    const carrierName = generatedPlanValues[i][carrierColIndex];
-    if (carrierName && !carrierName.includes('Overspill') && !carrierName.includes('Unplannable')) {
-      plannedCarrierNames.add(carrierName);
+/**
+ * [NEW] Assigns each shipment its cluster (inferring a region when the store has none)
+ * and initializes its insertion failure counter.
+ * @param {Array} shipments - Shipments to annotate (mutated)
+ * @param {Object} addressData - Address lookup data (inferred clusters are persisted here)
+ */
+function assignShipmentClusters(shipments, addressData) {
+  Logger.log('Assigning clusters to shipments...');
+  shipments.forEach(s => {
+    if (!s || !s.store) {
+      Logger.log(`Warning: Invalid shipment found: ${JSON.stringify(s)}`);
+      return;
+    }
+    const existingCluster = (addressData[s.store] && addressData[s.store].cluster) || 'Others';
+    // NEW: Auto-classify region if cluster is missing to improve geographic grouping
+    const inferredRegion = getStoreRegion(s.store, addressData);
+    s.cluster = existingCluster === 'Others' ? inferredRegion : existingCluster;
+    if (addressData[s.store]) {
+      addressData[s.store].cluster = s.cluster; // persist inferred cluster for downstream logic
     }
+    if (s.insertionFailures === undefined) s.insertionFailures = 0;
+  });
+}
+
+/**
+ * [NEW] Pure planning entry point. Takes plain JSON data, touches no sheets and returns the plan.
+ * The input is not mutated; shipments, carriers and address data are copied before planning.
+ * [UPDATED] With several depots, each shipment is assigned a depot (MULTI_DEPOT_MODE), every
+ * depot is planned with its own carriers and the results are merged; route IDs get a depot prefix.
+ *
+ * @param {Object} input - {shipments, carriers, restrictions, detailedDurations, addressData,
+ *   distanceMatrix, tollMatrix, clusterData, settings, warehouse, warehouses}
+ * @returns {Object} Plan:
+ *   - routes: finalized routes on real carriers (main loop, pull-forward and promoted consolidations)
+ *   - overspill: finalized consolidated and overspill routes
+ *   - unplannable: finalized manual-review groups (Time_1, Other_1)
+ *   - unusedSlots: [{carrier, warehouse, time, count, status, reason}] for capacity left on the table
+ *   - unrouted: overspill shipments too small to form any route
+ *   - rejected: routes dropped for exceeding MAX_ROUTE_MILEAGE
+ *   - depots: depot ids that were planned
+ *   - context: the planning context used (for post-plan validation)
+ */
+function planPlanFromData(input) {
+  const shipments = JSON.parse(JSON.stringify(input.shipments || []));
+  const addressData = JSON.parse(JSON.stringify(input.addressData || {}));
+  const warehouses = input.warehouses && input.warehouses.length > 0 ?
+    input.warehouses : [{ id: input.warehouse || DEFAULT_WAREHOUSE, stores: [] }];
+  const carriers = resolveCarrierDepots(input.carriers || [], warehouses);
+  const primaryDepot = warehouses[0].id;
+
+  mergeDepotAddresses(addressData, warehouses);
+  assignShipmentClusters(shipments, addressData);
+  const context = buildPlanningContext({ ...input, addressData, warehouse: primaryDepot });
+
+  const plan = { routes: [], overspill: [], unplannable: [], unusedSlots: [], unrouted: [], rejected: [], depots: [], context };
+  if (warehouses.length === 1) {
+    mergeDepotPlan(plan, planDepotFromData(shipments, carriers, context), null);
+    plan.depots.push(primaryDepot);
+    return plan;
   }
 
-  allCarriers.forEach(originalCarrier => {
-    const wasUsed = plannedCarrierNames.has(originalCarrier.name);
-    const plannedCarrier = carriersForPlanning.find(c => c.name === originalCarrier.name);
+  const shipmentsByDepot = assignShipmentsToDepots(shipments, warehouses, context, carriers);
+  warehouses.forEach(depot => {
+    const depotCarriers = carriers.filter(c => (c.warehouse || primaryDepot) === depot.id);
+    const depotShipments = shipmentsByDepot[depot.id] || [];
+    if (depotCarriers.length === 0 && depotShipments.length === 0) return;
+    Logger.log(`Planning depot ${depot.id}: ${depotShipments.length} shipments, ${depotCarriers.length} carriers`);
+    const depotContext = { ...context, warehouse: depot.id };
+    mergeDepotPlan(plan, planDepotFromData(depotShipments, depotCarriers, depotContext), depot.id);
+    plan.depots.push(depot.id);
+  });
+  return plan;
+}
+
+/**
+ * [NEW] Plans one depot: main loop, leftovers, finalization and unused capacity.
+ * @param {Array} shipments - Shipments served from this depot (mutated during planning)
+ * @param {Array} carriers - Carriers loading at this depot (not mutated)
+ * @param {Object} context - Planning context with context.warehouse set to the depot
+ * @returns {Object} Plan for the depot (same shape as planPlanFromData, without context)
+ */
+function planDepotFromData(shipments, carriers, context) {
+  const carriersForPlanning = JSON.parse(JSON.stringify(carriers));
+  const planningLoop = getPlanningAlgorithm(context) === 'SAVINGS' ? runSavingsPlanningLoop : runPlanningLoop;
+  const loop = planningLoop(shipments, carriersForPlanning, context, ()=>{}, 1);
+
+  // NEW: Routes the carrier has no tractor or trailer for give their shipments back to overspill
+  const unequipped = assignFleetEquipment(loop.routes, context);
+  const routes = loop.routes.filter(route => !unequipped.includes(route));
+  const remainingShipments = [...loop.remainingShipments, ...releaseUnequippedRoutes(unequipped)];
+
+  // Promoted consolidations pick from a fresh copy of the carriers, as they always have
+  const leftovers = planRemainingShipments(remainingShipments, context, JSON.parse(JSON.stringify(carriers)));
+
+  const rejected = [];
+  const finalizeAll = list => list.map(route => {
+    const planned = finalizeRoute(route, context);
+    if (!planned && route.stops && route.stops.length > 0) rejected.push(route);
+    return planned;
+  }).filter(Boolean);
 
-    if (wasUsed) {
+  const plannedRoutes = finalizeAll([...routes, ...leftovers.promoted]);
+
+  return {
+    routes: plannedRoutes,
+    overspill: finalizeAll([...leftovers.consolidated, ...leftovers.overspill]),
+    unplannable: finalizeAll(leftovers.unplannable),
+    unusedSlots: findUnusedCarrierSlots(carriers, carriersForPlanning, plannedRoutes, shipments, context),
+    unrouted: leftovers.unrouted,
+    rejected
+  };
+}
+
+/**
+ * [NEW] Appends a depot's plan to the combined plan, prefixing route IDs with the depot
+ * when more than one depot is planned so IDs stay unique.
+ * @param {Object} plan - Combined plan (mutated)
+ * @param {Object} depotPlan - Result of planDepotFromData
+ * @param {string|null} depotPrefix - Depot id to prefix, or null for single-depot plans
+ */
+function mergeDepotPlan(plan, depotPlan, depotPrefix) {
+  ['routes', 'overspill', 'unplannable', 'rejected'].forEach(key => {
+    depotPlan[key].forEach(route => {
+      if (depotPrefix && route.routeId) route.routeId = `${depotPrefix}-${route.routeId}`;
+      plan[key].push(route);
+    });
+  });
+  plan.unusedSlots.push(...depotPlan.unusedSlots);
+  plan.unrouted.push(...depotPlan.unrouted);
+}
+
+/**
+ * [NEW] Resolves each carrier's Carriers_2 Warehouse against the depots. A carrier whose
+ * Warehouse names no depot in Warehouses is planned from the primary depot, with a warning,
+ * instead of being left out of every depot. Single-depot plans use every carrier as is.
+ * @param {Array} carriers - Carriers from getCarriers (not mutated)
+ * @param {Array<object>} warehouses - Depots (primary first)
+ * @returns {Array} Carriers, with moved ones copied onto the primary depot
+ */
+function resolveCarrierDepots(carriers, warehouses) {
+  if (warehouses.length <= 1) return carriers;
+  const primaryDepot = warehouses[0].id;
+  const depotIds = warehouses.map(w => w.id);
+  return carriers.map(carrier => {
+    if (!carrier.warehouse || depotIds.includes(carrier.warehouse)) return carrier;
+    Logger.log(`Warning: carrier ${carrier.name} loads at ${carrier.warehouse}, which is not in Warehouses; planning it from ${primaryDepot}.`);
+    return { ...carrier, warehouse: primaryDepot };
+  });
+}
+
+/**
+ * [NEW] Splits shipments between depots.
+ * ASSIGNED: a store goes to the depot whose Stores list names it, otherwise to the primary depot.
+ * CHEAPEST: a store goes to the depot with carriers that has the shortest round trip in the
+ * distance matrix, falling back to its assigned depot when no such depot has distance data for it.
+ * @param {Array} shipments - Shipments to split
+ * @param {Array<object>} warehouses - Depots (primary first)
+ * @param {Object} context - Planning context (MULTI_DEPOT_MODE, distanceMatrix)
+ * @param {Array} carriers - Carriers after resolveCarrierDepots
+ * @returns {Object} Map of depot id -> shipments
+ */
+function assignShipmentsToDepots(shipments, warehouses, context, carriers) {
+  const { distanceMatrix, MULTI_DEPOT_MODE } = context;
+  const mode = String(MULTI_DEPOT_MODE || 'ASSIGNED').toUpperCase();
+  const primaryDepot = warehouses[0].id;
+  // A store sent to a depot without carriers could never be routed
+  const servedDepots = warehouses.filter(w => carriers.some(c => (c.warehouse || primaryDepot) === w.id));
+  const legMiles = (from, to) => {
+    const leg = (distanceMatrix[from] && distanceMatrix[from][to]) || (distanceMatrix[to] && distanceMatrix[to][from]);
+    return leg ? leg.distance : null;
+  };
+
+  const depotForStore = {};
+  const getDepot = store => {
+    if (depotForStore[store]) return depotForStore[store];
+    const assigned = warehouses.find(w => w.stores && w.stores.includes(String(store))) || warehouses[0];
+    let chosen = assigned;
+    if (mode === 'CHEAPEST') {
+      let bestMiles = Infinity;
+      servedDepots.forEach(depot => {
+        const out = legMiles(depot.id, store);
+        const back = legMiles(store, depot.id);
+        if (out === null || back === null) return;
+        if (out + back < bestMiles) {
+          bestMiles = out + back;
+          chosen = depot;
+        }
+      });
+    }
+    depotForStore[store] = chosen;
+    return chosen;
+  };
+
+  const byDepot = {};
+  warehouses.forEach(w => { byDepot[w.id] = []; });
+  shipments.forEach(shipment => {
+    const depot = getDepot(shipment.store);
+    shipment.warehouse = depot.id;
+    byDepot[depot.id].push(shipment);
+  });
+  Logger.log(`Depot assignment (${mode}): ${warehouses.map(w => `${w.id}=${byDepot[w.id].length}`).join(', ')}`);
+  return byDepot;
+}
+
+/**
+ * [NEW] Lists carrier capacity the plan did not use.
+ * Carriers with at least one route report their leftover slots as UNUSED CAPACITY;
+ * carriers with no route at all report every slot as NOT PLANNED with a diagnosed reason.
+ * @param {Array} originalCarriers - Carriers as loaded (slot usage before planning)
+ * @param {Array} plannedCarriers - Carriers after planning (slot usage incremented)
+ * @param {Array} plannedRoutes - Finalized routes on real carriers
+ * @param {Array} shipments - Shipments that were planned
+ * @param {Object} context - Planning context
+ * @returns {Array} Unused slot entries {carrier, warehouse, time, count, status, reason}
+ */
+function findUnusedCarrierSlots(originalCarriers, plannedCarriers, plannedRoutes, shipments, context) {
+  const plannedCarrierNames = new Set(plannedRoutes.map(route => route.carrier.name));
+  const unusedSlots = [];
+
+  originalCarriers.forEach(originalCarrier => {
+    if (plannedCarrierNames.has(originalCarrier.name)) {
+      const plannedCarrier = plannedCarriers.find(c => c.name === originalCarrier.name);
       originalCarrier.timeSlots.forEach(originalTimeSlot => {
-        const plannedTimeSlot = plannedCarrier.timeSlots.find(ts => ts.time === originalTimeSlot.time);
+        const plannedTimeSlot = plannedCarrier && plannedCarrier.timeSlots.find(ts => ts.time === originalTimeSlot.time);
         const unusedCapacity = originalTimeSlot.capacity - (plannedTimeSlot ? plannedTimeSlot.used : 0);
-
         if (unusedCapacity > 0) {
-          const reason = `Unused Capacity at ${originalTimeSlot.time}`;
-          for (let i = 0; i < unusedCapacity; i++) {
-            planSheet.appendRow([
-              originalCarrier.name, 'N/A', 'N/A', 0, 'UNUSED CAPACITY', 'N/A',
-              'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A',
-              reason
-            ]).getRange(planSheet.getLastRow(), 1, 1, 20).setBackground('#fce5cd');
-          }
+          unusedSlots.push({
+            carrier: originalCarrier.name,
+            warehouse: context.warehouse,
+            time: originalTimeSlot.time,
+            count: unusedCapacity,
+            status: 'UNUSED CAPACITY',
+            reason: `Unused Capacity at ${originalTimeSlot.time}`
+          });
         }
       });
     } else {
       const reason = diagnoseUnusedCarrier(originalCarrier, shipments, context);
       originalCarrier.timeSlots.forEach(timeSlot => {
-        for (let i = 0; i < timeSlot.capacity; i++) {
-          planSheet.appendRow([
-            originalCarrier.name, 'N/A', 'N/A', 0, 'NOT PLANNED', 'N/A',
-            'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A',
-            reason
-          ]).getRange(planSheet.getLastRow(), 1, 1, 20).setBackground('#fce5cd');
+        if (timeSlot.capacity > 0) {
+          unusedSlots.push({ carrier: originalCarrier.name, warehouse: context.warehouse, time: timeSlot.time, count: timeSlot.capacity, status: 'NOT PLANNED', reason });
         }
       });
     }
   });
 
-  updateDashboard();
-
-  // NEW: Validate plan for cluster consistency and leg distance violations
-  try { 
-    validateAndReportPlanIssues(planSheet, context);
-  } catch(e) { 
-    Logger.log('Validation error: '+e); 
-  }
-
-  // Generate diagnostics after plan build
-  try { generateDiagnosticReport(planSheet, settings); } catch(e) { Logger.log('Diagnostics error: '+e); }
+  return unusedSlots;
+}
 
-  ui.alert('Success', 'Planning complete! Check the Dashboard sheet for analytics.', ui.ButtonSet.OK);
+/**
+ * [NEW] Renders a plan returned by planPlanFromData to the Generated Plan sheet.
+ * @param {Object} plan - Plan object
+ * @param {Sheet} planSheet - Sheet prepared by setupPlanSheet
+ */
+function writePlanToSheet(plan, planSheet) {
+  [...plan.routes, ...plan.overspill, ...plan.unplannable].forEach(route => {
+    writeRouteToSheet(route, planSheet, plan.context);
+  });
+  // NEW - held so incremental updates do not count them as new; stops of rejected routes are not on any route either
+  const rejectedStops = plan.rejected.reduce((stops, route) => stops.concat(route.stops), []);
+  appendPlanDataHeld(PLAN_DATA_UNROUTED_ID, [...plan.unrouted, ...rejectedStops]);
+
+  plan.unusedSlots.forEach(slot => {
+    for (let i = 0; i < slot.count; i++) {
+      const row = buildPlanRow({
+        'Carrier': slot.carrier,
+        'Stops': 0,
+        'Stop Sequence': slot.status,
+        'Notes': slot.reason,
+        'Map Link': '',
+        'Origin Depot': slot.warehouse
+      }, 'N/A');
+      planSheet.appendRow(row).getRange(planSheet.getLastRow(), 1, 1, PLAN_HEADERS.length).setBackground('#fce5cd');
+    }
+  });
 }
 
-function runPlanningLoop(shipmentsToPlan, availableCarriers, context, planSheet, log, startIteration) {
+/**
+ * Greedy seed-and-grow planning loop.
+ * [UPDATED] No longer writes to the sheet; returns the built routes alongside the leftovers.
+ * @returns {Object} {remainingShipments, iteration, routes}
+ */
+function runPlanningLoop(shipmentsToPlan, availableCarriers, context, log, startIteration) {
     let unassignedShipments = [...shipmentsToPlan];
     let iteration = startIteration;
     const {
         MAX_PLANNING_ATTEMPTS,
         MIN_PALLETS_PER_ROUTE,
-        restrictions,
         RELAX_MIN_ATTEMPTS = 2,
         RELAX_MIN_FACTOR = 0.7,
         CLUSTER_FAILURE_THRESHOLD = 5  // INCREASED from 2-3 to 5 for stricter clustering
@@ -1593,8 +2693,10 @@ function runPlanningLoop(shipmentsToPlan, availableCarriers, context, planSheet,
     let planningInProgress = true;
     let passNumber = 1; // Track planning pass for logging
     
+    const seedOrder = getSeedOrderComparator(unassignedShipments, context); // [UPDATED] strategy-dependent order
+    
     while (planningInProgress) {
-        unassignedShipments.sort((a, b) => b.pallets - a.pallets);
+        unassignedShipments.sort(seedOrder);
         
         // Before creating new routes, try to fit unassigned shipments into existing routes
         if (routes.length > 0) {
@@ -1636,9 +2738,6 @@ function runPlanningLoop(shipmentsToPlan, availableCarriers, context, planSheet,
             // Try rebalancing routes before finishing
             if (routes.length > 0) {
                 rebalanceRoutes(routes, context);
-                routes.forEach(route => {
-                    writeRouteToSheet(route, planSheet, context);
-                });
             }
             planningInProgress = false;
             passNumber++;
@@ -1651,12 +2750,7 @@ function runPlanningLoop(shipmentsToPlan, availableCarriers, context, planSheet,
         let bestRouteOption = findBestInitialCarrier(seedShipment, availableCarriers, context);
 
         if (!bestRouteOption) {
-            const storeRes = restrictions[seedShipment.store];
-            if (storeRes && storeRes.deliveryWindow && storeRes.deliveryWindow.trim() !== '' && storeRes.deliveryWindow.toUpperCase() !== 'N/A') {
-                seedShipment.failureReason = 'Time Constraint';
-            } else {
-                seedShipment.failureReason = 'No Viable Carrier';
-            }
+            seedShipment.failureReason = getSeedFailureReason(seedShipment, availableCarriers, context);
             unassignedShipments.push(seedShipment);
             passNumber++;
             continue;
@@ -1719,6 +2813,7 @@ function runPlanningLoop(shipmentsToPlan, availableCarriers, context, planSheet,
             bestRouteOption.timeSlot.used++;
             currentRoute.routeId = `${currentRoute.carrier.name.replace(/\s+/g, '')}_${iteration++}`;
             routes.push(currentRoute); // Add to routes array instead of writing immediately
+            holdFleetEquipment(currentRoute, context);
         }
         
         passNumber++;
@@ -1727,7 +2822,7 @@ function runPlanningLoop(shipmentsToPlan, availableCarriers, context, planSheet,
     // After main loop, try to utilize any remaining carriers with pull-forward requests
     const { remainingShipments: finalUnassigned } = utilizePullForwardRequests(unassignedShipments, availableCarriers, context, routes);
     
-    return { remainingShipments: finalUnassigned, iteration };
+    return { remainingShipments: finalUnassigned, iteration, routes };
 }
 
 function findBestInitialCarrier(shipment, carriers, context) {
@@ -1753,1762 +2848,4986 @@ function findBestInitialCarrier(shipment, carriers, context) {
     return bestOption;
 }
 
-function checkAndScoreInsertion(shipment, route, context, log, iter) {
-  const {
-    restrictions,
-    distanceMatrix,
-    warehouse,
-    OVERPLAN_FACTOR,
-    MAX_ROUTE_MILEAGE,
-    MAX_STOPS_GENERAL,
-    MAX_DISTANCE_BETWEEN_STOPS,
-    ABSOLUTE_MAX_DISTANCE_BETWEEN_STOPS,
-    MAX_CROSS_REGION_LEG_MILES = 70, // NEW - cross-region threshold
-    MILEAGE_BUFFER = 0.95, // 95% hard limit buffer
-    addressData,
-    tollMatrix
-  } = context;
-
-  // Validate input parameters
-  if (!shipment || !route || !context || !distanceMatrix || !warehouse) {
-    Logger.log('Error: Missing required parameters in checkAndScoreInsertion');
-    return null;
+/**
+ * [NEW] Why findBestInitialCarrier found no slot for a shipment: 'Time Constraint' for stores
+ * with a delivery window, else 'No Viable Carrier'. Null when an open slot would take it if the
+ * carrier had a tractor and trailer back; such shipments stay unassigned and go to overspill.
+ */
+function getSeedFailureReason(shipment, carriers, context) {
+  const idleFleet = { ...context, fleetBookings: {}, fleetHolds: null };
+  const shortOfFleetOnly = carriers.some(carrier => hasFleetLimits(carrier) && carrier.timeSlots.some(timeSlot =>
+    timeSlot.used < timeSlot.capacity &&
+    checkAndScoreInsertion(shipment, { carrier, time: timeSlot.time, stops: [], totalPallets: 0, cluster: shipment.cluster }, idleFleet, () => {}, 0) !== null));
+  if (shortOfFleetOnly) return null;
+
+  const storeRes = context.restrictions[shipment.store];
+  if (storeRes && storeRes.deliveryWindow && storeRes.deliveryWindow.trim() !== '' && storeRes.deliveryWindow.toUpperCase() !== 'N/A') {
+    return 'Time Constraint';
   }
+  return 'No Viable Carrier';
+}
 
-  const tempStops = [...route.stops, shipment];
-  const uniqueStores = [...new Set(tempStops.map(s => s.store))];
-  if (uniqueStores.length > MAX_STOPS_GENERAL) return null;
-  
-   // NEW: Validate cluster compatibility - each store must belong to at least one common cluster
-   if (context.clusterData && !areStoresValidTogether(uniqueStores, context.clusterData)) {
-     return null;
-   }
+// --- SAVINGS (CLARKE-WRIGHT) PLANNING ---
 
-  // Region-aware stop cap: NYC-specific clusters limited to 2 stops; others allow up to 4
-  if (addressData) {
-    const nycClusters = new Set(['East NY', 'West NY', 'NY', 'UpperMidLG', 'UpperEastLG', 'LowerMidLG', 'LGMain', 'LowerEastLG']);
-    const regions = uniqueStores.map(s => getStoreRegion(s, addressData));
-    const allNYC = regions.length > 0 && regions.every(r => nycClusters.has(r));
-    if (allNYC && uniqueStores.length > 2) return null;
-  }
+/**
+ * [NEW] Returns the construction algorithm selected in settings: 'GREEDY' (runPlanningLoop)
+ * or 'SAVINGS' (runSavingsPlanningLoop).
+ */
+function getPlanningAlgorithm(context) {
+  const algorithm = String(context.PLANNING_ALGORITHM || 'GREEDY').toUpperCase();
+  return algorithm === 'SAVINGS' ? 'SAVINGS' : 'GREEDY';
+}
 
-  // NEW: Check for cross-region routing violations
-  if (addressData) {
-    const regions = tempStops.map(s => getStoreRegion(s.store, addressData));
-    const uniqueRegions = [...new Set(regions.filter(r => r !== 'Others'))];
-    
-    // If we have multiple distinct regions (e.g., NY and NJ), check leg distances more strictly
-    if (uniqueRegions.length > 1) {
-      // Calculate leg distances to check if cross-region legs are too long
-      const tempOptimizedForRegionCheck = advancedOptimizeStopOrder(tempStops, warehouse, distanceMatrix);
-      const legDetails = getLegDistanceDetails(tempOptimizedForRegionCheck, distanceMatrix);
-      
-      if (!legDetails.hasMissingData && legDetails.legDistances.length > 0) {
-        const maxLeg = Math.max(...legDetails.legDistances);
-        
-        // Reject if cross-region leg exceeds threshold
-        if (maxLeg > MAX_CROSS_REGION_LEG_MILES) {
-          Logger.log(`Rejected cross-region route: ${uniqueRegions.join(' + ')} with max leg ${maxLeg} miles`);
-          return null;
+/**
+ * [NEW] Clarke-Wright savings construction. Drop-in alternative to runPlanningLoop.
+ *
+ * 1. Every store starts on its own route (its shipments inserted with checkAndScoreInsertion
+ *    on the cheapest feasible carrier slot, as findBestInitialCarrier picks it).
+ * 2. Store pairs are ranked by saving = d(WH, i) + d(WH, j) - d(i, j). Working down the list,
+ *    the routes holding i and j are merged when every shipment of one can be inserted into
+ *    the other via checkAndScoreInsertion (cluster, temperature, cold chain, time window,
+ *    trailer size, leg limits, mileage and HOS). Stops are re-sequenced on every check, so
+ *    pairs do not need to be route end points.
+ * 3. Merged routes, fullest first, are given the cheapest carrier slot they are feasible on.
+ *    Routes below the relaxed minimum, or with no slot left, hand their shipments back and
+ *    those shipments are offered to the planned routes once more.
+ * 4. Rebalancing and pull-forward requests run exactly as for the greedy loop.
+ *
+ * @returns {Object} {remainingShipments, iteration, routes}
+ */
+function runSavingsPlanningLoop(shipmentsToPlan, availableCarriers, context, log, startIteration) {
+  const {
+    distanceMatrix,
+    warehouse,
+    MIN_PALLETS_PER_ROUTE,
+    MAX_STOPS_GENERAL,
+    ABSOLUTE_MAX_DISTANCE_BETWEEN_STOPS,
+    RELAX_MIN_FACTOR = 0.7
+  } = context;
+  let iteration = startIteration;
+  const remaining = [];
+
+  // 1. One route per store
+  const byStore = {};
+  shipmentsToPlan.forEach(s => {
+    if (!byStore[s.store]) byStore[s.store] = [];
+    byStore[s.store].push(s);
+  });
+
+  let routes = [];
+  Object.keys(byStore).forEach(store => {
+    const pending = byStore[store].sort((a, b) => b.pallets - a.pallets);
+    while (pending.length > 0) {
+      const seed = pending.shift();
+      seed.attempts++;
+      const option = findBestInitialCarrier(seed, availableCarriers, context);
+      if (!option) {
+        seed.failureReason = getSeedFailureReason(seed, availableCarriers, context);
+        remaining.push(seed);
+        continue;
+      }
+      const route = option.route;
+      for (let i = pending.length - 1; i >= 0; i--) {
+        if (checkAndScoreInsertion(pending[i], route, context, log, 0) !== null) {
+          const added = pending.splice(i, 1)[0];
+          route.stops.push(added);
+          route.totalPallets += added.pallets;
         }
       }
+      routes.push(route);
+    }
+  });
+  Logger.log(`[Savings] Starting from ${routes.length} single-store routes`);
+
+  // 2. Rank store pairs by saving and merge
+  const hardLegLimit = ABSOLUTE_MAX_DISTANCE_BETWEEN_STOPS || 75;
+  const leg = (from, to) => getOrderingLegMiles(from, to, distanceMatrix);
+  const savings = [];
+  for (let a = 0; a < routes.length; a++) {
+    for (let b = a + 1; b < routes.length; b++) {
+      const i = routes[a].stops[0].store;
+      const j = routes[b].stops[0].store;
+      const between = Math.min(leg(i, j), leg(j, i));
+      if (i !== j && between > hardLegLimit) continue;
+      savings.push({ a: routes[a], b: routes[b], saving: leg(warehouse, i) + leg(j, warehouse) - between });
     }
   }
+  savings.sort((x, y) => y.saving - x.saving);
 
-  // Build per-store category pallet counts for the small-ambient override
-  const perStoreCounts = {};
-  tempStops.forEach(s => {
-    if (!perStoreCounts[s.store]) perStoreCounts[s.store] = {};
-    perStoreCounts[s.store][s.category] = (perStoreCounts[s.store][s.category] || 0) + (s.pallets || 0);
+  const owner = new Map(); // initial route -> route it has been merged into
+  routes.forEach(r => owner.set(r, r));
+  const find = r => {
+    while (owner.get(r) !== r) r = owner.get(r);
+    return r;
+  };
+
+  let merges = 0;
+  savings.forEach(({ a, b }) => {
+    const routeA = find(a);
+    const routeB = find(b);
+    if (routeA === routeB) return;
+    const stores = new Set([...routeA.stops, ...routeB.stops].map(s => s.store));
+    if (stores.size > MAX_STOPS_GENERAL) return;
+
+    const merged = tryMergeRoutes(routeA, routeB, context, log) || tryMergeRoutes(routeB, routeA, context, log);
+    if (!merged) return;
+    routeA.carrier = merged.carrier;
+    routeA.time = merged.time;
+    routeA.stops = merged.stops;
+    routeA.totalPallets = merged.totalPallets;
+    routeA.cluster = merged.cluster;
+    owner.set(routeB, routeA);
+    merges++;
+  });
+  routes = routes.filter(r => find(r) === r);
+  Logger.log(`[Savings] ${merges} merges from ${savings.length} candidate pairs -> ${routes.length} routes`);
+
+  // 3. Assign carrier slots, fullest routes first
+  const relaxedMinimum = Math.max(1, Math.ceil(MIN_PALLETS_PER_ROUTE * RELAX_MIN_FACTOR));
+  const planned = [];
+  routes.sort((x, y) => y.totalPallets - x.totalPallets).forEach(route => {
+    if (route.totalPallets < relaxedMinimum) {
+      remaining.push(...route.stops);
+      return;
+    }
+    const assigned = assignCheapestCarrierSlot(route, availableCarriers, context, log);
+    if (!assigned) {
+      remaining.push(...route.stops);
+      return;
+    }
+    assigned.timeSlot.used++;
+    assigned.route.routeId = `${assigned.route.carrier.name.replace(/\s+/g, '')}_${iteration++}`;
+    planned.push(assigned.route);
+    holdFleetEquipment(assigned.route, context);
   });
 
-  if (!isTempCompatible(new Set(tempStops.map(s => s.category)), { allowAllAll: context.ALLOW_ALL_ALL || false, smallAmbientThreshold: context.SMALL_AMBIENT_THRESHOLD || 4, details: { perStoreCounts } })) return null;
+  // Leftovers from short or slotless routes get one chance to join a planned route
+  remaining.sort((a, b) => b.pallets - a.pallets);
+  for (let i = remaining.length - 1; i >= 0; i--) {
+    const shipment = remaining[i];
+    if (shipment.failureReason) continue;
+    let bestRoute = null, bestScore = Infinity;
+    planned.forEach(route => {
+      const score = checkAndScoreInsertion(shipment, route, context, log, 0);
+      if (score !== null && score < bestScore) {
+        bestScore = score;
+        bestRoute = route;
+      }
+    });
+    if (bestRoute) {
+      bestRoute.stops.push(shipment);
+      bestRoute.totalPallets += shipment.pallets;
+      remaining.splice(i, 1);
+    }
+  }
 
-  // Check cold chain compliance (new validation)
-  if (!validateColdChainCompliance(tempStops, context)) return null;
+  // 4. Same finishing steps as the greedy loop
+  if (planned.length > 0) rebalanceRoutes(planned, context);
+  const { remainingShipments } = utilizePullForwardRequests(remaining, availableCarriers, context, planned);
 
-  if (restrictions[shipment.store] && restrictions[shipment.store].deliveryWindow && restrictions[shipment.store].deliveryWindow.trim() !== '' && restrictions[shipment.store].deliveryWindow.toUpperCase() !== 'N/A' && !isTimeInWindow(route.time, restrictions[shipment.store].deliveryWindow)) return null;
+  return { remainingShipments, iteration, routes: planned };
+}
 
-  const carrier = route.carrier;
-  const requiredSize = getRequiredTrailerSize({ ...route, stops: tempStops }, restrictions);
-  
-  let capacity = 0;
-  switch (requiredSize) {
-      case '36': capacity = carrier.pallets36; break;
-      case '48': capacity = carrier.pallets48; break;
-      case '53': capacity = carrier.pallets53; break;
+/**
+ * [NEW] Tries to move every shipment of `source` onto `target`'s carrier and time slot.
+ * @returns {Object|null} The merged route (new object), or null if any insertion is infeasible
+ */
+function tryMergeRoutes(target, source, context, log) {
+  const merged = {
+    carrier: target.carrier,
+    time: target.time,
+    stops: [...target.stops],
+    totalPallets: target.totalPallets,
+    cluster: target.cluster
+  };
+  const incoming = [...source.stops].sort((a, b) => b.pallets - a.pallets);
+  for (const shipment of incoming) {
+    if (checkAndScoreInsertion(shipment, merged, context, log, 0) === null) return null;
+    merged.stops.push(shipment);
+    merged.totalPallets += shipment.pallets;
   }
-  
-  if (!capacity || (route.totalPallets || 0) + shipment.pallets > (capacity * OVERPLAN_FACTOR)) return null;
+  if (merged.cluster === 'Others') {
+    const named = merged.stops.find(s => s.cluster && s.cluster !== 'Others');
+    if (named) merged.cluster = named.cluster;
+  }
+  return merged;
+}
 
-  const currentOptimized = advancedOptimizeStopOrder(route.stops, warehouse, distanceMatrix);
-  let tempOptimized = advancedOptimizeStopOrder(tempStops, warehouse, distanceMatrix);
-  const preferredLegThreshold = MAX_DISTANCE_BETWEEN_STOPS || 50;
-  const hardLegLimit = ABSOLUTE_MAX_DISTANCE_BETWEEN_STOPS || Math.max(75, preferredLegThreshold);
+/**
+ * [NEW] Finds the cheapest carrier slot with capacity left on which the whole route is feasible.
+ * Feasibility is rebuilt stop by stop with checkAndScoreInsertion on that carrier and time,
+ * in the order the stops were accepted.
+ * @returns {Object|null} {route, timeSlot} with route re-homed on the chosen carrier, or null
+ */
+function assignCheapestCarrierSlot(route, carriers, context, log) {
+  const metrics = calculateRouteMetricsWithHOS(route.stops, context.warehouse, context.distanceMatrix, context.detailedDurations);
+  let best = null;
+  let bestCost = Infinity;
 
-  const currentLegDetails = getLegDistanceDetails(currentOptimized, distanceMatrix);
-  if (currentLegDetails.hasMissingData) return null;
+  carriers.forEach(carrier => {
+    carrier.timeSlots.forEach(timeSlot => {
+      if (timeSlot.used >= timeSlot.capacity) return;
+      const cost = (metrics.totalDistance * (carrier.costPerMile || 0)) + (carrier.costPerRoute || 0);
+      if (cost >= bestCost) return;
+
+      const candidate = { carrier, time: timeSlot.time, stops: [], totalPallets: 0, cluster: route.cluster };
+      // Re-insert in the route's own order: the cold chain check depends on insertion order
+      const feasible = route.stops.every(shipment => {
+        if (checkAndScoreInsertion(shipment, candidate, context, log, 0) === null) return false;
+        candidate.stops.push(shipment);
+        candidate.totalPallets += shipment.pallets;
+        return true;
+      });
+      if (feasible) {
+        bestCost = cost;
+        best = { route: candidate, timeSlot };
+      }
+    });
+  });
+  return best;
+}
 
-  const proposedLegDetails = getLegDistanceDetails(tempOptimized, distanceMatrix);
-  if (proposedLegDetails.hasMissingData) return null;
+/** [NEW] Summary metrics shown side by side: [label, summarizePlan key, decimals]. */
+const PLAN_SUMMARY_METRICS = [
+  ['Trucks', 'trucks', 0],
+  ['Total Miles', 'totalMiles', 0],
+  ['Planned Pallets', 'plannedPallets', 2],
+  ['Estimated Cost', 'estimatedCost', 2],
+  ['Avg Utilization (%)', 'avgUtilization', 1],
+  ['Overspill Routes', 'overspillRoutes', 0],
+  ['Overspill Pallets', 'overspillPallets', 2],
+  ['Unplanned Pallets', 'unplannedPallets', 2],
+  ['Unused Slots', 'unusedSlots', 0]
+];
 
-  const proposedMaxLeg = proposedLegDetails.legDistances.length > 0 ? Math.max(...proposedLegDetails.legDistances) : 0;
-  if (proposedMaxLeg > hardLegLimit) {
-    Logger.log(`Rejected insertion: max leg ${proposedMaxLeg} mi exceeds hard limit ${hardLegLimit} mi`);
-    return null;
-  }
-  
-  // NEW: Also reject if any leg exceeds MAX_CROSS_REGION_LEG_MILES (stricter check)
-  if (MAX_CROSS_REGION_LEG_MILES && proposedMaxLeg > MAX_CROSS_REGION_LEG_MILES) {
-    Logger.log(`Rejected insertion: max leg ${proposedMaxLeg} mi exceeds cross-region limit ${MAX_CROSS_REGION_LEG_MILES} mi`);
-    return null;
-  }
+/**
+ * [NEW] Headline numbers used to compare plans: trucks, miles, pallets, cost and leftovers.
+ * @param {Object} plan - Result of planPlanFromData
+ * @returns {Object} Plan summary
+ */
+function summarizePlan(plan) {
+  const routes = plan.routes;
+  const sum = (list, fn) => list.reduce((total, item) => total + fn(item), 0);
+  const utilizations = routes
+    .map(r => parseFloat(r.utilization))
+    .filter(u => !isNaN(u));
+  return {
+    trucks: routes.length,
+    totalMiles: sum(routes, r => r.metrics.totalDistance),
+    plannedPallets: sum(routes, r => r.totalPallets),
+    estimatedCost: sum(routes, r => r.cost || 0),
+    avgUtilization: utilizations.length ? sum(utilizations, u => u) / utilizations.length : 0,
+    overspillRoutes: plan.overspill.length,
+    overspillPallets: sum(plan.overspill, r => r.totalPallets),
+    unplannedPallets: sum(plan.unplannable, r => r.totalPallets) + sum(plan.unrouted, s => s.pallets),
+    unusedSlots: sum(plan.unusedSlots, slot => slot.count)
+  };
+}
 
-  const distancePenaltyDelta = calculateDistancePenalty(proposedLegDetails.legDistances, preferredLegThreshold)
-    - calculateDistancePenalty(currentLegDetails.legDistances, preferredLegThreshold);
+/**
+ * [NEW] Plans the current Shipments sheet with both construction algorithms and writes
+ * a side-by-side summary to the 'Algorithm Comparison' sheet. Generated Plan is not touched.
+ * @returns {Object} Summaries keyed by algorithm
+ */
+function compareAlgorithms() {
+  const settings = SettingsService.get();
+  const input = loadPlanningInput(DEFAULT_WAREHOUSE, "YOUR_API_KEY_HERE", settings);
+  if (!input) throw new Error('No valid shipments found in the Shipments sheet');
+
+  const summaries = {};
+  ['GREEDY', 'SAVINGS'].forEach(algorithm => {
+    const started = Date.now();
+    const plan = planPlanFromData({ ...input, settings: { ...settings, PLANNING_ALGORITHM: algorithm } });
+    summaries[algorithm] = { ...summarizePlan(plan), runtimeSeconds: (Date.now() - started) / 1000 };
+  });
 
-  // NEW: If cold chain would fail, try a cold-safe ordering (ambient-first, cold-last)
-  if (!validateColdChainCompliance(tempOptimized, context)) {
-    const coldSafe = enforceColdSafeOrdering(tempOptimized);
-    const coldSafeMetrics = calculateRouteMetricsWithHOS(coldSafe, warehouse, distanceMatrix, context.detailedDurations);
-    if (coldSafeMetrics.totalDistance <= MAX_ROUTE_MILEAGE * MILEAGE_BUFFER) {
-      tempOptimized = coldSafe;
-    }
-  }
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Algorithm Comparison');
+  if (sheet) sheet.clear(); else sheet = ss.insertSheet('Algorithm Comparison');
+
+  const rows = [
+    ['Metric', 'Greedy', 'Savings', 'Difference'],
+    ...[
+      ...PLAN_SUMMARY_METRICS,
+      ['Runtime (s)', 'runtimeSeconds', 1]
+    ].map(([label, key, digits]) => {
+      const greedy = summaries.GREEDY[key];
+      const savingsValue = summaries.SAVINGS[key];
+      return [label, greedy.toFixed(digits), savingsValue.toFixed(digits), (savingsValue - greedy).toFixed(digits)];
+    })
+  ];
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  sheet.getRange(1, 1, 1, rows[0].length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
 
-  const tempMetrics = calculateRouteMetricsWithHOS(tempOptimized, warehouse, distanceMatrix, context.detailedDurations);
-  
-  // STRICT MILEAGE ENFORCEMENT: Hard reject if exceeds mileage cap with buffer
-  const mileageHardLimit = MAX_ROUTE_MILEAGE * MILEAGE_BUFFER;
-  if (tempMetrics.totalDistance > mileageHardLimit) {
-    return null; // Hard reject - mileage constraint violated
-  }
-  
-  if (tempMetrics.hosStatus !== 'OK') return null;
+  Logger.log(`Algorithm comparison: ${JSON.stringify(summaries)}`);
+  return summaries;
+}
 
-  const originalMetrics = calculateRouteMetricsWithHOS(currentOptimized, warehouse, distanceMatrix, context.detailedDurations);
+// --- BEST-OF-N PLANNING STRATEGIES ---
 
-  const newCost = (tempMetrics.totalDistance * carrier.costPerMile) + carrier.costPerRoute;
-  const oldCost = (originalMetrics.totalDistance * carrier.costPerMile) + carrier.costPerRoute;
-  
-  // NEW: Add toll costs if TollMatrix available
-  let tollDelta = 0;
-  if (tollMatrix) {
-    const newTollCost = calculateRouteTollCost(tempOptimized, warehouse, tollMatrix);
-    const oldTollCost = calculateRouteTollCost(currentOptimized, warehouse, tollMatrix);
-    tollDelta = newTollCost - oldTollCost;
+/**
+ * [NEW] Seed-ordering comparator for runPlanningLoop, chosen by context.SEED_ORDER:
+ * - LARGEST_FIRST (default): most pallets first
+ * - CLUSTER_FIRST: clusters with the most pallets first, largest shipment first within a cluster
+ * - RANDOMIZED: largest first with pallet counts jittered by up to ±RANDOM_JITTER using a
+ *   PRNG seeded from RANDOM_SEED, so a given seed always yields the same plan
+ * @param {Array} shipments - Shipments that will be ordered (random keys are attached here)
+ * @param {Object} context - Planning context
+ * @returns {Function} Array.sort comparator
+ */
+function getSeedOrderComparator(shipments, context) {
+  const order = String(context.SEED_ORDER || 'LARGEST_FIRST').toUpperCase();
+
+  if (order === 'CLUSTER_FIRST') {
+    const clusterPallets = {};
+    shipments.forEach(s => {
+      clusterPallets[s.cluster] = (clusterPallets[s.cluster] || 0) + s.pallets;
+    });
+    return (a, b) => {
+      if (a.cluster !== b.cluster) {
+        const diff = (clusterPallets[b.cluster] || 0) - (clusterPallets[a.cluster] || 0);
+        return diff !== 0 ? diff : String(a.cluster).localeCompare(String(b.cluster));
+      }
+      return b.pallets - a.pallets;
+    };
   }
 
-  return (newCost - oldCost) + distancePenaltyDelta + tollDelta; // Return cost delta with tolls
+  if (order === 'RANDOMIZED') {
+    const random = createSeededRandom(context.RANDOM_SEED || 1);
+    const jitter = context.RANDOM_JITTER === undefined ? 0.25 : context.RANDOM_JITTER;
+    shipments.forEach(s => {
+      if (s.seedOrderKey === undefined) s.seedOrderKey = s.pallets * (1 + jitter * (2 * random() - 1));
+    });
+    return (a, b) => b.seedOrderKey - a.seedOrderKey;
+  }
+
+  return (a, b) => b.pallets - a.pallets;
 }
 
 /**
- * [NEW] Calculates total toll cost for a route using TollMatrix.
- * @param {Array} stops - Ordered stops in the route
- * @param {Object} warehouse - Warehouse location
- * @param {Object} tollMatrix - Toll matrix {from: {to: cost}}
- * @returns {number} Total toll cost for the route
+ * [NEW] Small deterministic PRNG (mulberry32) so randomized strategies are reproducible.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
  */
-function calculateRouteTollCost(stops, warehouse, tollMatrix) {
-  if (!tollMatrix || Object.keys(tollMatrix).length === 0) return 0;
-  
-  let totalTollCost = 0;
-  const warehouseId = String(warehouse.store || 'WH');
-  
-  // Warehouse to first stop
-  if (stops.length > 0) {
-    const firstStop = String(stops[0].store);
-    if (tollMatrix[warehouseId] && tollMatrix[warehouseId][firstStop]) {
-      totalTollCost += tollMatrix[warehouseId][firstStop];
-    }
-  }
-  
-  // Between stops
-  for (let i = 0; i < stops.length - 1; i++) {
-    const from = String(stops[i].store);
-    const to = String(stops[i + 1].store);
-    if (tollMatrix[from] && tollMatrix[from][to]) {
-      totalTollCost += tollMatrix[from][to];
-    }
-  }
-  
-  // Last stop back to warehouse
-  if (stops.length > 0) {
-    const lastStop = String(stops[stops.length - 1].store);
-    if (tollMatrix[lastStop] && tollMatrix[lastStop][warehouseId]) {
-      totalTollCost += tollMatrix[lastStop][warehouseId];
-    }
+function createSeededRandom(seed) {
+  let state = (Number(seed) >>> 0) || 1;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * [NEW] Strategies tried by best-of-N planning. Each entry overrides routing settings.
+ * @param {Object} settings - Routing settings (BEST_OF_N_RANDOM_RUNS, RANDOM_SEED)
+ * @returns {Array<Object>} [{name, settings}]
+ */
+function getPlanningStrategies(settings) {
+  const strategies = [
+    { name: 'Largest First', settings: { PLANNING_ALGORITHM: 'GREEDY', SEED_ORDER: 'LARGEST_FIRST' } },
+    { name: 'Cluster First', settings: { PLANNING_ALGORITHM: 'GREEDY', SEED_ORDER: 'CLUSTER_FIRST' } }
+  ];
+  const baseSeed = settings.RANDOM_SEED || 1;
+  for (let i = 0; i < (settings.BEST_OF_N_RANDOM_RUNS || 0); i++) {
+    strategies.push({
+      name: `Randomized (seed ${baseSeed + i})`,
+      settings: { PLANNING_ALGORITHM: 'GREEDY', SEED_ORDER: 'RANDOMIZED', RANDOM_SEED: baseSeed + i }
+    });
   }
-  
-  return totalTollCost;
+  strategies.push({ name: 'Savings', settings: { PLANNING_ALGORITHM: 'SAVINGS' } });
+  return strategies;
 }
 
 /**
- * Promotes consolidated overspill routes to main routes if they meet validation criteria.
- * - Must pass isRouteValid checks (region stop limits, mileage, HOS)
- * - Can have 2+ stops in non-NYC clusters; 2 stops max in NYC clusters
- * - Returns the promoted routes and removes them from consolidatedRoutes array
+ * [NEW] Scores a plan for best-of-N selection (lower is better): the sum of calculateRouteScore
+ * over planned routes plus UNPLANNED_PALLET_PENALTY for every pallet left in overspill,
+ * manual review or unrouted.
+ * @param {Object} plan - Result of planPlanFromData
+ * @returns {number} Plan score
  */
-function promoteValidConsolidatedOverspill(consolidatedRoutes, context) {
-  if (!consolidatedRoutes || consolidatedRoutes.length === 0) return [];
-  
-  const promotedRoutes = [];
-  const indicesToRemove = [];
-  
-  consolidatedRoutes.forEach((consolidation, idx) => {
-    // Build a mock route object for validation
-    const mockRoute = {
-      carrier: { name: 'DummyCarrier', pallets53: 26, pallets48: 22, pallets36: 18, costPerMile: 0, costPerRoute: 0 },
-      stops: consolidation.stops,
-      totalPallets: consolidation.totalPallets,
-      cluster: consolidation.cluster
+function scorePlan(plan) {
+  const context = plan.context;
+  const penaltyPerPallet = context.UNPLANNED_PALLET_PENALTY || 0;
+  const routeScore = plan.routes.reduce((total, route) => {
+    return total + calculateRouteScore(route, { ...context, warehouse: route.warehouse || context.warehouse });
+  }, 0);
+  const unplannedPallets = [...plan.overspill, ...plan.unplannable].reduce((total, r) => total + r.totalPallets, 0) +
+    plan.unrouted.reduce((total, s) => total + s.pallets, 0);
+  return routeScore + unplannedPallets * penaltyPerPallet;
+}
+
+/**
+ * [NEW] Runs every strategy from getPlanningStrategies on the same input and keeps the plan
+ * with the lowest scorePlan.
+ * @param {Object} input - Planning input (see loadPlanningInput)
+ * @returns {Object} {plan, winner, results: [{name, score, trucks, totalMiles, unplannedPallets}] best first}
+ */
+function planBestOfN(input) {
+  const settings = input.settings || SettingsService.getDefaults();
+  let best = null;
+  const results = getPlanningStrategies(settings).map(strategy => {
+    const plan = planPlanFromData({ ...input, settings: { ...settings, ...strategy.settings } });
+    const score = scorePlan(plan);
+    const summary = summarizePlan(plan);
+    Logger.log(`Strategy ${strategy.name}: score ${score.toFixed(2)}, ${summary.trucks} trucks, ${summary.totalMiles} miles`);
+    if (!best || score < best.score) best = { name: strategy.name, score, plan };
+    return {
+      name: strategy.name,
+      score: Math.round(score * 100) / 100,
+      trucks: summary.trucks,
+      totalMiles: summary.totalMiles,
+      unplannedPallets: Math.round((summary.overspillPallets + summary.unplannedPallets) * 100) / 100
     };
-    
-    // Check if this route passes validation
-    if (isRouteValid(mockRoute, context)) {
-      // Calculate metrics to ensure mileage is within limits
-      const metrics = calculateRouteMetricsWithHOS(
-        consolidation.stops,
-        context.warehouse,
-        context.distanceMatrix,
-        context.detailedDurations
-      );
-      
-      if (metrics.totalDistance <= (context.MAX_ROUTE_MILEAGE || 425)) {
-        // This consolidated overspill is valid for promotion
-        mockRoute.routeId = `PromovedOvsp_${idx + 1}`;
-        promotedRoutes.push(mockRoute);
-        indicesToRemove.push(idx);
-        Logger.log(`Promoting ConsolidatedOvsp_${idx + 1}: ${consolidation.stops.length} stops, ${consolidation.totalPallets.toFixed(2)} pallets, ${metrics.totalDistance.toFixed(1)} mi`);
-      }
-    }
-  });
-  
-  // Remove promoted routes from consolidatedRoutes (in reverse order to avoid index issues)
-  indicesToRemove.reverse().forEach(idx => {
-    consolidatedRoutes.splice(idx, 1);
   });
-  
-  return promotedRoutes;
+  results.sort((a, b) => a.score - b.score);
+  Logger.log(`Best-of-N winner: ${best.name} (${best.score.toFixed(2)})`);
+  return { plan: best.plan, winner: best.name, results };
 }
 
+/** [NEW] Document property holding the best-of-N results of the current plan version. */
+const PLAN_STRATEGY_RESULTS_PROPERTY = 'planStrategyResults';
+
 /**
- * [ENHANCED] Consolidates overspill shipments more aggressively.
- * Groups by store and nearby geography to minimize overspill count.
+ * [NEW] Stores the best-of-N results of the plan version generatePlan just wrote, or clears
+ * them when that plan was not made by best-of-N.
+ * @param {number|null} version - Plan History version of the plan (null if it was not recorded)
+ * @param {Object|null} bestOfN - Result of planBestOfN, or null
  */
-function consolidateOverspillShipments(overspillShipments, context) {
-  if (!overspillShipments || overspillShipments.length === 0) return [];
-  
-  const { MIN_PALLETS_OVERSPILL_CLEANUP, addressData, distanceMatrix } = context;
-  
-  // Group shipments by store first
-  const byStore = {};
-  overspillShipments.forEach(s => {
+function saveStrategyResults(version, bestOfN) {
+  const properties = PropertiesService.getDocumentProperties();
+  if (!bestOfN) {
+    properties.deleteProperty(PLAN_STRATEGY_RESULTS_PROPERTY);
+    return;
+  }
+  properties.setProperty(PLAN_STRATEGY_RESULTS_PROPERTY, JSON.stringify({
+    version,
+    winner: bestOfN.winner,
+    results: bestOfN.results,
+    generatedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * [NEW] Marks the stored best-of-N results stale after Generated Plan was changed without a new
+ * version (incremental update, replan): the winner and scores describe the plan as generated.
+ * @param {string} change - What changed the plan, shown on the Dashboard
+ */
+function markStrategyResultsStale(change) {
+  const strategyRun = getStrategyResults();
+  if (!strategyRun || strategyRun.staleAfter) return;
+  strategyRun.staleAfter = change;
+  PropertiesService.getDocumentProperties().setProperty(PLAN_STRATEGY_RESULTS_PROPERTY, JSON.stringify(strategyRun));
+}
+
+/**
+ * [NEW] Best-of-N results of the latest Plan History version, if that version was made by best-of-N.
+ * @returns {Object|null} {version, winner, results, generatedAt, staleAfter}
+ */
+function getStrategyResults() {
+  const json = PropertiesService.getDocumentProperties().getProperty(PLAN_STRATEGY_RESULTS_PROPERTY);
+  if (!json) return null;
+  let strategyRun;
+  try {
+    strategyRun = JSON.parse(json);
+  } catch (e) {
+    Logger.log('Warning: could not read best-of-N strategy results: ' + e);
+    return null;
+  }
+  const versions = getPlanVersions();
+  const latest = versions.length > 0 ? versions[versions.length - 1].version : null;
+  return strategyRun.version !== null && strategyRun.version === latest ? strategyRun : null;
+}
+
+// --- INCREMENTAL PLANNING ---
+
+/** [NEW] Route Status values a route moves through once planned; new routes start as Draft. */
+const ROUTE_STATUSES = ['Draft', 'Approved', 'Communicated', 'Locked'];
+
+/**
+ * [NEW] Route Status values that freeze a route: replanning, rebalancing and incremental
+ * planning never change these routes.
+ */
+const LOCKED_ROUTE_STATUSES = ['Approved', 'Communicated', 'Locked'];
+
+/** [NEW] True when a route (planner object or plan row status) must not be changed. */
+function isRouteLocked(routeOrStatus) {
+  const status = typeof routeOrStatus === 'string' ? routeOrStatus : (routeOrStatus && routeOrStatus.status);
+  return LOCKED_ROUTE_STATUSES.includes(String(status || '').trim());
+}
+
+/** [NEW] Pallet differences below this are treated as rounding, not changes. */
+const PALLET_CHANGE_EPSILON = 0.01;
+
+/**
+ * [NEW] Serializes a route's shipments for the 'Shipment Detail' column so the plan can be
+ * diffed against the Shipments sheet later: "store|category|pallets|productTypeId; ...".
+ */
+function formatShipmentDetail(stops) {
+  return (stops || []).map(s => [
+    s.store,
+    s.category,
+    Math.round(s.pallets * 1000) / 1000,
+    s.productTypeId === null || s.productTypeId === undefined ? '' : s.productTypeId
+  ].join('|')).join('; ');
+}
+
+/**
+ * [NEW] Parses a 'Shipment Detail' cell back into shipment objects.
+ * @returns {Array<object>} Shipments ({store, category, pallets, productTypeId, ...})
+ */
+function parseShipmentDetail(detail) {
+  if (!detail || typeof detail !== 'string') return [];
+  return detail.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const [store, category, pallets, productTypeId] = part.split('|').map(v => v.trim());
+    return createPlanShipment(store, category, parseFloat(pallets) || 0, productTypeId);
+  }).filter(s => s.store && s.pallets > 0);
+}
+
+/** [NEW] Shipment object, as getShipments builds them, for pallets read back from the plan. */
+function createPlanShipment(store, category, pallets, productTypeId) {
+  return {
+    store,
+    category: category || 'Ambient',
+    pallets,
+    palletType1: category || '',
+    palletType2: '',
+    productTypeId: productTypeId === undefined || productTypeId === null || productTypeId === '' ? null : productTypeId,
+    attempts: 0,
+    insertionFailures: 0,
+    failureReason: null
+  };
+}
+
+/** [NEW] Categories behind the Stop Sequence codes (see formatStopSequence); FRZ implies CHL. */
+const STOP_SEQUENCE_CATEGORIES = {
+  ALL: ['Ambient', 'Produce', 'Chiller'],
+  AMB: ['Ambient'],
+  PRO: ['Produce'],
+  CHL: ['Chiller'],
+  CHI: ['Chiller'],
+  FRZ: ['Freezer', 'Chiller'],
+  FRE: ['Freezer']
+};
+
+/**
+ * [NEW] Rebuilds a route's shipments from its Stop Sequence ("1234 (AMB,CHL) / 5678 (ALL)")
+ * for rows with no Shipment Detail, e.g. routes typed into the sheet by hand. The sequence
+ * only names stores and categories, so pallets come from the matching Shipments rows.
+ * @param {string} stopSequence - Stop Sequence cell
+ * @param {Array} shipments - Current shipments (getShipments)
+ * @returns {Array<object>} Copies of the matching shipments
+ */
+function shipmentsFromStopSequence(stopSequence, shipments) {
+  const found = [];
+  String(stopSequence || '').split(' / ').forEach(part => {
+    const match = part.trim().match(/^(.+?)\s*\(([^)]*)\)$/);
+    if (!match) return;
+    const store = match[1].trim();
+    const categories = new Set();
+    match[2].split(',').forEach(code => {
+      (STOP_SEQUENCE_CATEGORIES[code.split(':')[0].trim().toUpperCase()] || []).forEach(c => categories.add(c));
+    });
+    (shipments || [])
+      .filter(s => String(s.store) === store && categories.has(s.category))
+      .forEach(s => found.push({ ...s, attempts: 0, insertionFailures: 0, failureReason: null }));
+  });
+  return found;
+}
+
+/**
+ * [NEW] Reads the routes in Generated Plan, with the shipments each one carries.
+ * Unused-capacity rows are skipped.
+ * @param {Sheet} planSheet - Generated Plan
+ * @returns {Object|null} {headers, routes: [{row, routeId, stopSequence, carrierName, warehouse, time,
+ *   status, locked, trailerSize, kind ('route'|'overspill'|'unplannable'), shipments}], unrouted,
+ *   lockedShortfall}, or null when the sheet has no 'Shipment Detail' column (plan written before
+ *   incremental planning existed). [UPDATED] unrouted and lockedShortfall are the shipments PlanData
+ *   holds without a route (see appendPlanDataHeld)
+ */
+function readPlanRoutes(planSheet) {
+  const data = planSheet.getDataRange().getValues();
+  const headers = data[0] || [];
+  const col = name => headers.indexOf(name);
+  if (col('Shipment Detail') === -1 || col('Route ID') === -1) return null;
+  const planData = readPlanData();
+
+  const routes = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const stopSeq = String(row[col('Stop Sequence')] || '');
+    if (stopSeq === 'UNUSED CAPACITY' || stopSeq === 'NOT PLANNED') continue;
+    const carrierName = String(row[col('Carrier')] || '').trim();
+    if (!carrierName) continue;
+    const status = String(row[col('Route Status')] || '').trim() || 'Draft';
+    const routeId = String(row[col('Route ID')]);
+    // NEW: PlanData is authoritative; Shipment Detail covers rows written without it
+    const dataStops = planData && planData.get(routeId);
+    const shipments = dataStops ?
+      dataStops.map(s => createPlanShipment(s.store, s.category, s.pallets, s.productTypeId)).filter(s => s.pallets > 0) :
+      parseShipmentDetail(String(row[col('Shipment Detail')] || ''));
+    routes.push({
+      row: i + 1,
+      routeId,
+      stopSequence: stopSeq,
+      carrierName,
+      warehouse: col('Origin Depot') === -1 ? '' : String(row[col('Origin Depot')] || '').trim(),
+      time: col('Time Slot') === -1 ? '' : String(row[col('Time Slot')] || '').trim(),
+      status,
+      locked: isRouteLocked(status),
+      approvedBy: col('Approved By') === -1 ? '' : row[col('Approved By')],
+      statusUpdated: col('Status Updated') === -1 ? '' : row[col('Status Updated')],
+      trailerSize: col('Trailer Size') === -1 ? '' : String(row[col('Trailer Size')] || '').replace(/'/g, '').trim(), // NEW - '53' from "53'"
+      kind: getPlanRouteKind(carrierName),
+      shipments
+    });
+  }
+  const held = routeId => ((planData && planData.get(routeId)) || [])
+    .map(s => createPlanShipment(s.store, s.category, s.pallets, s.productTypeId))
+    .filter(s => s.pallets > 0);
+  return { headers, routes, unrouted: held(PLAN_DATA_UNROUTED_ID), lockedShortfall: held(PLAN_DATA_SHORTFALL_ID) };
+}
+
+/**
+ * [NEW] Rebuilds routes read by readPlanRoutes as planner routes on the given carriers and
+ * marks the carrier slot each real route occupies as used. Rows without a Time Slot take
+ * the carrier's first slot with room. Routes whose carrier is gone get a placeholder carrier
+ * with no slots, so they can be kept but never grow.
+ * @param {Array} existingRoutes - Routes from readPlanRoutes
+ * @param {Array} carriers - Carriers (slot usage is mutated)
+ * @param {Object} addressData - Address lookup data (for clusters)
+ * @param {Array<object>} warehouses - Depots (primary first)
+ * @returns {Array} Planner routes ({routeId, carrier, time, warehouse, status, locked, trailerSize, kind, stops, ...})
+ */
+function rebuildPlanRoutes(existingRoutes, carriers, addressData, warehouses) {
+  const primaryDepot = warehouses[0].id;
+  const multiDepot = warehouses.length > 1;
+  const depotIds = warehouses.map(w => w.id);
+  const findCarrier = (name, warehouse) => carriers.find(c => c.name === name && (!multiDepot || (c.warehouse || primaryDepot) === warehouse));
+
+  return existingRoutes.map(existing => {
+    let warehouse = existing.warehouse || primaryDepot;
+    if (!depotIds.includes(warehouse)) {
+      Logger.log(`Warning: route ${existing.routeId} loads at ${warehouse}, which is not a known depot; treating it as ${primaryDepot}.`);
+      warehouse = primaryDepot;
+    }
+    const stops = existing.shipments.map(s => ({ ...s, warehouse }));
+    assignShipmentClusters(stops, addressData);
+    let carrier = existing.kind === 'route' ? findCarrier(existing.carrierName, warehouse) : null;
+    if (!carrier) {
+      if (existing.kind === 'route') Logger.log(`Warning: carrier ${existing.carrierName} for route ${existing.routeId} is no longer in Carriers_2; the route will not take new shipments.`);
+      carrier = { name: existing.carrierName, warehouse, timeSlots: [], pallets53: 26, pallets48: 22, pallets36: 18, costPerMile: 0, costPerRoute: 0 };
+    }
+
+    let time = existing.time;
+    if (existing.kind === 'route') {
+      const slot = time ? carrier.timeSlots.find(ts => ts.time === time) : carrier.timeSlots.find(ts => ts.used < ts.capacity);
+      if (slot) {
+        slot.used++;
+        time = slot.time;
+      }
+    }
+
+    return {
+      routeId: existing.routeId,
+      carrier,
+      time,
+      warehouse,
+      status: existing.status,
+      approvedBy: existing.approvedBy,
+      statusUpdated: existing.statusUpdated,
+      locked: existing.locked,
+      trailerSize: existing.trailerSize || undefined,
+      kind: existing.kind,
+      stops,
+      totalPallets: stops.reduce((sum, s) => sum + s.pallets, 0),
+      cluster: stops.length > 0 ? stops[0].cluster : 'Others',
+      palletDelta: 0
+    };
+  });
+}
+
+/**
+ * [NEW] Suffixes a new route's ID ("ConsolidatedOvsp_1-2") when a route kept in the plan already
+ * uses it; overspill and promoted IDs restart at 1 on every planning run. Records the final ID.
+ */
+function assignUniqueRouteId(route, takenIds) {
+  const baseId = route.routeId;
+  for (let n = 2; takenIds.has(route.routeId); n++) route.routeId = `${baseId}-${n}`;
+  takenIds.add(route.routeId);
+}
+
+/** [NEW] First route iteration after the highest numbered route ID ("CIR_7" -> 8), so new IDs never collide. */
+function getNextRouteIteration(routes) {
+  return 1 + routes.reduce((max, r) => {
+    const match = String(r.routeId).match(/_(\d+)$/);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+}
+
+/**
+ * [NEW] Pure incremental planning. Diffs the current shipments against the routes already in the
+ * plan and changes only what it must:
+ * - cancelled or reduced pallets are taken off overspill first, then off unlocked routes
+ *   (emptied routes are dropped and their slot released); locked routes are never changed
+ * - added or increased pallets, plus everything that was in overspill, are inserted into unlocked
+ *   routes with checkAndScoreInsertion (growing the store's existing stop where possible)
+ * - what still does not fit is planned onto the remaining slots, then through the usual
+ *   overspill handling
+ * [UPDATED] The plan's unrouted shipments count as planned and are placed again like overspill,
+ * and cancelled pallets already reported on locked routes are not reported again.
+ * @param {Object} input - Planning input (see loadPlanningInput)
+ * @param {Array} existingRoutes - Routes from readPlanRoutes
+ * @param {Object} [held] - {unrouted, lockedShortfall} shipments from readPlanRoutes
+ * @returns {Object} {plan (planPlanFromData shape, without locked routes), lockedRouteIds, changes}
+ */
+function planIncrementalFromData(input, existingRoutes, held) {
+  const shipments = JSON.parse(JSON.stringify(input.shipments || []));
+  const addressData = JSON.parse(JSON.stringify(input.addressData || {}));
+  const warehouses = input.warehouses && input.warehouses.length > 0 ?
+    input.warehouses : [{ id: input.warehouse || DEFAULT_WAREHOUSE, stores: [] }];
+  const carriers = resolveCarrierDepots(JSON.parse(JSON.stringify(input.carriers || [])), warehouses);
+  const primaryDepot = warehouses[0].id;
+  const multiDepot = warehouses.length > 1;
+
+  mergeDepotAddresses(addressData, warehouses);
+  assignShipmentClusters(shipments, addressData);
+  const context = buildPlanningContext({ ...input, addressData, warehouse: primaryDepot });
+  const changes = { addedPallets: 0, removedPallets: 0, lockedShortfall: [], insertedShipments: 0, newRoutes: 0, droppedRoutes: [], changedRoutes: [] };
+
+  // Every real route, locked or not, keeps holding its carrier slot
+  const routes = rebuildPlanRoutes(existingRoutes, carriers, addressData, warehouses);
+
+  // Diff pallets per store-category
+  const key = s => `${s.store}-${s.category}`;
+  const current = {};
+  shipments.forEach(s => { current[key(s)] = s; });
+  // NEW: Unrouted shipments are part of the plan; they sit with the overspill rows
+  const unrouted = { locked: false, kind: 'unrouted', stops: ((held && held.unrouted) || []).map(s => ({ ...s })), palletDelta: 0 };
+  assignShipmentClusters(unrouted.stops, addressData);
+  unrouted.totalPallets = unrouted.stops.reduce((sum, s) => sum + s.pallets, 0);
+  const knownShortfall = {};
+  ((held && held.lockedShortfall) || []).forEach(s => { knownShortfall[key(s)] = (knownShortfall[key(s)] || 0) + s.pallets; });
+  const plannedTotals = {};
+  const plannedStops = {};
+  [...routes, unrouted].forEach(route => route.stops.forEach(s => {
+    plannedTotals[key(s)] = (plannedTotals[key(s)] || 0) + s.pallets;
+    plannedStops[key(s)] = plannedStops[key(s)] || s;
+  }));
+
+  // Removals: overspill rows first, then unlocked routes, fullest stop first
+  const removalOrder = [
+    unrouted,
+    ...routes.filter(r => !r.locked && r.kind !== 'route'),
+    ...routes.filter(r => !r.locked && r.kind === 'route')
+  ];
+  Object.keys(plannedTotals).forEach(k => {
+    let excess = plannedTotals[k] - (current[k] ? current[k].pallets : 0);
+    if (excess <= PALLET_CHANGE_EPSILON) return;
+    // Pallets already left on locked routes by an earlier update were reported then
+    const cancelled = excess - (knownShortfall[k] || 0);
+    if (cancelled > PALLET_CHANGE_EPSILON) changes.removedPallets += cancelled;
+    removalOrder.forEach(route => {
+      route.stops.filter(s => key(s) === k).forEach(stop => {
+        if (excess <= PALLET_CHANGE_EPSILON) return;
+        const taken = Math.min(stop.pallets, excess);
+        stop.pallets -= taken;
+        route.totalPallets -= taken;
+        route.palletDelta -= taken;
+        excess -= taken;
+      });
+      route.stops = route.stops.filter(s => s.pallets > PALLET_CHANGE_EPSILON);
+    });
+    if (excess > PALLET_CHANGE_EPSILON) {
+      const { store, category, productTypeId } = plannedStops[k];
+      changes.lockedShortfall.push({ key: k, store, category, productTypeId, pallets: Math.round(excess * 100) / 100 });
+      Logger.log(`Warning: ${excess.toFixed(2)} cancelled pallets for ${k} are on locked routes and were left in place.`);
+    }
+  });
+
+  // Pool of shipments to place: additions plus whatever sat in overspill or manual review
+  const pool = [];
+  Object.keys(current).forEach(k => {
+    const delta = current[k].pallets - (plannedTotals[k] || 0);
+    if (delta > PALLET_CHANGE_EPSILON) pool.push({ ...current[k], pallets: delta, attempts: 0, insertionFailures: 0, failureReason: null });
+    // Counted against what the last update reported: the plan less pallets left on locked routes
+    const added = current[k].pallets - ((plannedTotals[k] || 0) - (knownShortfall[k] || 0));
+    if (added > PALLET_CHANGE_EPSILON) changes.addedPallets += added;
+  });
+  [unrouted, ...routes.filter(r => !r.locked && r.kind !== 'route')].forEach(route => {
+    route.stops.forEach(s => pool.push({ ...s, attempts: 0, insertionFailures: 0, failureReason: null }));
+    route.stops = [];
+  });
+
+  // Drop unlocked routes emptied by cancellations and release their slots
+  const liveRoutes = routes.filter(route => {
+    if (route.kind !== 'route') return false;
+    if (route.locked || route.stops.length > 0) return true;
+    const slot = route.carrier.timeSlots.find(ts => ts.time === route.time);
+    if (slot) slot.used--;
+    changes.droppedRoutes.push(route.routeId);
+    return false;
+  });
+
+  const plan = { routes: [], overspill: [], unplannable: [], unusedSlots: [], unrouted: [], rejected: [], depots: [], context };
+  const shipmentsByDepot = multiDepot ? assignShipmentsToDepots(pool, warehouses, context, carriers) : { [primaryDepot]: pool };
+  if (!multiDepot) pool.forEach(s => { s.warehouse = primaryDepot; });
+  let nextIteration = getNextRouteIteration(liveRoutes);
+  const takenIds = new Set(liveRoutes.map(r => r.routeId));
+
+  warehouses.forEach(depot => {
+    const depotContext = { ...context, warehouse: depot.id };
+    const depotCarriers = carriers.filter(c => !multiDepot || (c.warehouse || primaryDepot) === depot.id);
+    const depotRoutes = liveRoutes.filter(r => r.warehouse === depot.id);
+    const openRoutes = depotRoutes.filter(r => !r.locked && r.carrier.timeSlots.length > 0);
+    // NEW: Locked routes keep their equipment; unlocked ones hold theirs while shipments are placed
+    reserveFleetEquipment(depotRoutes.filter(r => r.locked), depotContext);
+    depotRoutes.filter(r => !r.locked).forEach(route => holdFleetEquipment(route, depotContext));
+    const depotPool = shipmentsByDepot[depot.id] || [];
+    if (depotRoutes.length === 0 && depotPool.length === 0) return;
+    depotPool.sort(getSeedOrderComparator(depotPool, depotContext));
+
+    const leftovers = [];
+    depotPool.forEach(shipment => {
+      // Prefer growing the store's existing stop for this category
+      const grown = openRoutes.find(route => {
+        const stop = route.stops.find(s => key(s) === key(shipment));
+        if (!stop) return false;
+        const merged = { ...stop, pallets: stop.pallets + shipment.pallets };
+        const without = { ...route, stops: route.stops.filter(s => s !== stop), totalPallets: route.totalPallets - stop.pallets };
+        if (checkAndScoreInsertion(merged, without, depotContext, ()=>{}, 0) === null) return false;
+        stop.pallets += shipment.pallets;
+        return true;
+      });
+      let target = grown || null;
+      if (!target) {
+        let bestScore = Infinity;
+        openRoutes.forEach(route => {
+          const score = checkAndScoreInsertion(shipment, route, depotContext, ()=>{}, 0);
+          if (score !== null && score < bestScore) {
+            bestScore = score;
+            target = route;
+          }
+        });
+        if (target) target.stops.push(shipment);
+      }
+      if (!target) {
+        leftovers.push(shipment);
+        return;
+      }
+      target.totalPallets += shipment.pallets;
+      target.palletDelta += shipment.pallets;
+      changes.insertedShipments++;
+    });
+
+    // New routes on the slots that are still free, then the usual overspill handling
+    const loop = runPlanningLoop(leftovers, depotCarriers, depotContext, ()=>{}, nextIteration);
+    nextIteration = loop.iteration;
+    loop.routes.forEach(route => {
+      if (multiDepot) route.routeId = `${depot.id}-${route.routeId}`;
+      route.palletDelta = route.totalPallets;
+    });
+    const unequipped = assignFleetEquipment([...depotRoutes.filter(r => !r.locked), ...loop.routes], depotContext);
+    unequipped.filter(route => route.kind).forEach(route => changes.droppedRoutes.push(route.routeId));
+    const newRoutes = loop.routes.filter(route => !unequipped.includes(route));
+    changes.newRoutes += newRoutes.length;
+    const remaining = planRemainingShipments([...loop.remainingShipments, ...releaseUnequippedRoutes(unequipped)], depotContext, depotCarriers);
+    remaining.promoted.forEach(route => { route.palletDelta = route.totalPallets; });
+
+    const finalizeAll = list => list.map(route => {
+      if (route.palletDelta && Math.abs(route.palletDelta) > PALLET_CHANGE_EPSILON) {
+        route.notes = `${route.notes || ''} [UPDATED: ${route.palletDelta > 0 ? '+' : ''}${route.palletDelta.toFixed(2)} pallets]`;
+        if (route.kind) changes.changedRoutes.push(route.routeId);
+      }
+      if (!route.kind) assignUniqueRouteId(route, takenIds);
+      const planned = finalizeRoute(route, depotContext);
+      if (!planned && route.stops && route.stops.length > 0) plan.rejected.push(route);
+      return planned;
+    }).filter(Boolean);
+
+    const keptRoutes = depotRoutes.filter(r => !r.locked && !unequipped.includes(r));
+    const unlockedRoutes = finalizeAll([...keptRoutes, ...newRoutes, ...remaining.promoted]);
+    plan.routes.push(...unlockedRoutes);
+    ['consolidated', 'overspill'].forEach(k => plan.overspill.push(...finalizeAll(remaining[k])));
+    plan.unplannable.push(...finalizeAll(remaining.unplannable));
+    plan.unrouted.push(...remaining.unrouted);
+
+    const originalCarriers = JSON.parse(JSON.stringify(depotCarriers)).map(c => ({ ...c, timeSlots: c.timeSlots.map(ts => ({ ...ts, used: 0 })) }));
+    const routesOnCarriers = [...depotRoutes.filter(r => r.locked), ...unlockedRoutes];
+    plan.unusedSlots.push(...findUnusedCarrierSlots(originalCarriers, depotCarriers, routesOnCarriers, shipments, depotContext));
+    plan.depots.push(depot.id);
+  });
+
+  changes.addedPallets = Math.round(changes.addedPallets * 100) / 100;
+  changes.removedPallets = Math.round(changes.removedPallets * 100) / 100;
+  Logger.log(`Incremental plan: +${changes.addedPallets} / -${changes.removedPallets} pallets, ${changes.insertedShipments} shipments inserted into existing routes, ${changes.newRoutes} new routes, ${changes.droppedRoutes.length} routes dropped`);
+  return { plan, lockedRouteIds: routes.filter(r => r.locked).map(r => r.routeId), changes };
+}
+
+/**
+ * [NEW] Pure replanning of selected plan routes. Their shipments (from Shipment Detail, or from
+ * the Stop Sequence when a row has none, less shipments the other routes carry) are planned
+ * again on the carrier slots the other routes leave free, with the same context and algorithm
+ * generatePlan uses. Unused capacity is recomputed for every depot since the freed and newly
+ * used slots change it.
+ * @param {Object} input - Planning input (see loadPlanningInput)
+ * @param {Array} existingRoutes - Routes from readPlanRoutes
+ * @param {Array<string>} routeIds - Routes to replan (must not be locked)
+ * @returns {Object} {plan (planPlanFromData shape, new routes only), replannedShipments}
+ */
+function planReplanFromData(input, existingRoutes, routeIds) {
+  const addressData = JSON.parse(JSON.stringify(input.addressData || {}));
+  const warehouses = input.warehouses && input.warehouses.length > 0 ?
+    input.warehouses : [{ id: input.warehouse || DEFAULT_WAREHOUSE, stores: [] }];
+  const carriers = resolveCarrierDepots(JSON.parse(JSON.stringify(input.carriers || [])), warehouses);
+  const primaryDepot = warehouses[0].id;
+  const multiDepot = warehouses.length > 1;
+
+  mergeDepotAddresses(addressData, warehouses);
+  const context = buildPlanningContext({ ...input, addressData, warehouse: primaryDepot });
+
+  const selected = new Set(routeIds.map(String));
+  const keptRoutes = rebuildPlanRoutes(existingRoutes.filter(r => !selected.has(r.routeId)), carriers, addressData, warehouses);
+  // NEW: A Stop Sequence code can cover a category another route carries (FRZ implies CHL), so those stay put
+  const carried = new Set(keptRoutes.flatMap(route => route.stops.map(s => `${s.store}|${s.category}`)));
+  const selectedRoutes = rebuildPlanRoutes(existingRoutes.filter(r => selected.has(r.routeId)).map(existing => {
+    if (existing.shipments.length > 0) return { ...existing, kind: 'replanned' };
+    Logger.log(`Route ${existing.routeId} has no Shipment Detail; rebuilding its shipments from the Stop Sequence and the Shipments sheet.`);
+    const shipments = shipmentsFromStopSequence(existing.stopSequence, input.shipments)
+      .filter(s => !carried.has(`${s.store}|${s.category}`));
+    return { ...existing, kind: 'replanned', shipments };
+  }), carriers, addressData, warehouses);
+
+  const shipments = [];
+  selectedRoutes.forEach(route => {
+    if (route.stops.length === 0) Logger.log(`Warning: no shipments found for route ${route.routeId}; it is removed without replacement.`);
+    route.stops.forEach(stop => shipments.push({ ...stop, attempts: 0, insertionFailures: 0, failureReason: null }));
+  });
+  Logger.log(`Replanning ${shipments.length} shipments from routes ${[...selected].join(', ')}`);
+
+  const plan = { routes: [], overspill: [], unplannable: [], unusedSlots: [], unrouted: [], rejected: [], depots: [], context };
+  let nextIteration = getNextRouteIteration(existingRoutes);
+  // Overspill IDs (ConsolidatedOvsp_1, Time_1, ...) restart at 1, so keep them clear of the kept rows
+  const takenIds = new Set(existingRoutes.filter(r => !selected.has(r.routeId)).map(r => r.routeId));
+
+  warehouses.forEach(depot => {
+    const depotContext = { ...context, warehouse: depot.id };
+    const depotCarriers = carriers.filter(c => !multiDepot || (c.warehouse || primaryDepot) === depot.id);
+    const depotShipments = shipments.filter(s => s.warehouse === depot.id);
+    const depotKept = keptRoutes.filter(r => r.kind === 'route' && r.warehouse === depot.id);
+    if (depotCarriers.length === 0 && depotShipments.length === 0) return;
+
+    // NEW: Kept routes' equipment is out before new routes are opened
+    reserveFleetEquipment(depotKept, depotContext);
+    const planningLoop = getPlanningAlgorithm(depotContext) === 'SAVINGS' ? runSavingsPlanningLoop : runPlanningLoop;
+    const loop = planningLoop(depotShipments, depotCarriers, depotContext, ()=>{}, nextIteration);
+    nextIteration = loop.iteration;
+    const unequipped = assignFleetEquipment(loop.routes, depotContext);
+    const loopRoutes = loop.routes.filter(route => !unequipped.includes(route));
+    const leftovers = planRemainingShipments([...loop.remainingShipments, ...releaseUnequippedRoutes(unequipped)], depotContext, depotCarriers);
+
+    const finalizeAll = list => list.map(route => {
+      if (multiDepot && route.routeId) route.routeId = `${depot.id}-${route.routeId}`;
+      assignUniqueRouteId(route, takenIds);
+      const planned = finalizeRoute(route, depotContext);
+      if (!planned && route.stops && route.stops.length > 0) plan.rejected.push(route);
+      return planned;
+    }).filter(Boolean);
+
+    const newRoutes = finalizeAll([...loopRoutes, ...leftovers.promoted]);
+    plan.routes.push(...newRoutes);
+    plan.overspill.push(...finalizeAll([...leftovers.consolidated, ...leftovers.overspill]));
+    plan.unplannable.push(...finalizeAll(leftovers.unplannable));
+    plan.unrouted.push(...leftovers.unrouted);
+
+    const originalCarriers = JSON.parse(JSON.stringify(depotCarriers)).map(c => ({ ...c, timeSlots: c.timeSlots.map(ts => ({ ...ts, used: 0 })) }));
+    plan.unusedSlots.push(...findUnusedCarrierSlots(originalCarriers, depotCarriers, [...depotKept, ...newRoutes], depotShipments, depotContext));
+    plan.depots.push(depot.id);
+  });
+
+  return { plan, replannedShipments: shipments.length };
+}
+
+/**
+ * [NEW] Menu entry: updates Generated Plan for changes in the Shipments sheet without
+ * regenerating it. Locked routes (see LOCKED_ROUTE_STATUSES) keep their rows untouched;
+ * every other row is rewritten from planIncrementalFromData.
+ */
+function updatePlanIncrementally() {
+  const API_KEY = "YOUR_API_KEY_HERE";
+  const ui = SpreadsheetApp.getUi();
+  const planSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Generated Plan');
+  if (!planSheet || planSheet.getLastRow() <= 1) {
+    ui.alert('Error', 'No Generated Plan found. Run Generate Plan first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const existing = readPlanRoutes(planSheet);
+  if (!existing || existing.headers.join('|') !== PLAN_HEADERS.join('|')) {
+    ui.alert('Error', 'Generated Plan was written by an older version and has no shipment details. Run Generate Plan once before updating incrementally.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const settings = SettingsService.get();
+  let input;
+  try {
+    input = loadPlanningInput(DEFAULT_WAREHOUSE, API_KEY, settings);
+  } catch (e) {
+    ui.alert('Error loading data. Check script logs.');
+    Logger.log("Data Loading Error: " + e.toString() + e.stack);
+    return;
+  }
+  if (!input) {
+    ui.alert('Error', 'No valid shipments found in the Shipments sheet. Please check the data format.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const result = planIncrementalFromData(input, existing.routes, existing);
+
+  // Keep locked rows where they are; everything else is rewritten below them
+  const lockedRows = new Set(existing.routes.filter(r => r.locked).map(r => r.row));
+  const unlockedRows = [];
+  for (let row = 2; row <= planSheet.getLastRow(); row++) {
+    if (!lockedRows.has(row)) unlockedRows.push(row);
+  }
+  deleteSheetRows(planSheet, unlockedRows);
+  removePlanDataRoutes(routeId => !result.lockedRouteIds.includes(routeId));
+  writePlanToSheet(result.plan, planSheet);
+  appendPlanDataHeld(PLAN_DATA_SHORTFALL_ID, result.changes.lockedShortfall);
+  if (result.changes.addedPallets > 0 || result.changes.removedPallets > 0) markStrategyResultsStale('an incremental update'); // NEW
+
+  updateDashboard();
+  try {
+    validateAndReportPlanIssues(planSheet, result.plan.context);
+  } catch(e) {
+    Logger.log('Validation error: '+e);
+  }
+
+  const { changes } = result;
+  let message = `Added ${changes.addedPallets} pallets and removed ${changes.removedPallets}. ` +
+    `${changes.insertedShipments} shipments went into existing routes (${changes.changedRoutes.length} routes changed), ${changes.newRoutes} new routes were created` +
+    `${changes.droppedRoutes.length > 0 ? `, ${changes.droppedRoutes.length} emptied routes were dropped (${changes.droppedRoutes.join(', ')})` : ''}. ` +
+    `${result.lockedRouteIds.length} locked routes were left untouched.`;
+  if (changes.lockedShortfall.length > 0) {
+    message += ` Cancelled pallets still on locked routes: ${changes.lockedShortfall.map(s => `${s.key} (${s.pallets})`).join(', ')}.`;
+  }
+  ui.alert('Plan Updated', message, ui.ButtonSet.OK);
+}
+
+// --- PLAN VERSIONING ---
+
+/**
+ * [NEW] Every generatePlan run is recorded as a numbered version: one 'Plan History' row with the
+ * settings, input hashes and plan summary, plus the Generated Plan rows in the hidden
+ * 'Plan Versions' sheet (one JSON object per row, keyed by header, so snapshots stay readable
+ * when plan columns change).
+ */
+const PLAN_HISTORY_SHEET = 'Plan History';
+const PLAN_VERSIONS_SHEET = 'Plan Versions';
+const PLAN_HISTORY_HEADERS = [
+  'Version', 'Created', 'Created By', 'Trucks', 'Planned Pallets', 'Total Miles', 'Estimated Cost',
+  'Avg Utilization (%)', 'Overspill Pallets', 'Input Hash', 'Input Hashes', 'Settings', 'Summary'
+];
+const PLAN_VERSIONS_HEADERS = ['Version', 'Route ID', 'Carrier', 'Row'];
+
+/** [NEW] Planning inputs hashed separately, so a diff can say which input changed. */
+const PLAN_INPUT_KEYS = [
+  'shipments', 'carriers', 'restrictions', 'detailedDurations', 'addressData',
+  'distanceMatrix', 'tollMatrix', 'clusterData', 'storeAffinity', 'warehouses'
+];
+
+/** [NEW] SHA-256 of a value's JSON, as hex. */
+function computeHash(value) {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, JSON.stringify(value));
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * [NEW] Hashes each planning input (see loadPlanningInput).
+ * @returns {Object} {combined: full hash over all inputs, parts: {inputKey: 12-character hash}}
+ */
+function getPlanInputHashes(input) {
+  const parts = {};
+  PLAN_INPUT_KEYS.forEach(key => {
+    parts[key] = computeHash(input[key] === undefined ? null : input[key]).slice(0, 12);
+  });
+  return { combined: computeHash(parts), parts };
+}
+
+/** [NEW] Returns a versioning sheet, creating it with its header row on first use. */
+function getVersioningSheet(name, headers, hidden) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
+    sheet.appendRow(headers).getRange(1, 1, 1, headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    if (hidden) sheet.hideSheet();
+  }
+  return sheet;
+}
+
+/** [NEW] Generated Plan rows as objects keyed by header, dates as ISO strings (the snapshot format). */
+function readPlanRowObjects(planSheet) {
+  const planData = planSheet.getDataRange().getValues();
+  const headers = planData[0];
+  return planData.slice(1).map(row => {
+    const values = {};
+    headers.forEach((header, c) => { values[header] = row[c] instanceof Date ? row[c].toISOString() : row[c]; });
+    return values;
+  });
+}
+
+/**
+ * [NEW] Records the plan just written to Generated Plan as the next version.
+ * Snapshots older than PLAN_HISTORY_MAX_VERSIONS are pruned; their Plan History rows stay.
+ * @param {Object} plan - Plan returned by planPlanFromData / planBestOfN
+ * @param {Sheet} planSheet - Generated Plan, already written
+ * @param {Object} settings - Settings the plan was made with
+ * @param {Object} inputHashes - Result of getPlanInputHashes
+ * @returns {number} The new version number
+ */
+function snapshotPlanVersion(plan, planSheet, settings, inputHashes) {
+  const history = getVersioningSheet(PLAN_HISTORY_SHEET, PLAN_HISTORY_HEADERS, false);
+  const versions = getVersioningSheet(PLAN_VERSIONS_SHEET, PLAN_VERSIONS_HEADERS, true);
+
+  const version = 1 + history.getDataRange().getValues().slice(1)
+    .reduce((max, row) => Math.max(max, parseInt(row[0], 10) || 0), 0);
+  const summary = summarizePlan(plan);
+  history.appendRow([
+    version,
+    new Date(),
+    Session.getActiveUser().getEmail() || 'unknown',
+    summary.trucks,
+    summary.plannedPallets.toFixed(2),
+    summary.totalMiles.toFixed(0),
+    summary.estimatedCost.toFixed(2),
+    summary.avgUtilization.toFixed(1),
+    summary.overspillPallets.toFixed(2),
+    inputHashes.combined,
+    JSON.stringify(inputHashes.parts),
+    JSON.stringify(settings),
+    JSON.stringify(summary)
+  ]);
+
+  const rows = readPlanRowObjects(planSheet)
+    .map(values => [version, values['Route ID'], values['Carrier'], JSON.stringify(values)]);
+  if (rows.length > 0) {
+    versions.getRange(versions.getLastRow() + 1, 1, rows.length, PLAN_VERSIONS_HEADERS.length).setValues(rows);
+  }
+
+  const oldestKept = version - (settings.PLAN_HISTORY_MAX_VERSIONS || 30) + 1;
+  const stored = versions.getDataRange().getValues();
+  const kept = stored.filter((row, i) => i === 0 || (parseInt(row[0], 10) || 0) >= oldestKept);
+  if (kept.length < stored.length) {
+    versions.clearContents();
+    versions.getRange(1, 1, kept.length, PLAN_VERSIONS_HEADERS.length).setValues(kept);
+    Logger.log(`Pruned plan snapshots older than version ${oldestKept}`);
+  }
+
+  Logger.log(`Saved plan version ${version} (${rows.length} rows, input hash ${inputHashes.combined.slice(0, 12)})`);
+  return version;
+}
+
+/**
+ * [NEW] Lists the recorded plan versions, oldest first.
+ * @returns {Array<Object>} [{version, created, createdBy, inputHash, inputHashes, settings, summary}]
+ */
+function getPlanVersions() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PLAN_HISTORY_SHEET);
+  if (!sheet) return [];
+  const data = sheet.getDataRange().getValues();
+  const col = name => data[0].indexOf(name);
+  const parseJson = text => {
+    try { return JSON.parse(text || '{}'); } catch (e) { return {}; }
+  };
+  return data.slice(1).filter(row => row[col('Version')] !== '').map(row => ({
+    version: parseInt(row[col('Version')], 10),
+    created: row[col('Created')] instanceof Date ? row[col('Created')].toISOString() : String(row[col('Created')]),
+    createdBy: String(row[col('Created By')] || ''),
+    inputHash: String(row[col('Input Hash')] || ''),
+    inputHashes: parseJson(row[col('Input Hashes')]),
+    settings: parseJson(row[col('Settings')]),
+    summary: parseJson(row[col('Summary')])
+  })).sort((a, b) => a.version - b.version);
+}
+
+/**
+ * [NEW] Loads a plan version with its snapshot rows (objects keyed by Generated Plan header).
+ * @param {number} version - Version number
+ * @returns {Object} Version entry from getPlanVersions plus rows
+ */
+function readPlanVersion(version) {
+  const entry = getPlanVersions().find(v => v.version === Number(version));
+  if (!entry) throw new Error(`Plan version ${version} not found in ${PLAN_HISTORY_SHEET}`);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PLAN_VERSIONS_SHEET);
+  const rows = sheet ? sheet.getDataRange().getValues().slice(1)
+    .filter(row => parseInt(row[0], 10) === entry.version)
+    .map(row => JSON.parse(row[3])) : [];
+  if (rows.length === 0) throw new Error(`The snapshot of plan version ${version} is no longer stored (see PLAN_HISTORY_MAX_VERSIONS)`);
+  return { ...entry, rows };
+}
+
+/**
+ * [NEW] Planned rows keyed by Route ID; unused-capacity rows carry no route and are skipped.
+ * @param {Array<Object>} rows - Plan rows keyed by Generated Plan header (see readPlanRowObjects)
+ * @returns {Map<string, Object>} routeId -> {carrier, kind, time, stores, pallets, miles, cost, utilization}
+ */
+function planRowsToRoutes(rows) {
+  const routes = new Map();
+  rows.forEach(row => {
+    if (row['Stop Sequence'] === 'UNUSED CAPACITY' || row['Stop Sequence'] === 'NOT PLANNED') return;
+    const baseId = String(row['Route ID'] || '(no id)');
+    let id = baseId;
+    for (let n = 2; routes.has(id); n++) id = `${baseId}#${n}`;
+    const shipments = parseShipmentDetail(String(row['Shipment Detail'] || ''));
+    routes.set(id, {
+      carrier: String(row['Carrier'] || ''),
+      kind: getPlanRouteKind(row['Carrier']),
+      time: String(row['Time Slot'] || ''),
+      stores: [...new Set(shipments.map(s => s.store))],
+      pallets: parseFloat(row['Total Pallets']) || 0,
+      miles: parseFloat(row['Total Route Mileage']) || 0,
+      cost: parseFloat(row['Estimated Cost']) || 0,
+      utilization: parseFloat(row['Truck Utilization'])
+    });
+  });
+  return routes;
+}
+
+/**
+ * [NEW] Pure comparison of two plan versions.
+ * Routes are matched by Route ID; stores are matched by the carriers serving them.
+ * @param {Object} before - Result of readPlanVersion
+ * @param {Object} after - Result of readPlanVersion
+ * @returns {Object} {kpis, settingsChanges, inputChanges, routes, storeMoves} as table rows
+ */
+function diffPlanVersions(before, after) {
+  const kpis = PLAN_SUMMARY_METRICS.map(([label, key, digits]) => {
+    const a = before.summary[key] || 0;
+    const b = after.summary[key] || 0;
+    return [label, a.toFixed(digits), b.toFixed(digits), (b - a).toFixed(digits)];
+  });
+
+  const changedKeys = (a, b) => [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(key => JSON.stringify(a[key]) !== JSON.stringify(b[key]));
+  const settingsChanges = changedKeys(before.settings, after.settings)
+    .map(key => [key, JSON.stringify(before.settings[key]), JSON.stringify(after.settings[key])]);
+  const inputChanges = changedKeys(before.inputHashes, after.inputHashes)
+    .map(key => [key, before.inputHashes[key] || '', after.inputHashes[key] || '']);
+
+  const routesBefore = planRowsToRoutes(before.rows);
+  const routesAfter = planRowsToRoutes(after.rows);
+
+  const routes = [];
+  const routeRow = (change, id, a, b, details) => [
+    change, id,
+    a ? a.carrier : '', b ? b.carrier : '',
+    a ? a.stores.join(' / ') : '', b ? b.stores.join(' / ') : '',
+    a ? a.pallets.toFixed(2) : '', b ? b.pallets.toFixed(2) : '',
+    a ? a.miles.toFixed(0) : '', b ? b.miles.toFixed(0) : '',
+    a ? a.cost.toFixed(2) : '', b ? b.cost.toFixed(2) : '',
+    details
+  ];
+  routesBefore.forEach((a, id) => {
+    const b = routesAfter.get(id);
+    if (!b) {
+      routes.push(routeRow('Removed', id, a, null, ''));
+      return;
+    }
+    const details = [];
+    if (a.carrier !== b.carrier) details.push(`carrier ${a.carrier} -> ${b.carrier}`);
+    if (a.time !== b.time) details.push(`slot ${a.time} -> ${b.time}`);
+    const addedStores = b.stores.filter(st => !a.stores.includes(st));
+    const removedStores = a.stores.filter(st => !b.stores.includes(st));
+    if (addedStores.length || removedStores.length) {
+      details.push([...addedStores.map(st => `+${st}`), ...removedStores.map(st => `-${st}`)].join(' '));
+    } else if (a.stores.join('|') !== b.stores.join('|')) {
+      details.push('stop order');
+    }
+    if (Math.abs(a.pallets - b.pallets) > PALLET_CHANGE_EPSILON) details.push(`pallets ${a.pallets.toFixed(2)} -> ${b.pallets.toFixed(2)}`);
+    if (Math.abs(a.miles - b.miles) >= 1) details.push(`miles ${a.miles.toFixed(0)} -> ${b.miles.toFixed(0)}`);
+    if (Math.abs(a.cost - b.cost) >= 0.01) details.push(`cost ${a.cost.toFixed(2)} -> ${b.cost.toFixed(2)}`);
+    if (details.length > 0) routes.push(routeRow('Changed', id, a, b, details.join('; ')));
+  });
+  routesAfter.forEach((b, id) => {
+    if (!routesBefore.has(id)) routes.push(routeRow('Added', id, null, b, ''));
+  });
+
+  // Stores whose carriers changed, including moves into and out of overspill
+  const routesByStore = routeMap => {
+    const byStore = {};
+    routeMap.forEach((route, id) => route.stores.forEach(store => {
+      (byStore[store] = byStore[store] || []).push({ id, carrier: route.carrier });
+    }));
+    return byStore;
+  };
+  const storesBefore = routesByStore(routesBefore);
+  const storesAfter = routesByStore(routesAfter);
+  const carrierSet = entries => [...new Set((entries || []).map(e => e.carrier))].sort().join('|');
+  const describe = entries => (entries || []).map(e => `${e.id} (${e.carrier})`).join(', ');
+  const storeMoves = [...new Set([...Object.keys(storesBefore), ...Object.keys(storesAfter)])]
+    .filter(store => carrierSet(storesBefore[store]) !== carrierSet(storesAfter[store]))
+    .sort()
+    .map(store => [store, describe(storesBefore[store]), describe(storesAfter[store])]);
+
+  return { kpis, settingsChanges, inputChanges, routes, storeMoves };
+}
+
+/**
+ * [NEW] Writes a titled table (or emptyText when there are no rows) to a report sheet.
+ * @returns {number} The row after the table and a blank separator row
+ */
+function writeReportTable(sheet, startRow, title, header, rows, emptyText) {
+  sheet.getRange(startRow, 1).setValue(title).setFontWeight('bold').setFontSize(12);
+  if (rows.length === 0) {
+    sheet.getRange(startRow + 1, 1).setValue(emptyText);
+    return startRow + 3;
+  }
+  const table = [header, ...rows];
+  sheet.getRange(startRow + 1, 1, table.length, header.length).setValues(table);
+  sheet.getRange(startRow + 1, 1, 1, header.length).setFontWeight('bold').setBackground('#e8eaf6');
+  return startRow + table.length + 2;
+}
+
+/**
+ * [NEW] Compares two plan versions and writes the result to the 'Plan Diff' sheet:
+ * KPI deltas, changed settings and inputs, added/removed/changed routes and store moves.
+ * Without arguments the two most recent versions are compared.
+ * @param {number} [versionA] - Earlier version
+ * @param {number} [versionB] - Later version
+ * @returns {Object} Result of diffPlanVersions
+ */
+function comparePlanVersions(versionA, versionB) {
+  if (versionA === undefined || versionB === undefined) {
+    const versions = getPlanVersions();
+    if (versions.length < 2) throw new Error('At least two plan versions are needed. Run Generate Plan again to record another.');
+    versionA = versions[versions.length - 2].version;
+    versionB = versions[versions.length - 1].version;
+  }
+  const before = readPlanVersion(versionA);
+  const after = readPlanVersion(versionB);
+  const diff = diffPlanVersions(before, after);
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Plan Diff');
+  if (sheet) sheet.clear(); else sheet = ss.insertSheet('Plan Diff');
+
+  let currentRow = 1;
+  const writeTable = (title, header, rows, emptyText) => {
+    currentRow = writeReportTable(sheet, currentRow, title, header, rows, emptyText);
+  };
+
+  sheet.getRange(currentRow, 1).setValue(`Plan version ${before.version} (${before.created}) vs version ${after.version} (${after.created})`)
+    .setFontWeight('bold').setFontSize(14);
+  currentRow += 2;
+  writeTable('Summary', ['Metric', `Version ${before.version}`, `Version ${after.version}`, 'Delta'], diff.kpis, '');
+  writeTable('Settings Changed', ['Setting', `Version ${before.version}`, `Version ${after.version}`], diff.settingsChanges, 'No settings changed');
+  writeTable('Inputs Changed', ['Input', `Version ${before.version} Hash`, `Version ${after.version} Hash`], diff.inputChanges, 'Same input data');
+  writeTable('Routes', ['Change', 'Route ID', 'Carrier Before', 'Carrier After', 'Stores Before', 'Stores After',
+    'Pallets Before', 'Pallets After', 'Miles Before', 'Miles After', 'Cost Before', 'Cost After', 'Details'],
+    diff.routes, 'No route changes');
+  writeTable('Store Moves', ['Store', `Routes in Version ${before.version}`, `Routes in Version ${after.version}`], diff.storeMoves, 'No stores moved between carriers');
+
+  Logger.log(`Plan diff ${before.version} -> ${after.version}: ${diff.routes.length} route changes, ${diff.storeMoves.length} store moves`);
+  return diff;
+}
+
+function checkAndScoreInsertion(shipment, route, context, log, iter) {
+  const {
+    restrictions,
+    distanceMatrix,
+    warehouse,
+    OVERPLAN_FACTOR,
+    MAX_ROUTE_MILEAGE,
+    MAX_STOPS_GENERAL,
+    MAX_DISTANCE_BETWEEN_STOPS,
+    ABSOLUTE_MAX_DISTANCE_BETWEEN_STOPS,
+    MAX_CROSS_REGION_LEG_MILES = 70, // NEW - cross-region threshold
+    MILEAGE_BUFFER = 0.95, // 95% hard limit buffer
+    addressData,
+    tollMatrix
+  } = context;
+
+  // Validate input parameters
+  if (!shipment || !route || !context || !distanceMatrix || !warehouse) {
+    Logger.log('Error: Missing required parameters in checkAndScoreInsertion');
+    return null;
+  }
+
+  const tempStops = [...route.stops, shipment];
+  const uniqueStores = [...new Set(tempStops.map(s => s.store))];
+  if (uniqueStores.length > MAX_STOPS_GENERAL) return null;
+  
+   // NEW: Validate cluster compatibility - each store must belong to at least one common cluster
+   if (context.clusterData && !areStoresValidTogether(uniqueStores, context.clusterData)) {
+     return null;
+   }
+
+  // Region-aware stop cap: NYC-specific clusters limited to 2 stops; others allow up to 4
+  if (addressData) {
+    const regions = uniqueStores.map(s => getStoreRegion(s, addressData));
+    const allNYC = regions.length > 0 && regions.every(isNycRegion);
+    if (allNYC && uniqueStores.length > 2) return null;
+  }
+
+  // NEW: Check for cross-region routing violations
+  if (addressData) {
+    const regions = tempStops.map(s => getStoreRegion(s.store, addressData));
+    const uniqueRegions = [...new Set(regions.filter(r => r !== 'Others'))];
+    
+    // If we have multiple distinct regions (e.g., NY and NJ), check leg distances more strictly
+    if (uniqueRegions.length > 1) {
+      // Calculate leg distances to check if cross-region legs are too long
+      const tempOptimizedForRegionCheck = advancedOptimizeStopOrder(tempStops, warehouse, distanceMatrix);
+      const legDetails = getLegDistanceDetails(tempOptimizedForRegionCheck, distanceMatrix);
+      
+      if (!legDetails.hasMissingData && legDetails.legDistances.length > 0) {
+        const maxLeg = Math.max(...legDetails.legDistances);
+        
+        // Reject if cross-region leg exceeds threshold
+        if (maxLeg > MAX_CROSS_REGION_LEG_MILES) {
+          Logger.log(`Rejected cross-region route: ${uniqueRegions.join(' + ')} with max leg ${maxLeg} miles`);
+          return null;
+        }
+      }
+    }
+  }
+
+  // Build per-store category pallet counts for the small-ambient override
+  const perStoreCounts = {};
+  tempStops.forEach(s => {
+    if (!perStoreCounts[s.store]) perStoreCounts[s.store] = {};
+    perStoreCounts[s.store][s.category] = (perStoreCounts[s.store][s.category] || 0) + (s.pallets || 0);
+  });
+
+  const carrier = route.carrier;
+  const requiredSize = getUsableTrailerSize(carrier, getRequiredTrailerSize({ ...route, stops: tempStops }, restrictions));
+  if (!requiredSize) return null;
+
+  // [UPDATED] Freezer may co-load when the trailer has a compartment for it
+  if (!isTempCompatible(new Set(tempStops.map(s => s.category)), { allowAllAll: context.ALLOW_ALL_ALL || false, smallAmbientThreshold: context.SMALL_AMBIENT_THRESHOLD || 4, compartments: getTrailerCompartmentCount(carrier, requiredSize, context), details: { perStoreCounts } })) return null;
+
+  // Check cold chain compliance (new validation)
+  if (!validateColdChainCompliance(tempStops, context)) return null;
+  
+  const capacity = getTrailerCapacity(carrier, requiredSize);
+  if (!capacity || (route.totalPallets || 0) + shipment.pallets > (capacity * OVERPLAN_FACTOR)) return null;
+
+  // NEW: Every temperature zone must get its own compartment with enough floor positions
+  if (buildTrailerLoad(tempStops, getTrailerType(carrier, requiredSize, context), capacity, context).errors.length > 0) return null;
+
+  const currentOptimized = advancedOptimizeStopOrder(route.stops, warehouse, distanceMatrix);
+  let tempOptimized = advancedOptimizeStopOrder(tempStops, warehouse, distanceMatrix);
+  const preferredLegThreshold = MAX_DISTANCE_BETWEEN_STOPS || 50;
+  const hardLegLimit = ABSOLUTE_MAX_DISTANCE_BETWEEN_STOPS || Math.max(75, preferredLegThreshold);
+
+  const currentLegDetails = getLegDistanceDetails(currentOptimized, distanceMatrix);
+  if (currentLegDetails.hasMissingData) return null;
+
+  const proposedLegDetails = getLegDistanceDetails(tempOptimized, distanceMatrix);
+  if (proposedLegDetails.hasMissingData) return null;
+
+  const proposedMaxLeg = proposedLegDetails.legDistances.length > 0 ? Math.max(...proposedLegDetails.legDistances) : 0;
+  if (proposedMaxLeg > hardLegLimit) {
+    Logger.log(`Rejected insertion: max leg ${proposedMaxLeg} mi exceeds hard limit ${hardLegLimit} mi`);
+    return null;
+  }
+  
+  // NEW: Also reject if any leg exceeds MAX_CROSS_REGION_LEG_MILES (stricter check)
+  if (MAX_CROSS_REGION_LEG_MILES && proposedMaxLeg > MAX_CROSS_REGION_LEG_MILES) {
+    Logger.log(`Rejected insertion: max leg ${proposedMaxLeg} mi exceeds cross-region limit ${MAX_CROSS_REGION_LEG_MILES} mi`);
+    return null;
+  }
+
+  const distancePenaltyDelta = calculateDistancePenalty(proposedLegDetails.legDistances, preferredLegThreshold)
+    - calculateDistancePenalty(currentLegDetails.legDistances, preferredLegThreshold);
+
+  // NEW: If cold chain would fail, try a cold-safe ordering (ambient-first, cold-last)
+  if (!validateColdChainCompliance(tempOptimized, context)) {
+    const coldSafe = enforceColdSafeOrdering(tempOptimized);
+    const coldSafeMetrics = calculateRouteMetricsWithHOS(coldSafe, warehouse, distanceMatrix, context.detailedDurations);
+    if (coldSafeMetrics.totalDistance <= MAX_ROUTE_MILEAGE * MILEAGE_BUFFER) {
+      tempOptimized = coldSafe;
+    }
+  }
+
+  const tempMetrics = calculateRouteMetricsWithHOS(tempOptimized, warehouse, distanceMatrix, context.detailedDurations, getRouteScheduleOptions(route, context));
+  
+  // STRICT MILEAGE ENFORCEMENT: Hard reject if exceeds mileage cap with buffer
+  const mileageHardLimit = MAX_ROUTE_MILEAGE * MILEAGE_BUFFER;
+  if (tempMetrics.totalDistance > mileageHardLimit) {
+    return null; // Hard reject - mileage constraint violated
+  }
+  
+  if (tempMetrics.hosStatus !== 'OK') return null;
+
+  // Every stop's ETA (not just the departure slot) must land inside its delivery window
+  if (tempMetrics.timeWindowViolations.length > 0) return null;
+
+  // NEW: Carriers with fleet counts need a tractor and trailer back at the depot for the grown route
+  if (hasFleetLimits(carrier) && route.time) {
+    const start = getDispatchMinutes(route.time);
+    const window = { start, end: start + tempMetrics.totalDuration, stops: tempOptimized, miles: tempMetrics.totalDistance, holdId: route.fleetHoldId };
+    if (!hasFleetEquipment({ ...route, stops: tempStops, totalPallets: (route.totalPallets || 0) + shipment.pallets }, context, window)) return null;
+  }
+
+  const originalMetrics = calculateRouteMetricsWithHOS(currentOptimized, warehouse, distanceMatrix, context.detailedDurations);
+
+  const newCost = (tempMetrics.totalDistance * carrier.costPerMile) + carrier.costPerRoute;
+  const oldCost = (originalMetrics.totalDistance * carrier.costPerMile) + carrier.costPerRoute;
+  
+  // NEW: Add toll costs if TollMatrix available
+  let tollDelta = 0;
+  if (tollMatrix) {
+    const newTollClass = getCarrierTollClass(carrier, requiredSize, context);
+    const oldTollClass = getCarrierTollClass(carrier, getUsableTrailerSize(carrier, getRequiredTrailerSize(route, restrictions)) || requiredSize, context);
+    const newTollCost = calculateRouteTollCost(tempOptimized, warehouse, tollMatrix, newTollClass);
+    const oldTollCost = calculateRouteTollCost(currentOptimized, warehouse, tollMatrix, oldTollClass);
+    tollDelta = newTollCost - oldTollCost;
+  }
+
+  return (newCost - oldCost) + distancePenaltyDelta + tollDelta; // Return cost delta with tolls
+}
+
+/**
+ * [NEW] TollMatrix class for a carrier's trailer: the Toll Profile/Category mapped to that carrier
+ * and size in Carrier Inventory, else the TOLL_PROFILE/TOLL_CATEGORY settings.
+ * @param {Object} carrier - Carrier object (see getCarriers)
+ * @param {string} trailerSize - '36', '48' or '53'
+ * @param {Object} context - Planning context
+ * @returns {string} Toll class key (see getTollClassKey)
+ */
+function getCarrierTollClass(carrier, trailerSize, context) {
+  const mapped = carrier && carrier.tollClasses ? carrier.tollClasses[String(trailerSize)] : null;
+  const profile = mapped && mapped.profile ? mapped.profile : (context.TOLL_PROFILE || 'T1');
+  const category = mapped && mapped.category ? mapped.category : (context.TOLL_CATEGORY || 1);
+  return getTollClassKey(profile, category);
+}
+
+/**
+ * [NEW] Looks up one leg's toll for a toll class, falling back to the class-less rows.
+ * @returns {number|null} Toll cost, or null if the TollMatrix has no entry for the leg
+ */
+function getLegTollCost(from, to, tollMatrix, tollClass) {
+  const table = tollMatrix[tollClass];
+  if (table && table[from] && table[from][to] !== undefined) return table[from][to];
+  const anyClass = tollMatrix[TOLL_ANY_CLASS];
+  if (anyClass && anyClass[from] && anyClass[from][to] !== undefined) return anyClass[from][to];
+  return null;
+}
+
+/**
+ * [NEW] TollMatrix identity of a depot: its warehouse ID (e.g. 'US0007'), which is how the
+ * TollMatrix names depot legs. Accepts the ID itself or a warehouse object from getWarehouses.
+ */
+function getDepotTollId(warehouse) {
+  if (warehouse && typeof warehouse === 'object') return String(warehouse.id || DEFAULT_WAREHOUSE);
+  return String(warehouse || DEFAULT_WAREHOUSE);
+}
+
+/**
+ * [NEW] Every leg of a route (depot -> stops -> depot) with its toll. Consecutive stops at the
+ * same store are one stop and form no leg.
+ * @param {Array} stops - Ordered stops in the route
+ * @param {string|Object} warehouse - Depot ID or warehouse object
+ * @param {Object} tollMatrix - Toll matrix {tollClass: {from: {to: cost}}}
+ * @param {string} tollClass - Vehicle toll class (see getCarrierTollClass)
+ * @returns {Array<Object>} [{from, to, cost}] with cost null when the TollMatrix has no entry
+ */
+function getRouteTollLegs(stops, warehouse, tollMatrix, tollClass) {
+  const depotId = getDepotTollId(warehouse);
+  const points = [depotId];
+  stops.forEach(s => {
+    const store = String(s.store);
+    if (points[points.length - 1] !== store) points.push(store);
+  });
+  if (points.length === 1) return [];
+  points.push(depotId);
+
+  const legs = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    legs.push({ from: points[i], to: points[i + 1], cost: getLegTollCost(points[i], points[i + 1], tollMatrix || {}, tollClass) });
+  }
+  return legs;
+}
+
+/**
+ * [UPDATED] Calculates total toll cost for a route using TollMatrix, including the depot legs.
+ * @param {Array} stops - Ordered stops in the route
+ * @param {string|Object} warehouse - Depot ID or warehouse object
+ * @param {Object} tollMatrix - Toll matrix {tollClass: {from: {to: cost}}}
+ * @param {string} tollClass - Vehicle toll class (see getCarrierTollClass)
+ * @returns {number} Total toll cost for the route
+ */
+function calculateRouteTollCost(stops, warehouse, tollMatrix, tollClass) {
+  if (!tollMatrix || Object.keys(tollMatrix).length === 0) return 0;
+  return getRouteTollLegs(stops, warehouse, tollMatrix, tollClass).reduce((total, leg) => total + (leg.cost || 0), 0);
+}
+
+/** [NEW] Toll Breakdown cell: the charged legs, e.g. "US0007→1162 $12 / 1162→1094 $57". */
+function formatTollBreakdown(tollLegs) {
+  return (tollLegs || [])
+    .filter(leg => leg.cost > 0)
+    .map(leg => `${leg.from}→${leg.to} $${Number(leg.cost.toFixed(2))}`)
+    .join(' / ');
+}
+
+/**
+ * Promotes consolidated overspill routes to main routes if they meet validation criteria.
+ * - Must pass isRouteValid checks (region stop limits, mileage, HOS)
+ * - Can have 2+ stops in non-NYC clusters; 2 stops max in NYC clusters
+ * - Returns the promoted routes and removes them from consolidatedRoutes array
+ */
+function promoteValidConsolidatedOverspill(consolidatedRoutes, context) {
+  if (!consolidatedRoutes || consolidatedRoutes.length === 0) return [];
+  
+  const promotedRoutes = [];
+  const indicesToRemove = [];
+  
+  consolidatedRoutes.forEach((consolidation, idx) => {
+    // Build a mock route object for validation
+    const mockRoute = {
+      carrier: { name: 'DummyCarrier', pallets53: 26, pallets48: 22, pallets36: 18, costPerMile: 0, costPerRoute: 0 },
+      stops: consolidation.stops,
+      totalPallets: consolidation.totalPallets,
+      cluster: consolidation.cluster
+    };
+    
+    // Check if this route passes validation
+    if (isRouteValid(mockRoute, context)) {
+      // Calculate metrics to ensure mileage is within limits
+      const metrics = calculateRouteMetricsWithHOS(
+        consolidation.stops,
+        context.warehouse,
+        context.distanceMatrix,
+        context.detailedDurations
+      );
+      
+      if (metrics.totalDistance <= (context.MAX_ROUTE_MILEAGE || 425)) {
+        // This consolidated overspill is valid for promotion
+        mockRoute.routeId = `PromovedOvsp_${idx + 1}`;
+        promotedRoutes.push(mockRoute);
+        indicesToRemove.push(idx);
+        Logger.log(`Promoting ConsolidatedOvsp_${idx + 1}: ${consolidation.stops.length} stops, ${consolidation.totalPallets.toFixed(2)} pallets, ${metrics.totalDistance.toFixed(1)} mi`);
+      }
+    }
+  });
+  
+  // Remove promoted routes from consolidatedRoutes (in reverse order to avoid index issues)
+  indicesToRemove.reverse().forEach(idx => {
+    consolidatedRoutes.splice(idx, 1);
+  });
+  
+  return promotedRoutes;
+}
+
+/**
+ * [ENHANCED] Consolidates overspill shipments more aggressively.
+ * Groups by store and nearby geography to minimize overspill count.
+ */
+function consolidateOverspillShipments(overspillShipments, context) {
+  if (!overspillShipments || overspillShipments.length === 0) return [];
+  
+  const { MIN_PALLETS_OVERSPILL_CLEANUP, addressData, distanceMatrix } = context;
+  
+  // Group shipments by store first
+  const byStore = {};
+  overspillShipments.forEach(s => {
     if (!byStore[s.store]) byStore[s.store] = [];
     byStore[s.store].push(s);
   });
   
-  // Consolidate same-store shipments into multi-temp routes
-  let consolidatedRoutes = [];
-  Object.keys(byStore).forEach(store => {
-    const storeShipments = byStore[store];
-    if (storeShipments.length > 1) {
-      // Multiple categories for same store - consolidate
-      const totalPallets = storeShipments.reduce((sum, s) => sum + s.pallets, 0);
-      // More aggressive consolidation - even if below cleanup threshold
-      if (totalPallets >= MIN_PALLETS_OVERSPILL_CLEANUP * 0.75) { // 75% of threshold
-        consolidatedRoutes.push({
-          stops: storeShipments,
-          totalPallets: totalPallets,
-          cluster: storeShipments[0].cluster || 'Others',
-          reason: `Consolidated ${storeShipments.length} shipments for store ${store}`
-        });
-        // Remove from overspill list
-        storeShipments.forEach(s => {
-          const idx = overspillShipments.indexOf(s);
-          if (idx >= 0) overspillShipments.splice(idx, 1);
-        });
+  // Consolidate same-store shipments into multi-temp routes
+  let consolidatedRoutes = [];
+  Object.keys(byStore).forEach(store => {
+    const storeShipments = byStore[store];
+    if (storeShipments.length > 1) {
+      // Multiple categories for same store - consolidate
+      const totalPallets = storeShipments.reduce((sum, s) => sum + s.pallets, 0);
+      // More aggressive consolidation - even if below cleanup threshold
+      if (totalPallets >= MIN_PALLETS_OVERSPILL_CLEANUP * 0.75) { // 75% of threshold
+        consolidatedRoutes.push({
+          stops: storeShipments,
+          totalPallets: totalPallets,
+          cluster: storeShipments[0].cluster || 'Others',
+          reason: `Consolidated ${storeShipments.length} shipments for store ${store}`
+        });
+        // Remove from overspill list
+        storeShipments.forEach(s => {
+          const idx = overspillShipments.indexOf(s);
+          if (idx >= 0) overspillShipments.splice(idx, 1);
+        });
+      }
+    }
+  });
+  
+  // NEW: Try to group nearby small overspill shipments (within 25 miles)
+  const remainingOverspill = overspillShipments.filter(s => !consolidatedRoutes.some(r => r.stops.includes(s)));
+  if (remainingOverspill.length >= 2 && distanceMatrix && addressData) {
+    // Sort by cluster
+    const byCluster = {};
+    remainingOverspill.forEach(s => {
+      const cluster = s.cluster || 'Others';
+      if (!byCluster[cluster]) byCluster[cluster] = [];
+      byCluster[cluster].push(s);
+    });
+    
+    // Try to combine nearby stores within same cluster
+    Object.keys(byCluster).forEach(cluster => {
+      const clusterShipments = byCluster[cluster];
+      if (clusterShipments.length >= 2) {
+        // Simple greedy grouping
+        const grouped = [];
+        const used = new Set();
+        
+        for (let i = 0; i < clusterShipments.length; i++) {
+          if (used.has(i)) continue;
+          
+          const group = [clusterShipments[i]];
+          let groupPallets = clusterShipments[i].pallets;
+          const groupTemp = clusterShipments[i].category;
+          used.add(i);
+          
+          for (let j = i + 1; j < clusterShipments.length; j++) {
+            if (used.has(j)) continue;
+            
+            const store1 = clusterShipments[i].store;
+            const store2 = clusterShipments[j].store;
+            const distance = (distanceMatrix[store1] && distanceMatrix[store1][store2]) || 999;
+            
+            // If stores are within 25 miles, same temp category, and enough pallets combined
+            const tempMatch = !groupTemp || groupTemp === clusterShipments[j].category;
+            if (distance <= 25 && tempMatch && groupPallets + clusterShipments[j].pallets >= MIN_PALLETS_OVERSPILL_CLEANUP * 0.5) {
+              group.push(clusterShipments[j]);
+              groupPallets += clusterShipments[j].pallets;
+              used.add(j);
+            }
+          }
+          
+          if (group.length >= 2 && groupPallets >= MIN_PALLETS_OVERSPILL_CLEANUP * 0.5) {
+            consolidatedRoutes.push({
+              stops: group,
+              totalPallets: groupPallets,
+              cluster: cluster,
+              reason: `Consolidated ${group.length} nearby overspill shipments in ${cluster}`
+            });
+            
+            // Remove from overspill list
+            group.forEach(s => {
+              const idx = overspillShipments.indexOf(s);
+              if (idx >= 0) overspillShipments.splice(idx, 1);
+            });
+          }
+        }
+      }
+    });
+  }
+  
+  Logger.log(`Consolidated ${consolidatedRoutes.length} overspill routes (${consolidatedRoutes.reduce((sum, r) => sum + r.totalPallets, 0).toFixed(2)} pallets)`);
+
+  // Filter out any consolidated routes that violate cluster intersection rules
+  if (context.clusterData) {
+    const before = consolidatedRoutes.length;
+    consolidatedRoutes = consolidatedRoutes.filter(r => {
+      const stores = [...new Set(r.stops.map(s => s.store))];
+      return areStoresValidTogether(stores, context.clusterData);
+    });
+    const removed = before - consolidatedRoutes.length;
+    if (removed > 0) Logger.log(`Removed ${removed} consolidated overspill routes for cluster incompatibility`);
+  }
+
+  // NEW: Attempt to pair small single-store consolidated overspill into 2–4 stop routes within same cluster
+  try {
+    const MAX_PAIR_LEG_MILES = (context.MAX_DISTANCE_BETWEEN_STOPS || 35) + 5; // allow small slack
+    const capacity53 = 26;
+    // Filter for routes that serve only ONE unique store (regardless of stop count)
+    const singleStoreCons = consolidatedRoutes.filter(r => {
+      if (!r.stops || r.stops.length === 0) return false;
+      const uniqueStores = new Set(r.stops.map(s => s.store));
+      return uniqueStores.size === 1 && r.totalPallets <= capacity53 * 0.85; // Slightly higher threshold
+    });
+    
+    const byClusterPair = {};
+    singleStoreCons.forEach(r => {
+      const store = r.stops[0].store; // Get the single store from this route
+      const clusterKey = r.cluster || 'Others';
+      if (!byClusterPair[clusterKey]) byClusterPair[clusterKey] = [];
+      byClusterPair[clusterKey].push({ store, pallets: r.totalPallets, route: r, idx: consolidatedRoutes.indexOf(r) });
+    });
+    
+    const pairedIndices = new Set(); // Track which routes were paired
+    Object.keys(byClusterPair).forEach(cluster => {
+      const list = byClusterPair[cluster];
+      const used = new Set();
+      for (let i = 0; i < list.length; i++) {
+        if (used.has(i)) continue;
+        const a = list[i];
+        const group = [a];
+        let totalPallets = a.pallets;
+        used.add(i);
+        
+        // Greedily pair with nearby stores within capacity
+        for (let j = i + 1; j < list.length; j++) {
+          if (used.has(j)) continue;
+          const b = list[j];
+          const d = (context.distanceMatrix[a.store] && context.distanceMatrix[a.store][b.store] && context.distanceMatrix[a.store][b.store].distance) || 999;
+          if (d <= MAX_PAIR_LEG_MILES && totalPallets + b.pallets <= capacity53) {
+            group.push(b);
+            totalPallets += b.pallets;
+            used.add(j);
+          }
+        }
+        
+        // If we have a pair or larger group, combine them
+        if (group.length >= 2) {
+          const combinedStops = [];
+          group.forEach(item => combinedStops.push(...item.route.stops));
+          const reason = `Paired overspill: ${group.map(g => g.store).join(' + ')} (${group.length} stores, ${totalPallets.toFixed(2)} pallets)`;
+          consolidatedRoutes.push({
+            stops: combinedStops,
+            totalPallets: totalPallets,
+            cluster: cluster,
+            reason: reason
+          });
+          // Mark originals for removal
+          group.forEach(item => pairedIndices.add(item.idx));
+        }
+      }
+    });
+    
+    // Remove original single-store consolidated routes that were paired
+    for (let i = consolidatedRoutes.length - 1; i >= 0; i--) {
+      if (pairedIndices.has(i)) {
+        consolidatedRoutes.splice(i, 1);
+      }
+    }
+    Logger.log(`Paired ${pairedIndices.size} single-store consolidations into multi-stop routes`);
+  } catch (e) {
+    Logger.log('Pairing overspill error: ' + e);
+  }
+  return consolidatedRoutes;
+}
+
+/**
+ * Plans whatever the main loop left behind: consolidation, promotion, overspill and manual review.
+ * [UPDATED] Returns the routes instead of writing them.
+ * @param {Array} shipments - Shipments left over by runPlanningLoop
+ * @param {Object} context - Planning context
+ * @param {Array} carriers - Carriers available to promoted consolidations
+ * @returns {Object} {promoted, consolidated, unplannable, overspill, unrouted}
+ */
+function planRemainingShipments(shipments, context, carriers) {
+  const result = { promoted: [], consolidated: [], unplannable: [], overspill: [], unrouted: [] };
+  const unplannableTime = shipments.filter(s => s.failureReason === 'Time Constraint');
+  const unplannableOther = shipments.filter(s => s.failureReason && s.failureReason !== 'Time Constraint');
+  let overspillShipments = shipments.filter(s => !s.failureReason);
+  
+  // NEW: Try to consolidate overspill first
+  let consolidatedRoutes = consolidateOverspillShipments(overspillShipments, context);
+  
+  // NEW: Attempt to promote valid consolidated overspill to main routes
+  const promotedRoutes = promoteValidConsolidatedOverspill(consolidatedRoutes, context);
+
+  // Assign real carriers to promoted routes
+  promotedRoutes.forEach((route, idx) => {
+    // Pick the cheapest available carrier/time for this route based on mileage
+    let bestCarrier = null;
+    let bestTime = null;
+    let bestCost = Infinity;
+    let noEquipment = false;
+    const metrics = calculateRouteMetricsWithHOS(route.stops, context.warehouse, context.distanceMatrix, context.detailedDurations);
+    carriers.forEach(carrier => {
+      carrier.timeSlots.forEach(slot => {
+        if (slot.used >= slot.capacity) return;
+        const cost = (metrics.totalDistance * (carrier.costPerMile || 0)) + (carrier.costPerRoute || 0);
+        if (cost >= bestCost) return;
+        // NEW: A slot the carrier has no tractor or trailer back for is not open
+        if (!hasFleetEquipment({ carrier, time: slot.time, stops: route.stops, totalPallets: route.totalPallets }, context)) {
+          noEquipment = true;
+          return;
+        }
+        bestCost = cost;
+        bestCarrier = carrier;
+        bestTime = slot.time;
+      });
+    });
+    const assigned = bestCarrier ? { carrier: bestCarrier, time: bestTime } : { carrier: { name: 'Promoted Consolidation', pallets53: 26, pallets48: 22, pallets36: 18, costPerMile: 0, costPerRoute: 0 }, time: '23:00' };
+    const promoted = {
+      routeId: route.routeId,
+      carrier: assigned.carrier,
+      time: assigned.time,
+      stops: route.stops,
+      totalPallets: route.totalPallets,
+      cluster: route.cluster,
+      notes: 'Validated consolidated overspill promoted to main route'
+    };
+    // NEW: Book its equipment now so later promotions see it out; without any it stays consolidated overspill
+    if ((!bestCarrier && noEquipment) || assignFleetEquipment([promoted], context).length > 0) {
+      consolidatedRoutes.push({ stops: route.stops, totalPallets: route.totalPallets, cluster: route.cluster, reason: 'Not promoted: no tractor or trailer back at the depot for an open slot' });
+      return;
+    }
+    result.promoted.push(promoted);
+  });
+  
+  // Remaining consolidated routes stay as overspill
+  consolidatedRoutes.forEach((consolidation, idx) => {
+    result.consolidated.push({
+      carrier: { 
+        name: 'Consolidated Overspill', 
+        pallets53: 26, 
+        pallets48: 22, 
+        pallets36: 18, 
+        costPerMile: 0, 
+        costPerRoute: 0 
+      },
+      routeId: `ConsolidatedOvsp_${idx + 1}`,
+      time: '23:00',
+      stops: consolidation.stops,
+      totalPallets: consolidation.totalPallets,
+      cluster: consolidation.cluster,
+      notes: consolidation.reason
+    });
+  });
+
+
+  if (unplannableTime.length > 0) {
+    result.unplannable.push({ 
+      carrier: { 
+        name: 'Unplannable (Time)', 
+        costPerMile: 0, 
+        costPerRoute: 0, 
+        costNotToUse: 0 
+      }, 
+      routeId: 'Time_1', 
+      stops: unplannableTime, 
+      totalPallets: unplannableTime.reduce((s, p) => s + p.pallets, 0), 
+      cluster: 'Manual Review', 
+      notes: 'Failed due to delivery window constraints.' 
+    });
+  }
+  if (unplannableOther.length > 0) {
+    result.unplannable.push({ 
+      carrier: { 
+        name: 'Unplannable (Other)', 
+        costPerMile: 0, 
+        costPerRoute: 0, 
+        costNotToUse: 0 
+      }, 
+      routeId: 'Other_1', 
+      stops: unplannableOther, 
+      totalPallets: unplannableOther.reduce((s, p) => s + p.pallets, 0), 
+      cluster: 'Manual Review', 
+      notes: 'Failed planning after max attempts or no viable carrier.' 
+    });
+  }
+  
+  if (overspillShipments.length === 0) return result;
+
+  let overspillRoutes = [];
+  overspillShipments.sort((a,b) => b.pallets - a.pallets);
+
+  // Use relaxed minimum for overspill
+  const MIN_PALLETS_OVERSPILL = context.MIN_PALLETS_OVERSPILL_CLEANUP || 8;
+
+  overspillShipments.forEach(shipment => {
+    let added = false;
+    for (const route of overspillRoutes) {
+      if (checkAndScoreInsertion(shipment, route, context, ()=>{}, 999) !== null) {
+        route.stops.push(shipment);
+        route.totalPallets += shipment.pallets;
+        added = true;
+        break;
+      }
+    }
+    if (!added) {
+      overspillRoutes.push({
+        carrier: { name: 'Overspill', pallets53: 26, pallets48: 22, pallets36: 18, costPerMile: 0, costPerRoute: 0 },
+        time: '23:00',
+        stops: [shipment],
+        totalPallets: shipment.pallets,
+        cluster: shipment.cluster || 'Overspill'
+      });
+    }
+  });
+  
+  // Filter out routes below minimum
+  overspillRoutes = overspillRoutes.filter(r => r.totalPallets >= MIN_PALLETS_OVERSPILL);
+  
+  overspillRoutes.forEach((route, i) => {
+    route.routeId = `Overspill_${i + 1}`;
+    result.overspill.push(route);
+  });
+  
+  // Log overspill that's still too small
+  result.unrouted = overspillShipments.filter(s => {
+    const inRoute = overspillRoutes.some(r => r.stops.includes(s));
+    return !inRoute;
+  });
+  if (result.unrouted.length > 0) {
+    Logger.log(`Warning: ${result.unrouted.length} shipments below ${MIN_PALLETS_OVERSPILL} pallets remain unrouted`);
+  }
+  return result;
+}
+
+/**
+ * [NEW] Orders a route's stops and computes everything Generated Plan shows for it:
+ * metrics, trailer size, utilization, cost, cold chain and zone info, notes and map link.
+ * [UPDATED] Uses the trailer picked by assignFleetEquipment and that size's costs when set.
+ * @param {Object} route - Route as built by the planner ({carrier, time, stops, totalPallets, ...})
+ * @param {Object} context - Planning context
+ * @returns {Object|null} Finalized route, or null if it is empty or exceeds MAX_ROUTE_MILEAGE
+ */
+function finalizeRoute(route, context) {
+  if (!route.stops || route.stops.length === 0) return null;
+
+  const { warehouse, distanceMatrix, detailedDurations, restrictions, addressData, tollMatrix, MAX_ROUTE_MILEAGE } = context;
+  let optimizedStops = advancedOptimizeStopOrder(route.stops, warehouse, distanceMatrix);
+  // NEW: Apply cold-safe ordering if needed to avoid warnings when mileage impact is acceptable
+  if (!validateColdChainCompliance(optimizedStops, context)) {
+    const coldSafe = enforceColdSafeOrdering(optimizedStops);
+    const coldSafeMetrics = calculateRouteMetricsWithHOS(coldSafe, warehouse, distanceMatrix, detailedDurations);
+    const originalMetrics = calculateRouteMetricsWithHOS(optimizedStops, warehouse, distanceMatrix, detailedDurations);
+    const withinCap = coldSafeMetrics.totalDistance <= MAX_ROUTE_MILEAGE;
+    const modestIncrease = coldSafeMetrics.totalDistance <= originalMetrics.totalDistance * 1.12; // allow up to 12% mileage growth to clear cold-chain issues
+    if (withinCap && modestIncrease) {
+      optimizedStops = coldSafe;
+    }
+  }
+  
+  // Validate cold chain compliance
+  const coldChainCompliant = validateColdChainCompliance(optimizedStops, context);
+  
+  const metrics = calculateRouteMetricsWithHOS(optimizedStops, warehouse, distanceMatrix, detailedDurations, getRouteScheduleOptions(route, context));
+  const requiredSize = getRequiredTrailerSize(route, restrictions);
+  const trailerSize = route.trailerSize || getUsableTrailerSize(route.carrier, requiredSize) || requiredSize; // NEW - chosen by assignFleetEquipment
+  
+  // Log warning for routes approaching or exceeding mileage limits
+  if (metrics.totalDistance > MAX_ROUTE_MILEAGE * 0.85) {
+    const stores = [...new Set(optimizedStops.map(s => s.store))].join(' -> ');
+    Logger.log(`WARNING: Route ${route.routeId} has ${metrics.totalDistance} miles (${(metrics.totalDistance/MAX_ROUTE_MILEAGE*100).toFixed(1)}% of max). Stores: ${stores}`);
+  }
+  
+  // CRITICAL: Reject routes that exceed mileage cap
+  if (metrics.totalDistance > MAX_ROUTE_MILEAGE) {
+    Logger.log(`ERROR: Route ${route.routeId} REJECTED for exceeding mileage cap: ${metrics.totalDistance} > ${MAX_ROUTE_MILEAGE}`);
+    return null; // Do not plan this route - it violates constraints
+  }
+  
+  // Log cold chain warning if not compliant
+  if (!coldChainCompliant) {
+    Logger.log(`WARNING: Route ${route.routeId} may have cold chain issues. Review unload sequence.`);
+  }
+  
+  let capacity = 0;
+  if (route.carrier.name.includes('Unplannable') || route.carrier.name.includes('Overspill')) {
+      capacity = 999;
+  } else {
+      capacity = getTrailerCapacity(route.carrier, trailerSize);
+  }
+  const utilization = capacity > 0 && capacity < 999 ? `${(route.totalPallets / capacity * 100).toFixed(1)}%` : 'N/A';
+
+  // NEW: Lay the load out in the trailer's temperature compartments (real carriers only)
+  let load = null;
+  if (capacity > 0 && capacity < 999) {
+    load = buildTrailerLoad(optimizedStops, getTrailerType(route.carrier, trailerSize, context), capacity, context);
+    if (load.errors.length > 0) Logger.log(`WARNING: Route ${route.routeId} does not fit its ${load.trailerType} trailer: ${load.errors.join('; ')}`);
+  }
+  // UPDATED: The zone note follows the compartments; overspill rows are laid out without a floor size
+  const zoneLayout = load || buildTrailerLoad(optimizedStops, getTrailerType(route.carrier, trailerSize, context), 0, context);
+  
+  // Calculate cost including tolls
+  let cost = getTrailerCost(route.carrier, trailerSize, metrics.totalDistance);
+  let tollCost = 0;
+  let tollLegs = [];
+  if (tollMatrix && Object.keys(tollMatrix).length > 0) {
+    tollLegs = getRouteTollLegs(optimizedStops, warehouse, tollMatrix, getCarrierTollClass(route.carrier, trailerSize, context));
+    tollCost = tollLegs.reduce((total, leg) => total + (leg.cost || 0), 0);
+    cost += tollCost;
+    if (tollCost > 0) {
+      Logger.log(`Route ${route.routeId} toll cost: $${tollCost.toFixed(2)}`);
+    }
+  }
+
+  // Enhanced notes with cold chain and zone info
+  let notes = route.notes || '';
+  if (!coldChainCompliant) notes += ' [COLD CHAIN WARNING]';
+  if (metrics.timeWindowViolations.length > 0) notes += ` [TIME WINDOW: ${metrics.timeWindowViolations.join(', ')}]`;
+  if (metrics.shifts > 1) notes += ` [${metrics.shifts} DRIVER SHIFTS]`;
+  if (load && load.errors.length > 0) notes += ` [LOAD: ${load.errors.join('; ')}]`;
+  notes += ` [${formatLoadZonesNote(zoneLayout)}]`;
+
+  return {
+    ...route,
+    warehouse,
+    stops: optimizedStops,
+    metrics,
+    trailerSize,
+    capacity,
+    utilization,
+    cost,
+    tollCost,
+    tollLegs,
+    load,
+    coldChainCompliant,
+    tempZones: getTempZonesLabel(optimizedStops), // UPDATED - '3 TEMP' when Freezer co-loads with Ambient and Chiller
+    hasRestrictions: checkRouteForRestrictions(optimizedStops, restrictions),
+    stopSequence: formatStopSequence(optimizedStops),
+    detailedRoute: formatDetailedRoute(optimizedStops, warehouse, distanceMatrix),
+    mileageStatus: metrics.totalDistance > MAX_ROUTE_MILEAGE ? 'OVER' : 'OK',
+    notes,
+    mapLink: generateMapLink(optimizedStops, warehouse, addressData),
+    finalized: true
+  };
+}
+
+/**
+ * [NEW] Lays out a Generated Plan row from values keyed by header name.
+ * @param {Object} valuesByHeader - Cell values keyed by PLAN_HEADERS entry
+ * @param {*} [fill] - Value for headers not supplied (defaults to '')
+ * @returns {Array} Row values in PLAN_HEADERS order
+ */
+function buildPlanRow(valuesByHeader, fill) {
+  const filler = fill === undefined ? '' : fill;
+  return PLAN_HEADERS.map(header => (header in valuesByHeader ? valuesByHeader[header] : filler));
+}
+
+/**
+ * Appends one route to Generated Plan.
+ * [UPDATED] Renders a route finalized by finalizeRoute; raw routes are finalized first.
+ */
+function writeRouteToSheet(route, planSheet, context) {
+  const planned = route.finalized ? route : finalizeRoute(route, context);
+  if (!planned) return;
+
+  const { metrics } = planned;
+  planSheet.appendRow(buildPlanRow({
+    'Carrier': planned.carrier.name,
+    'Route ID': planned.routeId,
+    'Cluster': planned.cluster,
+    'Stops': [...new Set(planned.stops.map(s => s.store))].length,
+    'Stop Sequence': planned.stopSequence,
+    'Detailed Route': planned.detailedRoute,
+    'Total Route Mileage': metrics.totalDistance,
+    'Has Restrictions?': planned.hasRestrictions,
+    'Trailer Size': `${planned.trailerSize}'`,
+    'Temp Zones': planned.tempZones,
+    'Total Pallets': planned.totalPallets.toFixed(2),
+    'Truck Utilization': planned.utilization,
+    'Total Travel (min)': metrics.travelTime,
+    'Total Stop Time (min)': metrics.stopTime,
+    'Total Duration (min)': metrics.totalDuration,
+    'HOS Status': metrics.hosStatus,
+    'Estimated Cost': planned.cost > 0 ? planned.cost.toFixed(2) : 'N/A',
+    'Mileage Status': planned.mileageStatus,
+    'Notes': planned.notes,
+    'Map Link': planned.mapLink,
+    'Origin Depot': planned.warehouse,
+    'Stop ETAs': formatStopEtas(metrics.stopSchedule),
+    'HOS Breaks': formatHosEvents(metrics.hosEvents),
+    'Time Slot': planned.time || '',
+    'Route Status': planned.status || 'Draft',
+    'Shipment Detail': formatShipmentDetail(planned.stops),
+    'Approved By': planned.approvedBy || '',
+    'Status Updated': planned.statusUpdated || '',
+    'Toll Cost': (planned.tollCost || 0).toFixed(2),
+    'Toll Breakdown': formatTollBreakdown(planned.tollLegs),
+    'Load Diagram': formatLoadDiagram(planned.load)
+  }));
+  appendPlanData(planned, context);
+  
+  // NEW: Highlight any route containing Freezer in light blue
+  const isFreezerPresent = planned.stops.some(s => s.category === 'Freezer');
+  if (isFreezerPresent) {
+    const lastRow = planSheet.getLastRow();
+    planSheet.getRange(lastRow, 1, 1, PLAN_HEADERS.length).setBackground('#ADD8E6'); // Light blue
+    Logger.log(`Route ${planned.routeId} contains Freezer - highlighted in light blue`);
+  }
+}
+
+// --- ROUTE OPTIMIZATION & METRIC CALCULATION ---
+
+function getRequiredTrailerSize(route, restrictions) {
+  let requires36 = false;
+  let requires48 = false;
+  
+  const uniqueStores = [...new Set(route.stops.map(s => s.store))];
+  
+  uniqueStores.forEach(store => {
+    const res = restrictions[store];
+    if (res) {
+      const routeTimeMins = parseTimeToMinutes(route.time) || 0;
+      const isNight = routeTimeMins >= 1140 || routeTimeMins < 360; 
+      const equipment = isNight ? res.equipmentNight : res.equipmentDay;
+      
+      if (equipment) {
+        if (equipment.includes("36")) requires36 = true;
+        if (equipment.includes("48")) requires48 = true;
+      }
+    }
+  });
+
+  if (requires36) return '36';
+  if (requires48) return '48';
+  return '53';
+}
+
+function getLegDistanceDetails(stops, distanceMatrix) {
+  if (!stops || !distanceMatrix || stops.length === 0) {
+    return { legDistances: [], hasMissingData: false };
+  }
+
+  const uniqueStores = [...new Set(stops.map(s => s.store))];
+  if (uniqueStores.length < 2) {
+    return { legDistances: [], hasMissingData: false };
+  }
+
+  const legDistances = [];
+  for (let i = 1; i < uniqueStores.length; i++) {
+    const from = uniqueStores[i - 1];
+    const to = uniqueStores[i];
+    if (!from || !to) continue;
+
+    const forwardLeg = distanceMatrix[from] && distanceMatrix[from][to];
+    const reverseLeg = distanceMatrix[to] && distanceMatrix[to][from];
+    const leg = forwardLeg || reverseLeg;
+
+    if (!leg) {
+      Logger.log(`Warning: Missing distance data between ${from} and ${to}`);
+      return { legDistances: [], hasMissingData: true };
+    }
+
+    legDistances.push(leg.distance);
+  }
+
+  return { legDistances, hasMissingData: false };
+}
+
+function calculateDistancePenalty(legDistances, preferredThreshold) {
+  if (!legDistances || legDistances.length === 0) return 0;
+  const threshold = preferredThreshold || 0;
+  return legDistances.reduce((penalty, distance) => {
+    if (distance <= threshold) return penalty;
+    const overage = distance - threshold;
+    return penalty + (overage * overage);
+  }, 0);
+}
+
+function formatDetailedRoute(orderedStops, warehouse, distanceMatrix) {
+  if (!orderedStops || orderedStops.length === 0) return "";
+  const uniqueStores = [...new Set(orderedStops.map(s => s.store))];
+  let routeStr = "", lastLocation = warehouse;
+  uniqueStores.forEach(store => {
+    const dist = (distanceMatrix[lastLocation] && distanceMatrix[lastLocation][store]) ? distanceMatrix[lastLocation][store].distance : 0;
+    routeStr += routeStr ? ` (${dist} mi) -> ${store}` : `${store}`;
+    lastLocation = store;
+  });
+  return routeStr;
+}
+
+function checkRouteForRestrictions(stops, restrictions) {
+  return stops.some(s => {
+    const res = restrictions[s.store];
+    return res && ((res.noise && res.noise !== 'N/A') || (res.equipmentNight && res.equipmentNight !== 'N/A') || (res.equipmentDay && res.equipmentDay !== 'N/A') || (res.deliveryWindow && res.deliveryWindow.trim() !== '' && res.deliveryWindow !== 'N/A'));
+  }) ? "Yes" : "No";
+}
+
+function advancedOptimizeStopOrder(stops, warehouse, distanceMatrix) {
+  if (stops.length <= 1) return stops;
+
+  // Use cold chain aware optimization if mixed temperatures
+  const hasCold = stops.some(s => s.category === 'Chiller' || s.category === 'Freezer');
+  const hasAmbient = stops.some(s => s.category === 'Ambient' || s.category === 'Produce');
+  
+  if (hasCold && hasAmbient) {
+    return coldChainOptimizeStopOrder(stops, warehouse, distanceMatrix);
+  }
+
+  // Standard optimization for single-temp routes
+  const stopsData = {};
+  stops.forEach(s => {
+    if (!stopsData[s.store]) stopsData[s.store] = { shipments: [], categories: new Set() };
+    stopsData[s.store].shipments.push(s);
+    stopsData[s.store].categories.add(s.category);
+  });
+
+  const ambientOnly = [], withCold = [];
+  for (const store in stopsData) {
+    if (stopsData[store].categories.has('Chiller') || stopsData[store].categories.has('Freezer')) withCold.push(store);
+    else ambientOnly.push(store);
+  }
+
+  let orderedAmbient = [], orderedCold = [], lastLocation = warehouse;
+  if (ambientOnly.length > 0) {
+    orderedAmbient = runNearestNeighbor(ambientOnly, warehouse, distanceMatrix);
+    if (orderedAmbient.length > 0) lastLocation = orderedAmbient[orderedAmbient.length - 1];
+  }
+  if (withCold.length > 0) {
+    orderedCold = runNearestNeighbor(withCold, lastLocation, distanceMatrix);
+  }
+
+  // [UPDATED] Nearest neighbor is only the starting point; improve it within each block
+  return improveStopOrder([
+    orderedAmbient.flatMap(store => stopsData[store].shipments),
+    orderedCold.flatMap(store => stopsData[store].shipments)
+  ], warehouse, distanceMatrix);
+}
+
+function runNearestNeighbor(items, startLocation, distanceMatrix) {
+  if (!items || items.length < 2) return items;
+  let ordered = [], remaining = [...items], currentLocation = startLocation;
+  const isObject = typeof remaining[0] === 'object';
+
+  while (remaining.length > 0) {
+    let nearestDist = Infinity, nearestIndex = -1;
+    for (let i = 0; i < remaining.length; i++) {
+      const store = isObject ? remaining[i].store : remaining[i];
+      const dist = (distanceMatrix[currentLocation] && distanceMatrix[currentLocation][store]) ? distanceMatrix[currentLocation][store].distance : Infinity;
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearestIndex = i;
+      }
+    }
+    if (nearestIndex === -1) {
+      ordered.push(...remaining); break;
+    }
+    const nextItem = remaining.splice(nearestIndex, 1)[0];
+    ordered.push(nextItem);
+    currentLocation = isObject ? nextItem.store : nextItem;
+  }
+  return ordered;
+}
+
+// Stop-order improvement tuning
+const EXACT_ORDER_MAX_STORES = 6; // enumerate every order up to this many stores
+const MISSING_LEG_PENALTY_MILES = 1000; // charged for a leg with no Distance Matrix entry
+const LOCAL_SEARCH_MAX_PASSES = 50;
+
+/**
+ * [NEW] Leg distance for stop ordering: forward entry, else reverse entry, else a large penalty
+ * so orders that rely on unknown legs are never preferred.
+ */
+function getOrderingLegMiles(from, to, distanceMatrix) {
+  if (from === to) return 0;
+  const leg = (distanceMatrix[from] && distanceMatrix[from][to]) || (distanceMatrix[to] && distanceMatrix[to][from]);
+  return leg ? leg.distance : MISSING_LEG_PENALTY_MILES;
+}
+
+/**
+ * [NEW] Round-trip distance of a store sequence, warehouse -> stores -> warehouse.
+ */
+function getTourMiles(storeSequence, warehouse, distanceMatrix) {
+  let miles = 0, current = warehouse;
+  storeSequence.forEach(store => {
+    miles += getOrderingLegMiles(current, store, distanceMatrix);
+    current = store;
+  });
+  return miles + getOrderingLegMiles(current, warehouse, distanceMatrix);
+}
+
+/**
+ * [NEW] Improves a stop order without breaking its temperature partition.
+ * The blocks are visited in the given order (e.g. ambient stores, then cold stores, as
+ * validateColdChainCompliance expects); only the order of stores inside each block changes.
+ * Up to EXACT_ORDER_MAX_STORES stores every order is enumerated; larger routes use 2-opt and
+ * Or-opt moves. The objective is total miles including the return leg to the warehouse.
+ * The starting order is kept unless an order is strictly shorter.
+ * @param {Array<Array<object>>} blocks - Ordered blocks of stops (shipments)
+ * @param {string} warehouse - Warehouse location
+ * @param {object} distanceMatrix - Distance matrix
+ * @returns {Array<object>} Stops in the improved order
+ */
+function improveStopOrder(blocks, warehouse, distanceMatrix) {
+  // Work on stores: shipments for the same store in a block always travel together
+  const storeBlocks = blocks.map(block => {
+    const byStore = {};
+    const order = [];
+    block.forEach(s => {
+      if (!byStore[s.store]) {
+        byStore[s.store] = [];
+        order.push(s.store);
       }
-    }
+      byStore[s.store].push(s);
+    });
+    return { order, byStore };
   });
-  
-  // NEW: Try to group nearby small overspill shipments (within 25 miles)
-  const remainingOverspill = overspillShipments.filter(s => !consolidatedRoutes.some(r => r.stops.includes(s)));
-  if (remainingOverspill.length >= 2 && distanceMatrix && addressData) {
-    // Sort by cluster
-    const byCluster = {};
-    remainingOverspill.forEach(s => {
-      const cluster = s.cluster || 'Others';
-      if (!byCluster[cluster]) byCluster[cluster] = [];
-      byCluster[cluster].push(s);
+
+  const sequences = storeBlocks.map(b => b.order);
+  const totalStores = sequences.reduce((n, seq) => n + seq.length, 0);
+  if (totalStores <= 1) return blocks.flat();
+
+  const tourOf = seqs => getTourMiles(seqs.flat(), warehouse, distanceMatrix);
+  const improved = totalStores <= EXACT_ORDER_MAX_STORES ?
+    enumerateBlockOrders(sequences, tourOf) :
+    localSearchBlockOrders(sequences, tourOf);
+
+  return improved.flatMap((seq, b) => seq.flatMap(store => storeBlocks[b].byStore[store]));
+}
+
+/**
+ * [NEW] Exact search: tries every permutation inside every block.
+ * @returns {Array<Array<string>>} Shortest block sequences (the input when nothing is shorter)
+ */
+function enumerateBlockOrders(sequences, tourOf) {
+  const permutations = items => {
+    if (items.length <= 1) return [items];
+    const result = [];
+    items.forEach((item, i) => {
+      const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+      permutations(rest).forEach(p => result.push([item, ...p]));
     });
-    
-    // Try to combine nearby stores within same cluster
-    Object.keys(byCluster).forEach(cluster => {
-      const clusterShipments = byCluster[cluster];
-      if (clusterShipments.length >= 2) {
-        // Simple greedy grouping
-        const grouped = [];
-        const used = new Set();
-        
-        for (let i = 0; i < clusterShipments.length; i++) {
-          if (used.has(i)) continue;
-          
-          const group = [clusterShipments[i]];
-          let groupPallets = clusterShipments[i].pallets;
-          const groupTemp = clusterShipments[i].category;
-          used.add(i);
-          
-          for (let j = i + 1; j < clusterShipments.length; j++) {
-            if (used.has(j)) continue;
-            
-            const store1 = clusterShipments[i].store;
-            const store2 = clusterShipments[j].store;
-            const distance = (distanceMatrix[store1] && distanceMatrix[store1][store2]) || 999;
-            
-            // If stores are within 25 miles, same temp category, and enough pallets combined
-            const tempMatch = !groupTemp || groupTemp === clusterShipments[j].category;
-            if (distance <= 25 && tempMatch && groupPallets + clusterShipments[j].pallets >= MIN_PALLETS_OVERSPILL_CLEANUP * 0.5) {
-              group.push(clusterShipments[j]);
-              groupPallets += clusterShipments[j].pallets;
-              used.add(j);
+    return result;
+  };
+
+  const options = sequences.map(permutations);
+  let best = sequences;
+  let bestMiles = tourOf(sequences);
+  const walk = (b, chosen) => {
+    if (b === options.length) {
+      const miles = tourOf(chosen);
+      if (miles < bestMiles - 1e-9) {
+        bestMiles = miles;
+        best = chosen;
+      }
+      return;
+    }
+    options[b].forEach(option => walk(b + 1, [...chosen, option]));
+  };
+  walk(0, []);
+  return best;
+}
+
+/**
+ * [NEW] Local search: 2-opt segment reversals and Or-opt moves of 1-3 stores,
+ * each confined to one block, repeated until no move shortens the tour.
+ * @returns {Array<Array<string>>} Improved block sequences
+ */
+function localSearchBlockOrders(sequences, tourOf) {
+  let current = sequences.map(seq => [...seq]);
+  let currentMiles = tourOf(current);
+
+  const tryCandidate = (b, candidateBlock) => {
+    const candidate = current.map((seq, i) => (i === b ? candidateBlock : seq));
+    const miles = tourOf(candidate);
+    if (miles < currentMiles - 1e-9) {
+      current = candidate;
+      currentMiles = miles;
+      return true;
+    }
+    return false;
+  };
+
+  for (let pass = 0; pass < LOCAL_SEARCH_MAX_PASSES; pass++) {
+    let improvedThisPass = false;
+
+    for (let b = 0; b < current.length; b++) {
+      // 2-opt: reverse seq[i..j]
+      for (let i = 0; i < current[b].length - 1; i++) {
+        for (let j = i + 1; j < current[b].length; j++) {
+          const seq = current[b];
+          const candidate = [...seq.slice(0, i), ...seq.slice(i, j + 1).reverse(), ...seq.slice(j + 1)];
+          if (tryCandidate(b, candidate)) improvedThisPass = true;
+        }
+      }
+
+      // Or-opt: move a segment of 1-3 stores to another position in the same block
+      for (let len = 1; len <= 3; len++) {
+        for (let i = 0; i + len <= current[b].length; i++) {
+          const seq = current[b];
+          const segment = seq.slice(i, i + len);
+          const rest = [...seq.slice(0, i), ...seq.slice(i + len)];
+          for (let k = 0; k <= rest.length; k++) {
+            if (k === i) continue;
+            const candidate = [...rest.slice(0, k), ...segment, ...rest.slice(k)];
+            if (tryCandidate(b, candidate)) {
+              improvedThisPass = true;
+              break;
             }
           }
-          
-          if (group.length >= 2 && groupPallets >= MIN_PALLETS_OVERSPILL_CLEANUP * 0.5) {
-            consolidatedRoutes.push({
-              stops: group,
-              totalPallets: groupPallets,
-              cluster: cluster,
-              reason: `Consolidated ${group.length} nearby overspill shipments in ${cluster}`
-            });
-            
-            // Remove from overspill list
-            group.forEach(s => {
-              const idx = overspillShipments.indexOf(s);
-              if (idx >= 0) overspillShipments.splice(idx, 1);
-            });
-          }
         }
       }
-    });
+    }
+
+    if (!improvedThisPass) break;
   }
-  
-  Logger.log(`Consolidated ${consolidatedRoutes.length} overspill routes (${consolidatedRoutes.reduce((sum, r) => sum + r.totalPallets, 0).toFixed(2)} pallets)`);
+  return current;
+}
 
-  // Filter out any consolidated routes that violate cluster intersection rules
-  if (context.clusterData) {
-    const before = consolidatedRoutes.length;
-    consolidatedRoutes = consolidatedRoutes.filter(r => {
-      const stores = [...new Set(r.stops.map(s => s.store))];
-      return areStoresValidTogether(stores, context.clusterData);
-    });
-    const removed = before - consolidatedRoutes.length;
-    if (removed > 0) Logger.log(`Removed ${removed} consolidated overspill routes for cluster incompatibility`);
+// --- HOURS OF SERVICE ---
+
+/** [NEW] FMCSA property-carrying limits, in minutes. */
+const HOS_RULES = {
+  DRIVING_LIMIT: 11 * 60, // driving per shift
+  WINDOW_LIMIT: 14 * 60, // elapsed time after coming on duty
+  BREAK_AFTER_DRIVING: 8 * 60, // cumulative driving before a 30-minute interruption is required
+  BREAK_DURATION: 30,
+  RESET_DURATION: 10 * 60, // off-duty reset that starts a new shift
+  SLEEPER_DURATION: 7 * 60, // longer half of the 7/3 sleeper-berth split
+  SLEEPER_COMPANION: 3 * 60 // shorter half, owed after the route returns
+};
+
+/**
+ * [NEW] Starts the HOS state for a route. Time is counted from the moment the driver comes on
+ * duty (loading at the depot). Team routes track both drivers; the one not driving is in the berth.
+ * @param {object} [hosOptions] - { teamDrivers, maxShifts, sleeperSplit }
+ */
+function createHosState(hosOptions) {
+  const opts = hosOptions || {};
+  const newDriver = () => ({ driving: 0, sinceBreak: 0, shiftStart: 0, offSince: 0 });
+  return {
+    teamDrivers: !!opts.teamDrivers,
+    maxShifts: Math.max(1, parseInt(opts.maxShifts, 10) || 1),
+    sleeperSplit: !!opts.sleeperSplit,
+    drivers: opts.teamDrivers ? [newDriver(), newDriver()] : [newDriver()],
+    active: 0,
+    elapsed: 0,
+    shifts: 1,
+    restTime: 0,
+    companionOwed: false,
+    events: [],
+    status: 'OK'
+  };
+}
+
+/**
+ * [NEW] Records on-duty, not-driving time (loading, waiting, unloading).
+ * An interruption of 30 minutes or more satisfies the 30-minute break rule.
+ */
+function hosAddNonDriving(state, minutes) {
+  if (minutes <= 0) return;
+  state.elapsed += minutes;
+  if (minutes >= HOS_RULES.BREAK_DURATION) state.drivers[state.active].sinceBreak = 0;
+}
+
+/** [NEW] Records a leg of driving for the driver at the wheel. */
+function hosAddDriving(state, minutes) {
+  const driver = state.drivers[state.active];
+  driver.driving += minutes;
+  driver.sinceBreak += minutes;
+  state.elapsed += minutes;
+}
+
+/**
+ * [NEW] Makes the route legal before a leg of legMinutes: swaps team drivers, inserts a 30-minute
+ * break, or takes an off-duty reset (a 7-hour sleeper period with the split) when shifts remain.
+ * If nothing helps, the state is marked with the limit that is exceeded and driving continues.
+ * @param {string} beforeLabel - Where the truck is headed (store number or 'depot')
+ * @param {number|null} clock - Minutes after midnight of the dispatch day, for event times
+ * @returns {number} Minutes added before the leg (breaks and resets)
+ */
+function hosBeforeLeg(state, legMinutes, beforeLabel, clock) {
+  let added = 0;
+  const record = (type, minutes) => {
+    state.events.push({ type: type, minutes: minutes, before: beforeLabel, at: clock === null ? null : clock + added });
+    state.elapsed += minutes;
+    added += minutes;
+  };
+  const fits = driver => ({
+    driving: driver.driving + legMinutes <= HOS_RULES.DRIVING_LIMIT,
+    window: (state.elapsed - driver.shiftStart) + legMinutes <= HOS_RULES.WINDOW_LIMIT,
+    // A leg longer than 8 hours straight after a break cannot be helped by another break
+    breakRule: driver.sinceBreak === 0 || driver.sinceBreak + legMinutes <= HOS_RULES.BREAK_AFTER_DRIVING
+  });
+  const markViolation = check => {
+    state.status = check.driving ? 'ON_DUTY_VIOLATION' : 'DRIVING_VIOLATION';
+  };
+
+  // Each pass resolves one problem; a break, a swap and a reset are the most any leg needs
+  for (let pass = 0; pass < 4; pass++) {
+    const driver = state.drivers[state.active];
+    const check = fits(driver);
+    if (check.driving && check.window && check.breakRule) return added;
+
+    if (state.teamDrivers) {
+      const otherIdx = 1 - state.active;
+      const other = state.drivers[otherIdx];
+      // Time in the berth while the co-driver drove counts as the other driver's break,
+      // and a long enough stretch there is that driver's reset
+      const berthTime = state.elapsed - other.offSince;
+      if (berthTime >= HOS_RULES.BREAK_DURATION) other.sinceBreak = 0;
+      if (berthTime >= (state.sleeperSplit ? HOS_RULES.SLEEPER_DURATION : HOS_RULES.RESET_DURATION)) {
+        other.driving = 0;
+        other.shiftStart = state.elapsed;
+      }
+      const otherCheck = fits(other);
+      if (otherCheck.driving && otherCheck.window && otherCheck.breakRule) {
+        driver.offSince = state.elapsed;
+        state.active = otherIdx;
+        record('SWAP', 0);
+        continue;
+      }
+    }
+
+    if (!check.breakRule && check.driving && (state.elapsed + HOS_RULES.BREAK_DURATION - driver.shiftStart) + legMinutes <= HOS_RULES.WINDOW_LIMIT) {
+      record('BREAK', HOS_RULES.BREAK_DURATION);
+      driver.sinceBreak = 0;
+      continue;
+    }
+
+    if (state.shifts < state.maxShifts) {
+      const useSplit = state.sleeperSplit && !state.companionOwed;
+      const restMinutes = useSplit ? HOS_RULES.SLEEPER_DURATION : HOS_RULES.RESET_DURATION;
+      record(useSplit ? 'SLEEPER' : 'RESET', restMinutes);
+      if (useSplit) state.companionOwed = true;
+      state.restTime += restMinutes;
+      state.shifts++;
+      state.drivers.forEach(d => {
+        d.driving = 0;
+        d.sinceBreak = 0;
+        d.shiftStart = state.elapsed;
+        d.offSince = state.elapsed;
+      });
+      continue;
+    }
+
+    markViolation(check);
+    return added;
   }
+  const finalCheck = fits(state.drivers[state.active]);
+  if (!(finalCheck.driving && finalCheck.window && finalCheck.breakRule)) markViolation(finalCheck);
+  return added;
+}
 
-  // NEW: Attempt to pair small single-store consolidated overspill into 2–4 stop routes within same cluster
-  try {
-    const MAX_PAIR_LEG_MILES = (context.MAX_DISTANCE_BETWEEN_STOPS || 35) + 5; // allow small slack
-    const capacity53 = 26;
-    // Filter for routes that serve only ONE unique store (regardless of stop count)
-    const singleStoreCons = consolidatedRoutes.filter(r => {
-      if (!r.stops || r.stops.length === 0) return false;
-      const uniqueStores = new Set(r.stops.map(s => s.store));
-      return uniqueStores.size === 1 && r.totalPallets <= capacity53 * 0.85; // Slightly higher threshold
-    });
+/**
+ * [NEW] Formats HOS events for the 'HOS Breaks' column, e.g.
+ * "30m break before 1467 @ 03:10 / 10h reset before depot @ 06:45".
+ */
+function formatHosEvents(events) {
+  const labels = {
+    BREAK: () => `${HOS_RULES.BREAK_DURATION}m break`,
+    RESET: () => `${HOS_RULES.RESET_DURATION / 60}h reset`,
+    SLEEPER: () => `${HOS_RULES.SLEEPER_DURATION / 60}h sleeper (+${HOS_RULES.SLEEPER_COMPANION / 60}h off after return)`,
+    SWAP: () => 'driver swap'
+  };
+  return (events || []).map(e => {
+    const at = e.at === null || e.at === undefined ? '' : ` @ ${formatClockTime(e.at)}`;
+    return `${labels[e.type] ? labels[e.type]() : e.type} before ${e.before}${at}`;
+  }).join(' / ');
+}
+
+/**
+ * [NEW] Calculates route metrics including Hours of Service (HOS) breaks.
+ * [UPDATED] HOS is modelled per FMCSA: a 30-minute break after 8 cumulative driving hours
+ * (an unload or wait of 30+ minutes counts), 11 driving hours and a 14-hour window per shift,
+ * and a 10-hour reset (or 7/3 sleeper split) when options.maxShifts allows a second shift.
+ * Team carriers swap drivers instead of stopping. hosEvents lists every break, swap and reset.
+ * [UPDATED] When options.startTime (the carrier slot) is given, also schedules every stop:
+ * the truck leaves the depot at the slot time, arrives after the leg (and any break), waits
+ * up to options.maxWaitMins for a store's delivery window to open, then unloads. Waiting
+ * counts as on-duty time. Stops that cannot be reached inside their window are listed in
+ * timeWindowViolations.
+ * @param {object} [options] - { startTime, restrictions, maxWaitMins, teamDrivers, maxShifts, sleeperSplit }
+ * @returns {object} Metrics including total duration with breaks, HOS status and the stop schedule.
+ */
+function calculateRouteMetricsWithHOS(orderedStops, warehouse, distanceMatrix, detailedDurations, options) {
+  let travelTime = 0, totalDistance = 0, stopTime = 0, currentLocation = warehouse;
+  const PALLETS_PER_FLS = 26;
+
+  // Calculate initial stop time at warehouse (loading)
+  orderedStops.forEach(s => {
+    const pDur = getStopDurations(detailedDurations, s);
+    if (pDur && pDur.loading) {
+      stopTime += (s.pallets / PALLETS_PER_FLS) * pDur.loading;
+    }
+  });
+
+  const hos = createHosState(options);
+  hosAddNonDriving(hos, stopTime);
+
+  // Stop scheduling: loading happens before the slot, so the clock starts at dispatch
+  const restrictions = (options && options.restrictions) || {};
+  const maxWaitMins = (options && options.maxWaitMins !== undefined) ? options.maxWaitMins : 0;
+  let clock = options ? parseTimeToMinutes(options.startTime) : null;
+  const stopSchedule = [];
+  const timeWindowViolations = [];
+  let totalWait = 0;
+
+  // Iterate through stops to calculate travel and on-site time
+  [...new Set(orderedStops.map(s => s.store))].forEach(store => {
+    const leg = (distanceMatrix[currentLocation] && distanceMatrix[currentLocation][store]);
+    let legMinutes = 0;
+    if (leg) {
+      legMinutes += hosBeforeLeg(hos, leg.duration, store, clock);
+      hosAddDriving(hos, leg.duration);
+      travelTime += leg.duration;
+      // Accumulate the leg distance for travel between stops (includes warehouse->first stop)
+      totalDistance += leg.distance;
+      legMinutes += leg.duration;
+    }
+
+    let arrival = null, wait = 0, window = null, inWindow = true;
+    if (clock !== null) {
+      clock += legMinutes;
+      arrival = clock;
+      window = parseDeliveryWindow(restrictions[store] ? restrictions[store].deliveryWindow : null);
+      if (window) {
+        const fit = fitArrivalToWindow(arrival, window, maxWaitMins);
+        wait = fit.wait;
+        inWindow = fit.inWindow;
+      }
+      if (!inWindow) timeWindowViolations.push(store);
+      clock += wait;
+      totalWait += wait;
+    }
     
-    const byClusterPair = {};
-    singleStoreCons.forEach(r => {
-      const store = r.stops[0].store; // Get the single store from this route
-      const clusterKey = r.cluster || 'Others';
-      if (!byClusterPair[clusterKey]) byClusterPair[clusterKey] = [];
-      byClusterPair[clusterKey].push({ store, pallets: r.totalPallets, route: r, idx: consolidatedRoutes.indexOf(r) });
+    let timeAtThisStop = 0;
+    orderedStops.forEach(s => {
+      if (s.store === store) {
+        const pDur = getStopDurations(detailedDurations, s);
+        if (pDur && pDur.unloading !== undefined) {
+          timeAtThisStop += (s.pallets / PALLETS_PER_FLS) * pDur.unloading;
+        } else {
+          timeAtThisStop += 15; // Default unload time
+        }
+      }
     });
+    stopTime += timeAtThisStop;
+    // Waiting and unloading are one continuous non-driving period
+    hosAddNonDriving(hos, wait + timeAtThisStop);
+    currentLocation = store;
+
+    if (clock !== null) {
+      clock += timeAtThisStop;
+      stopSchedule.push({
+        store: store,
+        arrival: Math.round(arrival),
+        departure: Math.round(clock),
+        wait: Math.round(wait),
+        window: window ? window.label : '',
+        inWindow: inWindow
+      });
+    }
+  });
+
+  // Calculate return leg
+  const returnLeg = (distanceMatrix[currentLocation] && distanceMatrix[currentLocation][warehouse]);
+  if (returnLeg) {
+    hosBeforeLeg(hos, returnLeg.duration, 'depot', clock);
+    hosAddDriving(hos, returnLeg.duration);
+    travelTime += returnLeg.duration;
+    totalDistance += returnLeg.distance;
+  }
+  const hosStatus = hos.status;
+
+  // Log computed metrics for debugging and validation
+  Logger.log(`calculateRouteMetricsWithHOS: stops=${orderedStops.length}, travelTime=${Math.round(travelTime)}, stopTime=${Math.round(stopTime)}, totalDuration=${Math.round(hos.elapsed)}, totalDistance=${Math.round(totalDistance)}, hosStatus=${hosStatus}, shifts=${hos.shifts}`);
+
+  return {
+    travelTime: Math.round(travelTime),
+    stopTime: Math.round(stopTime),
+    totalDuration: Math.round(hos.elapsed),
+    totalDistance: Math.round(totalDistance),
+    hosStatus: hosStatus,
+    hosEvents: hos.events,
+    shifts: hos.shifts,
+    restTime: hos.restTime,
+    stopSchedule: stopSchedule,
+    timeWindowViolations: timeWindowViolations,
+    totalWait: Math.round(totalWait)
+  };
+}
+
+
+// --- ROUTE OPTIMIZATION & REBALANCING FUNCTIONS ---
+
+function rebalanceRoutes(routes, context) {
+  const { OVERPLAN_FACTOR } = context;
+  let improved = true;
+  let iterations = 0;
+  const MAX_REBALANCE_ITERATIONS = 15; // Increased from 10 to 15 for more thorough optimization
+  
+  Logger.log(`Starting route rebalancing with ${routes.length} routes`);
+  
+  while (improved && iterations < MAX_REBALANCE_ITERATIONS) {
+    improved = false;
+    iterations++;
     
-    const pairedIndices = new Set(); // Track which routes were paired
-    Object.keys(byClusterPair).forEach(cluster => {
-      const list = byClusterPair[cluster];
-      const used = new Set();
-      for (let i = 0; i < list.length; i++) {
-        if (used.has(i)) continue;
-        const a = list[i];
-        const group = [a];
-        let totalPallets = a.pallets;
-        used.add(i);
+    // First pass: Try to consolidate routes by moving all shipments from one route to another
+    for (let i = routes.length - 1; i >= 0; i--) {
+      if (routes[i].stops.length === 0) continue;
+      
+      for (let j = 0; j < routes.length; j++) {
+        if (i === j) continue;
+        
+        const sourceRoute = routes[i];
+        const targetRoute = routes[j];
+        
+        // Skip if routes are from different carriers or time slots
+        if (sourceRoute.carrier.name !== targetRoute.carrier.name || sourceRoute.time !== targetRoute.time) continue;
+        // NEW: Approved/communicated/locked routes are never merged
+        if (isRouteLocked(sourceRoute) || isRouteLocked(targetRoute)) continue;
+        
+        // Try to move all shipments from source to target
+        let canMoveAll = true;
+        const tempStops = [...targetRoute.stops];
+        const tempPallets = targetRoute.totalPallets;
         
-        // Greedily pair with nearby stores within capacity
-        for (let j = i + 1; j < list.length; j++) {
-          if (used.has(j)) continue;
-          const b = list[j];
-          const d = (context.distanceMatrix[a.store] && context.distanceMatrix[a.store][b.store] && context.distanceMatrix[a.store][b.store].distance) || 999;
-          if (d <= MAX_PAIR_LEG_MILES && totalPallets + b.pallets <= capacity53) {
-            group.push(b);
-            totalPallets += b.pallets;
-            used.add(j);
+        for (const stop of sourceRoute.stops) {
+          const testRoute = {
+            ...targetRoute,
+            stops: tempStops,
+            totalPallets: tempPallets + stop.pallets
+          };
+          
+          if (checkAndScoreInsertion(stop, testRoute, context, () => {}, 0) === null) {
+            canMoveAll = false;
+            break;
           }
+          tempStops.push(stop);
         }
         
-        // If we have a pair or larger group, combine them
-        if (group.length >= 2) {
-          const combinedStops = [];
-          group.forEach(item => combinedStops.push(...item.route.stops));
-          const reason = `Paired overspill: ${group.map(g => g.store).join(' + ')} (${group.length} stores, ${totalPallets.toFixed(2)} pallets)`;
-          consolidatedRoutes.push({
-            stops: combinedStops,
-            totalPallets: totalPallets,
-            cluster: cluster,
-            reason: reason
-          });
-          // Mark originals for removal
-          group.forEach(item => pairedIndices.add(item.idx));
+        if (canMoveAll && isRouteValid({...targetRoute, stops: tempStops, totalPallets: tempPallets + sourceRoute.totalPallets}, context)) {
+          // Consolidate: move all stops from source to target
+          targetRoute.stops.push(...sourceRoute.stops);
+          targetRoute.totalPallets += sourceRoute.totalPallets;
+          routes.splice(i, 1); // Remove empty source route
+          improved = true;
+          Logger.log(`Consolidated route ${sourceRoute.routeId} into ${targetRoute.routeId}`);
+          break;
         }
       }
-    });
+    }
     
-    // Remove original single-store consolidated routes that were paired
-    for (let i = consolidatedRoutes.length - 1; i >= 0; i--) {
-      if (pairedIndices.has(i)) {
-        consolidatedRoutes.splice(i, 1);
+    // Second pass: Try to swap shipments between routes to improve utilization
+    for (let i = 0; i < routes.length; i++) {
+      for (let j = i + 1; j < routes.length; j++) {
+        const route1 = routes[i];
+        const route2 = routes[j];
+        
+        // Skip if routes are from different carriers or time slots
+        if (route1.carrier.name !== route2.carrier.name || route1.time !== route2.time) continue;
+        if (isRouteLocked(route1) || isRouteLocked(route2)) continue;
+        
+        // Try swapping each shipment from route1 with each from route2
+        for (let si = 0; si < route1.stops.length; si++) {
+          for (let sj = 0; sj < route2.stops.length; sj++) {
+            const stop1 = route1.stops[si];
+            const stop2 = route2.stops[sj];
+            
+            // Calculate current metrics
+            const currentScore = calculateRouteScore(route1, context) + calculateRouteScore(route2, context);
+            
+            // Try swap
+            route1.stops[si] = stop2;
+            route2.stops[sj] = stop1;
+            
+            // Update pallet counts
+            const newRoute1Pallets = route1.stops.reduce((sum, s) => sum + s.pallets, 0);
+            const newRoute2Pallets = route2.stops.reduce((sum, s) => sum + s.pallets, 0);
+            const oldRoute1Pallets = route1.totalPallets;
+            const oldRoute2Pallets = route2.totalPallets;
+            
+            route1.totalPallets = newRoute1Pallets;
+            route2.totalPallets = newRoute2Pallets;
+            
+            // Calculate new metrics
+            const newScore = calculateRouteScore(route1, context) + calculateRouteScore(route2, context);
+            
+            if (newScore < currentScore && isRouteValid(route1, context) && isRouteValid(route2, context)) {
+              // Keep the swap
+              improved = true;
+            } else {
+              // Revert the swap
+              route1.stops[si] = stop1;
+              route2.stops[sj] = stop2;
+              route1.totalPallets = oldRoute1Pallets;
+              route2.totalPallets = oldRoute2Pallets;
+            }
+          }
+        }
       }
     }
-    Logger.log(`Paired ${pairedIndices.size} single-store consolidations into multi-stop routes`);
-  } catch (e) {
-    Logger.log('Pairing overspill error: ' + e);
   }
-  return consolidatedRoutes;
+  
+  Logger.log(`Rebalancing complete after ${iterations} iterations. Final route count: ${routes.length}`);
 }
 
-function planRemainingShipments(shipments, context, planSheet) {
-  const unplannableTime = shipments.filter(s => s.failureReason === 'Time Constraint');
-  const unplannableOther = shipments.filter(s => s.failureReason && s.failureReason !== 'Time Constraint');
-  let overspillShipments = shipments.filter(s => !s.failureReason);
+function calculateRouteScore(route, context) {
+  const metrics = calculateRouteMetricsWithHOS(route.stops, context.warehouse, context.distanceMatrix, context.detailedDurations);
+  const trailerSize = getUsableTrailerSize(route.carrier, getRequiredTrailerSize(route, context.restrictions));
+  const capacity = getTrailerCapacity(route.carrier, trailerSize);
   
-  // NEW: Try to consolidate overspill first
-  let consolidatedRoutes = consolidateOverspillShipments(overspillShipments, context);
+  // Calculate actual costs
+  const distanceCost = metrics.totalDistance * (route.carrier.costPerMile || 0);
+  const routeCost = route.carrier.costPerRoute || 0;
+  const totalCost = distanceCost + routeCost;
   
-  // NEW: Attempt to promote valid consolidated overspill to main routes
-  const promotedRoutes = promoteValidConsolidatedOverspill(consolidatedRoutes, context);
+  // Penalize under-utilization more aggressively
+  const utilization = route.totalPallets / capacity;
+  // Much stronger penalty for under-utilization to push towards fuller trucks
+  const utilizationPenalty = Math.pow(1 - utilization, 2) * 3500; // Slightly relaxed to allow smaller runs
+  
+  // Add penalty for high mileage routes to keep them under target
+  const MAX_ROUTE_MILEAGE = context.MAX_ROUTE_MILEAGE || 425;
+  const MILEAGE_TARGET = MAX_ROUTE_MILEAGE * 0.85; // Target 85% of max (361 miles for 425 max)
+  let mileagePenalty = 0;
+  if (metrics.totalDistance > MILEAGE_TARGET) {
+    // Exponential penalty for routes exceeding target mileage
+    const overage = metrics.totalDistance - MILEAGE_TARGET;
+    mileagePenalty = Math.pow(overage / 10, 2) * 100; // Scaled penalty
+  }
+  
+  // Optional: add penalty for cluster mixing (if route.stops have >1 cluster)
+  let clusterPenalty = 0;
+  if (route.stops && route.stops.length > 1) {
+    const clusters = new Set(route.stops.map(s => s.cluster || ''));
+    if (clusters.size > 1) clusterPenalty = 800; // Increased from 500 to 800
+  }
 
-  // Assign real carriers to promoted routes
-  const carriers = getCarriers();
-  promotedRoutes.forEach((route, idx) => {
-    // Pick the cheapest available carrier/time for this route based on mileage
-    let bestCarrier = null;
-    let bestTime = null;
-    let bestCost = Infinity;
-    const metrics = calculateRouteMetricsWithHOS(route.stops, context.warehouse, context.distanceMatrix, context.detailedDurations);
-    carriers.forEach(carrier => {
-      carrier.timeSlots.forEach(slot => {
-        if (slot.used >= slot.capacity) return;
-        const cost = (metrics.totalDistance * (carrier.costPerMile || 0)) + (carrier.costPerRoute || 0);
-        if (cost < bestCost) {
-          bestCost = cost;
-          bestCarrier = carrier;
-          bestTime = slot.time;
-        }
-      });
-    });
-    const assigned = bestCarrier ? { carrier: bestCarrier, time: bestTime } : { carrier: { name: 'Promoted Consolidation', pallets53: 26, pallets48: 22, pallets36: 18, costPerMile: 0, costPerRoute: 0 }, time: '23:00' };
-    writeRouteToSheet({
-      carrier: assigned.carrier,
-      time: assigned.time,
-      stops: route.stops,
-      totalPallets: route.totalPallets,
-      cluster: route.cluster,
-      notes: 'Validated consolidated overspill promoted to main route'
-    }, planSheet, context);
-  });
+  // NEW: Bonus for store groupings dispatchers make, penalty for ones they avoid
+  let affinityAdjustment = 0;
+  if (context.storeAffinity && context.AFFINITY_WEIGHT) {
+    const routeAffinity = getRouteAffinity(route.stops.map(s => s.store), context.storeAffinity);
+    if (routeAffinity.knownPairs > 0) affinityAdjustment = -routeAffinity.affinity * context.AFFINITY_WEIGHT;
+  }
   
-  // Write remaining consolidated routes as overspill
-  consolidatedRoutes.forEach((consolidation, idx) => {
-    writeRouteToSheet({
-      carrier: { 
-        name: 'Consolidated Overspill', 
-        pallets53: 26, 
-        pallets48: 22, 
-        pallets36: 18, 
-        costPerMile: 0, 
-        costPerRoute: 0 
-      },
-      routeId: `ConsolidatedOvsp_${idx + 1}`,
-      time: '23:00',
-      stops: consolidation.stops,
-      totalPallets: consolidation.totalPallets,
-      cluster: consolidation.cluster,
-      notes: consolidation.reason
-    }, planSheet, context);
-  });
+  return totalCost + utilizationPenalty + mileagePenalty + clusterPenalty + affinityAdjustment;
+}
 
+function isRouteValid(route, context) {
+  const { MAX_ROUTE_MILEAGE, MAX_STOPS_GENERAL, OVERPLAN_FACTOR } = context;
+  
+  // Check basic constraints
+  const uniqueStores = [...new Set(route.stops.map(s => s.store))];
+  if (uniqueStores.length > MAX_STOPS_GENERAL) return false;
 
-  if (unplannableTime.length > 0) {
-    writeRouteToSheet({ 
-      carrier: { 
-        name: 'Unplannable (Time)', 
-        costPerMile: 0, 
-        costPerRoute: 0, 
-        costNotToUse: 0 
-      }, 
-      routeId: 'Time_1', 
-      stops: unplannableTime, 
-      totalPallets: unplannableTime.reduce((s, p) => s + p.pallets, 0), 
-      cluster: 'Manual Review', 
-      notes: 'Failed due to delivery window constraints.' 
-    }, planSheet, context);
-  }
-  if (unplannableOther.length > 0) {
-    writeRouteToSheet({ 
-      carrier: { 
-        name: 'Unplannable (Other)', 
-        costPerMile: 0, 
-        costPerRoute: 0, 
-        costNotToUse: 0 
-      }, 
-      routeId: 'Other_1', 
-      stops: unplannableOther, 
-      totalPallets: unplannableOther.reduce((s, p) => s + p.pallets, 0), 
-      cluster: 'Manual Review', 
-      notes: 'Failed planning after max attempts or no viable carrier.' 
-    }, planSheet, context);
+  // Enforce cluster intersection: all stores must share at least one allowed cluster
+  if (context.clusterData && !areStoresValidTogether(uniqueStores, context.clusterData)) return false;
+
+  // Region-aware stop cap: NYC-specific clusters limited to 2 stops; others allow up to 4
+  if (context.addressData) {
+    const regions = uniqueStores.map(s => getStoreRegion(s, context.addressData));
+    const allNYC = regions.length > 0 && regions.every(isNycRegion);
+    if (allNYC && uniqueStores.length > 2) return false;
   }
+  // Build per-store counts for temperature compatibility checks
+  const perStoreCounts = {};
+  route.stops.forEach(s => {
+    if (!perStoreCounts[s.store]) perStoreCounts[s.store] = {};
+    perStoreCounts[s.store][s.category] = (perStoreCounts[s.store][s.category] || 0) + (s.pallets || 0);
+  });
+  const trailerSize = getUsableTrailerSize(route.carrier, getRequiredTrailerSize(route, context.restrictions));
+  if (!trailerSize) return false;
+  if (!isTempCompatible(new Set(route.stops.map(s => s.category)), { allowAllAll: context.ALLOW_ALL_ALL || false, smallAmbientThreshold: context.SMALL_AMBIENT_THRESHOLD || 4, compartments: getTrailerCompartmentCount(route.carrier, trailerSize, context), details: { perStoreCounts } })) return false;
+  
+  // Check trailer capacity
+  const capacity = getTrailerCapacity(route.carrier, trailerSize);
+  if (route.totalPallets > capacity * OVERPLAN_FACTOR) return false;
+  if (buildTrailerLoad(route.stops, getTrailerType(route.carrier, trailerSize, context), capacity, context).errors.length > 0) return false; // NEW - compartments
   
-  if (overspillShipments.length === 0) return;
+  // Check route metrics
+  const metrics = calculateRouteMetricsWithHOS(route.stops, context.warehouse, context.distanceMatrix, context.detailedDurations, getRouteScheduleOptions(route, context));
+  if (metrics.totalDistance > MAX_ROUTE_MILEAGE || metrics.hosStatus !== 'OK') return false;
+  
+  return true;
+}
+
+function utilizePullForwardRequests(remainingShipments, carriers, context, existingRoutes) {
+  const { MIN_PALLETS_PER_ROUTE, RELAX_MIN_FACTOR = 0.8 } = context;
+  let unassigned = [...remainingShipments];
+  let routesCreated = [];
+  // Require higher fill for pull-forward routes to minimize unplanned trucks
+  const relaxedMinimum = Math.max(15, Math.ceil(MIN_PALLETS_PER_ROUTE * RELAX_MIN_FACTOR)); // Increased from 10
+
+  // Find unused carrier slots
+  carriers.forEach(carrier => {
+    carrier.timeSlots.forEach(timeSlot => {
+      if (timeSlot.used < timeSlot.capacity) {
+        const unusedSlots = timeSlot.capacity - timeSlot.used;
+        
+        for (let i = 0; i < unusedSlots; i++) {
+          // Try to create a route with remaining shipments
+          let potentialStops = [];
+          let totalPallets = 0;
+          let j = 0;
+          
+          const extracted = [];
+          while (j < unassigned.length && totalPallets < MIN_PALLETS_PER_ROUTE) {
+            const shipment = unassigned[j];
+            const tempRoute = {
+              carrier,
+              time: timeSlot.time,
+              stops: [...potentialStops, shipment],
+              totalPallets: totalPallets + shipment.pallets
+            };
 
-  let overspillRoutes = [];
-  overspillShipments.sort((a,b) => b.pallets - a.pallets);
+            if (checkAndScoreInsertion(shipment, tempRoute, context, () => {}, 0) !== null) {
+              potentialStops.push(shipment);
+              totalPallets += shipment.pallets;
+              shipment.insertionFailures = 0;
+              extracted.push(unassigned.splice(j, 1)[0]);
+            } else {
+              shipment.insertionFailures = (shipment.insertionFailures || 0) + 1;
+              j++;
+            }
+          }
 
-  // Use relaxed minimum for overspill
-  const MIN_PALLETS_OVERSPILL = context.MIN_PALLETS_OVERSPILL_CLEANUP || 8;
+          if (totalPallets >= relaxedMinimum) {
+            const route = {
+              carrier,
+              time: timeSlot.time,
+              stops: potentialStops,
+              totalPallets,
+              routeId: `${carrier.name.replace(/\s+/g, '')}_PF_${routesCreated.length + 1}`,
+              cluster: potentialStops[0].cluster,
+              notes: 'Pull Forward Request'
+            };
 
-  overspillShipments.forEach(shipment => {
-    let added = false;
-    for (const route of overspillRoutes) {
-      if (checkAndScoreInsertion(shipment, route, context, ()=>{}, 999) !== null) {
-        route.stops.push(shipment);
-        route.totalPallets += shipment.pallets;
-        added = true;
-        break;
+            routesCreated.push(route);
+            timeSlot.used++;
+            holdFleetEquipment(route, context);
+          } else if (extracted.length > 0) {
+            unassigned.push(...extracted);
+          }
+        }
       }
-    }
-    if (!added) {
-      overspillRoutes.push({
-        carrier: { name: 'Overspill', pallets53: 26, pallets48: 22, pallets36: 18, costPerMile: 0, costPerRoute: 0 },
-        time: '23:00',
-        stops: [shipment],
-        totalPallets: shipment.pallets,
-        cluster: shipment.cluster || 'Overspill'
-      });
-    }
-  });
-  
-  // Filter out routes below minimum
-  overspillRoutes = overspillRoutes.filter(r => r.totalPallets >= MIN_PALLETS_OVERSPILL);
-  
-  overspillRoutes.forEach((route, i) => {
-    route.routeId = `Overspill_${i + 1}`;
-    writeRouteToSheet(route, planSheet, context);
+    });
   });
+
+  // Add new routes to existing routes array
+  existingRoutes.push(...routesCreated);
   
-  // Log overspill that's still too small
-  const tooSmall = overspillShipments.filter(s => {
-    const inRoute = overspillRoutes.some(r => r.stops.includes(s));
-    return !inRoute;
-  });
-  if (tooSmall.length > 0) {
-    Logger.log(`Warning: ${tooSmall.length} shipments below ${MIN_PALLETS_OVERSPILL} pallets remain unrouted`);
-  }
+  return { remainingShipments: unassigned };
 }
 
-function writeRouteToSheet(route, planSheet, context) {
-  if (!route.stops || route.stops.length === 0) return;
+// --- DIAGNOSTIC & UTILITY HELPER FUNCTIONS ---
 
-  const { warehouse, distanceMatrix, detailedDurations, restrictions, addressData, tollMatrix, MAX_ROUTE_MILEAGE } = context;
-  let optimizedStops = advancedOptimizeStopOrder(route.stops, warehouse, distanceMatrix);
-  // NEW: Apply cold-safe ordering if needed to avoid warnings when mileage impact is acceptable
-  if (!validateColdChainCompliance(optimizedStops, context)) {
-    const coldSafe = enforceColdSafeOrdering(optimizedStops);
-    const coldSafeMetrics = calculateRouteMetricsWithHOS(coldSafe, warehouse, distanceMatrix, detailedDurations);
-    const originalMetrics = calculateRouteMetricsWithHOS(optimizedStops, warehouse, distanceMatrix, detailedDurations);
-    const withinCap = coldSafeMetrics.totalDistance <= MAX_ROUTE_MILEAGE;
-    const modestIncrease = coldSafeMetrics.totalDistance <= originalMetrics.totalDistance * 1.12; // allow up to 12% mileage growth to clear cold-chain issues
-    if (withinCap && modestIncrease) {
-      optimizedStops = coldSafe;
-    }
-  }
-  
-  // Validate cold chain compliance
-  const coldChainCompliant = validateColdChainCompliance(optimizedStops, context);
-  const zoneAllocation = allocateTemperatureZones(optimizedStops);
-  
-  const metrics = calculateRouteMetricsWithHOS(optimizedStops, warehouse, distanceMatrix, detailedDurations);
-  const trailerSize = getRequiredTrailerSize(route, restrictions);
-  
-  // Log warning for routes approaching or exceeding mileage limits
-  if (metrics.totalDistance > MAX_ROUTE_MILEAGE * 0.85) {
-    const stores = [...new Set(optimizedStops.map(s => s.store))].join(' -> ');
-    Logger.log(`WARNING: Route ${route.routeId} has ${metrics.totalDistance} miles (${(metrics.totalDistance/MAX_ROUTE_MILEAGE*100).toFixed(1)}% of max). Stores: ${stores}`);
+/**
+ * [NEW] Generates a Google Maps URL for a given route.
+ * @returns {string} A clickable URL to visualize the route.
+ */
+function generateMapLink(orderedStops, warehouse, addressData) {
+  if (!orderedStops || orderedStops.length === 0 || !addressData) return "N/A";
+
+  const getAddressString = (storeId) => {
+    const adr = addressData[storeId];
+    if (!adr) return null;
+    return encodeURIComponent(`${adr.street}, ${adr.city}, ${adr.zip}`);
+  };
+
+  const origin = getAddressString(warehouse);
+  const destination = getAddressString(warehouse); // Route returns to origin
+  const waypoints = [...new Set(orderedStops.map(s => s.store))]
+    .map(getAddressString)
+    .filter(Boolean) // Remove any nulls if address not found
+    .join('|');
+
+  if (!origin) return "N/A";
+
+  return `https://www.google.com/maps/dir/?api=1&origin=${origin}&destination=${destination}&waypoints=${waypoints}`;
+}
+
+function diagnoseUnusedCarrier(carrier, shipments, context) {
+  if (!carrier.timeSlots || carrier.timeSlots.length === 0) {
+    return "FAIL: No time slots defined in 'Carriers_2' sheet.";
   }
-  
-  // CRITICAL: Reject routes that exceed mileage cap
-  if (metrics.totalDistance > MAX_ROUTE_MILEAGE) {
-    Logger.log(`ERROR: Route ${route.routeId} REJECTED for exceeding mileage cap: ${metrics.totalDistance} > ${MAX_ROUTE_MILEAGE}`);
-    return; // Do not write this route - it violates constraints
+
+  if (!shipments || shipments.length === 0) {
+    return "FAIL: No shipments to evaluate";
   }
+
+  const unusedCost = carrier.costNotToUse || 0;
   
-  // Log cold chain warning if not compliant
-  if (!coldChainCompliant) {
-    Logger.log(`WARNING: Route ${route.routeId} may have cold chain issues. Review unload sequence.`);
+  // Filter out invalid shipments
+  const validShipments = shipments.filter(s => s && s.store && s.pallets);
+  if (validShipments.length === 0) {
+    return "FAIL: No valid shipments to evaluate";
   }
   
-  let capacity = 0;
-  if (route.carrier.name.includes('Unplannable') || route.carrier.name.includes('Overspill')) {
-      capacity = 999;
-  } else {
-      switch (trailerSize) {
-          case '36': capacity = route.carrier.pallets36; break;
-          case '48': capacity = route.carrier.pallets48; break;
-          case '53': capacity = route.carrier.pallets53; break;
+  for (const shipment of validShipments) {
+    for (const timeSlot of carrier.timeSlots) {
+      const tempRoute = { carrier, time: timeSlot.time };
+      const failureReason = getInitialRouteFailureReason(shipment, tempRoute, context);
+      if (failureReason === null) {
+        return `NOTE: Carrier is valid but was not selected as the optimal choice. Cost not to use: $${unusedCost.toFixed(2)}`;
       }
-  }
-  const utilization = capacity > 0 && capacity < 999 ? `${(route.totalPallets / capacity * 100).toFixed(1)}%` : 'N/A';
-  
-  // Calculate cost including tolls
-  let cost = (metrics.totalDistance * (route.carrier.costPerMile || 0)) + (route.carrier.costPerRoute || 0);
-  if (tollMatrix) {
-    const tollCost = calculateRouteTollCost(optimizedStops, warehouse, tollMatrix);
-    cost += tollCost;
-    if (tollCost > 0) {
-      Logger.log(`Route ${route.routeId} toll cost: $${tollCost.toFixed(2)}`);
     }
   }
-  
-  const mapLink = generateMapLink(optimizedStops, warehouse, addressData);
 
-  // Enhanced notes with cold chain and zone info
-  let notes = route.notes || '';
-  if (!coldChainCompliant) notes += ' [COLD CHAIN WARNING]';
-  notes += ` [${zoneAllocation.info}]`;
-
-  planSheet.appendRow([
-    route.carrier.name, route.routeId, route.cluster,
-    [...new Set(optimizedStops.map(s => s.store))].length, formatStopSequence(optimizedStops),
-    formatDetailedRoute(optimizedStops, warehouse, distanceMatrix), metrics.totalDistance,
-    checkRouteForRestrictions(optimizedStops, restrictions), `${trailerSize}'`,
-    zoneAllocation.frontZone.length > 0 && zoneAllocation.rearZone.length > 0 ? 'Dual Temp' : 'Single Temp',
-    route.totalPallets.toFixed(2), utilization,
-    metrics.travelTime, metrics.stopTime, metrics.totalDuration,
-    metrics.hosStatus,
-    cost > 0 ? cost.toFixed(2) : 'N/A',
-    metrics.totalDistance > MAX_ROUTE_MILEAGE ? 'OVER' : 'OK',
-    notes,
-    mapLink
-  ]);
+  const firstShipment = validShipments[0];
+  const firstTimeSlot = carrier.timeSlots[0];
+  const representativeReason = getInitialRouteFailureReason(firstShipment, { carrier, time: firstTimeSlot.time }, context);
   
-  // NEW: Highlight any route containing Freezer in light blue
-  const isFreezerPresent = optimizedStops.some(s => s.category === 'Freezer');
-  if (isFreezerPresent) {
-    const lastRow = planSheet.getLastRow();
-    planSheet.getRange(lastRow, 1, 1, 20).setBackground('#ADD8E6'); // Light blue
-    Logger.log(`Route ${route.routeId} contains Freezer - highlighted in light blue`);
-  }
+  return `FAIL: Rejected for all shipments. Example Reason: ${representativeReason}. Cost not to use: $${unusedCost.toFixed(2)}`;
 }
 
-// --- ROUTE OPTIMIZATION & METRIC CALCULATION ---
+function getInitialRouteFailureReason(shipment, route, context) {
+    const { restrictions, distanceMatrix, warehouse, MAX_ROUTE_MILEAGE } = context;
 
-function getRequiredTrailerSize(route, restrictions) {
-  let requires36 = false;
-  let requires48 = false;
-  
-  const uniqueStores = [...new Set(route.stops.map(s => s.store))];
-  
-  uniqueStores.forEach(store => {
-    const res = restrictions[store];
-    if (res) {
-      const routeTimeMins = parseTimeToMinutes(route.time) || 0;
-      const isNight = routeTimeMins >= 1140 || routeTimeMins < 360; 
-      const equipment = isNight ? res.equipmentNight : res.equipmentDay;
-      
-      if (equipment) {
-        if (equipment.includes("36")) requires36 = true;
-        if (equipment.includes("48")) requires48 = true;
-      }
+    if (!shipment || !shipment.store) {
+        return "Invalid shipment data";
     }
-  });
-
-  if (requires36) return '36';
-  if (requires48) return '48';
-  return '53';
-}
-
-function getLegDistanceDetails(stops, distanceMatrix) {
-  if (!stops || !distanceMatrix || stops.length === 0) {
-    return { legDistances: [], hasMissingData: false };
-  }
-
-  const uniqueStores = [...new Set(stops.map(s => s.store))];
-  if (uniqueStores.length < 2) {
-    return { legDistances: [], hasMissingData: false };
-  }
-
-  const legDistances = [];
-  for (let i = 1; i < uniqueStores.length; i++) {
-    const from = uniqueStores[i - 1];
-    const to = uniqueStores[i];
-    if (!from || !to) continue;
-
-    const forwardLeg = distanceMatrix[from] && distanceMatrix[from][to];
-    const reverseLeg = distanceMatrix[to] && distanceMatrix[to][from];
-    const leg = forwardLeg || reverseLeg;
 
-    if (!leg) {
-      Logger.log(`Warning: Missing distance data between ${from} and ${to}`);
-      return { legDistances: [], hasMissingData: true };
+    if (!distanceMatrix || !distanceMatrix[warehouse]) {
+        return "Missing distance matrix data";
     }
 
-    legDistances.push(leg.distance);
-  }
-
-  return { legDistances, hasMissingData: false };
-}
+    if (!distanceMatrix[warehouse][shipment.store]) {
+        return `Missing distance data from warehouse to store ${shipment.store}.`;
+    }
 
-function calculateDistancePenalty(legDistances, preferredThreshold) {
-  if (!legDistances || legDistances.length === 0) return 0;
-  const threshold = preferredThreshold || 0;
-  return legDistances.reduce((penalty, distance) => {
-    if (distance <= threshold) return penalty;
-    const overage = distance - threshold;
-    return penalty + (overage * overage);
-  }, 0);
-}
+    const metrics = calculateRouteMetricsWithHOS([shipment], warehouse, distanceMatrix, context.detailedDurations, getRouteScheduleOptions(route, context));
+    if (metrics.timeWindowViolations.length > 0) {
+        const stop = metrics.stopSchedule[0];
+        return `ETA ${formatClockTime(stop.arrival)} from the ${route.time} slot is outside store ${shipment.store}'s window (${stop.window}), even after waiting up to ${context.MAX_WAIT_MINS || 0} min.`;
+    }
+    
+    const requiredSize = getRequiredTrailerSize({ stops: [shipment] }, restrictions);
+    const capacity = getTrailerCapacity(route.carrier, getUsableTrailerSize(route.carrier, requiredSize));
+    if (!capacity || shipment.pallets > capacity) {
+        return `Shipment of ${shipment.pallets} pallets exceeds trailer capacity of ${capacity}.`;
+    }
 
-function formatDetailedRoute(orderedStops, warehouse, distanceMatrix) {
-  if (!orderedStops || orderedStops.length === 0) return "";
-  const uniqueStores = [...new Set(orderedStops.map(s => s.store))];
-  let routeStr = "", lastLocation = warehouse;
-  uniqueStores.forEach(store => {
-    const dist = (distanceMatrix[lastLocation] && distanceMatrix[lastLocation][store]) ? distanceMatrix[lastLocation][store].distance : 0;
-    routeStr += routeStr ? ` (${dist} mi) -> ${store}` : `${store}`;
-    lastLocation = store;
-  });
-  return routeStr;
-}
+    if (metrics.hosStatus !== 'OK') {
+        return `Single-stop route to ${shipment.store} violates HOS rules (${metrics.hosStatus}).`;
+    }
+    if (metrics.totalDistance > MAX_ROUTE_MILEAGE) {
+        return `Single-stop route to ${shipment.store} exceeds max mileage (${metrics.totalDistance} > ${MAX_ROUTE_MILEAGE}).`;
+    }
 
-function checkRouteForRestrictions(stops, restrictions) {
-  return stops.some(s => {
-    const res = restrictions[s.store];
-    return res && ((res.noise && res.noise !== 'N/A') || (res.equipmentNight && res.equipmentNight !== 'N/A') || (res.equipmentDay && res.equipmentDay !== 'N/A') || (res.deliveryWindow && res.deliveryWindow.trim() !== '' && res.deliveryWindow !== 'N/A'));
-  }) ? "Yes" : "No";
+    return null;
 }
 
-function advancedOptimizeStopOrder(stops, warehouse, distanceMatrix) {
-  if (stops.length <= 1) return stops;
+// --- [UPDATED] DASHBOARD & ANALYTICS FUNCTION ---
 
-  // Use cold chain aware optimization if mixed temperatures
-  const hasCold = stops.some(s => s.category === 'Chiller' || s.category === 'Freezer');
-  const hasAmbient = stops.some(s => s.category === 'Ambient' || s.category === 'Produce');
-  
-  if (hasCold && hasAmbient) {
-    return coldChainOptimizeStopOrder(stops, warehouse, distanceMatrix);
-  }
+function updateDashboard() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const planSheet = ss.getSheetByName('Generated Plan');
+  if (!planSheet) return;
 
-  // Standard optimization for single-temp routes
-  const stopsData = {};
-  stops.forEach(s => {
-    if (!stopsData[s.store]) stopsData[s.store] = { shipments: [], categories: new Set() };
-    stopsData[s.store].shipments.push(s);
-    stopsData[s.store].categories.add(s.category);
-  });
+  const planData = planSheet.getDataRange().getValues();
+  if (planData.length <= 1) return;
 
-  const ambientOnly = [], withCold = [];
-  for (const store in stopsData) {
-    if (stopsData[store].categories.has('Chiller') || stopsData[store].categories.has('Freezer')) withCold.push(store);
-    else ambientOnly.push(store);
+  let dashboardSheet = ss.getSheetByName('Dashboard');
+  if (dashboardSheet) {
+    dashboardSheet.clear();
+    dashboardSheet.getCharts().forEach(chart => dashboardSheet.removeChart(chart));
+  } else {
+    dashboardSheet = ss.insertSheet('Dashboard');
   }
 
-  let finalOrder = [], lastLocation = warehouse;
-  if (ambientOnly.length > 0) {
-    const orderedAmbient = runNearestNeighbor(ambientOnly, warehouse, distanceMatrix);
-    finalOrder.push(...orderedAmbient);
-    if (orderedAmbient.length > 0) lastLocation = orderedAmbient[orderedAmbient.length - 1];
-  }
-  if (withCold.length > 0) {
-    finalOrder.push(...runNearestNeighbor(withCold, lastLocation, distanceMatrix));
-  }
+  const headers = planData[0];
+  const dataRows = planData.slice(1);
 
-  return finalOrder.flatMap(store => stopsData[store].shipments);
-}
+  const carrierIdx = headers.indexOf('Carrier');
+  const palletsIdx = headers.indexOf('Total Pallets');
+  const utilizationIdx = headers.indexOf('Truck Utilization');
+  const clusterIdx = headers.indexOf('Cluster');
+  const mileageIdx = headers.indexOf('Total Route Mileage');
+  const durationIdx = headers.indexOf('Total Duration (min)');
+  const stopSeqIdx = headers.indexOf('Stop Sequence');
+  const costIdx = headers.indexOf('Estimated Cost');
+  const notesIdx = headers.indexOf('Notes');
+  const routeIdIdx = headers.indexOf('Route ID');
+  const stopsByRoute = readPlanData() || new Map(); // NEW - per-stop categories, pallets and legs
+  const storeAffinity = loadStoreAffinities(SettingsService.get().AFFINITY_MIN_PLANS); // NEW - co-routing history
+  const depotIdx = headers.indexOf('Origin Depot');
+  const estimatedPairs = getEstimatedDistancePairs(); // NEW - Distance Matrix pairs estimated from coordinates
 
-function runNearestNeighbor(items, startLocation, distanceMatrix) {
-  if (!items || items.length < 2) return items;
-  let ordered = [], remaining = [...items], currentLocation = startLocation;
-  const isObject = typeof remaining[0] === 'object';
+  const stats = {
+    totalRoutes: 0, 
+    totalPallets: 0, 
+    totalMileage: 0, 
+    totalDuration: 0, 
+    totalCost: 0,
+    unplannablePallets: 0, 
+    overspillPallets: 0, 
+    consolidatedPallets: 0,
+    unusedCapacity: 0,
+    carrierData: {}, 
+    clusterData: {}, 
+    unplannableReasons: {},
+    legDistances: [], // NEW - track leg distances
+    crossRegionRoutes: [], // NEW - routes with long legs
+    overspillByCategory: { AMB: 0, CHI: 0, FRE: 0, PRO: 0 }, // NEW
+    overspillByStore: {}, // NEW - track stores in overspill
+    coldChainWarnings: 0, // NEW
+    routeAffinities: [], // NEW - historical affinity of each route's store grouping
+    estimatedLegs: 0, // NEW - planned legs priced from estimated distances
+    estimatedLegRoutes: [] // NEW
+  };
 
-  while (remaining.length > 0) {
-    let nearestDist = Infinity, nearestIndex = -1;
-    for (let i = 0; i < remaining.length; i++) {
-      const store = isObject ? remaining[i].store : remaining[i];
-      const dist = (distanceMatrix[currentLocation] && distanceMatrix[currentLocation][store]) ? distanceMatrix[currentLocation][store].distance : Infinity;
-      if (dist < nearestDist) {
-        nearestDist = dist;
-        nearestIndex = i;
+  dataRows.forEach(row => {
+    const carrier = row[carrierIdx];
+    const pallets = parseFloat(row[palletsIdx]) || 0;
+    const stopSequence = row[stopSeqIdx];
+    const notes = String(row[notesIdx] || '');
+    const routeId = row[routeIdIdx];
+
+    if (stopSequence === 'UNUSED CAPACITY' || stopSequence === 'NOT PLANNED') {
+      stats.unusedCapacity++;
+      return;
+    }
+
+    if (carrier.includes('Unplannable')) {
+      stats.unplannablePallets += pallets;
+      const reason = (notes.match(/Failed due to (.*)\./) || [])[1] || 'Other';
+      stats.unplannableReasons[reason] = (stats.unplannableReasons[reason] || 0) + 1;
+      return;
+    }
+    
+    if (carrier.includes('Consolidated Overspill')) {
+      stats.consolidatedPallets += pallets;
+      // Track as planned route with note
+      stats.totalRoutes++;
+      stats.totalPallets += pallets;
+      return;
+    }
+    
+    if (carrier.includes('Overspill')) {
+      stats.overspillPallets += pallets;
+      
+      // NEW: Track overspill by category
+      const stops = stopsByRoute.get(String(routeId)) || [];
+      const categoryCodes = { Ambient: 'AMB', Chiller: 'CHI', Freezer: 'FRE', Produce: 'PRO' };
+      stops.forEach(s => {
+        const code = categoryCodes[s.category];
+        if (code) stats.overspillByCategory[code] += s.pallets;
+      });
+      
+      // NEW: Track stores appearing in overspill
+      getPlanDataStores(stops).forEach(store => {
+        stats.overspillByStore[store] = (stats.overspillByStore[store] || 0) + 1;
+      });
+      return;
+    }
+
+    stats.totalRoutes++;
+    stats.totalPallets += pallets;
+    stats.totalMileage += parseFloat(row[mileageIdx]) || 0;
+    stats.totalDuration += parseFloat(row[durationIdx]) || 0;
+    stats.totalCost += parseFloat(row[costIdx]) || 0;
+    
+    // NEW: Track cold chain warnings
+    if (notes.includes('COLD CHAIN WARNING')) {
+      stats.coldChainWarnings++;
+    }
+    
+    // NEW: Store-to-store leg distances (the depot leg is not counted)
+    const seenSequences = new Set();
+    (stopsByRoute.get(String(routeId)) || []).forEach(s => {
+      if (s.sequence <= 1 || seenSequences.has(s.sequence) || s.legMiles === null) return;
+      seenSequences.add(s.sequence);
+      const distance = s.legMiles;
+      stats.legDistances.push({ routeId, distance });
+      
+      // NEW: Flag cross-region routes (legs >75 miles)
+      if (distance > 75) {
+        stats.crossRegionRoutes.push({ routeId, legDistance: distance });
       }
+    });
+
+    if (!stats.carrierData[carrier]) {
+      stats.carrierData[carrier] = { 
+        routes: 0, 
+        pallets: 0, 
+        totalUtilization: 0, 
+        utilizationCount: 0, 
+        cost: 0,
+        mileage: 0 
+      };
     }
-    if (nearestIndex === -1) {
-      ordered.push(...remaining); break;
+    // NEW: Legs (depot legs included) whose distance was estimated from coordinates
+    if (estimatedPairs.size > 0) {
+      const depot = String(depotIdx !== -1 && row[depotIdx] ? row[depotIdx] : DEFAULT_WAREHOUSE);
+      const points = [depot, ...getPlanDataStores(stopsByRoute.get(String(routeId))), depot];
+      let routeEstimatedLegs = 0;
+      for (let i = 0; i < points.length - 1; i++) {
+        if (estimatedPairs.has(`${points[i]}|${points[i + 1]}`)) routeEstimatedLegs++;
+      }
+      if (routeEstimatedLegs > 0) {
+        stats.estimatedLegs += routeEstimatedLegs;
+        stats.estimatedLegRoutes.push(routeId);
+      }
     }
-    const nextItem = remaining.splice(nearestIndex, 1)[0];
-    ordered.push(nextItem);
-    currentLocation = isObject ? nextItem.store : nextItem;
-  }
-  return ordered;
-}
 
-/**
- * [NEW] Calculates route metrics including Hours of Service (HOS) breaks.
- * Adds a 30-min break for every 8 hours of on-duty time.
- * @returns {object} Metrics including total duration with breaks and HOS status.
- */
-function calculateRouteMetricsWithHOS(orderedStops, warehouse, distanceMatrix, detailedDurations) {
-  let travelTime = 0, totalDistance = 0, stopTime = 0, currentLocation = warehouse;
-  const PALLETS_PER_FLS = 26;
-  const ON_DUTY_LIMIT = 14 * 60; // 14 hours
-  const DRIVING_LIMIT = 11 * 60; // 11 hours
-  const BREAK_THRESHOLD = 8 * 60; // 8 hours
-  const BREAK_DURATION = 30; // 30 minutes
+    // NEW: How often dispatchers put this route's stores together
+    if (storeAffinity) {
+      const routeAffinity = getRouteAffinity(getPlanDataStores(stopsByRoute.get(String(routeId))), storeAffinity);
+      if (routeAffinity.knownPairs > 0) stats.routeAffinities.push({ routeId, carrier, ...routeAffinity });
+    }
 
-  // Calculate initial stop time at warehouse (loading)
-  orderedStops.forEach(s => {
-    const pDur = detailedDurations[s.store] ? detailedDurations[s.store][s.productTypeId] : null;
-    if (pDur && pDur.loading) {
-      stopTime += (s.pallets / PALLETS_PER_FLS) * pDur.loading;
+    stats.carrierData[carrier].routes++;
+    stats.carrierData[carrier].pallets += pallets;
+    stats.carrierData[carrier].cost += parseFloat(row[costIdx]) || 0;
+    stats.carrierData[carrier].mileage += parseFloat(row[mileageIdx]) || 0;
+    const utilStr = String(row[utilizationIdx]);
+    if (utilStr && utilStr !== 'N/A') {
+      stats.carrierData[carrier].totalUtilization += parseFloat(utilStr.replace('%', ''));
+      stats.carrierData[carrier].utilizationCount++;
+    }
+
+    const cluster = row[clusterIdx];
+    if (cluster && cluster !== 'N/A') {
+      if (!stats.clusterData[cluster]) stats.clusterData[cluster] = { routes: 0, pallets: 0 };
+      stats.clusterData[cluster].routes++;
+      stats.clusterData[cluster].pallets += pallets;
     }
   });
 
-  let onDutyTime = stopTime;
-  let breaksTaken = 0;
-  let hosStatus = 'OK';
+  let currentRow = 1;
+
+  // --- Section 1: OVERALL SUMMARY ---
+  dashboardSheet.getRange(currentRow, 1, 1, 6).merge()
+    .setValue('📊 OVERALL PLAN SUMMARY')
+    .setFontWeight('bold')
+    .setFontSize(14)
+    .setHorizontalAlignment('center')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  currentRow += 2;
+
+  const overallKpis = [
+    ['Total Planned Routes', stats.totalRoutes],
+    ['Total Planned Pallets', stats.totalPallets.toFixed(2)],
+    ['Consolidated Overspill Pallets', stats.consolidatedPallets.toFixed(2)],
+    ['Remaining Overspill Pallets', stats.overspillPallets.toFixed(2)],
+    ['Unplannable Pallets', stats.unplannablePallets.toFixed(2)],
+    ['Total Mileage', stats.totalMileage.toFixed(0) + ' miles'],
+    ['Total Estimated Cost', `$${stats.totalCost.toFixed(2)}`],
+    ['Avg Cost Per Mile', `$${(stats.totalCost / stats.totalMileage || 0).toFixed(2)}`],
+    ['Unused Carrier Slots', stats.unusedCapacity],
+    ['Cold Chain Warnings', stats.coldChainWarnings]
+  ];
+  dashboardSheet.getRange(currentRow, 1, overallKpis.length, 2).setValues(overallKpis);
+  dashboardSheet.getRange(currentRow, 1, overallKpis.length, 2)
+    .setBorder(true, true, true, true, true, true);
+  dashboardSheet.getRange(currentRow, 1, overallKpis.length, 1).setFontWeight('bold');
+  
+  // Color code critical metrics
+  if (stats.overspillPallets > 50) {
+    dashboardSheet.getRange(currentRow + 3, 2).setBackground('#ffcccc'); // Red for high overspill
+  } else if (stats.overspillPallets > 20) {
+    dashboardSheet.getRange(currentRow + 3, 2).setBackground('#fff4cc'); // Yellow
+  } else {
+    dashboardSheet.getRange(currentRow + 3, 2).setBackground('#ccffcc'); // Green
+  }
+  
+  if (stats.coldChainWarnings > 0) {
+    dashboardSheet.getRange(currentRow + 9, 2).setBackground('#fff4cc'); // Yellow warning
+  }
+  
+  currentRow += overallKpis.length + 2;
+
+  // --- Section 2: CROSS-REGION ANALYSIS ---
+  if (stats.crossRegionRoutes.length > 0) {
+    dashboardSheet.getRange(currentRow, 1, 1, 3).merge()
+      .setValue('⚠️ CROSS-REGION ROUTING ISSUES')
+      .setFontWeight('bold')
+      .setFontSize(12)
+      .setHorizontalAlignment('center')
+      .setBackground('#ff9800')
+      .setFontColor('#ffffff');
+    currentRow += 2;
+    
+    const crossRegionData = [['Route ID', 'Leg Distance (miles)', 'Issue Severity']];
+    stats.crossRegionRoutes.forEach(r => {
+      const severity = r.legDistance > 100 ? 'CRITICAL' : r.legDistance > 85 ? 'HIGH' : 'MEDIUM';
+      crossRegionData.push([r.routeId, r.legDistance.toFixed(1), severity]);
+    });
+    
+    dashboardSheet.getRange(currentRow, 1, crossRegionData.length, 3).setValues(crossRegionData);
+    dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#ffe0cc');
+    dashboardSheet.getRange(currentRow, 1, crossRegionData.length, 3)
+      .setBorder(true, true, true, true, true, true);
+    
+    currentRow += crossRegionData.length + 2;
+  }
+
+  // --- Section 3: OVERSPILL ANALYSIS ---
+  dashboardSheet.getRange(currentRow, 1, 1, 4).merge()
+    .setValue('📦 OVERSPILL BREAKDOWN')
+    .setFontWeight('bold')
+    .setFontSize(12)
+    .setHorizontalAlignment('center')
+    .setBackground('#9c27b0')
+    .setFontColor('#ffffff');
+  currentRow += 2;
 
-  // Iterate through stops to calculate travel and on-site time
-  [...new Set(orderedStops.map(s => s.store))].forEach(store => {
-    const leg = (distanceMatrix[currentLocation] && distanceMatrix[currentLocation][store]);
-    if (leg) {
-      if (onDutyTime + leg.duration > (breaksTaken + 1) * BREAK_THRESHOLD) {
-        onDutyTime += BREAK_DURATION;
-        breaksTaken++;
-      }
-      travelTime += leg.duration;
-      // Accumulate the leg distance for travel between stops (includes warehouse->first stop)
-      totalDistance += leg.distance;
-      onDutyTime += leg.duration;
-    }
+  const overspillBreakdown = [
+    ['Category', 'Pallets', '% of Total'],
+    ['Ambient (AMB)', stats.overspillByCategory.AMB.toFixed(2), 
+     ((stats.overspillByCategory.AMB / stats.overspillPallets * 100) || 0).toFixed(1) + '%'],
+    ['Chiller (CHI)', stats.overspillByCategory.CHI.toFixed(2), 
+     ((stats.overspillByCategory.CHI / stats.overspillPallets * 100) || 0).toFixed(1) + '%'],
+    ['Freezer (FRE)', stats.overspillByCategory.FRE.toFixed(2), 
+     ((stats.overspillByCategory.FRE / stats.overspillPallets * 100) || 0).toFixed(1) + '%'],
+    ['Produce (PRO)', stats.overspillByCategory.PRO.toFixed(2), 
+     ((stats.overspillByCategory.PRO / stats.overspillPallets * 100) || 0).toFixed(1) + '%']
+  ];
+  dashboardSheet.getRange(currentRow, 1, overspillBreakdown.length, 3).setValues(overspillBreakdown);
+  dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#e0e0e0');
+  dashboardSheet.getRange(currentRow, 1, overspillBreakdown.length, 3)
+    .setBorder(true, true, true, true, true, true);
+  currentRow += overspillBreakdown.length + 1;
+
+  // Stores appearing multiple times in overspill
+  const repeatedStores = Object.keys(stats.overspillByStore).filter(s => stats.overspillByStore[s] > 1);
+  if (repeatedStores.length > 0) {
+    dashboardSheet.getRange(currentRow, 1).setValue('⚠️ Stores in Multiple Overspill Routes:').setFontWeight('bold');
+    currentRow++;
     
-    let timeAtThisStop = 0;
-    orderedStops.forEach(s => {
-      if (s.store === store) {
-        const pDur = detailedDurations[s.store] ? detailedDurations[s.store][s.productTypeId] : null;
-        if (pDur && pDur.unloading) {
-          timeAtThisStop += (s.pallets / PALLETS_PER_FLS) * pDur.unloading;
-        } else {
-          timeAtThisStop += 15; // Default unload time
-        }
-      }
+    const storeData = [['Store', 'Occurrences', 'Consolidation Opportunity']];
+    repeatedStores.forEach(store => {
+      storeData.push([store, stats.overspillByStore[store], 'YES - Combine into multi-temp route']);
     });
-    stopTime += timeAtThisStop;
-    onDutyTime += timeAtThisStop;
-    currentLocation = store;
-  });
+    
+    dashboardSheet.getRange(currentRow, 1, storeData.length, 3).setValues(storeData);
+    dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#fff4cc');
+    dashboardSheet.getRange(currentRow, 1, storeData.length, 3)
+      .setBorder(true, true, true, true, true, true);
+    currentRow += storeData.length + 2;
+  }
 
-  // Calculate return leg
-  const returnLeg = (distanceMatrix[currentLocation] && distanceMatrix[currentLocation][warehouse]);
-  if (returnLeg) {
-    if (onDutyTime + returnLeg.duration > (breaksTaken + 1) * BREAK_THRESHOLD) {
-      onDutyTime += BREAK_DURATION;
-      breaksTaken++;
+  // --- Section 4: ROUTE QUALITY METRICS ---
+  dashboardSheet.getRange(currentRow, 1, 1, 4).merge()
+    .setValue('📏 ROUTE QUALITY METRICS')
+    .setFontWeight('bold')
+    .setFontSize(12)
+    .setHorizontalAlignment('center')
+    .setBackground('#2196f3')
+    .setFontColor('#ffffff');
+  currentRow += 2;
+
+  const avgLegDistance = stats.legDistances.length > 0 ? 
+    stats.legDistances.reduce((sum, l) => sum + l.distance, 0) / stats.legDistances.length : 0;
+  const maxLegDistance = stats.legDistances.length > 0 ? 
+    Math.max(...stats.legDistances.map(l => l.distance)) : 0;
+  const legsOver50 = stats.legDistances.filter(l => l.distance > 50).length;
+  const legsOver75 = stats.legDistances.filter(l => l.distance > 75).length;
+  const legsOver100 = stats.legDistances.filter(l => l.distance > 100).length;
+
+  const qualityMetrics = [
+    ['Metric', 'Value', 'Status'],
+    ['Average Leg Distance', avgLegDistance.toFixed(1) + ' miles', avgLegDistance < 40 ? '✓ Good' : '⚠ Review'],
+    ['Maximum Leg Distance', maxLegDistance.toFixed(1) + ' miles', maxLegDistance < 75 ? '✓ OK' : '✗ Problem'],
+    ['Legs > 50 miles', legsOver50, legsOver50 === 0 ? '✓ Excellent' : '⚠ Review'],
+    ['Legs > 75 miles', legsOver75, legsOver75 === 0 ? '✓ Good' : '✗ Fix Required'],
+    ['Legs > 100 miles', legsOver100, legsOver100 === 0 ? '✓ Good' : '✗ CRITICAL'],
+    ['Cross-Region Routes', stats.crossRegionRoutes.length, stats.crossRegionRoutes.length === 0 ? '✓ None' : '✗ ' + stats.crossRegionRoutes.length + ' routes'],
+    ['Estimated Distance Pairs (sheet)', estimatedPairs.size, estimatedPairs.size === 0 ? '✓ None' : '⚠ Verify'],
+    ['Legs on Estimated Distances', stats.estimatedLegs, stats.estimatedLegs === 0 ? '✓ None' : '⚠ ' + stats.estimatedLegRoutes.length + ' routes']
+  ];
+  
+  dashboardSheet.getRange(currentRow, 1, qualityMetrics.length, 3).setValues(qualityMetrics);
+  dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#e0e0e0');
+  dashboardSheet.getRange(currentRow, 1, qualityMetrics.length, 3)
+    .setBorder(true, true, true, true, true, true);
+  
+  // Color code status column
+  for (let i = 1; i < qualityMetrics.length; i++) {
+    const statusCell = dashboardSheet.getRange(currentRow + i, 3);
+    if (qualityMetrics[i][2].includes('✓')) {
+      statusCell.setBackground('#ccffcc'); // Green
+    } else if (qualityMetrics[i][2].includes('⚠')) {
+      statusCell.setBackground('#fff4cc'); // Yellow
+    } else if (qualityMetrics[i][2].includes('✗')) {
+      statusCell.setBackground('#ffcccc'); // Red
     }
-    travelTime += returnLeg.duration;
-    onDutyTime += returnLeg.duration;
-    totalDistance += returnLeg.distance;
   }
   
-  // Final HOS checks
-  if (travelTime > DRIVING_LIMIT) hosStatus = 'DRIVING_VIOLATION';
-  if (onDutyTime > ON_DUTY_LIMIT) hosStatus = 'ON_DUTY_VIOLATION';
-
-  // Log computed metrics for debugging and validation
-  Logger.log(`calculateRouteMetricsWithHOS: stops=${orderedStops.length}, travelTime=${Math.round(travelTime)}, stopTime=${Math.round(stopTime)}, totalDuration=${Math.round(onDutyTime)}, totalDistance=${Math.round(totalDistance)}, hosStatus=${hosStatus}`);
+  currentRow += qualityMetrics.length + 2;
 
-  return {
-    travelTime: Math.round(travelTime),
-    stopTime: Math.round(stopTime),
-    totalDuration: Math.round(onDutyTime),
-    totalDistance: Math.round(totalDistance),
-    hosStatus: hosStatus
-  };
-}
+  // --- Section 4b: HISTORICAL STORE AFFINITY (human-reviewed plans imported) ---
+  if (storeAffinity) {
+    dashboardSheet.getRange(currentRow, 1, 1, 4).merge()
+      .setValue('🤝 HISTORICAL STORE AFFINITY')
+      .setFontWeight('bold')
+      .setFontSize(12)
+      .setHorizontalAlignment('center')
+      .setBackground('#009688')
+      .setFontColor('#ffffff');
+    currentRow += 2;
 
+    const affinities = stats.routeAffinities;
+    const avgAffinity = affinities.length > 0 ?
+      affinities.reduce((sum, r) => sum + r.affinity, 0) / affinities.length : 0;
+    const avoidedRoutes = affinities.filter(r => r.affinity < 0).sort((a, b) => a.affinity - b.affinity);
+    const affinityKpis = [
+      ['Human-Reviewed Plans Learned From', storeAffinity.planCount],
+      ['Routes With Store-Pair History', `${affinities.length} of ${stats.totalRoutes}`],
+      ['Average Route Affinity (-1 to +1)', avgAffinity.toFixed(2)],
+      ['Routes Grouping Stores Dispatchers Keep Apart', avoidedRoutes.length]
+    ];
+    dashboardSheet.getRange(currentRow, 1, affinityKpis.length, 2).setValues(affinityKpis);
+    dashboardSheet.getRange(currentRow, 1, affinityKpis.length, 2)
+      .setBorder(true, true, true, true, true, true);
+    dashboardSheet.getRange(currentRow, 1, affinityKpis.length, 1).setFontWeight('bold');
+    currentRow += affinityKpis.length + 1;
+
+    if (avoidedRoutes.length > 0) {
+      const affinityTableData = [['Route ID', 'Carrier', 'Route Affinity', 'Least Co-routed Pair']];
+      avoidedRoutes.forEach(r => {
+        affinityTableData.push([r.routeId, r.carrier, r.affinity.toFixed(2),
+          `${r.weakestPair.stores.join(' + ')} (${r.weakestPair.affinity.toFixed(2)})`]);
+      });
+      dashboardSheet.getRange(currentRow, 1, affinityTableData.length, 4).setValues(affinityTableData);
+      dashboardSheet.getRange(currentRow, 1, 1, 4).setFontWeight('bold').setBackground('#e0e0e0');
+      dashboardSheet.getRange(currentRow, 1, affinityTableData.length, 4)
+        .setBorder(true, true, true, true, true, true);
+      currentRow += affinityTableData.length;
+    }
+    currentRow += 2;
+  }
 
-// --- ROUTE OPTIMIZATION & REBALANCING FUNCTIONS ---
+  // --- Section 5: CARRIER PERFORMANCE ---
+  dashboardSheet.getRange(currentRow, 1, 1, 6).merge()
+    .setValue('🚛 CARRIER PERFORMANCE & UTILIZATION')
+    .setFontWeight('bold')
+    .setFontSize(12)
+    .setHorizontalAlignment('center')
+    .setBackground('#4caf50')
+    .setFontColor('#ffffff');
+  currentRow += 2;
 
-function rebalanceRoutes(routes, context) {
-  const { OVERPLAN_FACTOR } = context;
-  let improved = true;
-  let iterations = 0;
-  const MAX_REBALANCE_ITERATIONS = 15; // Increased from 10 to 15 for more thorough optimization
-  
-  Logger.log(`Starting route rebalancing with ${routes.length} routes`);
+  const carrierTableData = [['Carrier', 'Routes', 'Pallets', 'Avg Util.', 'Cost', 'Cost/Pallet', 'Miles/Route']];
+  for (const carrierName in stats.carrierData) {
+    const c = stats.carrierData[carrierName];
+    const avgUtil = c.utilizationCount > 0 ? (c.totalUtilization / c.utilizationCount).toFixed(1) + '%' : 'N/A';
+    const costPerPallet = (c.cost / c.pallets || 0).toFixed(2);
+    const milesPerRoute = (c.mileage / c.routes || 0).toFixed(0);
+    carrierTableData.push([
+      carrierName, 
+      c.routes, 
+      c.pallets.toFixed(2), 
+      avgUtil,
+      `$${c.cost.toFixed(2)}`,
+      `$${costPerPallet}`,
+      milesPerRoute
+    ]);
+  }
   
-  while (improved && iterations < MAX_REBALANCE_ITERATIONS) {
-    improved = false;
-    iterations++;
-    
-    // First pass: Try to consolidate routes by moving all shipments from one route to another
-    for (let i = routes.length - 1; i >= 0; i--) {
-      if (routes[i].stops.length === 0) continue;
-      
-      for (let j = 0; j < routes.length; j++) {
-        if (i === j) continue;
-        
-        const sourceRoute = routes[i];
-        const targetRoute = routes[j];
-        
-        // Skip if routes are from different carriers or time slots
-        if (sourceRoute.carrier.name !== targetRoute.carrier.name || sourceRoute.time !== targetRoute.time) continue;
-        
-        // Try to move all shipments from source to target
-        let canMoveAll = true;
-        const tempStops = [...targetRoute.stops];
-        const tempPallets = targetRoute.totalPallets;
-        
-        for (const stop of sourceRoute.stops) {
-          const testRoute = {
-            ...targetRoute,
-            stops: tempStops,
-            totalPallets: tempPallets + stop.pallets
-          };
-          
-          if (checkAndScoreInsertion(stop, testRoute, context, () => {}, 0) === null) {
-            canMoveAll = false;
-            break;
-          }
-          tempStops.push(stop);
-        }
-        
-        if (canMoveAll && isRouteValid({...targetRoute, stops: tempStops, totalPallets: tempPallets + sourceRoute.totalPallets}, context)) {
-          // Consolidate: move all stops from source to target
-          targetRoute.stops.push(...sourceRoute.stops);
-          targetRoute.totalPallets += sourceRoute.totalPallets;
-          routes.splice(i, 1); // Remove empty source route
-          improved = true;
-          Logger.log(`Consolidated route ${sourceRoute.routeId} into ${targetRoute.routeId}`);
-          break;
-        }
-      }
-    }
-    
-    // Second pass: Try to swap shipments between routes to improve utilization
-    for (let i = 0; i < routes.length; i++) {
-      for (let j = i + 1; j < routes.length; j++) {
-        const route1 = routes[i];
-        const route2 = routes[j];
-        
-        // Skip if routes are from different carriers or time slots
-        if (route1.carrier.name !== route2.carrier.name || route1.time !== route2.time) continue;
-        
-        // Try swapping each shipment from route1 with each from route2
-        for (let si = 0; si < route1.stops.length; si++) {
-          for (let sj = 0; sj < route2.stops.length; sj++) {
-            const stop1 = route1.stops[si];
-            const stop2 = route2.stops[sj];
-            
-            // Calculate current metrics
-            const currentScore = calculateRouteScore(route1, context) + calculateRouteScore(route2, context);
-            
-            // Try swap
-            route1.stops[si] = stop2;
-            route2.stops[sj] = stop1;
-            
-            // Update pallet counts
-            const newRoute1Pallets = route1.stops.reduce((sum, s) => sum + s.pallets, 0);
-            const newRoute2Pallets = route2.stops.reduce((sum, s) => sum + s.pallets, 0);
-            const oldRoute1Pallets = route1.totalPallets;
-            const oldRoute2Pallets = route2.totalPallets;
-            
-            route1.totalPallets = newRoute1Pallets;
-            route2.totalPallets = newRoute2Pallets;
-            
-            // Calculate new metrics
-            const newScore = calculateRouteScore(route1, context) + calculateRouteScore(route2, context);
-            
-            if (newScore < currentScore && isRouteValid(route1, context) && isRouteValid(route2, context)) {
-              // Keep the swap
-              improved = true;
-            } else {
-              // Revert the swap
-              route1.stops[si] = stop1;
-              route2.stops[sj] = stop2;
-              route1.totalPallets = oldRoute1Pallets;
-              route2.totalPallets = oldRoute2Pallets;
-            }
-          }
-        }
-      }
+  dashboardSheet.getRange(currentRow, 1, carrierTableData.length, 7).setValues(carrierTableData);
+  dashboardSheet.getRange(currentRow, 1, 1, 7).setFontWeight('bold').setBackground('#e0e0e0');
+  dashboardSheet.getRange(currentRow, 1, carrierTableData.length, 7)
+    .setBorder(true, true, true, true, true, true);
+  
+  const carrierChartStartRow = currentRow;
+  currentRow += carrierTableData.length + 2;
+
+  // --- Section 6: CLUSTER DISTRIBUTION ---
+  if (Object.keys(stats.clusterData).length > 0) {
+    dashboardSheet.getRange(currentRow, 1, 1, 3).merge()
+      .setValue('🗺️ GEOGRAPHIC CLUSTER DISTRIBUTION')
+      .setFontWeight('bold')
+      .setFontSize(12)
+      .setHorizontalAlignment('center')
+      .setBackground('#ff5722')
+      .setFontColor('#ffffff');
+    currentRow += 2;
+
+    const clusterTableData = [['Cluster', 'Routes', 'Pallets']];
+    for (const clusterName in stats.clusterData) {
+      const c = stats.clusterData[clusterName];
+      clusterTableData.push([clusterName, c.routes, c.pallets.toFixed(2)]);
     }
+    
+    dashboardSheet.getRange(currentRow, 1, clusterTableData.length, 3).setValues(clusterTableData);
+    dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#e0e0e0');
+    dashboardSheet.getRange(currentRow, 1, clusterTableData.length, 3)
+      .setBorder(true, true, true, true, true, true);
+    
+    const clusterChartStartRow = currentRow;
+    currentRow += clusterTableData.length + 2;
   }
-  
-  Logger.log(`Rebalancing complete after ${iterations} iterations. Final route count: ${routes.length}`);
-}
 
-function calculateRouteScore(route, context) {
-  const metrics = calculateRouteMetricsWithHOS(route.stops, context.warehouse, context.distanceMatrix, context.detailedDurations);
-  const trailerSize = getRequiredTrailerSize(route, context.restrictions);
-  let capacity = 0;
-  switch (trailerSize) {
-    case '36': capacity = route.carrier.pallets36; break;
-    case '48': capacity = route.carrier.pallets48; break;
-    case '53': capacity = route.carrier.pallets53; break;
+  // --- Section 7: UNPLANNABLE SHIPMENTS ---
+  if (Object.keys(stats.unplannableReasons).length > 0) {
+    dashboardSheet.getRange(currentRow, 1, 1, 3).merge()
+      .setValue('❌ UNPLANNABLE SHIPMENTS ANALYSIS')
+      .setFontWeight('bold')
+      .setFontSize(12)
+      .setHorizontalAlignment('center')
+      .setBackground('#f44336')
+      .setFontColor('#ffffff');
+    currentRow += 2;
+
+    const unplannableTableData = [['Reason', 'Count', 'Action Needed']];
+    for (const reason in stats.unplannableReasons) {
+      let action = 'Review constraints';
+      if (reason.includes('distance')) action = 'Check address locations';
+      if (reason.includes('capacity')) action = 'Add more carrier capacity';
+      if (reason.includes('cluster')) action = 'Relax cluster constraints';
+      unplannableTableData.push([reason, stats.unplannableReasons[reason], action]);
+    }
+    
+    dashboardSheet.getRange(currentRow, 1, unplannableTableData.length, 3).setValues(unplannableTableData);
+    dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#e0e0e0');
+    dashboardSheet.getRange(currentRow, 1, unplannableTableData.length, 3)
+      .setBorder(true, true, true, true, true, true);
+    
+    const unplannableChartStartRow = currentRow;
+    currentRow += unplannableTableData.length + 2;
   }
+
+  // --- Section 8: ACTION ITEMS ---
+  dashboardSheet.getRange(currentRow, 1, 1, 4).merge()
+    .setValue('✅ RECOMMENDED ACTIONS')
+    .setFontWeight('bold')
+    .setFontSize(12)
+    .setHorizontalAlignment('center')
+    .setBackground('#607d8b')
+    .setFontColor('#ffffff');
+  currentRow += 2;
+
+  const actions = [];
   
-  // Calculate actual costs
-  const distanceCost = metrics.totalDistance * (route.carrier.costPerMile || 0);
-  const routeCost = route.carrier.costPerRoute || 0;
-  const totalCost = distanceCost + routeCost;
-  
-  // Penalize under-utilization more aggressively
-  const utilization = route.totalPallets / capacity;
-  // Much stronger penalty for under-utilization to push towards fuller trucks
-  const utilizationPenalty = Math.pow(1 - utilization, 2) * 3500; // Slightly relaxed to allow smaller runs
+  if (stats.crossRegionRoutes.length > 0) {
+    actions.push(['Priority 1', 'FIX CROSS-REGION ROUTING', 
+                  `${stats.crossRegionRoutes.length} routes have legs >75 miles. Review cluster assignments.`,
+                  'CRITICAL']);
+  }
   
-  // Add penalty for high mileage routes to keep them under target
-  const MAX_ROUTE_MILEAGE = context.MAX_ROUTE_MILEAGE || 425;
-  const MILEAGE_TARGET = MAX_ROUTE_MILEAGE * 0.85; // Target 85% of max (361 miles for 425 max)
-  let mileagePenalty = 0;
-  if (metrics.totalDistance > MILEAGE_TARGET) {
-    // Exponential penalty for routes exceeding target mileage
-    const overage = metrics.totalDistance - MILEAGE_TARGET;
-    mileagePenalty = Math.pow(overage / 10, 2) * 100; // Scaled penalty
+  if (stats.overspillPallets > 50) {
+    actions.push(['Priority 2', 'REDUCE OVERSPILL', 
+                  `${stats.overspillPallets.toFixed(0)} pallets in overspill. Consolidate same-store shipments.`,
+                  'HIGH']);
+  } else if (stats.overspillPallets > 20) {
+    actions.push(['Priority 3', 'OPTIMIZE OVERSPILL', 
+                  `${stats.overspillPallets.toFixed(0)} pallets in overspill. Consider using unused carrier capacity.`,
+                  'MEDIUM']);
   }
   
-  // Optional: add penalty for cluster mixing (if route.stops have >1 cluster)
-  let clusterPenalty = 0;
-  if (route.stops && route.stops.length > 1) {
-    const clusters = new Set(route.stops.map(s => s.cluster || ''));
-    if (clusters.size > 1) clusterPenalty = 800; // Increased from 500 to 800
+  if (stats.unusedCapacity > 10) {
+    actions.push(['Priority 3', 'USE UNUSED CAPACITY', 
+                  `${stats.unusedCapacity} unused carrier slots. Assign overspill to NFI/CRE.`,
+                  'MEDIUM']);
   }
   
-  return totalCost + utilizationPenalty + mileagePenalty + clusterPenalty;
-}
-
-function isRouteValid(route, context) {
-  const { MAX_ROUTE_MILEAGE, MAX_STOPS_GENERAL, OVERPLAN_FACTOR } = context;
+  if (stats.coldChainWarnings > 0) {
+    actions.push(['Priority 4', 'REVIEW COLD CHAIN', 
+                  `${stats.coldChainWarnings} routes have cold chain warnings. Check stop sequences.`,
+                  'LOW']);
+  }
   
-  // Check basic constraints
-  const uniqueStores = [...new Set(route.stops.map(s => s.store))];
-  if (uniqueStores.length > MAX_STOPS_GENERAL) return false;
-
-  // Enforce cluster intersection: all stores must share at least one allowed cluster
-  if (context.clusterData && !areStoresValidTogether(uniqueStores, context.clusterData)) return false;
-
-  // Region-aware stop cap: NYC-specific clusters limited to 2 stops; others allow up to 4
-  if (context.addressData) {
-    const nycClusters = new Set(['East NY', 'West NY', 'NY', 'UpperMidLG', 'UpperEastLG', 'LowerMidLG', 'LGMain', 'LowerEastLG']);
-    const regions = uniqueStores.map(s => getStoreRegion(s, context.addressData));
-    const allNYC = regions.length > 0 && regions.every(r => nycClusters.has(r));
-    if (allNYC && uniqueStores.length > 2) return false;
+  if (stats.estimatedLegs > 0) {
+    actions.push(['Priority 4', 'VERIFY ESTIMATED DISTANCES', 
+                  `${stats.estimatedLegs} legs on ${stats.estimatedLegRoutes.length} routes use estimated distances (Source = Estimated in Distance Matrix).`,
+                  'LOW']);
   }
-  // Build per-store counts for temperature compatibility checks
-  const perStoreCounts = {};
-  route.stops.forEach(s => {
-    if (!perStoreCounts[s.store]) perStoreCounts[s.store] = {};
-    perStoreCounts[s.store][s.category] = (perStoreCounts[s.store][s.category] || 0) + (s.pallets || 0);
-  });
-  if (!isTempCompatible(new Set(route.stops.map(s => s.category)), { allowAllAll: context.ALLOW_ALL_ALL || false, smallAmbientThreshold: context.SMALL_AMBIENT_THRESHOLD || 4, details: { perStoreCounts } })) return false;
   
-  // Check trailer capacity
-  const trailerSize = getRequiredTrailerSize(route, context.restrictions);
-  let capacity = 0;
-  switch (trailerSize) {
-    case '36': capacity = route.carrier.pallets36; break;
-    case '48': capacity = route.carrier.pallets48; break;
-    case '53': capacity = route.carrier.pallets53; break;
+  if (repeatedStores.length > 0) {
+    actions.push(['Priority 2', 'CONSOLIDATE STORES', 
+                  `${repeatedStores.length} stores appear in multiple overspill routes. Combine into multi-temp.`,
+                  'HIGH']);
   }
-  if (route.totalPallets > capacity * OVERPLAN_FACTOR) return false;
   
-  // Check route metrics
-  const metrics = calculateRouteMetricsWithHOS(route.stops, context.warehouse, context.distanceMatrix, context.detailedDurations);
-  if (metrics.totalDistance > MAX_ROUTE_MILEAGE || metrics.hosStatus !== 'OK') return false;
+  if (actions.length === 0) {
+    actions.push(['None', 'PLAN LOOKS GOOD', 'No critical issues detected.', 'HEALTHY']);
+  }
   
-  return true;
-}
+  if (actions.length > 0) {
+    const actionHeaders = [['Priority', 'Action', 'Details', 'Severity']];
+    dashboardSheet.getRange(currentRow, 1, 1, 4).setValues(actionHeaders);
+    dashboardSheet.getRange(currentRow, 1, 1, 4).setFontWeight('bold').setBackground('#e0e0e0');
+    currentRow++;
+    
+    dashboardSheet.getRange(currentRow, 1, actions.length, 4).setValues(actions);
+    dashboardSheet.getRange(currentRow - 1, 1, actions.length + 1, 4)
+      .setBorder(true, true, true, true, true, true);
+    
+    // Color code by severity
+    for (let i = 0; i < actions.length; i++) {
+      const severityCell = dashboardSheet.getRange(currentRow + i, 4);
+      if (actions[i][3] === 'CRITICAL') severityCell.setBackground('#ffcccc');
+      else if (actions[i][3] === 'HIGH') severityCell.setBackground('#fff4cc');
+      else if (actions[i][3] === 'MEDIUM') severityCell.setBackground('#e0f0ff');
+      else if (actions[i][3] === 'HEALTHY') severityCell.setBackground('#ccffcc');
+    }
+    
+    currentRow += actions.length + 2;
+  }
 
-function utilizePullForwardRequests(remainingShipments, carriers, context, existingRoutes) {
-  const { MIN_PALLETS_PER_ROUTE, RELAX_MIN_FACTOR = 0.8 } = context;
-  let unassigned = [...remainingShipments];
-  let routesCreated = [];
-  // Require higher fill for pull-forward routes to minimize unplanned trucks
-  const relaxedMinimum = Math.max(15, Math.ceil(MIN_PALLETS_PER_ROUTE * RELAX_MIN_FACTOR)); // Increased from 10
+  // --- Section 9: PLANNING STRATEGIES (best-of-N runs only) ---
+  // [UPDATED] Only the current plan version's results; greyed out once the plan was changed since
+  const strategyRun = getStrategyResults();
+  if (strategyRun) {
+    const stale = Boolean(strategyRun.staleAfter);
+    dashboardSheet.getRange(currentRow, 1, 1, 5).merge()
+      .setValue(stale ?
+        `🏆 PLANNING STRATEGIES (version ${strategyRun.version}, winner: ${strategyRun.winner}) - out of date after ${strategyRun.staleAfter}` :
+        `🏆 PLANNING STRATEGIES (version ${strategyRun.version}, winner: ${strategyRun.winner})`)
+      .setFontWeight('bold')
+      .setFontSize(12)
+      .setHorizontalAlignment('center')
+      .setBackground(stale ? '#9e9e9e' : '#795548')
+      .setFontColor('#ffffff');
+    currentRow += 2;
 
-  // Find unused carrier slots
-  carriers.forEach(carrier => {
-    carrier.timeSlots.forEach(timeSlot => {
-      if (timeSlot.used < timeSlot.capacity) {
-        const unusedSlots = timeSlot.capacity - timeSlot.used;
-        
-        for (let i = 0; i < unusedSlots; i++) {
-          // Try to create a route with remaining shipments
-          let potentialStops = [];
-          let totalPallets = 0;
-          let j = 0;
-          
-          const extracted = [];
-          while (j < unassigned.length && totalPallets < MIN_PALLETS_PER_ROUTE) {
-            const shipment = unassigned[j];
-            const tempRoute = {
-              carrier,
-              time: timeSlot.time,
-              stops: [...potentialStops, shipment],
-              totalPallets: totalPallets + shipment.pallets
-            };
+    const strategyTableData = [['Strategy', 'Score', 'Trucks', 'Miles', 'Unplanned Pallets']];
+    strategyRun.results.forEach(r => {
+      strategyTableData.push([r.name, r.score.toFixed(2), r.trucks, r.totalMiles, r.unplannedPallets.toFixed(2)]);
+    });
+    dashboardSheet.getRange(currentRow, 1, strategyTableData.length, 5).setValues(strategyTableData);
+    dashboardSheet.getRange(currentRow, 1, 1, 5).setFontWeight('bold').setBackground('#e0e0e0');
+    if (!stale) dashboardSheet.getRange(currentRow + 1, 1, 1, 5).setBackground('#ccffcc'); // Winner
+    dashboardSheet.getRange(currentRow, 1, strategyTableData.length, 5)
+      .setBorder(true, true, true, true, true, true);
+    currentRow += strategyTableData.length + 2;
+  }
 
-            if (checkAndScoreInsertion(shipment, tempRoute, context, () => {}, 0) !== null) {
-              potentialStops.push(shipment);
-              totalPallets += shipment.pallets;
-              shipment.insertionFailures = 0;
-              extracted.push(unassigned.splice(j, 1)[0]);
-            } else {
-              shipment.insertionFailures = (shipment.insertionFailures || 0) + 1;
-              j++;
-            }
-          }
+  // --- Create Charts ---
+  if (carrierTableData.length > 1) {
+    const routesChart = dashboardSheet.newChart()
+      .setChartType(Charts.ChartType.COLUMN)
+      .addRange(dashboardSheet.getRange(carrierChartStartRow, 1, carrierTableData.length, 2))
+      .setPosition(5, 9, 0, 0)
+      .setOption('title', 'Routes per Carrier')
+      .setOption('hAxis', {title: 'Carrier'})
+      .setOption('vAxis', {title: 'Routes'})
+      .build();
+    dashboardSheet.insertChart(routesChart);
+    
+    const costChart = dashboardSheet.newChart()
+      .setChartType(Charts.ChartType.BAR)
+      .addRange(dashboardSheet.getRange(carrierChartStartRow, 1, carrierTableData.length, 1))
+      .addRange(dashboardSheet.getRange(carrierChartStartRow, 5, carrierTableData.length, 1))
+      .setPosition(5, 16, 0, 0)
+      .setOption('title', 'Total Cost per Carrier')
+      .setOption('hAxis', {title: 'Cost ($)'})
+      .build();
+    dashboardSheet.insertChart(costChart);
+  }
 
-          if (totalPallets >= relaxedMinimum) {
-            const route = {
-              carrier,
-              time: timeSlot.time,
-              stops: potentialStops,
-              totalPallets,
-              routeId: `${carrier.name.replace(/\s+/g, '')}_PF_${routesCreated.length + 1}`,
-              cluster: potentialStops[0].cluster,
-              notes: 'Pull Forward Request'
-            };
+  dashboardSheet.autoResizeColumns(1, 7);
+  
+  Logger.log('Dashboard updated with comprehensive metrics');
+}
 
-            routesCreated.push(route);
-            timeSlot.used++;
-          } else if (extracted.length > 0) {
-            unassigned.push(...extracted);
-          }
-        }
-      }
+// --- HUMAN PLAN BENCHMARK ---
+
+/**
+ * [NEW] Benchmarks a Generated Plan against the dispatcher's final routes. The human plan is the
+ * HumanReviewedPlan.csv export imported as-is (no header row), one row per carrier slot.
+ * The quality score weights store-level carrier agreement and kept store groupings most, since
+ * route count and mileage alone can match while the loads look nothing alike.
+ */
+const HUMAN_PLAN_SHEET = 'HumanReviewedPlan';
+const HUMAN_PLAN_COLUMNS = {
+  status: 0, carrierName: 1, routeCode: 2, stores: 5, dispatch: 6, duration: 8, stopSequence: 9,
+  pallets: 10, productTypes: 11, notes: 12, tempZones: 13, mileage: 17, utilization: 18, violation: 20
+};
+const BENCHMARK_SCORE_WEIGHTS = { storeAgreement: 0.4, pairsKept: 0.4, routeCount: 0.1, mileage: 0.1 };
+
+/**
+ * [NEW] Parses human-reviewed plan rows. Unused slots (UNUSED or no stores) are skipped, as is
+ * any row whose route code does not look like CIR_1ST_DT.04 (e.g. a header added by hand).
+ * The carrier is the route code prefix, which matches the planner's carrier names.
+ * @param {Array<Array<*>>} values - Sheet values
+ * @returns {Array<Object>} [{routeCode, carrier, carrierName, stores, day, time, durationMin,
+ *   pallets, productTypes, tempZones, miles, utilization, violation, status}]
+ */
+function parseHumanReviewedPlan(values) {
+  const c = HUMAN_PLAN_COLUMNS;
+  const routes = [];
+  values.forEach(row => {
+    const routeCode = String(row[c.routeCode] || '').trim();
+    const match = routeCode.match(/^([A-Za-z0-9]+)_/);
+    if (!match) return;
+    const stores = String(row[c.stores] || '').split('-').map(s => s.trim()).filter(Boolean);
+    if (stores.length === 0 || stores[0].toUpperCase() === 'UNUSED') return;
+
+    const dispatch = String(row[c.dispatch] || '').trim().match(/^(?:([A-Za-z]{3})\s+)?(\d{1,2}:\d{2})/);
+    const duration = String(row[c.duration] || '').match(/^(\d+):(\d{2})/);
+    routes.push({
+      routeCode,
+      carrier: match[1].toUpperCase(),
+      carrierName: String(row[c.carrierName] || '').trim(),
+      stores,
+      day: dispatch && dispatch[1] ? dispatch[1] : '',
+      time: dispatch ? dispatch[2].padStart(5, '0') : '',
+      durationMin: duration ? parseInt(duration[1], 10) * 60 + parseInt(duration[2], 10) : 0,
+      pallets: parseFloat(row[c.pallets]) || 0,
+      productTypes: String(row[c.productTypes] || '').split(',').map(s => s.trim()).filter(Boolean),
+      tempZones: String(row[c.tempZones] || '').trim(),
+      miles: parseFloat(row[c.mileage]) || 0,
+      utilization: parseFloat(String(row[c.utilization]).replace('%', '')),
+      violation: String(row[c.violation] || '').trim(),
+      status: String(row[c.status] || '').trim()
     });
   });
-
-  // Add new routes to existing routes array
-  existingRoutes.push(...routesCreated);
-  
-  return { remainingShipments: unassigned };
+  return routes;
 }
 
-// --- DIAGNOSTIC & UTILITY HELPER FUNCTIONS ---
+/**
+ * [NEW] Reads the imported human-reviewed plan.
+ * @returns {Array<Object>} Result of parseHumanReviewedPlan
+ */
+function importHumanReviewedPlan() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(HUMAN_PLAN_SHEET);
+  if (!sheet) throw new Error(`Sheet '${HUMAN_PLAN_SHEET}' not found. Import HumanReviewedPlan.csv into a sheet with that name.`);
+  const routes = parseHumanReviewedPlan(sheet.getDataRange().getValues());
+  if (routes.length === 0) throw new Error(`No routes found in '${HUMAN_PLAN_SHEET}'`);
+  Logger.log(`Imported ${routes.length} human-reviewed routes covering ${new Set([].concat(...routes.map(r => r.stores))).size} stores`);
+  return routes;
+}
 
 /**
- * [NEW] Generates a Google Maps URL for a given route.
- * @returns {string} A clickable URL to visualize the route.
+ * [NEW] Pure comparison of human-reviewed routes with planner routes.
+ * A store agrees when both plans serve it with the same set of carriers. A store pair "kept"
+ * is two stores on one human route that also share a planner route; overspill and
+ * unplannable rows never count as a planner route.
+ * @param {Array<Object>} humanRoutes - Result of parseHumanReviewedPlan
+ * @param {Map<string, Object>} plannerRoutes - Result of planRowsToRoutes
+ * @returns {Object} {score, summary, stores, splitPairs} with summary/stores/splitPairs as table rows
  */
-function generateMapLink(orderedStops, warehouse, addressData) {
-  if (!orderedStops || orderedStops.length === 0 || !addressData) return "N/A";
+function benchmarkPlanAgainstHuman(humanRoutes, plannerRoutes) {
+  const trucks = [...plannerRoutes.entries()].filter(([, route]) => route.kind === 'route');
+
+  const humanByStore = {};
+  humanRoutes.forEach(route => route.stores.forEach(store => {
+    (humanByStore[store] = humanByStore[store] || []).push({ id: route.routeCode, carrier: route.carrier });
+  }));
+  const plannerByStore = {};
+  plannerRoutes.forEach((route, id) => route.stores.forEach(store => {
+    (plannerByStore[store] = plannerByStore[store] || []).push({ id, carrier: route.carrier, kind: route.kind });
+  }));
+
+  // Per-store assignment agreement, scored over the stores the human plan delivers
+  const carrierSet = entries => [...new Set(entries.map(e => e.carrier))].sort().join('|');
+  const describe = entries => (entries || []).map(e => `${e.id} (${e.carrier})`).join(', ');
+  let agreedStores = 0;
+  const stores = [...new Set([...Object.keys(humanByStore), ...Object.keys(plannerByStore)])].sort().map(store => {
+    const human = humanByStore[store];
+    const planned = (plannerByStore[store] || []).filter(e => e.kind === 'route');
+    let result;
+    if (!human) result = 'Not in human plan';
+    else if (planned.length === 0) result = plannerByStore[store] ? 'Overspill / unplanned' : 'Missing from plan';
+    else if (carrierSet(human) === carrierSet(planned)) result = 'Agree';
+    else result = 'Different carrier';
+    if (result === 'Agree') agreedStores++;
+    return [store, describe(human), describe(plannerByStore[store]), result];
+  });
+  const humanStoreCount = Object.keys(humanByStore).length;
+
+  // Stores the human grouped together that no single planner truck delivers together
+  const plannerRoutesOf = store => new Set(((plannerByStore[store] || []).filter(e => e.kind === 'route')).map(e => e.id));
+  let totalPairs = 0;
+  const splitPairs = [];
+  humanRoutes.forEach(route => {
+    for (let i = 0; i < route.stores.length; i++) {
+      for (let j = i + 1; j < route.stores.length; j++) {
+        const a = route.stores[i];
+        const b = route.stores[j];
+        if (a === b) continue;
+        totalPairs++;
+        const routesB = plannerRoutesOf(b);
+        if (![...plannerRoutesOf(a)].some(id => routesB.has(id))) {
+          splitPairs.push([route.routeCode, a, b, describe(plannerByStore[a]), describe(plannerByStore[b])]);
+        }
+      }
+    }
+  });
 
-  const getAddressString = (storeId) => {
-    const adr = addressData[storeId];
-    if (!adr) return null;
-    return encodeURIComponent(`${adr.street}, ${adr.city}, ${adr.zip}`);
+  const sum = (list, fn) => list.reduce((total, item) => total + fn(item), 0);
+  const avg = list => (list.length ? sum(list, v => v) / list.length : 0);
+  const human = {
+    routes: humanRoutes.length,
+    miles: sum(humanRoutes, r => r.miles),
+    pallets: sum(humanRoutes, r => r.pallets),
+    utilization: avg(humanRoutes.map(r => r.utilization).filter(u => !isNaN(u)))
+  };
+  const planner = {
+    routes: trucks.length,
+    miles: sum(trucks, ([, r]) => r.miles),
+    pallets: sum(trucks, ([, r]) => r.pallets),
+    utilization: avg(trucks.map(([, r]) => r.utilization).filter(u => !isNaN(u)))
   };
 
-  const origin = getAddressString(warehouse);
-  const destination = getAddressString(warehouse); // Route returns to origin
-  const waypoints = [...new Set(orderedStops.map(s => s.store))]
-    .map(getAddressString)
-    .filter(Boolean) // Remove any nulls if address not found
-    .join('|');
-
-  if (!origin) return "N/A";
+  const closeness = (actual, target) => (target > 0 ? Math.max(0, 1 - Math.abs(actual - target) / target) : 0);
+  const components = {
+    storeAgreement: humanStoreCount ? agreedStores / humanStoreCount : 0,
+    pairsKept: totalPairs ? (totalPairs - splitPairs.length) / totalPairs : 1,
+    routeCount: closeness(planner.routes, human.routes),
+    mileage: closeness(planner.miles, human.miles)
+  };
+  const score = 100 * Object.keys(BENCHMARK_SCORE_WEIGHTS)
+    .reduce((total, key) => total + BENCHMARK_SCORE_WEIGHTS[key] * components[key], 0);
+
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+  const summary = [
+    ['Quality Score (0-100)', '', '', '', score.toFixed(1)],
+    ['Store Agreement', `${humanStoreCount} stores`, `${agreedStores} agree`, '', percent(components.storeAgreement)],
+    ['Store Pairs Kept Together', `${totalPairs} pairs`, `${totalPairs - splitPairs.length} kept`, '', percent(components.pairsKept)],
+    ['Routes', human.routes, planner.routes, planner.routes - human.routes, percent(components.routeCount)],
+    ['Total Miles', human.miles.toFixed(0), planner.miles.toFixed(0), (planner.miles - human.miles).toFixed(0), percent(components.mileage)],
+    ['Pallets on Routes', human.pallets.toFixed(2), planner.pallets.toFixed(2), (planner.pallets - human.pallets).toFixed(2), ''],
+    ['Avg Utilization (%)', human.utilization.toFixed(1), planner.utilization.toFixed(1), (planner.utilization - human.utilization).toFixed(1), '']
+  ];
 
-  return `https://www.google.com/maps/dir/?api=1&origin=${origin}&destination=${destination}&waypoints=${waypoints}`;
+  return { score, components, summary, stores, splitPairs };
 }
 
-function diagnoseUnusedCarrier(carrier, shipments, context) {
-  if (!carrier.timeSlots || carrier.timeSlots.length === 0) {
-    return "FAIL: No time slots defined in 'Carriers_2' sheet.";
+/**
+ * [NEW] Benchmarks a plan against the human-reviewed plan and writes the 'Human Benchmark' sheet:
+ * quality score, route-count and mileage differences, per-store agreement and split store pairs.
+ * @param {number} [version] - Plan version from Plan History; defaults to the current Generated Plan
+ * @returns {Object} Result of benchmarkPlanAgainstHuman
+ */
+function benchmarkAgainstHumanPlan(version) {
+  const humanRoutes = importHumanReviewedPlan();
+  let rows;
+  let label;
+  if (version !== undefined && version !== null && version !== '') {
+    rows = readPlanVersion(version).rows;
+    label = `plan version ${version}`;
+  } else {
+    const planSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Generated Plan');
+    if (!planSheet || planSheet.getLastRow() < 2) throw new Error('Generated Plan is empty. Run Generate Plan first.');
+    rows = readPlanRowObjects(planSheet);
+    label = 'current Generated Plan';
   }
+  const result = benchmarkPlanAgainstHuman(humanRoutes, planRowsToRoutes(rows));
 
-  if (!shipments || shipments.length === 0) {
-    return "FAIL: No shipments to evaluate";
-  }
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Human Benchmark');
+  if (sheet) sheet.clear(); else sheet = ss.insertSheet('Human Benchmark');
+
+  sheet.getRange(1, 1).setValue(`Human-reviewed plan vs ${label}`).setFontWeight('bold').setFontSize(14);
+  let currentRow = 3;
+  currentRow = writeReportTable(sheet, currentRow, 'Summary', ['Metric', 'Human', 'Planner', 'Delta', 'Score Component'], result.summary, '');
+  currentRow = writeReportTable(sheet, currentRow, 'Stores Split by the Planner',
+    ['Human Route', 'Store A', 'Store B', 'Planner Routes (A)', 'Planner Routes (B)'], result.splitPairs, 'Every human store grouping was kept');
+  writeReportTable(sheet, currentRow, 'Store Assignment', ['Store', 'Human Routes', 'Planner Routes', 'Result'], result.stores, 'No stores');
+
+  Logger.log(`Human benchmark (${label}): score ${result.score.toFixed(1)}, ${result.splitPairs.length} split store pairs`);
+  return result;
+}
 
-  const unusedCost = carrier.costNotToUse || 0;
-  
-  // Filter out invalid shipments
-  const validShipments = shipments.filter(s => s && s.store && s.pallets);
-  if (validShipments.length === 0) {
-    return "FAIL: No valid shipments to evaluate";
+// --- STORE AFFINITY ---
+
+/** [NEW] Key of an unordered store pair. */
+function getStorePairKey(storeA, storeB) {
+  const a = String(storeA).trim();
+  const b = String(storeB).trim();
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * [NEW] Soft store-pair affinities learned from past human-reviewed plans. Every sheet whose
+ * name starts with HUMAN_PLAN_SHEET (e.g. 'HumanReviewedPlan 2024-06-02') counts as one plan.
+ * For a pair seen in the same plan n times and put on one route t of them, the affinity is
+ * (2t/n - 1) scaled by min(1, n / AFFINITY_MIN_PLANS): +1 always co-routed, -1 always apart,
+ * near 0 with little history. Pairs never seen in the same plan have no affinity.
+ * @param {Array<Array<Object>>} plans - One parseHumanReviewedPlan result per plan
+ * @param {number} minPlans - Plans a pair needs for full confidence
+ * @returns {Object} {planCount, stores: {store: plansSeen}, pairs: {'a|b': {together, plansBoth, affinity}}}
+ */
+function computeStoreAffinities(plans, minPlans) {
+  const fullConfidence = Math.max(1, minPlans || 1);
+  const storesSeen = {};
+  const pairs = {};
+  plans.forEach(routes => {
+    const stores = [...new Set([].concat(...routes.map(r => r.stores)))].sort();
+    stores.forEach(store => { storesSeen[store] = (storesSeen[store] || 0) + 1; });
+    const together = new Set();
+    routes.forEach(route => {
+      const routeStores = [...new Set(route.stores)];
+      for (let i = 0; i < routeStores.length; i++) {
+        for (let j = i + 1; j < routeStores.length; j++) together.add(getStorePairKey(routeStores[i], routeStores[j]));
+      }
+    });
+    for (let i = 0; i < stores.length; i++) {
+      for (let j = i + 1; j < stores.length; j++) {
+        const key = getStorePairKey(stores[i], stores[j]);
+        const pair = pairs[key] || (pairs[key] = { together: 0, plansBoth: 0, affinity: 0 });
+        pair.plansBoth++;
+        if (together.has(key)) pair.together++;
+      }
+    }
+  });
+  Object.keys(pairs).forEach(key => {
+    const pair = pairs[key];
+    const confidence = Math.min(1, pair.plansBoth / fullConfidence);
+    pair.affinity = Math.round((2 * pair.together / pair.plansBoth - 1) * confidence * 1000) / 1000;
+  });
+  return { planCount: plans.length, stores: storesSeen, pairs };
+}
+
+/**
+ * [NEW] Loads store affinities from every human-reviewed plan sheet in the workbook.
+ * @param {number} minPlans - AFFINITY_MIN_PLANS
+ * @returns {Object|null} Result of computeStoreAffinities, or null when no plans are imported
+ */
+function loadStoreAffinities(minPlans) {
+  const plans = SpreadsheetApp.getActiveSpreadsheet().getSheets()
+    .filter(sheet => sheet.getName().indexOf(HUMAN_PLAN_SHEET) === 0)
+    .map(sheet => parseHumanReviewedPlan(sheet.getDataRange().getValues()))
+    .filter(routes => routes.length > 0);
+  if (plans.length === 0) {
+    Logger.log('No human-reviewed plans found; store affinity disabled');
+    return null;
   }
-  
-  for (const shipment of validShipments) {
-    for (const timeSlot of carrier.timeSlots) {
-      const tempRoute = { carrier, time: timeSlot.time };
-      const failureReason = getInitialRouteFailureReason(shipment, tempRoute, context);
-      if (failureReason === null) {
-        return `NOTE: Carrier is valid but was not selected as the optimal choice. Cost not to use: $${unusedCost.toFixed(2)}`;
+  const storeAffinity = computeStoreAffinities(plans, minPlans);
+  Logger.log(`Learned store affinity for ${Object.keys(storeAffinity.pairs).length} store pairs from ${plans.length} human-reviewed plan(s)`);
+  return storeAffinity;
+}
+
+/**
+ * [NEW] Mean affinity over the store pairs of a route that have history.
+ * @param {Array<string>} stores - Stores on the route
+ * @param {Object} storeAffinity - Result of computeStoreAffinities
+ * @returns {Object} {affinity, knownPairs, weakestPair}
+ */
+function getRouteAffinity(stores, storeAffinity) {
+  const unique = [...new Set(stores.map(s => String(s).trim()))];
+  let total = 0;
+  let knownPairs = 0;
+  let weakestPair = null;
+  for (let i = 0; i < unique.length; i++) {
+    for (let j = i + 1; j < unique.length; j++) {
+      const pair = storeAffinity && storeAffinity.pairs[getStorePairKey(unique[i], unique[j])];
+      if (!pair) continue;
+      total += pair.affinity;
+      knownPairs++;
+      if (!weakestPair || pair.affinity < weakestPair.affinity) {
+        weakestPair = { stores: [unique[i], unique[j]], affinity: pair.affinity };
       }
     }
   }
+  return { affinity: knownPairs > 0 ? total / knownPairs : 0, knownPairs, weakestPair };
+}
 
-  const firstShipment = validShipments[0];
-  const firstTimeSlot = carrier.timeSlots[0];
-  const representativeReason = getInitialRouteFailureReason(firstShipment, { carrier, time: firstTimeSlot.time }, context);
-  
-  return `FAIL: Rejected for all shipments. Example Reason: ${representativeReason}. Cost not to use: $${unusedCost.toFixed(2)}`;
+/**
+ * [NEW] Pure list of ClusterData edits where history contradicts the sheet:
+ * - Allow: a pair dispatchers co-route (affinity >= threshold) that shares no cluster.
+ * - Review: a cluster a store lists but was never co-routed within, although stores listing it
+ *   were in the same plans, over at least minPlans plans. A store's only cluster is never flagged.
+ * Most pairs in a cluster are never co-routed simply because a truck holds a few stores, so
+ * "keep apart" evidence is judged per store and cluster rather than per pair.
+ * @param {Object} storeAffinity - Result of computeStoreAffinities
+ * @param {Object} clusterData - Result of getClusterData
+ * @param {number} threshold - AFFINITY_SUGGEST_THRESHOLD
+ * @param {number} minPlans - AFFINITY_MIN_PLANS
+ * @returns {Array<Array<*>>} Table rows (see suggestClusterDataEdits for columns)
+ */
+function buildClusterSuggestions(storeAffinity, clusterData, threshold, minPlans) {
+  const allow = [];
+  const partnersByStore = {};
+  Object.keys(storeAffinity.pairs).forEach(key => {
+    const pair = storeAffinity.pairs[key];
+    const [a, b] = key.split('|');
+    (partnersByStore[a] = partnersByStore[a] || []).push({ store: b, pair });
+    (partnersByStore[b] = partnersByStore[b] || []).push({ store: a, pair });
+
+    const clustersA = clusterData[a] || [];
+    const clustersB = clusterData[b] || [];
+    if (clustersA.length === 0 || clustersB.length === 0) return;
+    if (pair.affinity >= threshold && !areStoresValidTogether([a, b], clusterData)) {
+      let edit = 'Both stores already list 4 clusters; review manually';
+      if (clustersB.length < 4) edit = `Add '${clustersA[0]}' to store ${b} (CLUSTER_${clustersB.length + 1})`;
+      else if (clustersA.length < 4) edit = `Add '${clustersB[0]}' to store ${a} (CLUSTER_${clustersA.length + 1})`;
+      allow.push(['Allow', a, b, pair.together, pair.plansBoth, pair.affinity,
+        `No shared cluster (${clustersA.join(', ')} / ${clustersB.join(', ')})`, edit]);
+    }
+  });
+
+  const review = [];
+  Object.keys(storeAffinity.stores).sort().forEach(store => {
+    const clusters = clusterData[store] || [];
+    if (clusters.length < 2 || storeAffinity.stores[store] < Math.max(1, minPlans || 1)) return;
+    clusters.forEach(cluster => {
+      const partners = (partnersByStore[store] || []).filter(p => (clusterData[p.store] || []).includes(cluster));
+      if (partners.length === 0 || partners.some(p => p.pair.together > 0)) return;
+      const meanAffinity = partners.reduce((total, p) => total + p.pair.affinity, 0) / partners.length;
+      review.push(['Review', store, '', 0, storeAffinity.stores[store], Math.round(meanAffinity * 1000) / 1000,
+        `Lists ${clusters.join(', ')}`,
+        `Never co-routed with the ${partners.length} store(s) listing '${cluster}'; consider removing it from store ${store}`]);
+    });
+  });
+
+  allow.sort((x, y) => y[5] - x[5] || y[4] - x[4] || String(x[1]).localeCompare(String(y[1])));
+  return [...allow, ...review];
 }
 
-function getInitialRouteFailureReason(shipment, route, context) {
-    const { restrictions, distanceMatrix, warehouse, MAX_ROUTE_MILEAGE } = context;
+/**
+ * [NEW] Writes suggested ClusterData edits to the 'Cluster Suggestions' sheet.
+ * ClusterData itself is never changed.
+ * @returns {number} Number of suggestions
+ */
+function suggestClusterDataEdits() {
+  const settings = SettingsService.get();
+  const storeAffinity = loadStoreAffinities(settings.AFFINITY_MIN_PLANS);
+  if (!storeAffinity) throw new Error(`No human-reviewed plans found. Import one into a sheet named '${HUMAN_PLAN_SHEET}'.`);
+  const suggestions = buildClusterSuggestions(storeAffinity, getClusterData(),
+    settings.AFFINITY_SUGGEST_THRESHOLD || 0.5, settings.AFFINITY_MIN_PLANS);
 
-    if (!shipment || !shipment.store) {
-        return "Invalid shipment data";
-    }
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Cluster Suggestions');
+  if (sheet) sheet.clear(); else sheet = ss.insertSheet('Cluster Suggestions');
+  sheet.getRange(1, 1).setValue(`ClusterData edits suggested by ${storeAffinity.planCount} human-reviewed plan(s)`)
+    .setFontWeight('bold').setFontSize(14);
+  writeReportTable(sheet, 3, 'Suggestions',
+    ['Suggestion', 'Store A', 'Store B', 'Plans Co-routed', 'Plans Seen', 'Affinity', 'ClusterData Today', 'Suggested Edit'],
+    suggestions, 'History agrees with ClusterData');
+
+  Logger.log(`Cluster suggestions: ${suggestions.length}`);
+  return suggestions.length;
+}
 
-    if (!distanceMatrix || !distanceMatrix[warehouse]) {
-        return "Missing distance matrix data";
-    }
+// --- DATA QUALITY ---
 
-    if (!distanceMatrix[warehouse][shipment.store]) {
-        return `Missing distance data from warehouse to store ${shipment.store}.`;
-    }
+/**
+ * [NEW] Thresholds for auditDistanceMatrix. Speeds are distance / duration; asymmetry compares
+ * A->B with B->A; a triangle violation is A->C longer than the best A->B->C detour times slack.
+ */
+const DISTANCE_AUDIT_LIMITS = {
+  maxMph: 70,
+  minMph: 5,
+  asymmetryRatio: 0.25,
+  asymmetryMinMiles: 5,
+  triangleSlack: 1.1,
+  triangleMinMiles: 5,
+  maxRowsPerCheck: 500
+};
 
-    const storeRestriction = restrictions[shipment.store];
-    if (storeRestriction && storeRestriction.deliveryWindow && storeRestriction.deliveryWindow.trim() !== '' && storeRestriction.deliveryWindow.toUpperCase() !== 'N/A' && !isTimeInWindow(route.time, storeRestriction.deliveryWindow)) {
-        return `Time slot ${route.time} is outside store ${shipment.store}'s window (${storeRestriction.deliveryWindow}).`;
-    }
-    
-    const requiredSize = getRequiredTrailerSize({ stops: [shipment] }, restrictions);
-    let capacity = 0;
-    switch (requiredSize) {
-        case '36': capacity = route.carrier.pallets36; break;
-        case '48': capacity = route.carrier.pallets48; break;
-        case '53': capacity = route.carrier.pallets53; break;
-    }
-    if (!capacity || shipment.pallets > capacity) {
-        return `Shipment of ${shipment.pallets} pallets exceeds trailer capacity of ${capacity}.`;
-    }
+/**
+ * [NEW] Pure audit of Distance Matrix entries between the given locations.
+ * @param {Array<string>} locations - Store and depot IDs that must be connected
+ * @param {Object} entries - {from: {to: {distance, duration, source}}} as read from the sheet
+ * @param {Object} limits - DISTANCE_AUDIT_LIMITS
+ * @returns {Object} {summary, missing, invalid, speed, asymmetry, triangle} as table rows
+ */
+function auditDistanceData(locations, entries, limits) {
+  const get = (from, to) => (entries[from] && entries[from][to]) || null;
+  const fmt = value => Math.round(value * 10) / 10;
+  const missing = [];
+  const missingByStore = {};
+  const invalid = [];
+  const speed = [];
+  const asymmetry = [];
+
+  locations.forEach(from => {
+    locations.forEach(to => {
+      if (from === to) return;
+      const entry = get(from, to);
+      if (!entry) {
+        missing.push([from, to, get(to, from) ? 'Yes' : 'No']);
+        missingByStore[from] = (missingByStore[from] || 0) + 1;
+        missingByStore[to] = (missingByStore[to] || 0) + 1;
+        return;
+      }
+      if (!(entry.distance > 0)) {
+        invalid.push([from, to, entry.distance, entry.duration, 'Zero or negative distance', entry.source]);
+        return;
+      }
+      if (!(entry.duration > 0)) {
+        invalid.push([from, to, entry.distance, entry.duration, 'Zero or negative duration', entry.source]);
+        return;
+      }
+      const mph = entry.distance / (entry.duration / 60);
+      if (mph > limits.maxMph || mph < limits.minMph) {
+        speed.push([from, to, entry.distance, entry.duration, fmt(mph),
+          mph > limits.maxMph ? 'Too fast (kilometers or wrong duration?)' : 'Too slow', entry.source]);
+      }
+      const reverse = get(to, from);
+      if (from < to && reverse && reverse.distance > 0) {
+        const diff = Math.abs(entry.distance - reverse.distance);
+        if (diff >= limits.asymmetryMinMiles && diff / Math.min(entry.distance, reverse.distance) > limits.asymmetryRatio) {
+          asymmetry.push([from, to, entry.distance, reverse.distance, fmt(diff),
+            `${Math.round(diff / Math.min(entry.distance, reverse.distance) * 100)}%`]);
+        }
+      }
+    });
+  });
 
-    const metrics = calculateRouteMetricsWithHOS([shipment], warehouse, distanceMatrix, context.detailedDurations);
-    if (metrics.hosStatus !== 'OK') {
-        return `Single-stop route to ${shipment.store} violates HOS rules (${metrics.hosStatus}).`;
-    }
-    if (metrics.totalDistance > MAX_ROUTE_MILEAGE) {
-        return `Single-stop route to ${shipment.store} exceeds max mileage (${metrics.totalDistance} > ${MAX_ROUTE_MILEAGE}).`;
-    }
+  // Worst detour per pair: A->C should not be much longer than going through any B
+  const triangle = [];
+  locations.forEach(a => {
+    locations.forEach(c => {
+      const direct = a === c ? null : get(a, c);
+      if (!direct || !(direct.distance > 0)) return;
+      let best = null;
+      locations.forEach(b => {
+        if (b === a || b === c) return;
+        const ab = get(a, b);
+        const bc = get(b, c);
+        if (!ab || !bc || !(ab.distance > 0) || !(bc.distance > 0)) return;
+        const detour = ab.distance + bc.distance;
+        if (!best || detour < best.detour) best = { via: b, detour };
+      });
+      if (best && direct.distance > best.detour * limits.triangleSlack && direct.distance - best.detour >= limits.triangleMinMiles) {
+        triangle.push([a, c, direct.distance, best.via, fmt(best.detour), fmt(direct.distance - best.detour)]);
+      }
+    });
+  });
 
-    return null;
+  asymmetry.sort((x, y) => y[4] - x[4]);
+  triangle.sort((x, y) => y[5] - x[5]);
+  const summary = [
+    ['Locations audited', locations.length],
+    ['Missing pairs', missing.length],
+    ['Zero/negative distance or duration', invalid.length],
+    ['Implausible speeds', speed.length],
+    ['Asymmetric pairs', asymmetry.length],
+    ['Triangle-inequality violations', triangle.length]
+  ];
+  const worstMissing = Object.keys(missingByStore)
+    .sort((x, y) => missingByStore[y] - missingByStore[x])
+    .map(store => [store, missingByStore[store]]);
+
+  return { summary, missing, missingByStore: worstMissing, invalid, speed, asymmetry, triangle };
 }
 
-// --- [UPDATED] DASHBOARD & ANALYTICS FUNCTION ---
+/**
+ * [NEW] Audits the Distance Matrix sheet for every store in Addresses and Shipments plus the
+ * depots, and writes the findings to the 'Data Quality' sheet. Nothing is fetched or estimated.
+ * @returns {Object} Result of auditDistanceData
+ */
+function auditDistanceMatrix() {
+  const locations = new Set();
+  Object.keys(getAddressData()).forEach(store => locations.add(String(store).trim()));
+  const shipmentValues = getSheetData('Shipments');
+  if (shipmentValues && shipmentValues.length > 1) {
+    const storeIdx = shipmentValues[0].indexOf('Store');
+    if (storeIdx !== -1) {
+      shipmentValues.slice(1).forEach(row => {
+        if (row[storeIdx] !== '' && row[storeIdx] !== null) locations.add(String(row[storeIdx]).trim());
+      });
+    }
+  }
+  getWarehouses(DEFAULT_WAREHOUSE).forEach(w => locations.add(String(w.id)));
+
+  const entries = {};
+  const matrixValues = getSheetData('Distance Matrix');
+  if (matrixValues && matrixValues.length > 1) {
+    const headers = matrixValues[0];
+    const col = name => headers.indexOf(name);
+    if (col('From') === -1 || col('To') === -1 || col('Distance (M)') === -1 || col('Duration (Min)') === -1) {
+      throw new Error('Distance Matrix sheet missing required columns');
+    }
+    matrixValues.slice(1).forEach(row => {
+      const from = String(row[col('From')]).trim();
+      const to = String(row[col('To')]).trim();
+      if (!from || !to) return;
+      if (!entries[from]) entries[from] = {};
+      entries[from][to] = {
+        distance: parseFloat(row[col('Distance (M)')]),
+        duration: parseFloat(row[col('Duration (Min)')]),
+        source: col('Source') === -1 ? '' : String(row[col('Source')] || '')
+      };
+    });
+  }
+
+  const limits = DISTANCE_AUDIT_LIMITS;
+  const audit = auditDistanceData([...locations].filter(Boolean).sort(), entries, limits);
 
-function updateDashboard() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const planSheet = ss.getSheetByName('Generated Plan');
-  if (!planSheet) return;
+  let sheet = ss.getSheetByName('Data Quality');
+  if (sheet) sheet.clear(); else sheet = ss.insertSheet('Data Quality');
+  sheet.getRange(1, 1).setValue(`Distance Matrix audit (${new Date().toISOString()})`).setFontWeight('bold').setFontSize(14);
+
+  const capped = rows => rows.slice(0, limits.maxRowsPerCheck);
+  const title = (text, rows) => (rows.length > limits.maxRowsPerCheck ? `${text} (first ${limits.maxRowsPerCheck} of ${rows.length})` : text);
+  let currentRow = 3;
+  currentRow = writeReportTable(sheet, currentRow, 'Summary', ['Check', 'Issues'], audit.summary, '');
+  currentRow = writeReportTable(sheet, currentRow, title('Missing Pairs by Location', audit.missingByStore),
+    ['Location', 'Missing Pairs'], capped(audit.missingByStore), 'Every location pair is in the Distance Matrix');
+  currentRow = writeReportTable(sheet, currentRow, title('Missing Pairs', audit.missing),
+    ['From', 'To', 'Reverse Present?'], capped(audit.missing), 'None');
+  currentRow = writeReportTable(sheet, currentRow, title('Zero or Negative Values', audit.invalid),
+    ['From', 'To', 'Distance (M)', 'Duration (Min)', 'Problem', 'Source'], capped(audit.invalid), 'None');
+  currentRow = writeReportTable(sheet, currentRow, title(`Implausible Speeds (outside ${limits.minMph}-${limits.maxMph} mph)`, audit.speed),
+    ['From', 'To', 'Distance (M)', 'Duration (Min)', 'MPH', 'Problem', 'Source'], capped(audit.speed), 'None');
+  currentRow = writeReportTable(sheet, currentRow, title('Asymmetric Pairs', audit.asymmetry),
+    ['A', 'B', 'A→B (M)', 'B→A (M)', 'Difference (M)', 'Difference (%)'], capped(audit.asymmetry), 'None');
+  writeReportTable(sheet, currentRow, title('Triangle-Inequality Violations', audit.triangle),
+    ['From', 'To', 'Direct (M)', 'Via', 'Via Distance (M)', 'Excess (M)'], capped(audit.triangle), 'None');
+
+  Logger.log(`Distance Matrix audit: ${audit.summary.map(([check, count]) => `${check} ${count}`).join(', ')}`);
+  return audit;
+}
 
-  const planData = planSheet.getDataRange().getValues();
-  if (planData.length <= 1) return;
+// --- DISTANCE PROVIDER ---
 
-  let dashboardSheet = ss.getSheetByName('Dashboard');
-  if (dashboardSheet) {
-    dashboardSheet.clear();
-    dashboardSheet.getCharts().forEach(chart => dashboardSheet.removeChart(chart));
-  } else {
-    dashboardSheet = ss.insertSheet('Dashboard');
-  }
+/**
+ * [NEW] Source column value of Distance Matrix rows copied from the opposite direction.
+ */
+const DISTANCE_SOURCE_REVERSE = 'Reverse';
 
-  const headers = planData[0];
-  const dataRows = planData.slice(1);
+/**
+ * [NEW] Hidden sheet remembering every live lookup by ordered store pair and the addresses
+ * it was made for, so a pair is only looked up again when one of its addresses changes.
+ */
+const DISTANCE_CACHE_SHEET = 'Distance Cache';
+const DISTANCE_CACHE_HEADERS = ['From', 'To', 'From Address', 'To Address', 'Distance (M)', 'Duration (Min)', 'Status', 'Provider', 'Fetched'];
+const DISTANCE_CACHE_OK = 'OK';
+const DISTANCE_CACHE_NO_ROUTE = 'NO_ROUTE';
 
-  const carrierIdx = headers.indexOf('Carrier');
-  const palletsIdx = headers.indexOf('Total Pallets');
-  const utilizationIdx = headers.indexOf('Truck Utilization');
-  const clusterIdx = headers.indexOf('Cluster');
-  const mileageIdx = headers.indexOf('Total Route Mileage');
-  const durationIdx = headers.indexOf('Total Duration (min)');
-  const stopSeqIdx = headers.indexOf('Stop Sequence');
-  const costIdx = headers.indexOf('Estimated Cost');
-  const notesIdx = headers.indexOf('Notes');
-  const detailedRouteIdx = headers.indexOf('Detailed Route');
-  const routeIdIdx = headers.indexOf('Route ID');
+/**
+ * [NEW] Consecutive failed lookups after which the rest of the run's lookups are skipped
+ * (quota exhausted or the service is unavailable).
+ */
+const DISTANCE_LOOKUP_MAX_FAILURES = 5;
 
-  const stats = {
-    totalRoutes: 0, 
-    totalPallets: 0, 
-    totalMileage: 0, 
-    totalDuration: 0, 
-    totalCost: 0,
-    unplannablePallets: 0, 
-    overspillPallets: 0, 
-    consolidatedPallets: 0,
-    unusedCapacity: 0,
-    carrierData: {}, 
-    clusterData: {}, 
-    unplannableReasons: {},
-    legDistances: [], // NEW - track leg distances
-    crossRegionRoutes: [], // NEW - routes with long legs
-    overspillByCategory: { AMB: 0, CHI: 0, FRE: 0, PRO: 0 }, // NEW
-    overspillByStore: {}, // NEW - track stores in overspill
-    coldChainWarnings: 0 // NEW
-  };
+/**
+ * [NEW] Live distance lookups through the Apps Script Maps service.
+ * A provider is {name, lookup(fromAddress, toAddress)}: lookup returns {distance, duration}
+ * in miles and minutes, null when there is no route, and throws when the service fails.
+ */
+const MAPS_DISTANCE_PROVIDER = {
+  name: 'Google Maps',
+  lookup: function(fromAddress, toAddress) {
+    const directions = Maps.newDirectionFinder().setOrigin(fromAddress).setDestination(toAddress).getDirections();
+    if (!directions || !directions.routes || directions.routes.length === 0) return null;
+    const leg = directions.routes[0].legs[0];
+    return {
+      distance: Math.round(leg.distance.value * 0.000621371),
+      duration: Math.round(leg.duration.value / 60)
+    };
+  }
+};
 
-  dataRows.forEach(row => {
-    const carrier = row[carrierIdx];
-    const pallets = parseFloat(row[palletsIdx]) || 0;
-    const stopSequence = row[stopSeqIdx];
-    const notes = String(row[notesIdx] || '');
-    const routeId = row[routeIdIdx];
+/**
+ * [NEW] Holds the provider used for live lookups. Tests and local runs swap in a stub with
+ * setProvider({name, lookup}); setProvider(null) restores Maps.
+ */
+const DistanceLookupService = {
+  provider: null,
+  getProvider: function() {
+    return this.provider || MAPS_DISTANCE_PROVIDER;
+  },
+  setProvider: function(provider) {
+    this.provider = provider || null;
+  }
+};
 
-    if (stopSequence === 'UNUSED CAPACITY' || stopSequence === 'NOT PLANNED') {
-      stats.unusedCapacity++;
-      return;
-    }
+/** [NEW] Address a store is looked up by, or null when it has none. */
+function getLookupAddress(store, addressData) {
+  const address = addressData[store];
+  return address ? `${address.street}, ${address.city}` : null;
+}
 
-    if (carrier.includes('Unplannable')) {
-      stats.unplannablePallets += pallets;
-      const reason = (notes.match(/Failed due to (.*)\./) || [])[1] || 'Other';
-      stats.unplannableReasons[reason] = (stats.unplannableReasons[reason] || 0) + 1;
+/**
+ * [NEW] Reads the Distance Cache sheet. Later rows for a pair replace earlier ones.
+ * @returns {Object} {"from|to": {fromAddress, toAddress, distance, duration, status, provider}}
+ */
+function loadDistanceCache() {
+  const cache = {};
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(DISTANCE_CACHE_SHEET);
+  if (!sheet) return cache;
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0] || [];
+  const col = name => headers.indexOf(name);
+  if (DISTANCE_CACHE_HEADERS.some(name => col(name) === -1)) {
+    Logger.log(`Warning: '${DISTANCE_CACHE_SHEET}' sheet has unexpected columns and was ignored`);
+    return cache;
+  }
+  values.slice(1).forEach(row => {
+    const from = String(row[col('From')]).trim();
+    const to = String(row[col('To')]).trim();
+    if (!from || !to) return;
+    cache[`${from}|${to}`] = {
+      fromAddress: String(row[col('From Address')]),
+      toAddress: String(row[col('To Address')]),
+      distance: parseFloat(row[col('Distance (M)')]) || 0,
+      duration: parseFloat(row[col('Duration (Min)')]) || 0,
+      status: String(row[col('Status')]).trim(),
+      provider: String(row[col('Provider')] || '')
+    };
+  });
+  return cache;
+}
+
+/**
+ * [NEW] Decides how each missing pair will be filled, without calling anything:
+ * - reverse: copied from the opposite direction, already known or about to be looked up
+ * - cached: answered by the Distance Cache for the same addresses
+ * - noRoute: the provider already found no route between the same addresses
+ * - calls: live lookups, at most budget of them
+ * - deferred: over budget (or live lookups disabled), left for estimateDistance
+ * - noAddress: a store has no address to look up
+ * Estimated pairs (see findMissingDistancePairs) keep their estimate unless one of the above replaces it.
+ * @param {Array<Object>} missingPairs - [{from, to[, estimated]}]
+ * @param {Object} matrix - Distance matrix
+ * @param {Object} addressData - Addresses by store
+ * @param {Object} cache - Result of loadDistanceCache
+ * @param {number} budget - Live lookups allowed
+ * @param {boolean} reuseReverse - Fill a pair from its reverse direction
+ * @returns {Object} Lists of pairs keyed as above
+ */
+function planDistanceLookups(missingPairs, matrix, addressData, cache, budget, reuseReverse) {
+  const plan = { reverse: [], cached: [], noRoute: [], calls: [], deferred: [], noAddress: [] };
+  const called = new Set();
+
+  missingPairs.forEach(pair => {
+    const reverse = matrix[pair.to] && matrix[pair.to][pair.from];
+    // NEW: An estimated pair is only worth copying over from a measured reverse
+    if (reuseReverse && ((reverse && !(pair.estimated && reverse.estimated)) || called.has(`${pair.to}|${pair.from}`))) {
+      plan.reverse.push(pair);
       return;
     }
-    
-    if (carrier.includes('Consolidated Overspill')) {
-      stats.consolidatedPallets += pallets;
-      // Track as planned route with note
-      stats.totalRoutes++;
-      stats.totalPallets += pallets;
+    const fromAddress = getLookupAddress(pair.from, addressData);
+    const toAddress = getLookupAddress(pair.to, addressData);
+    if (!fromAddress || !toAddress) {
+      plan.noAddress.push(pair);
       return;
     }
-    
-    if (carrier.includes('Overspill')) {
-      stats.overspillPallets += pallets;
-      
-      // NEW: Track overspill by category
-      const stopSeqStr = String(stopSequence);
-      if (stopSeqStr.includes('AMB')) stats.overspillByCategory.AMB += pallets;
-      if (stopSeqStr.includes('CHI')) stats.overspillByCategory.CHI += pallets;
-      if (stopSeqStr.includes('FRE')) stats.overspillByCategory.FRE += pallets;
-      if (stopSeqStr.includes('PRO')) stats.overspillByCategory.PRO += pallets;
-      
-      // NEW: Track stores appearing in overspill
-      const stores = stopSeqStr.match(/\d{4}/g) || [];
-      stores.forEach(store => {
-        stats.overspillByStore[store] = (stats.overspillByStore[store] || 0) + 1;
-      });
+
+    const forward = cache[`${pair.from}|${pair.to}`];
+    const backward = cache[`${pair.to}|${pair.from}`];
+    let hit = null;
+    if (forward && forward.fromAddress === fromAddress && forward.toAddress === toAddress) hit = forward;
+    else if (reuseReverse && backward && backward.fromAddress === toAddress && backward.toAddress === fromAddress) hit = backward;
+    if (hit) {
+      if (hit.status === DISTANCE_CACHE_OK) plan.cached.push({ ...pair, distance: hit.distance, duration: hit.duration, provider: hit.provider });
+      else plan.noRoute.push(pair);
       return;
     }
 
-    stats.totalRoutes++;
-    stats.totalPallets += pallets;
-    stats.totalMileage += parseFloat(row[mileageIdx]) || 0;
-    stats.totalDuration += parseFloat(row[durationIdx]) || 0;
-    stats.totalCost += parseFloat(row[costIdx]) || 0;
-    
-    // NEW: Track cold chain warnings
-    if (notes.includes('COLD CHAIN WARNING')) {
-      stats.coldChainWarnings++;
-    }
-    
-    // NEW: Parse leg distances from detailed route
-    const detailedRoute = String(row[detailedRouteIdx] || '');
-    const legMatches = detailedRoute.match(/\((\d+(?:\.\d+)?)\s*mi\)/g);
-    if (legMatches) {
-      legMatches.forEach(match => {
-        const distance = parseFloat(match.match(/\d+(?:\.\d+)?/)[0]);
-        stats.legDistances.push({ routeId, distance });
-        
-        // NEW: Flag cross-region routes (legs >75 miles)
-        if (distance > 75) {
-          stats.crossRegionRoutes.push({ routeId, legDistance: distance });
-        }
-      });
+    if (plan.calls.length < budget) {
+      plan.calls.push({ ...pair, fromAddress, toAddress });
+      called.add(`${pair.from}|${pair.to}`);
+    } else {
+      plan.deferred.push(pair);
     }
+  });
+  return plan;
+}
 
-    if (!stats.carrierData[carrier]) {
-      stats.carrierData[carrier] = { 
-        routes: 0, 
-        pallets: 0, 
-        totalUtilization: 0, 
-        utilizationCount: 0, 
-        cost: 0,
-        mileage: 0 
-      };
-    }
-    stats.carrierData[carrier].routes++;
-    stats.carrierData[carrier].pallets += pallets;
-    stats.carrierData[carrier].cost += parseFloat(row[costIdx]) || 0;
-    stats.carrierData[carrier].mileage += parseFloat(row[mileageIdx]) || 0;
-    const utilStr = String(row[utilizationIdx]);
-    if (utilStr && utilStr !== 'N/A') {
-      stats.carrierData[carrier].totalUtilization += parseFloat(utilStr.replace('%', ''));
-      stats.carrierData[carrier].utilizationCount++;
-    }
+/**
+ * [NEW] Fills missing Distance Matrix pairs from reverse pairs, the Distance Cache and live
+ * lookups through DistanceLookupService (within MAPS_LOOKUP_BUDGET). Filled pairs are written
+ * back to the Distance Matrix sheet (replacing estimated rows) and new lookups to the Distance Cache.
+ * @param {Object} matrix - Distance matrix, updated in place
+ * @param {Array<Object>} missingPairs - [{from, to}]
+ * @param {Object} addressData - Addresses by store
+ * @param {Object} settings - Routing settings
+ * @param {boolean} liveLookups - False when no API key is configured
+ * @returns {Object} Counts of pairs filled or left per source
+ */
+function fillMissingDistances(matrix, missingPairs, addressData, settings, liveLookups) {
+  const budget = liveLookups ? Math.max(0, Number(settings.MAPS_LOOKUP_BUDGET) || 0) : 0;
+  const plan = planDistanceLookups(missingPairs, matrix, addressData, loadDistanceCache(), budget, settings.REUSE_REVERSE_DISTANCES !== false);
+  const provider = DistanceLookupService.getProvider();
+  const matrixRows = [];
+  const cacheRows = [];
+  const setEntry = (from, to, value, source) => {
+    if (!matrix[from]) matrix[from] = {};
+    matrix[from][to] = value;
+    matrixRows.push([from, to, value.distance, value.duration, source]);
+  };
 
-    const cluster = row[clusterIdx];
-    if (cluster && cluster !== 'N/A') {
-      if (!stats.clusterData[cluster]) stats.clusterData[cluster] = { routes: 0, pallets: 0 };
-      stats.clusterData[cluster].routes++;
-      stats.clusterData[cluster].pallets += pallets;
+  plan.cached.forEach(item => setEntry(item.from, item.to, { distance: item.distance, duration: item.duration }, item.provider));
+
+  let fetched = 0;
+  let failed = 0;
+  let consecutiveFailures = 0;
+  let skipped = 0;
+  if (plan.calls.length > 0) Logger.log(`Looking up ${plan.calls.length} missing distance pairs with ${provider.name}.`);
+  plan.calls.forEach(item => {
+    if (consecutiveFailures >= DISTANCE_LOOKUP_MAX_FAILURES) {
+      skipped++;
+      return;
+    }
+    try {
+      const result = provider.lookup(item.fromAddress, item.toAddress);
+      consecutiveFailures = 0;
+      cacheRows.push([item.from, item.to, item.fromAddress, item.toAddress,
+        result ? result.distance : '', result ? result.duration : '',
+        result ? DISTANCE_CACHE_OK : DISTANCE_CACHE_NO_ROUTE, provider.name, new Date()]);
+      if (result) {
+        setEntry(item.from, item.to, { distance: result.distance, duration: result.duration }, provider.name);
+        fetched++;
+      }
+    } catch (e) {
+      failed++;
+      consecutiveFailures++;
+      Logger.log(`Could not get directions for ${item.from} to ${item.to}: ${e.toString()}`);
     }
   });
+  if (skipped > 0) {
+    Logger.log(`Warning: stopped after ${DISTANCE_LOOKUP_MAX_FAILURES} failed lookups in a row; ${skipped} pairs were not looked up`);
+  }
 
-  let currentRow = 1;
-
-  // --- Section 1: OVERALL SUMMARY ---
-  dashboardSheet.getRange(currentRow, 1, 1, 6).merge()
-    .setValue('📊 OVERALL PLAN SUMMARY')
-    .setFontWeight('bold')
-    .setFontSize(14)
-    .setHorizontalAlignment('center')
-    .setBackground('#4285f4')
-    .setFontColor('#ffffff');
-  currentRow += 2;
+  let reversed = 0;
+  plan.reverse.forEach(pair => {
+    const reverse = matrix[pair.to] && matrix[pair.to][pair.from];
+    const current = matrix[pair.from] && matrix[pair.from][pair.to];
+    if (!reverse || (current && (!current.estimated || reverse.estimated))) return;
+    const value = { distance: reverse.distance, duration: reverse.duration };
+    if (reverse.estimated) value.estimated = true;
+    setEntry(pair.from, pair.to, value, reverse.estimated ? DISTANCE_SOURCE_ESTIMATED : DISTANCE_SOURCE_REVERSE);
+    reversed++;
+  });
 
-  const overallKpis = [
-    ['Total Planned Routes', stats.totalRoutes],
-    ['Total Planned Pallets', stats.totalPallets.toFixed(2)],
-    ['Consolidated Overspill Pallets', stats.consolidatedPallets.toFixed(2)],
-    ['Remaining Overspill Pallets', stats.overspillPallets.toFixed(2)],
-    ['Unplannable Pallets', stats.unplannablePallets.toFixed(2)],
-    ['Total Mileage', stats.totalMileage.toFixed(0) + ' miles'],
-    ['Total Estimated Cost', `$${stats.totalCost.toFixed(2)}`],
-    ['Avg Cost Per Mile', `$${(stats.totalCost / stats.totalMileage || 0).toFixed(2)}`],
-    ['Unused Carrier Slots', stats.unusedCapacity],
-    ['Cold Chain Warnings', stats.coldChainWarnings]
-  ];
-  dashboardSheet.getRange(currentRow, 1, overallKpis.length, 2).setValues(overallKpis);
-  dashboardSheet.getRange(currentRow, 1, overallKpis.length, 2)
-    .setBorder(true, true, true, true, true, true);
-  dashboardSheet.getRange(currentRow, 1, overallKpis.length, 1).setFontWeight('bold');
-  
-  // Color code critical metrics
-  if (stats.overspillPallets > 50) {
-    dashboardSheet.getRange(currentRow + 3, 2).setBackground('#ffcccc'); // Red for high overspill
-  } else if (stats.overspillPallets > 20) {
-    dashboardSheet.getRange(currentRow + 3, 2).setBackground('#fff4cc'); // Yellow
-  } else {
-    dashboardSheet.getRange(currentRow + 3, 2).setBackground('#ccffcc'); // Green
+  if (cacheRows.length > 0) {
+    try {
+      const sheet = getVersioningSheet(DISTANCE_CACHE_SHEET, DISTANCE_CACHE_HEADERS, true);
+      sheet.getRange(sheet.getLastRow() + 1, 1, cacheRows.length, DISTANCE_CACHE_HEADERS.length).setValues(cacheRows);
+    } catch (e) {
+      Logger.log('Distance cache write error: ' + e);
+    }
   }
-  
-  if (stats.coldChainWarnings > 0) {
-    dashboardSheet.getRange(currentRow + 9, 2).setBackground('#fff4cc'); // Yellow warning
+  if (matrixRows.length > 0) {
+    try {
+      appendDistanceMatrixRows(matrixRows);
+    } catch (e) {
+      Logger.log('Distance write-back error: ' + e);
+    }
   }
-  
-  currentRow += overallKpis.length + 2;
 
-  // --- Section 2: CROSS-REGION ANALYSIS ---
-  if (stats.crossRegionRoutes.length > 0) {
-    dashboardSheet.getRange(currentRow, 1, 1, 3).merge()
-      .setValue('⚠️ CROSS-REGION ROUTING ISSUES')
-      .setFontWeight('bold')
-      .setFontSize(12)
-      .setHorizontalAlignment('center')
-      .setBackground('#ff9800')
-      .setFontColor('#ffffff');
-    currentRow += 2;
-    
-    const crossRegionData = [['Route ID', 'Leg Distance (miles)', 'Issue Severity']];
-    stats.crossRegionRoutes.forEach(r => {
-      const severity = r.legDistance > 100 ? 'CRITICAL' : r.legDistance > 85 ? 'HIGH' : 'MEDIUM';
-      crossRegionData.push([r.routeId, r.legDistance.toFixed(1), severity]);
-    });
-    
-    dashboardSheet.getRange(currentRow, 1, crossRegionData.length, 3).setValues(crossRegionData);
-    dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#ffe0cc');
-    dashboardSheet.getRange(currentRow, 1, crossRegionData.length, 3)
-      .setBorder(true, true, true, true, true, true);
-    
-    currentRow += crossRegionData.length + 2;
+  const counts = {
+    missing: missingPairs.length,
+    reverse: reversed,
+    cached: plan.cached.length,
+    fetched,
+    failed,
+    skipped,
+    noRoute: plan.noRoute.length,
+    deferred: plan.deferred.length,
+    noAddress: plan.noAddress.length
+  };
+  Logger.log(`Missing distance pairs: ${counts.missing} (reverse ${counts.reverse}, cached ${counts.cached}, ` +
+    `looked up ${counts.fetched}, failed ${counts.failed + counts.skipped}, no route ${counts.noRoute}, ` +
+    `over budget ${counts.deferred}, no address ${counts.noAddress})`);
+  return counts;
+}
+
+/**
+ * [NEW] Dry run of the distance lookups the next plan would make: reads Shipments, the depots,
+ * the Distance Matrix and the Distance Cache, and reports how many missing pairs would be
+ * reused, answered from the cache, looked up or left over budget. Nothing is called or written.
+ * @returns {Object} Counts per source, plus budget
+ */
+function previewDistanceLookups() {
+  const settings = SettingsService.get();
+  const shipments = getShipments(getProductTypeMap());
+  const addressData = getAddressData();
+  const warehouses = getWarehouses(DEFAULT_WAREHOUSE);
+  mergeDepotAddresses(addressData, warehouses);
+
+  const matrix = readDistanceMatrixSheet();
+  const missingPairs = findMissingDistancePairs(matrix, [...shipments.map(s => s.store), ...warehouses.map(w => w.id)]);
+  const budget = Math.max(0, Number(settings.MAPS_LOOKUP_BUDGET) || 0);
+  const plan = planDistanceLookups(missingPairs, matrix, addressData, loadDistanceCache(), budget, settings.REUSE_REVERSE_DISTANCES !== false);
+
+  const counts = {
+    missing: missingPairs.length,
+    estimated: missingPairs.filter(pair => pair.estimated).length, // NEW - included in missing
+    reverse: plan.reverse.length,
+    cached: plan.cached.length,
+    calls: plan.calls.length,
+    noRoute: plan.noRoute.length,
+    deferred: plan.deferred.length,
+    noAddress: plan.noAddress.length,
+    budget
+  };
+  const message = [
+    `Missing distance pairs: ${counts.missing} (${counts.estimated} only estimated so far)`,
+    `Copied from the reverse direction: ${counts.reverse}`,
+    `Answered from the Distance Cache: ${counts.cached}`,
+    `Known to have no route: ${counts.noRoute}`,
+    `Live lookups: ${counts.calls} (budget ${budget})`,
+    `Over budget, left for estimation: ${counts.deferred}`,
+    `No address, left for estimation: ${counts.noAddress}`
+  ].join('\n');
+  Logger.log(`Distance lookup preview: ${message.replace(/\n/g, '; ')}`);
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Distance Lookup Preview', message, ui.ButtonSet.OK);
+  return counts;
+}
+
+// --- TRAILER & FLEET ASSIGNMENT ---
+
+/**
+ * [NEW] Trailer sizes in Carrier Inventory, smallest first.
+ */
+const TRAILER_SIZES = ['36', '48', '53'];
+
+/**
+ * [NEW] Pallets a carrier's trailer of the given size holds (0 when unknown).
+ * [UPDATED] 0 for a size the carrier has no Carrier Inventory row for, once it has any rows.
+ */
+function getTrailerCapacity(carrier, size) {
+  if (!carrier || !size) return 0;
+  if (carrier.trailerSizes && carrier.trailerSizes.length > 0 && !carrier.trailerSizes.includes(String(size))) return 0;
+  return carrier[`pallets${size}`] || 0;
+}
+
+/**
+ * [NEW] Trailers of a size the carrier owns: its Trailers count, 0 for a size missing from
+ * Carrier Inventory when the carrier counts its trailers, else null (not tracked: unlimited).
+ */
+function getTrailersOwned(carrier, size) {
+  const fleet = (carrier && carrier.fleet) || {};
+  if (fleet[size] !== undefined) return fleet[size];
+  if (Object.keys(fleet).length > 0 && !(carrier.trailerSizes || []).includes(String(size))) return 0;
+  return null;
+}
+
+/**
+ * [NEW] Largest trailer size up to maxSize (getRequiredTrailerSize) that the carrier has:
+ * listed in Carrier Inventory and not counted as 0 trailers.
+ * @returns {string|null} '36', '48' or '53', or null when the carrier has none that small
+ */
+function getUsableTrailerSize(carrier, maxSize) {
+  const usable = TRAILER_SIZES.filter(size => Number(size) <= Number(maxSize) &&
+    getTrailerCapacity(carrier, size) > 0 && getTrailersOwned(carrier, size) !== 0);
+  return usable.length > 0 ? usable[usable.length - 1] : null;
+}
+
+/**
+ * [NEW] Carrier cost of a route on one trailer size: Carrier Inventory's Cost Per Mile /
+ * Cost Per Route for that size where given, else the carrier's Carrier Costs. Tolls not included.
+ */
+function getTrailerCost(carrier, size, miles) {
+  const sizeCosts = (carrier.trailerCosts && carrier.trailerCosts[size]) || {};
+  const costPerMile = sizeCosts.costPerMile !== null && sizeCosts.costPerMile !== undefined ? sizeCosts.costPerMile : (carrier.costPerMile || 0);
+  const costPerRoute = sizeCosts.costPerRoute !== null && sizeCosts.costPerRoute !== undefined ? sizeCosts.costPerRoute : (carrier.costPerRoute || 0);
+  return (miles * costPerMile) + costPerRoute;
+}
+
+/**
+ * [NEW] Minutes on the planning night's clock at which a slot dispatches. Slots between
+ * midnight and 06:00 belong to the night that started the evening before.
+ */
+function getDispatchMinutes(time) {
+  const minutes = parseTimeToMinutes(String(time || ''));
+  if (minutes === null) return 0;
+  return minutes < 360 ? minutes + 1440 : minutes;
+}
+
+/**
+ * [NEW] When a route's tractor and trailer are out: from its slot until the route's total
+ * duration (loading, waits, breaks and resets) from calculateRouteMetricsWithHOS has passed.
+ * @returns {Object} {start, end} in getDispatchMinutes minutes, plus the ordered stops, miles and
+ *   the route's holdFleetEquipment id (its own hold is not counted against it)
+ */
+function getRouteEquipmentWindow(route, context) {
+  const start = getDispatchMinutes(route.time);
+  const stops = advancedOptimizeStopOrder(route.stops, context.warehouse, context.distanceMatrix);
+  const metrics = calculateRouteMetricsWithHOS(stops, context.warehouse, context.distanceMatrix, context.detailedDurations, getRouteScheduleOptions(route, context));
+  return { start, end: start + metrics.totalDuration, stops, miles: metrics.totalDistance, holdId: route.fleetHoldId };
+}
+
+/**
+ * [NEW] Units of one kind of equipment still free for the whole of a window.
+ * @param {number|null|undefined} owned - Units the carrier has (absent: unlimited)
+ * @param {Array<Object>} bookings - [{start, end}] of units already dispatched
+ * @param {Object} window - {start, end}
+ * @returns {number} Free units (Infinity when unlimited)
+ */
+function getFleetUnitsFree(owned, bookings, window) {
+  if (owned === undefined || owned === null) return Infinity;
+  // Usage only rises when a booking starts, so the busiest moment is the window start or a booking start inside it
+  const points = [window.start, ...bookings.map(b => b.start).filter(t => t > window.start && t < window.end)];
+  const busiest = Math.max(...points.map(t => bookings.filter(b => b.start <= t && t < b.end).length));
+  return owned - busiest;
+}
+
+/** [NEW] Trailers of a size the carrier has back at the depot for the whole window. */
+function getTrailersAvailable(carrier, size, context, window) {
+  const owned = getTrailersOwned(carrier, size);
+  if (owned === null) return Infinity;
+  const bookings = context.fleetBookings[`${carrier.name}|${size}`] || [];
+  return getFleetUnitsFree(owned, [...bookings, ...getFleetHolds(carrier, context, window).filter(hold => hold.size === size)], window);
+}
+
+/** [NEW] Tractors the carrier has back at the depot for the whole window. */
+function getTractorsAvailable(carrier, context, window) {
+  if (carrier.tractors === null || carrier.tractors === undefined) return Infinity;
+  const bookings = context.fleetBookings[`${carrier.name}|tractor`] || [];
+  return getFleetUnitsFree(carrier.tractors, [...bookings, ...getFleetHolds(carrier, context, window)], window);
+}
+
+/** [NEW] Whether a carrier's tractors or trailers are counted in Carrier Inventory. */
+function hasFleetLimits(carrier) {
+  if (!carrier) return false;
+  return (carrier.tractors !== null && carrier.tractors !== undefined) || Object.keys(carrier.fleet || {}).length > 0;
+}
+
+/**
+ * [NEW] Whether a route can be dispatched: the carrier has a tractor and a trailer that fits
+ * (selectTrailerSize) back at the depot for the whole window, after routes already booked and
+ * routes held so far in this plan. Always true for carriers without fleet counts.
+ * @param {Object} route - Planner route ({carrier, time, stops, totalPallets})
+ * @param {Object} context - Planning context
+ * @param {Object} [window] - Result of getRouteEquipmentWindow, computed when omitted
+ */
+function hasFleetEquipment(route, context, window) {
+  if (!hasFleetLimits(route.carrier)) return true;
+  const routeWindow = window || getRouteEquipmentWindow(route, context);
+  return getTractorsAvailable(route.carrier, context, routeWindow) > 0 && selectTrailerSize(route, context, routeWindow) !== null;
+}
+
+/**
+ * [NEW] Holds a planned route's tractor and trailer while planning goes on, so routes opened
+ * after it see that equipment as out. The hold follows the route as stops are added or moved
+ * (see refreshFleetHold) until assignFleetEquipment books the route for good. Only carriers
+ * with fleet counts are held.
+ */
+function holdFleetEquipment(route, context) {
+  if (!hasFleetLimits(route.carrier) || !context.fleetHolds || route.fleetHoldId) return;
+  route.fleetHoldId = ++context.fleetHolds.lastId;
+  context.fleetHolds.holds.push({ id: route.fleetHoldId, carrier: route.carrier.name, route, signature: null });
+}
+
+/** [NEW] Drops the holds of routes that are about to be booked or were given up. */
+function releaseFleetHolds(routes, context) {
+  if (!context.fleetHolds) return;
+  const ids = new Set(routes.map(route => route.fleetHoldId).filter(Boolean));
+  context.fleetHolds.holds = context.fleetHolds.holds.filter(hold => !ids.has(hold.id));
+}
+
+/**
+ * [NEW] Held routes of a carrier other than the one the window belongs to, re-measured where
+ * their stops changed since they were last looked at.
+ */
+function getFleetHolds(carrier, context, window) {
+  if (!context.fleetHolds) return [];
+  return context.fleetHolds.holds
+    .filter(hold => hold.carrier === carrier.name && hold.id !== window.holdId)
+    .map(hold => refreshFleetHold(hold, context));
+}
+
+/**
+ * [NEW] Updates a hold's window and trailer size from its route. The signature is set first, so
+ * holds that look at each other while being measured see the last known values instead of recursing.
+ */
+function refreshFleetHold(hold, context) {
+  const { route } = hold;
+  const signature = `${route.time}|${route.stops.map(s => `${s.store}:${s.category}:${s.pallets}`).join(',')}`;
+  if (hold.signature === signature) return hold;
+  hold.signature = signature;
+  if (route.stops.length === 0) {
+    Object.assign(hold, { start: 0, end: 0, size: null });
+    return hold;
   }
+  const window = getRouteEquipmentWindow(route, context);
+  const size = selectTrailerSize(route, context, window) || getUsableTrailerSize(route.carrier, getRequiredTrailerSize(route, context.restrictions));
+  Object.assign(hold, { start: window.start, end: window.end, size });
+  return hold;
+}
 
-  // --- Section 3: OVERSPILL ANALYSIS ---
-  dashboardSheet.getRange(currentRow, 1, 1, 4).merge()
-    .setValue('📦 OVERSPILL BREAKDOWN')
-    .setFontWeight('bold')
-    .setFontSize(12)
-    .setHorizontalAlignment('center')
-    .setBackground('#9c27b0')
-    .setFontColor('#ffffff');
-  currentRow += 2;
+/**
+ * [NEW] Gives back the slots of routes left without equipment.
+ * @returns {Array} Their shipments, for planRemainingShipments
+ */
+function releaseUnequippedRoutes(routes) {
+  const shipments = [];
+  routes.forEach(route => {
+    const slot = (route.carrier.timeSlots || []).find(ts => ts.time === route.time);
+    if (slot && slot.used > 0) slot.used--;
+    Logger.log(`Route ${route.routeId} (${route.carrier.name} ${route.time}) has no tractor or trailer back at the depot; its ${route.stops.length} shipments go to overspill`);
+    shipments.push(...route.stops);
+  });
+  return shipments;
+}
 
-  const overspillBreakdown = [
-    ['Category', 'Pallets', '% of Total'],
-    ['Ambient (AMB)', stats.overspillByCategory.AMB.toFixed(2), 
-     ((stats.overspillByCategory.AMB / stats.overspillPallets * 100) || 0).toFixed(1) + '%'],
-    ['Chiller (CHI)', stats.overspillByCategory.CHI.toFixed(2), 
-     ((stats.overspillByCategory.CHI / stats.overspillPallets * 100) || 0).toFixed(1) + '%'],
-    ['Freezer (FRE)', stats.overspillByCategory.FRE.toFixed(2), 
-     ((stats.overspillByCategory.FRE / stats.overspillPallets * 100) || 0).toFixed(1) + '%'],
-    ['Produce (PRO)', stats.overspillByCategory.PRO.toFixed(2), 
-     ((stats.overspillByCategory.PRO / stats.overspillPallets * 100) || 0).toFixed(1) + '%']
-  ];
-  dashboardSheet.getRange(currentRow, 1, overspillBreakdown.length, 3).setValues(overspillBreakdown);
-  dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#e0e0e0');
-  dashboardSheet.getRange(currentRow, 1, overspillBreakdown.length, 3)
-    .setBorder(true, true, true, true, true, true);
-  currentRow += overspillBreakdown.length + 1;
+/**
+ * [NEW] Picks the trailer for a route: among the sizes the stores' equipment restrictions allow
+ * (getRequiredTrailerSize is the largest) and the carrier lists in Carrier Inventory
+ * (getTrailerCapacity), that hold the route's pallets in their compartments
+ * (buildTrailerLoad) and that the carrier has back at the depot for the route's window, the
+ * cheapest including tolls. A smaller trailer
+ * only wins when it is strictly cheaper, so 53' is kept on ties; when the carrier is out of one
+ * size another one is used.
+ * @param {Object} route - Planner route ({carrier, time, stops, totalPallets})
+ * @param {Object} context - Planning context (restrictions, tollMatrix, fleetBookings)
+ * @param {Object} window - Result of getRouteEquipmentWindow
+ * @returns {string|null} '36', '48' or '53', or null when no trailer the carrier has left fits
+ */
+function selectTrailerSize(route, context, window) {
+  const { carrier } = route;
+  const largest = Number(getRequiredTrailerSize(route, context.restrictions));
+  const overplan = context.OVERPLAN_FACTOR || 1;
+  const candidates = TRAILER_SIZES.filter(size => {
+    const capacity = getTrailerCapacity(carrier, size);
+    return Number(size) <= largest && capacity > 0 && route.totalPallets <= capacity * overplan &&
+      buildTrailerLoad(window.stops, getTrailerType(carrier, size, context), capacity, context).errors.length === 0 &&
+      getTrailersAvailable(carrier, size, context, window) > 0;
+  });
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  // Mileage is the same on every trailer; cost per mile, cost per route and tolls may not be
+  const hasTolls = context.tollMatrix && Object.keys(context.tollMatrix).length > 0;
+  let best = null;
+  let bestCost = Infinity;
+  [...candidates].reverse().forEach(size => {
+    let cost = getTrailerCost(carrier, size, window.miles);
+    if (hasTolls) cost += calculateRouteTollCost(window.stops, context.warehouse, context.tollMatrix, getCarrierTollClass(carrier, size, context));
+    if (cost < bestCost - 0.005) {
+      best = size;
+      bestCost = cost;
+    }
+  });
+  return best;
+}
 
-  // Stores appearing multiple times in overspill
-  const repeatedStores = Object.keys(stats.overspillByStore).filter(s => stats.overspillByStore[s] > 1);
-  if (repeatedStores.length > 0) {
-    dashboardSheet.getRange(currentRow, 1).setValue('⚠️ Stores in Multiple Overspill Routes:').setFontWeight('bold');
-    currentRow++;
-    
-    const storeData = [['Store', 'Occurrences', 'Consolidation Opportunity']];
-    repeatedStores.forEach(store => {
-      storeData.push([store, stats.overspillByStore[store], 'YES - Combine into multi-temp route']);
+/** [NEW] Records a route's tractor and trailer as out for its window. */
+function bookFleetEquipment(route, trailerSize, window, context) {
+  [`${route.carrier.name}|${trailerSize}`, `${route.carrier.name}|tractor`].forEach(key => {
+    (context.fleetBookings[key] = context.fleetBookings[key] || []).push({ start: window.start, end: window.end });
+  });
+}
+
+/**
+ * [NEW] Books the tractors and trailers of routes kept from the current plan.
+ * @param {Array} routes - Routes with trailerSize set (see readPlanRoutes)
+ * @param {Object} context - Planning context (fleetBookings is updated)
+ */
+function reserveFleetEquipment(routes, context) {
+  routes.forEach(route => {
+    if (!route.carrier || !route.trailerSize || getPlanRouteKind(route.carrier.name) !== 'route') return;
+    if (!route.stops || route.stops.length === 0) return;
+    bookFleetEquipment(route, route.trailerSize, getRouteEquipmentWindow(route, context), context);
+  });
+}
+
+/**
+ * [NEW] Dispatches every carrier route in slot order (fullest first within a slot): picks its
+ * trailer with selectTrailerSize and books a tractor and that trailer until the route is back,
+ * so equipment out on an earlier route is not booked again. The routes' planning holds
+ * (holdFleetEquipment) are replaced by these bookings.
+ * [UPDATED] A route with no tractor or no fitting trailer back in time is not booked and is
+ * returned, so its shipments can go to overspill (see releaseUnequippedRoutes).
+ * @param {Array} routes - Planner routes (trailerSize is set)
+ * @param {Object} context - Planning context (fleetBookings is updated)
+ * @returns {Array} Routes left without equipment
+ */
+function assignFleetEquipment(routes, context) {
+  const unequipped = [];
+  releaseFleetHolds(routes, context);
+  routes
+    .filter(route => route.carrier && getPlanRouteKind(route.carrier.name) === 'route' && route.stops && route.stops.length > 0)
+    .map(route => ({ route, window: getRouteEquipmentWindow(route, context) }))
+    .sort((a, b) => a.window.start - b.window.start || b.route.totalPallets - a.route.totalPallets)
+    .forEach(({ route, window }) => {
+      const size = selectTrailerSize(route, context, window);
+      const requiredSize = getRequiredTrailerSize(route, context.restrictions);
+      route.trailerSize = size || getUsableTrailerSize(route.carrier, requiredSize) || requiredSize;
+      if (!size || getTractorsAvailable(route.carrier, context, window) <= 0) {
+        unequipped.push(route);
+        return;
+      }
+      bookFleetEquipment(route, size, window, context);
     });
-    
-    dashboardSheet.getRange(currentRow, 1, storeData.length, 3).setValues(storeData);
-    dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#fff4cc');
-    dashboardSheet.getRange(currentRow, 1, storeData.length, 3)
-      .setBorder(true, true, true, true, true, true);
-    currentRow += storeData.length + 2;
-  }
+  if (unequipped.length > 0) Logger.log(`Fleet assignment: ${unequipped.length} routes have no equipment available`);
+  return unequipped;
+}
 
-  // --- Section 4: ROUTE QUALITY METRICS ---
-  dashboardSheet.getRange(currentRow, 1, 1, 4).merge()
-    .setValue('📏 ROUTE QUALITY METRICS')
-    .setFontWeight('bold')
-    .setFontSize(12)
-    .setHorizontalAlignment('center')
-    .setBackground('#2196f3')
-    .setFontColor('#ffffff');
-  currentRow += 2;
+// --- TRAILER LOAD MODEL ---
 
-  const avgLegDistance = stats.legDistances.length > 0 ? 
-    stats.legDistances.reduce((sum, l) => sum + l.distance, 0) / stats.legDistances.length : 0;
-  const maxLegDistance = stats.legDistances.length > 0 ? 
-    Math.max(...stats.legDistances.map(l => l.distance)) : 0;
-  const legsOver50 = stats.legDistances.filter(l => l.distance > 50).length;
-  const legsOver75 = stats.legDistances.filter(l => l.distance > 75).length;
-  const legsOver100 = stats.legDistances.filter(l => l.distance > 100).length;
+/**
+ * [NEW] Temperature zone each product category rides in. Ambient and Produce share a zone;
+ * Chiller and Freezer each need their own compartment.
+ */
+const LOAD_ZONES = { Ambient: 'AMB', Produce: 'AMB', Chiller: 'CHL', Freezer: 'FRZ' };
 
-  const qualityMetrics = [
-    ['Metric', 'Value', 'Status'],
-    ['Average Leg Distance', avgLegDistance.toFixed(1) + ' miles', avgLegDistance < 40 ? '✓ Good' : '⚠ Review'],
-    ['Maximum Leg Distance', maxLegDistance.toFixed(1) + ' miles', maxLegDistance < 75 ? '✓ OK' : '✗ Problem'],
-    ['Legs > 50 miles', legsOver50, legsOver50 === 0 ? '✓ Excellent' : '⚠ Review'],
-    ['Legs > 75 miles', legsOver75, legsOver75 === 0 ? '✓ Good' : '✗ Fix Required'],
-    ['Legs > 100 miles', legsOver100, legsOver100 === 0 ? '✓ Good' : '✗ CRITICAL'],
-    ['Cross-Region Routes', stats.crossRegionRoutes.length, stats.crossRegionRoutes.length === 0 ? '✓ None' : '✗ ' + stats.crossRegionRoutes.length + ' routes']
-  ];
-  
-  dashboardSheet.getRange(currentRow, 1, qualityMetrics.length, 3).setValues(qualityMetrics);
-  dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#e0e0e0');
-  dashboardSheet.getRange(currentRow, 1, qualityMetrics.length, 3)
-    .setBorder(true, true, true, true, true, true);
-  
-  // Color code status column
-  for (let i = 1; i < qualityMetrics.length; i++) {
-    const statusCell = dashboardSheet.getRange(currentRow + i, 3);
-    if (qualityMetrics[i][2].includes('✓')) {
-      statusCell.setBackground('#ccffcc'); // Green
-    } else if (qualityMetrics[i][2].includes('⚠')) {
-      statusCell.setBackground('#fff4cc'); // Yellow
-    } else if (qualityMetrics[i][2].includes('✗')) {
-      statusCell.setBackground('#ffcccc'); // Red
-    }
-  }
-  
-  currentRow += qualityMetrics.length + 2;
+/**
+ * [NEW] Compartment order from the nose of the trailer to the doors. Routes deliver ambient
+ * first and cold last (enforceColdSafeOrdering), so ambient rides at the doors and the
+ * freezer at the nose.
+ */
+const LOAD_ZONE_ORDER = ['FRZ', 'CHL', 'AMB'];
 
-  // --- Section 5: CARRIER PERFORMANCE ---
-  dashboardSheet.getRange(currentRow, 1, 1, 6).merge()
-    .setValue('🚛 CARRIER PERFORMANCE & UTILIZATION')
-    .setFontWeight('bold')
-    .setFontSize(12)
-    .setHorizontalAlignment('center')
-    .setBackground('#4caf50')
-    .setFontColor('#ffffff');
-  currentRow += 2;
+/** [NEW] Zone names used in route notes. */
+const LOAD_ZONE_NAMES = { AMB: 'Ambient', CHL: 'Chiller', FRZ: 'Freezer' };
 
-  const carrierTableData = [['Carrier', 'Routes', 'Pallets', 'Avg Util.', 'Cost', 'Cost/Pallet', 'Miles/Route']];
-  for (const carrierName in stats.carrierData) {
-    const c = stats.carrierData[carrierName];
-    const avgUtil = c.utilizationCount > 0 ? (c.totalUtilization / c.utilizationCount).toFixed(1) + '%' : 'N/A';
-    const costPerPallet = (c.cost / c.pallets || 0).toFixed(2);
-    const milesPerRoute = (c.mileage / c.routes || 0).toFixed(0);
-    carrierTableData.push([
-      carrierName, 
-      c.routes, 
-      c.pallets.toFixed(2), 
-      avgUtil,
-      `$${c.cost.toFixed(2)}`,
-      `$${costPerPallet}`,
-      milesPerRoute
-    ]);
-  }
-  
-  dashboardSheet.getRange(currentRow, 1, carrierTableData.length, 7).setValues(carrierTableData);
-  dashboardSheet.getRange(currentRow, 1, 1, 7).setFontWeight('bold').setBackground('#e0e0e0');
-  dashboardSheet.getRange(currentRow, 1, carrierTableData.length, 7)
-    .setBorder(true, true, true, true, true, true);
-  
-  const carrierChartStartRow = currentRow;
-  currentRow += carrierTableData.length + 2;
+/** [NEW] Zone of a stop's product category (unknown categories ride ambient). */
+function getLoadZone(category) {
+  return LOAD_ZONES[category] || 'AMB';
+}
 
-  // --- Section 6: CLUSTER DISTRIBUTION ---
-  if (Object.keys(stats.clusterData).length > 0) {
-    dashboardSheet.getRange(currentRow, 1, 1, 3).merge()
-      .setValue('🗺️ GEOGRAPHIC CLUSTER DISTRIBUTION')
-      .setFontWeight('bold')
-      .setFontSize(12)
-      .setHorizontalAlignment('center')
-      .setBackground('#ff5722')
-      .setFontColor('#ffffff');
-    currentRow += 2;
+/**
+ * [NEW] Trailer type (a TRAILER_COMPARTMENTS key such as 'Single', 'Dual' or 'Tri') of a carrier's
+ * trailer: the Trailer Type given for that carrier and size in Carrier Inventory, else TRAILER_TYPE.
+ */
+function getTrailerType(carrier, size, context) {
+  const mapped = carrier && carrier.trailerTypes ? carrier.trailerTypes[String(size)] : null;
+  return mapped || context.TRAILER_TYPE || 'Dual';
+}
 
-    const clusterTableData = [['Cluster', 'Routes', 'Pallets']];
-    for (const clusterName in stats.clusterData) {
-      const c = stats.clusterData[clusterName];
-      clusterTableData.push([clusterName, c.routes, c.pallets.toFixed(2)]);
-    }
-    
-    dashboardSheet.getRange(currentRow, 1, clusterTableData.length, 3).setValues(clusterTableData);
-    dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#e0e0e0');
-    dashboardSheet.getRange(currentRow, 1, clusterTableData.length, 3)
-      .setBorder(true, true, true, true, true, true);
-    
-    const clusterChartStartRow = currentRow;
-    currentRow += clusterTableData.length + 2;
-  }
+/** [NEW] Temperature compartments on a carrier's trailer of the given size. */
+function getTrailerCompartmentCount(carrier, size, context) {
+  const model = (context.TRAILER_COMPARTMENTS || {})[getTrailerType(carrier, size, context)];
+  return model ? model.compartments : 1;
+}
 
-  // --- Section 7: UNPLANNABLE SHIPMENTS ---
-  if (Object.keys(stats.unplannableReasons).length > 0) {
-    dashboardSheet.getRange(currentRow, 1, 1, 3).merge()
-      .setValue('❌ UNPLANNABLE SHIPMENTS ANALYSIS')
-      .setFontWeight('bold')
-      .setFontSize(12)
-      .setHorizontalAlignment('center')
-      .setBackground('#f44336')
-      .setFontColor('#ffffff');
-    currentRow += 2;
+/**
+ * [NEW] Temp Zones column text from the temperature zones a route's stops use:
+ * 'Single Temp', 'Dual Temp' or '3 TEMP' (the dispatchers' name for tri-temp loads).
+ */
+function getTempZonesLabel(stops) {
+  const zoneCount = LOAD_ZONE_ORDER.filter(zone => stops.some(s => getLoadZone(s.category) === zone)).length;
+  if (zoneCount >= 3) return '3 TEMP';
+  return zoneCount === 2 ? 'Dual Temp' : 'Single Temp';
+}
 
-    const unplannableTableData = [['Reason', 'Count', 'Action Needed']];
-    for (const reason in stats.unplannableReasons) {
-      let action = 'Review constraints';
-      if (reason.includes('distance')) action = 'Check address locations';
-      if (reason.includes('capacity')) action = 'Add more carrier capacity';
-      if (reason.includes('cluster')) action = 'Relax cluster constraints';
-      unplannableTableData.push([reason, stats.unplannableReasons[reason], action]);
-    }
-    
-    dashboardSheet.getRange(currentRow, 1, unplannableTableData.length, 3).setValues(unplannableTableData);
-    dashboardSheet.getRange(currentRow, 1, 1, 3).setFontWeight('bold').setBackground('#e0e0e0');
-    dashboardSheet.getRange(currentRow, 1, unplannableTableData.length, 3)
-      .setBorder(true, true, true, true, true, true);
-    
-    const unplannableChartStartRow = currentRow;
-    currentRow += unplannableTableData.length + 2;
+/**
+ * [NEW] Lays a route out on the trailer floor. Each temperature zone gets its own compartment in
+ * LOAD_ZONE_ORDER, sized to its pallets rounded up to whole positions and, when a bulkhead is
+ * used, to at least the trailer type's minPositions. Inside a compartment the last stop delivered
+ * is loaded deepest (nearest the nose); consecutive stops may share a part-filled position.
+ * @param {Array} orderedStops - Stops in delivery order
+ * @param {string} trailerType - TRAILER_COMPARTMENTS key
+ * @param {number} positions - Floor positions on the trailer (its pallet capacity)
+ * @param {Object} context - Planning context (TRAILER_COMPARTMENTS)
+ * @returns {Object} {trailerType, positions, used, compartments: [{zone, start, end, stops: [{store,
+ *   category, start, end}]}], errors: [string]}; positions are numbered from the nose, 1-based
+ */
+function buildTrailerLoad(orderedStops, trailerType, positions, context) {
+  const model = (context.TRAILER_COMPARTMENTS || {})[trailerType] || { compartments: 1, minPositions: 0 };
+  const errors = [];
+  const zones = LOAD_ZONE_ORDER.filter(zone => orderedStops.some(s => getLoadZone(s.category) === zone));
+  if (zones.length > model.compartments) {
+    errors.push(`${zones.join('+')} needs ${zones.length} compartments, ${trailerType} trailer has ${model.compartments}`);
   }
 
-  // --- Section 8: ACTION ITEMS ---
-  dashboardSheet.getRange(currentRow, 1, 1, 4).merge()
-    .setValue('✅ RECOMMENDED ACTIONS')
-    .setFontWeight('bold')
-    .setFontSize(12)
-    .setHorizontalAlignment('center')
-    .setBackground('#607d8b')
-    .setFontColor('#ffffff');
-  currentRow += 2;
+  // Stops may share a position (part pallets are combined), so a compartment takes its zone's pallets rounded up
+  const storeOrder = [...new Set(orderedStops.map(s => s.store))];
+  let next = 1;
+  const compartments = zones.map(zone => {
+    const start = next;
+    const stops = [];
+    let filled = 0;
+    [...storeOrder].reverse().forEach(store => {
+      const zoneStops = orderedStops.filter(s => s.store === store && getLoadZone(s.category) === zone);
+      if (zoneStops.length === 0) return;
+      const pallets = zoneStops.reduce((sum, s) => sum + (s.pallets || 0), 0);
+      stops.push({
+        store,
+        category: [...new Set(zoneStops.map(s => s.category))].join('/'),
+        start: start + Math.floor(filled + PALLET_CHANGE_EPSILON),
+        end: start + Math.max(Math.ceil(filled + pallets - PALLET_CHANGE_EPSILON), Math.floor(filled + PALLET_CHANGE_EPSILON) + 1) - 1
+      });
+      filled += pallets;
+    });
+    const minimum = zones.length > 1 ? (model.minPositions || 0) : 0;
+    next = start + Math.max(Math.ceil(filled - PALLET_CHANGE_EPSILON), minimum, 1);
+    return { zone, start, end: next - 1, stops };
+  });
 
-  const actions = [];
-  
-  if (stats.crossRegionRoutes.length > 0) {
-    actions.push(['Priority 1', 'FIX CROSS-REGION ROUTING', 
-                  `${stats.crossRegionRoutes.length} routes have legs >75 miles. Review cluster assignments.`,
-                  'CRITICAL']);
-  }
-  
-  if (stats.overspillPallets > 50) {
-    actions.push(['Priority 2', 'REDUCE OVERSPILL', 
-                  `${stats.overspillPallets.toFixed(0)} pallets in overspill. Consolidate same-store shipments.`,
-                  'HIGH']);
-  } else if (stats.overspillPallets > 20) {
-    actions.push(['Priority 3', 'OPTIMIZE OVERSPILL', 
-                  `${stats.overspillPallets.toFixed(0)} pallets in overspill. Consider using unused carrier capacity.`,
-                  'MEDIUM']);
-  }
-  
-  if (stats.unusedCapacity > 10) {
-    actions.push(['Priority 3', 'USE UNUSED CAPACITY', 
-                  `${stats.unusedCapacity} unused carrier slots. Assign overspill to NFI/CRE.`,
-                  'MEDIUM']);
-  }
-  
-  if (stats.coldChainWarnings > 0) {
-    actions.push(['Priority 4', 'REVIEW COLD CHAIN', 
-                  `${stats.coldChainWarnings} routes have cold chain warnings. Check stop sequences.`,
-                  'LOW']);
-  }
-  
-  if (repeatedStores.length > 0) {
-    actions.push(['Priority 2', 'CONSOLIDATE STORES', 
-                  `${repeatedStores.length} stores appear in multiple overspill routes. Combine into multi-temp.`,
-                  'HIGH']);
-  }
-  
-  if (actions.length === 0) {
-    actions.push(['None', 'PLAN LOOKS GOOD', 'No critical issues detected.', 'HEALTHY']);
-  }
-  
-  if (actions.length > 0) {
-    const actionHeaders = [['Priority', 'Action', 'Details', 'Severity']];
-    dashboardSheet.getRange(currentRow, 1, 1, 4).setValues(actionHeaders);
-    dashboardSheet.getRange(currentRow, 1, 1, 4).setFontWeight('bold').setBackground('#e0e0e0');
-    currentRow++;
-    
-    dashboardSheet.getRange(currentRow, 1, actions.length, 4).setValues(actions);
-    dashboardSheet.getRange(currentRow - 1, 1, actions.length + 1, 4)
-      .setBorder(true, true, true, true, true, true);
-    
-    // Color code by severity
-    for (let i = 0; i < actions.length; i++) {
-      const severityCell = dashboardSheet.getRange(currentRow + i, 4);
-      if (actions[i][3] === 'CRITICAL') severityCell.setBackground('#ffcccc');
-      else if (actions[i][3] === 'HIGH') severityCell.setBackground('#fff4cc');
-      else if (actions[i][3] === 'MEDIUM') severityCell.setBackground('#e0f0ff');
-      else if (actions[i][3] === 'HEALTHY') severityCell.setBackground('#ccffcc');
-    }
-    
-    currentRow += actions.length + 2;
-  }
+  const used = next - 1;
+  if (positions > 0 && used > positions) errors.push(`needs ${used} pallet positions, trailer has ${positions}`);
+  return { trailerType, positions, used, compartments, errors };
+}
 
-  // --- Create Charts ---
-  if (carrierTableData.length > 1) {
-    const routesChart = dashboardSheet.newChart()
-      .setChartType(Charts.ChartType.COLUMN)
-      .addRange(dashboardSheet.getRange(carrierChartStartRow, 1, carrierTableData.length, 2))
-      .setPosition(5, 9, 0, 0)
-      .setOption('title', 'Routes per Carrier')
-      .setOption('hAxis', {title: 'Carrier'})
-      .setOption('vAxis', {title: 'Routes'})
-      .build();
-    dashboardSheet.insertChart(routesChart);
-    
-    const costChart = dashboardSheet.newChart()
-      .setChartType(Charts.ChartType.BAR)
-      .addRange(dashboardSheet.getRange(carrierChartStartRow, 1, carrierTableData.length, 1))
-      .addRange(dashboardSheet.getRange(carrierChartStartRow, 5, carrierTableData.length, 1))
-      .setPosition(5, 16, 0, 0)
-      .setOption('title', 'Total Cost per Carrier')
-      .setOption('hAxis', {title: 'Cost ($)'})
-      .build();
-    dashboardSheet.insertChart(costChart);
-  }
+/**
+ * [NEW] Route note for a load's compartments, nose to doors, counting the stores in each:
+ * "Front: 1 Freezer stops | Middle: 1 Chiller stops | Rear: 2 Ambient stops", or
+ * "Single Temp (Ambient): 3 stops" for one compartment.
+ */
+function formatLoadZonesNote(load) {
+  const compartments = load.compartments;
+  if (compartments.length === 0) return 'Empty route';
+  if (compartments.length === 1) return `Single Temp (${LOAD_ZONE_NAMES[compartments[0].zone]}): ${compartments[0].stops.length} stops`;
+  const places = compartments.length === 2 ? ['Front', 'Rear'] : ['Front', 'Middle', 'Rear'];
+  return compartments.map((c, i) => `${places[i]}: ${c.stops.length} ${LOAD_ZONE_NAMES[c.zone]} stops`).join(' | ');
+}
 
-  dashboardSheet.autoResizeColumns(1, 7);
-  
-  Logger.log('Dashboard updated with comprehensive metrics');
+/**
+ * [NEW] Load Diagram column text, nose to doors, e.g. "CHL 1-8: 1035 1-8 | AMB 9-20: 1411 9-15, 1342 16-20 | free 21-26".
+ */
+function formatLoadDiagram(load) {
+  if (!load || load.compartments.length === 0) return '';
+  const range = (start, end) => (start === end ? `${start}` : `${start}-${end}`);
+  const parts = load.compartments.map(c =>
+    `${c.zone} ${range(c.start, c.end)}: ${c.stops.map(s => `${s.store} ${range(s.start, s.end)}`).join(', ')}`);
+  if (load.positions > load.used) parts.push(`free ${range(load.used + 1, load.positions)}`);
+  return parts.join(' | ');
 }
@@ -0,0 +1,98 @@
+/**
+ * Minimal CSV reader/writer for the local harness.
+ * Handles quoted fields, escaped quotes and embedded newlines, which is all the
+ * Google Sheets "Download as CSV" exports in this repo use.
+ */
+
+const fs = require('fs');
+
+/**
+ * Parses CSV text into a 2D array of raw strings.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Converts a raw CSV cell into the value type Sheets would hand back from getValues():
+ * plain numbers become numbers, TRUE/FALSE become booleans, everything else stays a string.
+ * @param {string} raw - Raw cell text
+ * @returns {*} Typed cell value
+ */
+function toSheetValue(raw) {
+  if (raw === '') return '';
+  if (/^-?\d+(\.\d+)?$/.test(raw) && !/^-?0\d/.test(raw)) return parseFloat(raw);
+  if (raw === 'TRUE') return true;
+  if (raw === 'FALSE') return false;
+  return raw;
+}
+
+/**
+ * Reads a CSV file into typed sheet values.
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Array<Array<*>>} Typed rows
+ */
+function readCsvFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^﻿/, '');
+  return parseCsv(text).map(row => row.map(toSheetValue));
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serializes sheet values to CSV text.
+ * @param {Array<Array<*>>} rows - Sheet values
+ * @returns {string} CSV content
+ */
+function formatCsv(rows) {
+  return rows.map(row => row.map(formatCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = { parseCsv, toSheetValue, readCsvFile, formatCsv };
@@ -0,0 +1,330 @@
+/**
+ * In-memory stand-ins for the Apps Script services code.js talks to
+ * (SpreadsheetApp, Logger, PropertiesService, HtmlService, Charts, Session, Maps, Utilities).
+ * Only the surface the planner actually uses is implemented; formatting calls are
+ * accepted and ignored so dashboard code can run unchanged.
+ */
+
+const crypto = require('crypto');
+
+const FORMAT_METHODS = [
+  'setFontWeight', 'setFontSize', 'setFontColor', 'setBackground', 'setBorder',
+  'setHorizontalAlignment', 'setVerticalAlignment', 'setNumberFormat', 'setWrap', 'merge',
+  'setNote', 'clearFormat'
+];
+
+/**
+ * Converts an A1 reference such as "A1:T1" into 1-based row/column bounds.
+ */
+function parseA1(a1) {
+  const toCol = letters => letters.toUpperCase().split('').reduce((n, c) => n * 26 + (c.charCodeAt(0) - 64), 0);
+  const match = String(a1).match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+  if (!match) throw new Error(`Unsupported A1 range in harness: ${a1}`);
+  const startCol = toCol(match[1]);
+  const startRow = parseInt(match[2], 10);
+  const endCol = match[3] ? toCol(match[3]) : startCol;
+  const endRow = match[4] ? parseInt(match[4], 10) : startRow;
+  return { row: startRow, col: startCol, numRows: endRow - startRow + 1, numCols: endCol - startCol + 1 };
+}
+
+class FakeRange {
+  constructor(sheet, row, col, numRows, numCols) {
+    this.sheet = sheet;
+    this.row = row;
+    this.col = col;
+    this.numRows = numRows;
+    this.numCols = numCols;
+    FORMAT_METHODS.forEach(name => {
+      this[name] = () => this;
+    });
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const source = this.sheet.rows[this.row - 1 + r] || [];
+      const out = [];
+      for (let c = 0; c < this.numCols; c++) {
+        const value = source[this.col - 1 + c];
+        out.push(value === undefined || value === null ? '' : value);
+      }
+      values.push(out);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(v => String(v)));
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(r => r.length !== this.numCols)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numCols}).`);
+    }
+    values.forEach((rowValues, r) => {
+      rowValues.forEach((value, c) => this.sheet.setCell(this.row + r, this.col + c, value));
+    });
+    return this;
+  }
+
+  setValue(value) {
+    this.sheet.setCell(this.row, this.col, value);
+    return this;
+  }
+
+  clearContent() {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numCols; c++) this.sheet.setCell(this.row + r, this.col + c, '');
+    }
+    return this;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.col; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numCols; }
+}
+
+class FakeChartBuilder {
+  constructor(sheet) {
+    this.sheet = sheet;
+    ['setChartType', 'addRange', 'setPosition', 'setOption'].forEach(name => {
+      this[name] = () => this;
+    });
+  }
+
+  build() {
+    return { sheet: this.sheet };
+  }
+}
+
+class FakeSheet {
+  constructor(name, rows) {
+    this.name = name;
+    this.rows = (rows || []).map(r => [...r]);
+    this.charts = [];
+    this.hidden = false;
+    this.frozenRows = 0;
+    this.modified = false;
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+
+  setCell(row, col, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const target = this.rows[row - 1];
+    while (target.length < col - 1) target.push('');
+    target[col - 1] = value;
+    this.modified = true;
+  }
+
+  getLastRow() {
+    let last = this.rows.length;
+    while (last > 0 && this.rows[last - 1].every(v => v === '' || v === null || v === undefined)) last--;
+    return last;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((max, r) => Math.max(max, r.length), 0);
+  }
+
+  getMaxRows() { return Math.max(this.rows.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  getRange(rowOrA1, col, numRows, numCols) {
+    if (typeof rowOrA1 === 'string') {
+      const { row, col: c, numRows: nr, numCols: nc } = parseA1(rowOrA1);
+      return new FakeRange(this, row, c, nr, nc);
+    }
+    return new FakeRange(this, rowOrA1, col, numRows || 1, numCols || 1);
+  }
+
+  appendRow(values) {
+    this.rows.length = this.getLastRow();
+    this.rows.push([...values]);
+    this.modified = true;
+    return this;
+  }
+
+  deleteRow(rowPosition) {
+    this.rows.splice(rowPosition - 1, 1);
+    this.modified = true;
+    return this;
+  }
+
+  deleteRows(rowPosition, howMany) {
+    this.rows.splice(rowPosition - 1, howMany);
+    this.modified = true;
+    return this;
+  }
+
+  clear() {
+    this.rows = [];
+    this.modified = true;
+    return this;
+  }
+
+  clearContents() { return this.clear(); }
+
+  setFrozenRows(n) { this.frozenRows = n; return this; }
+  autoResizeColumns() { return this; }
+  setColumnWidth() { return this; }
+  hideSheet() { this.hidden = true; return this; }
+  showSheet() { this.hidden = false; return this; }
+  isSheetHidden() { return this.hidden; }
+
+  getCharts() { return [...this.charts]; }
+  newChart() { return new FakeChartBuilder(this); }
+  insertChart(chart) { this.charts.push(chart); }
+  removeChart(chart) { this.charts = this.charts.filter(c => c !== chart); }
+
+  /** Harness helper: values with trailing blank rows removed. */
+  getValuesSnapshot() {
+    return this.rows.slice(0, this.getLastRow()).map(r => [...r]);
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(sheetsByName) {
+    this.sheets = Object.keys(sheetsByName || {}).map(name => new FakeSheet(name, sheetsByName[name]));
+    this.toasts = [];
+  }
+
+  getName() { return 'LDPT (local harness)'; }
+  getSheetByName(name) { return this.sheets.find(s => s.name === name) || null; }
+  getSheets() { return [...this.sheets]; }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) throw new Error(`A sheet with the name "${name}" already exists.`);
+    const sheet = new FakeSheet(name, []);
+    sheet.modified = true;
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+  }
+
+  toast(message) {
+    this.toasts.push(String(message));
+  }
+}
+
+class FakeProperties {
+  constructor(initial) {
+    this.store = { ...(initial || {}) };
+  }
+
+  getProperty(key) { return Object.prototype.hasOwnProperty.call(this.store, key) ? this.store[key] : null; }
+  setProperty(key, value) { this.store[key] = String(value); return this; }
+  deleteProperty(key) { delete this.store[key]; return this; }
+  getProperties() { return { ...this.store }; }
+  setProperties(props) { Object.keys(props).forEach(k => this.setProperty(k, props[k])); return this; }
+  deleteAllProperties() { this.store = {}; return this; }
+  getKeys() { return Object.keys(this.store); }
+}
+
+function createHtmlOutput(content) {
+  const output = {
+    content: content || '',
+    setWidth: () => output,
+    setHeight: () => output,
+    setTitle: () => output,
+    getContent: () => output.content
+  };
+  return output;
+}
+
+/**
+ * Builds the global service objects code.js expects.
+ * @param {object} options
+ * @param {object} options.sheets - Map of sheet name -> 2D values
+ * @param {object} [options.scriptProperties] - Initial script properties
+ * @param {object} [options.documentProperties] - Initial document properties
+ * @param {string} [options.userEmail] - Value returned by Session.getActiveUser().getEmail()
+ * @param {boolean} [options.echoLogs] - Print Logger output to stdout as it happens
+ * @returns {object} { globals, spreadsheet, logs, alerts }
+ */
+function createServices(options) {
+  options = options || {};
+  const spreadsheet = new FakeSpreadsheet(options.sheets);
+  const logs = [];
+  const alerts = [];
+  const scriptProperties = new FakeProperties(options.scriptProperties);
+  const documentProperties = new FakeProperties(options.documentProperties);
+  const userProperties = new FakeProperties();
+
+  const ui = {
+    ButtonSet: { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' },
+    Button: { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' },
+    alert: (title, message) => {
+      alerts.push(message === undefined ? String(title) : `${title}: ${message}`);
+      return 'OK';
+    },
+    showModalDialog: () => {},
+    showModelessDialog: () => {},
+    showSidebar: () => {},
+    createMenu: () => {
+      const menu = { addItem: () => menu, addSeparator: () => menu, addSubMenu: () => menu, addToUi: () => {} };
+      return menu;
+    }
+  };
+
+  const globals = {
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => spreadsheet,
+      getActive: () => spreadsheet,
+      getUi: () => ui
+    },
+    Logger: {
+      log: (message) => {
+        const line = String(message);
+        logs.push(line);
+        if (options.echoLogs) console.log(line);
+      },
+      getLog: () => logs.join('\n'),
+      clear: () => { logs.length = 0; }
+    },
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getDocumentProperties: () => documentProperties,
+      getUserProperties: () => userProperties
+    },
+    HtmlService: {
+      createHtmlOutput: createHtmlOutput,
+      createHtmlOutputFromFile: (name) => createHtmlOutput(`<!-- ${name} -->`)
+    },
+    Charts: {
+      ChartType: { AREA: 'AREA', BAR: 'BAR', COLUMN: 'COLUMN', LINE: 'LINE', PIE: 'PIE', SCATTER: 'SCATTER', TABLE: 'TABLE' }
+    },
+    Session: {
+      getActiveUser: () => ({ getEmail: () => options.userEmail || 'harness@localhost' }),
+      getScriptTimeZone: () => 'America/New_York'
+    },
+    Maps: {
+      newDirectionFinder: () => {
+        throw new Error('Maps service is not available in the local harness');
+      }
+    },
+    Utilities: {
+      DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' },
+      // Apps Script returns the digest as signed bytes (-128..127)
+      computeDigest: (algorithm, value) => [...crypto.createHash(algorithm).update(String(value), 'utf8').digest()]
+        .map(b => (b > 127 ? b - 256 : b))
+    }
+  };
+
+  return { globals, spreadsheet, logs, alerts, scriptProperties, documentProperties };
+}
+
+module.exports = { createServices, FakeSheet, FakeSpreadsheet, FakeRange, FakeProperties };
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * LDPT local harness.
+ *
+ * Loads code.js into a Node vm context with in-memory stand-ins for the Apps Script
+ * services, backed by CSV exports of the workbook's sheets. Lets a planner change be run
+ * end to end (generatePlan, replanRoutes, updateDashboard, ...) and the rows it writes be
+ * compared against a golden export such as GeneratedPlan15.csv.
+ *
+ * Fixtures: every *.csv file in the fixtures directory becomes a sheet. Google Sheets
+ * exports are named "<Spreadsheet> - <Sheet>.csv", so "PlanningTool2 - TollMatrix.csv"
+ * loads as the 'TollMatrix' sheet; other files use their base name.
+ *
+ * harness/fixtures/plan15 holds the inputs for GeneratedPlan15.csv (see harness/fixtures/README.md).
+ *
+ * Usage:
+ *   node harness/harness.js --fixtures <dir> [--run generatePlan] [--run "replanRoutes:CIR_1,CIR_2"]
+ *                           [--golden GeneratedPlan15.csv] [--ignore "Map Link,Notes"]
+ *                           [--settings '{"MAX_ROUTE_MILEAGE":400}'] [--out <dir>] [--verbose]
+ *
+ * Checks of individual planner features live in harness/tests and run with `node harness/test.js`.
+ *
+ * Exit code is 1 when a golden comparison finds differences, a run throws or a run raises an
+ * 'Error' alert (the script's way of giving up, e.g. "No valid shipments found").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { readCsvFile, formatCsv } = require('./csv');
+const { createServices } = require('./fakeServices');
+
+const DEFAULT_CODE_PATH = path.join(__dirname, '..', 'code.js');
+
+/**
+ * Maps a CSV file name to the sheet name it represents.
+ * @param {string} fileName - e.g. "PlanningTool2 - ClusterData.csv"
+ * @returns {string} Sheet name, e.g. "ClusterData"
+ */
+function sheetNameFromFile(fileName) {
+  const base = fileName.replace(/\.csv$/i, '');
+  const separator = base.lastIndexOf(' - ');
+  return separator === -1 ? base : base.slice(separator + 3);
+}
+
+/**
+ * Loads every CSV file in a directory as sheet values.
+ * @param {string} dir - Fixtures directory
+ * @returns {object} Map of sheet name -> 2D values
+ */
+function loadFixtureSheets(dir) {
+  const sheets = {};
+  fs.readdirSync(dir)
+    .filter(f => /\.csv$/i.test(f))
+    .sort()
+    .forEach(f => {
+      sheets[sheetNameFromFile(f)] = readCsvFile(path.join(dir, f));
+    });
+  return sheets;
+}
+
+/**
+ * Creates a harness around a fresh copy of code.js.
+ * @param {object} options
+ * @param {string} [options.fixturesDir] - Directory of CSV fixtures
+ * @param {object} [options.sheets] - Extra/override sheets (name -> values)
+ * @param {object} [options.settings] - Routing settings stored as the 'routingSettings' script property
+ * @param {object} [options.scriptProperties] - Additional script properties
+ * @param {string} [options.codePath] - Path to code.js
+ * @param {boolean} [options.echoLogs] - Print Logger output while running
+ * @returns {object} Harness API
+ */
+function createHarness(options) {
+  options = options || {};
+  const sheets = {
+    ...(options.fixturesDir ? loadFixtureSheets(options.fixturesDir) : {}),
+    ...(options.sheets || {})
+  };
+  const scriptProperties = { ...(options.scriptProperties || {}) };
+  if (options.settings) scriptProperties.routingSettings = JSON.stringify(options.settings);
+
+  const services = createServices({
+    sheets,
+    scriptProperties,
+    documentProperties: options.documentProperties,
+    userEmail: options.userEmail,
+    echoLogs: options.echoLogs
+  });
+
+  const sandbox = { ...services.globals, console };
+  const context = vm.createContext(sandbox);
+  const codePath = options.codePath || DEFAULT_CODE_PATH;
+  vm.runInContext(fs.readFileSync(codePath, 'utf8'), context, { filename: codePath });
+
+  return {
+    context,
+    spreadsheet: services.spreadsheet,
+    logs: services.logs,
+    alerts: services.alerts,
+    scriptProperties: services.scriptProperties,
+    documentProperties: services.documentProperties,
+
+    /** Calls a global function defined in code.js. */
+    call(fnName, ...args) {
+      const fn = context[fnName];
+      if (typeof fn !== 'function') throw new Error(`code.js does not define a function named ${fnName}`);
+      return fn(...args);
+    },
+
+    /** Evaluates an expression inside the code.js context (e.g. to reach top-level consts). */
+    evaluate(expression) {
+      return vm.runInContext(expression, context);
+    },
+
+    /** Returns the current values of a sheet, or null if it does not exist. */
+    getSheetValues(name) {
+      const sheet = services.spreadsheet.getSheetByName(name);
+      return sheet ? sheet.getValuesSnapshot() : null;
+    },
+
+    /** Names of sheets created or written to since the harness was created. */
+    getModifiedSheetNames() {
+      return services.spreadsheet.getSheets().filter(s => s.modified).map(s => s.getName());
+    }
+  };
+}
+
+function normalizeCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value).trim();
+  if (/^-?\d+(\.\d+)?%?$/.test(str)) return { number: parseFloat(str), percent: str.endsWith('%') };
+  return str;
+}
+
+function cellsEqual(expected, actual, tolerance) {
+  const e = normalizeCell(expected);
+  const a = normalizeCell(actual);
+  if (typeof e === 'object' && typeof a === 'object') {
+    return e.percent === a.percent && Math.abs(e.number - a.number) <= tolerance;
+  }
+  return JSON.stringify(e) === JSON.stringify(a);
+}
+
+/**
+ * Compares written sheet rows against golden rows, row by row, on the golden file's columns.
+ * Numbers are compared numerically ("458.00" equals 458).
+ * @param {Array<Array<*>>} actualRows - Values from the harness sheet (header first)
+ * @param {Array<Array<*>>} goldenRows - Values from the golden CSV (header first)
+ * @param {object} [options] - { ignoreColumns: string[], tolerance: number }
+ * @returns {object} { rowsCompared, mismatches, missingColumns, missingRows, extraRows }
+ */
+function compareWithGolden(actualRows, goldenRows, options) {
+  options = options || {};
+  const ignore = new Set(options.ignoreColumns || []);
+  const tolerance = options.tolerance === undefined ? 0.005 : options.tolerance;
+  const goldenHeaders = goldenRows[0] || [];
+  const actualHeaders = actualRows[0] || [];
+
+  const columns = [];
+  const missingColumns = [];
+  goldenHeaders.forEach((header, goldenIdx) => {
+    if (ignore.has(header)) return;
+    const actualIdx = actualHeaders.indexOf(header);
+    if (actualIdx === -1) missingColumns.push(header);
+    else columns.push({ header, goldenIdx, actualIdx });
+  });
+
+  const mismatches = [];
+  const rowsCompared = Math.min(actualRows.length, goldenRows.length) - 1;
+  for (let r = 1; r <= rowsCompared; r++) {
+    columns.forEach(({ header, goldenIdx, actualIdx }) => {
+      const expected = goldenRows[r][goldenIdx];
+      const actual = actualRows[r][actualIdx];
+      if (!cellsEqual(expected, actual, tolerance)) {
+        mismatches.push({ row: r + 1, column: header, expected, actual });
+      }
+    });
+  }
+
+  return {
+    rowsCompared: Math.max(rowsCompared, 0),
+    mismatches,
+    missingColumns,
+    missingRows: Math.max(goldenRows.length - actualRows.length, 0),
+    extraRows: Math.max(actualRows.length - goldenRows.length, 0)
+  };
+}
+
+/**
+ * Prints a golden comparison summary.
+ * @returns {boolean} True when the sheets match
+ */
+function reportComparison(result, goldenPath, maxLines) {
+  const limit = maxLines || 40;
+  console.log(`\n=== Golden comparison: ${path.basename(goldenPath)} ===`);
+  console.log(`Rows compared: ${result.rowsCompared}`);
+  if (result.missingColumns.length) console.log(`Columns missing from output: ${result.missingColumns.join(', ')}`);
+  if (result.missingRows) console.log(`Rows missing from output: ${result.missingRows}`);
+  if (result.extraRows) console.log(`Extra rows in output: ${result.extraRows}`);
+  console.log(`Cell mismatches: ${result.mismatches.length}`);
+  result.mismatches.slice(0, limit).forEach(m => {
+    console.log(`  row ${m.row} [${m.column}] expected=${JSON.stringify(m.expected)} actual=${JSON.stringify(m.actual)}`);
+  });
+  if (result.mismatches.length > limit) console.log(`  ... ${result.mismatches.length - limit} more`);
+  return result.mismatches.length === 0 && !result.missingRows && !result.extraRows && result.missingColumns.length === 0;
+}
+
+/**
+ * True for alerts code.js raises when a run gives up, e.g. ui.alert('Error', 'No valid shipments ...')
+ * or ui.alert('Error loading data. Check script logs.').
+ */
+function isErrorAlert(alert) {
+  return /^Error\b/.test(alert);
+}
+
+function parseArgs(argv) {
+  const args = { runs: [], ignore: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--fixtures': args.fixturesDir = next(); break;
+      case '--run': args.runs.push(next()); break;
+      case '--golden': args.golden = next(); break;
+      case '--ignore': args.ignore.push(...next().split(',').map(s => s.trim()).filter(Boolean)); break;
+      case '--settings': args.settings = JSON.parse(next()); break;
+      case '--out': args.outDir = next(); break;
+      case '--verbose': args.verbose = true; break;
+      case '--help':
+      case '-h': args.help = true; break;
+      default: throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Parses a --run spec: "fnName" or "fnName:arg1,arg2" (arguments passed as one string array).
+ */
+function parseRunSpec(spec) {
+  const [fnName, rawArgs] = spec.split(/:(.*)/s);
+  if (rawArgs === undefined) return { fnName, args: [] };
+  return { fnName, args: [rawArgs.split(',').map(s => s.trim()).filter(Boolean)] };
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || !args.fixturesDir) {
+    console.log('Usage: node harness/harness.js --fixtures <dir> [--run fn[:a,b]] [--golden file.csv] [--ignore cols] [--settings json] [--out dir] [--verbose]');
+    return args.help ? 0 : 1;
+  }
+  if (args.runs.length === 0) args.runs.push('generatePlan');
+
+  const harness = createHarness({ fixturesDir: args.fixturesDir, settings: args.settings, echoLogs: args.verbose });
+  let ok = true;
+
+  args.runs.forEach(spec => {
+    const { fnName, args: fnArgs } = parseRunSpec(spec);
+    const started = Date.now();
+    const alertsBefore = harness.alerts.length;
+    try {
+      harness.call(fnName, ...fnArgs);
+      const errorAlerts = harness.alerts.slice(alertsBefore).filter(isErrorAlert);
+      if (errorAlerts.length) {
+        ok = false;
+        console.log(`${fnName}: FAILED - ${errorAlerts.join(' / ')}`);
+      } else {
+        console.log(`${fnName}: completed in ${Date.now() - started} ms`);
+      }
+    } catch (e) {
+      ok = false;
+      console.log(`${fnName}: FAILED - ${e && e.stack ? e.stack : e}`);
+    }
+  });
+
+  if (harness.alerts.length) {
+    console.log('\nUI alerts:');
+    harness.alerts.forEach(a => console.log(`  ${a}`));
+  }
+
+  const plan = harness.getSheetValues('Generated Plan');
+  if (plan) console.log(`\nGenerated Plan: ${plan.length - 1} rows`);
+
+  if (args.outDir) {
+    fs.mkdirSync(args.outDir, { recursive: true });
+    harness.getModifiedSheetNames().forEach(name => {
+      fs.writeFileSync(path.join(args.outDir, `${name}.csv`), formatCsv(harness.getSheetValues(name)));
+    });
+    fs.writeFileSync(path.join(args.outDir, 'logger.txt'), harness.logs.join('\n') + '\n');
+    console.log(`Wrote modified sheets and logger output to ${args.outDir}`);
+  }
+
+  if (args.golden) {
+    const golden = readCsvFile(args.golden);
+    const result = compareWithGolden(plan || [], golden, { ignoreColumns: args.ignore });
+    ok = reportComparison(result, args.golden) && ok;
+  }
+
+  return ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { createHarness, loadFixtureSheets, sheetNameFromFile, compareWithGolden, parseRunSpec, isErrorAlert, main };
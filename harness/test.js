@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * Runs the harness checks in harness/tests with Node's built-in test runner.
+ *
+ * Usage:
+ *   node harness/test.js            # every *.test.js file
+ *   node harness/test.js fleet      # only files whose name contains "fleet"
+ *
+ * Exit code is 1 when any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TESTS_DIR = path.join(__dirname, 'tests');
+const filter = process.argv[2] || '';
+
+fs.readdirSync(TESTS_DIR)
+  .filter(f => f.endsWith('.test.js') && f.includes(filter))
+  .sort()
+  .forEach(f => require(path.join(TESTS_DIR, f)));
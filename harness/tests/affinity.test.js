@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, loadInput, plain } = require('./helpers');
+
+/** Four human plans: A and B always share a route, A and C never, B and C in one of two plans. */
+const PLANS = [
+  [{ stores: ['A', 'B'] }, { stores: ['C'] }],
+  [{ stores: ['B', 'A'] }, { stores: ['C', 'B'] }],
+  [{ stores: ['A', 'B'] }],
+  [{ stores: ['A', 'B', 'D'] }]
+];
+
+test('affinity rises with co-routing and is scaled by how often a pair was seen', () => {
+  const harness = plan15Harness();
+  harness.context.__plans = PLANS;
+  const affinity = plain(harness.evaluate('computeStoreAffinities(__plans, 4)'));
+  assert.equal(affinity.planCount, 4);
+  assert.deepEqual(affinity.stores, { A: 4, B: 4, C: 2, D: 1 });
+  assert.deepEqual(affinity.pairs['A|B'], { together: 4, plansBoth: 4, affinity: 1 });
+  assert.deepEqual(affinity.pairs['A|C'], { together: 0, plansBoth: 2, affinity: -0.5 });
+  assert.equal(affinity.pairs['B|C'].affinity, 0);
+  assert.equal(affinity.pairs['A|D'].affinity, 0.25);
+});
+
+test('route scores reward groupings dispatchers make', () => {
+  const harness = plan15Harness();
+  harness.context.__input = loadInput(harness);
+  harness.evaluate(`
+    __context = buildPlanningContext(__input);
+    const stops = __input.shipments.filter(s => (s.store === '1094' || s.store === '1035') && s.category === 'Ambient');
+    __route = finalizeRoute({ routeId: 'CIR_T', carrier: __input.carriers.find(c => c.name === 'CIR'), time: '19:00', stops,
+      totalPallets: stops.reduce((sum, s) => sum + s.pallets, 0) }, __context);
+    __affinity = computeStoreAffinities([[{ stores: ['1094', '1035'] }], [{ stores: ['1094', '1035'] }]], 4);
+  `);
+  const base = harness.evaluate('calculateRouteScore(__route, { ...__context, storeAffinity: null })');
+  const learned = harness.evaluate('calculateRouteScore(__route, { ...__context, storeAffinity: __affinity, AFFINITY_WEIGHT: 500 })');
+  assert.equal(base - learned, 250);
+});
+
+test('co-routed stores with no shared cluster are suggested as a ClusterData edit', () => {
+  const harness = plan15Harness();
+  harness.context.__plans = PLANS;
+  const suggestions = plain(harness.evaluate(`buildClusterSuggestions(computeStoreAffinities(__plans, 4),
+    { A: ['Philly'], B: ['SouthJersey'], C: ['Philly'] }, 0.5, 4)`));
+  assert.deepEqual(suggestions.filter(row => row[0] === 'Allow').map(row => row.slice(1, 6).concat(row[7])),
+    [['A', 'B', 4, 4, 1, "Add 'Philly' to store B (CLUSTER_2)"]]);
+});
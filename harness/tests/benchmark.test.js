@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readCsvFile } = require('../csv');
+const { plan15Harness, plain } = require('./helpers');
+
+const HUMAN_PLAN = readCsvFile(path.join(__dirname, '..', '..', 'HumanReviewedPlan.csv'));
+
+test('the human-reviewed export is parsed into routes, unused slots skipped', () => {
+  const harness = plan15Harness();
+  harness.context.__values = HUMAN_PLAN;
+  const routes = plain(harness.evaluate('parseHumanReviewedPlan(__values)'));
+  assert.ok(routes.length > 0);
+  assert.ok(routes.length < HUMAN_PLAN.length, 'UNUSED slots are skipped');
+  const first = routes[0];
+  assert.deepEqual([first.routeCode, first.carrier, first.stores, first.time, first.tempZones, first.miles],
+    ['CIR_1ST_DT.04', 'CIR', ['8004', '8021', '8007', '8008'], '19:00', '3 TEMP', 429.8]);
+});
+
+test('the benchmark scores store agreement and store pairs the planner splits', () => {
+  const harness = plan15Harness();
+  harness.evaluate(`
+    __human = [
+      { routeCode: 'CIR_1ST_DT.01', carrier: 'CIR', stores: ['1001', '1002'], miles: 100, pallets: 20, utilization: 80 },
+      { routeCode: 'SCH_1ST_DT.01', carrier: 'SCH', stores: ['1003'], miles: 50, pallets: 10, utilization: 40 }
+    ];
+    __planner = stores1003 => new Map([
+      ['CIR_1', { carrier: 'CIR', kind: 'route', stores: ['1001', '1002'], miles: 100, pallets: 20, utilization: 80 }],
+      ['X_2', { carrier: stores1003, kind: 'route', stores: ['1003'], miles: 50, pallets: 10, utilization: 40 }]
+    ]);
+  `);
+  const same = plain(harness.evaluate('benchmarkPlanAgainstHuman(__human, __planner("SCH"))'));
+  assert.equal(same.score, 100);
+  assert.deepEqual(same.splitPairs, []);
+
+  const moved = plain(harness.evaluate('benchmarkPlanAgainstHuman(__human, __planner("CRE"))'));
+  assert.deepEqual(moved.stores.find(row => row[0] === '1003').slice(-1), ['Different carrier']);
+  assert.ok(Math.abs(moved.score - (100 - 40 / 3)) < 1e-9, String(moved.score));
+
+  harness.evaluate(`__split = __planner('SCH'); __split.get('CIR_1').stores = ['1001']; __split.get('X_2').stores = ['1003', '1002']`);
+  const split = plain(harness.evaluate('benchmarkPlanAgainstHuman(__human, __split)'));
+  assert.deepEqual(split.splitPairs.map(row => row.slice(0, 3)), [['CIR_1ST_DT.01', '1001', '1002']]);
+});
+
+test('a generated plan is benchmarked into the Human Benchmark sheet', () => {
+  const harness = plan15Harness({ sheets: { HumanReviewedPlan: HUMAN_PLAN } });
+  harness.call('generatePlan');
+  const result = harness.call('benchmarkAgainstHumanPlan');
+  assert.ok(result.score >= 0 && result.score <= 100);
+  const sheet = harness.getSheetValues('Human Benchmark');
+  assert.ok(sheet.some(row => row[0] === 'Quality Score (0-100)' && row.includes(result.score.toFixed(1))));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, planRoutes } = require('./helpers');
+
+test('best-of-N writes the lowest-scoring strategy and records every result', () => {
+  const harness = plan15Harness({ settings: { BEST_OF_N: true, BEST_OF_N_RANDOM_RUNS: 1, RANDOM_SEED: 7 } });
+  harness.call('generatePlan');
+  const stored = JSON.parse(harness.evaluate('PropertiesService.getDocumentProperties().getProperty("planStrategyResults")'));
+  assert.equal(stored.version, 1);
+  assert.deepEqual(stored.results.map(r => r.name).sort(), ['Cluster First', 'Largest First', 'Randomized (seed 7)', 'Savings']);
+  stored.results.slice(1).forEach(result => assert.ok(stored.results[0].score <= result.score));
+  assert.equal(stored.winner, stored.results[0].name);
+  const written = planRoutes(harness).filter(r => !/Overspill|Unplannable/.test(r.Carrier));
+  assert.equal(written.length, stored.results[0].trucks);
+});
+
+test('best-of-N results are shown for their plan version and marked stale once the plan changes', () => {
+  const harness = plan15Harness({ settings: { BEST_OF_N: true, BEST_OF_N_RANDOM_RUNS: 0 } });
+  const heading = () => String((harness.getSheetValues('Dashboard').find(row => /PLANNING STRATEGIES/.test(row[0])) || [''])[0]);
+  harness.call('generatePlan');
+  assert.match(heading(), /^🏆 PLANNING STRATEGIES \(version 1, winner: [^)]+\)$/);
+
+  harness.evaluate(`
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Shipments');
+    sheet.getRange(2, 4).setValue(0);
+  `);
+  harness.call('updatePlanIncrementally');
+  assert.match(heading(), /^🏆 PLANNING STRATEGIES \(version 1, winner: [^)]+\) - out of date after an incremental update$/);
+
+  // A later version planned without best-of-N has no strategy results
+  harness.evaluate('SettingsService.save({ ...SettingsService.get(), BEST_OF_N: false })');
+  harness.call('generatePlan');
+  assert.equal(heading(), '');
+});
+
+test('a randomized seed order is the same for the same seed', () => {
+  const harness = plan15Harness();
+  harness.evaluate(`
+    __order = seed => {
+      const shipments = ['1023', '1035', '1094', '1162', '1352', '1411'].map((store, i) => ({ store, pallets: 10 + i % 2 }));
+      return shipments.sort(getSeedOrderComparator(shipments, { SEED_ORDER: 'RANDOMIZED', RANDOM_SEED: seed, RANDOM_JITTER: 0.5 })).map(s => s.store).join();
+    };
+  `);
+  assert.equal(harness.evaluate('__order(3)'), harness.evaluate('__order(3)'));
+  assert.notEqual(harness.evaluate('__order(3)'), harness.evaluate('__order(4)'));
+});
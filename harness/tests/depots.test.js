@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readCsvFile } = require('../csv');
+const { PLAN15_FIXTURES, plan15Harness, loadInput, plain, palletsByKey, planRoutes } = require('./helpers');
+
+const NORTH_STORES = ['1023', '1559', '1561'];
+
+/**
+ * plan15 with a second depot, US0008, that serves NORTH_STORES with its own HB slots. US0008 sits
+ * where US0007 does: its Distance Matrix rows are copies of US0007's.
+ */
+function setup() {
+  const matrix = readCsvFile(path.join(PLAN15_FIXTURES, 'Distance Matrix.csv'));
+  const copies = matrix.slice(1)
+    .filter(row => String(row[0]) === 'US0007' || String(row[1]) === 'US0007')
+    .map(row => row.map(cell => (String(cell) === 'US0007' ? 'US0008' : cell)));
+  return plan15Harness({
+    sheets: {
+      Warehouses: [['Warehouse', 'Name', 'Stores'], ['US0007', 'Main DC', ''], ['US0008', 'North DC', NORTH_STORES.join(', ')]],
+      'Distance Matrix': [...matrix, ...copies],
+      Carriers_2: [
+        ['Carrier', 'Warehouse', '19:00', '20:00', '21:00', '22:00'],
+        ['CIR', '', 2, 0, 2, 0],
+        ['SCH', '', 4, 0, 4, 0],
+        ['HB', 'US0008', 2, 0, 0, 0],
+        ['CRE', '', 6, 1, 2, 1],
+        ['NFI', '', 5, 0, 5, 5]
+      ]
+    }
+  });
+}
+
+test('each depot plans its assigned stores with its own carriers', () => {
+  const harness = setup();
+  harness.context.__input = loadInput(harness);
+  const plan = harness.evaluate('planPlanFromData(__input)');
+  assert.deepEqual(plain(plan.depots), ['US0007', 'US0008']);
+
+  const north = plan.routes.filter(route => route.warehouse === 'US0008');
+  assert.ok(north.length > 0);
+  north.forEach(route => {
+    assert.match(route.routeId, /^US0008-HB_/);
+    route.stops.forEach(stop => assert.ok(NORTH_STORES.includes(String(stop.store)), `${route.routeId} stops at ${stop.store}`));
+  });
+  plan.routes.filter(route => route.warehouse === 'US0007').forEach(route => {
+    assert.notEqual(route.carrier.name, 'HB');
+    route.stops.forEach(stop => assert.ok(!NORTH_STORES.includes(String(stop.store))));
+  });
+
+  const placed = [...plan.routes, ...plan.overspill, ...plan.unplannable, ...plan.rejected]
+    .reduce((stops, route) => stops.concat(route.stops), [])
+    .concat(plan.unrouted);
+  assert.deepEqual(palletsByKey(placed), palletsByKey(harness.context.__input.shipments));
+});
+
+test('CHEAPEST sends a store to the depot with the shortest round trip', () => {
+  const harness = setup();
+  harness.evaluate(`
+    __depotOf = (mode, carriers) => {
+      const shipments = [{ store: '1023', category: 'Ambient', pallets: 1 }];
+      const matrix = { US0007: { 1023: { distance: 30 } }, US0008: { 1023: { distance: 10 } }, 1023: { US0007: { distance: 30 }, US0008: { distance: 10 } } };
+      assignShipmentsToDepots(shipments, [{ id: 'US0007', stores: ['1023'] }, { id: 'US0008', stores: [] }], { distanceMatrix: matrix, MULTI_DEPOT_MODE: mode },
+        carriers || [{ name: 'CIR', warehouse: '' }, { name: 'HB', warehouse: 'US0008' }]);
+      return shipments[0].warehouse;
+    };
+  `);
+  assert.equal(harness.evaluate('__depotOf("ASSIGNED")'), 'US0007');
+  assert.equal(harness.evaluate('__depotOf("CHEAPEST")'), 'US0008');
+  // A depot with no carriers is never the cheapest
+  assert.equal(harness.evaluate('__depotOf("CHEAPEST", [{ name: "CIR", warehouse: "" }])'), 'US0007');
+});
+
+test('a carrier at a depot missing from Warehouses is planned from the primary depot', () => {
+  const harness = setup();
+  const carriers = harness.getSheetValues('Carriers_2').map(row => (row[0] === 'SCH' ? ['SCH', 'US0099', ...row.slice(2)] : row));
+  harness.spreadsheet.getSheetByName('Carriers_2').getRange(1, 1, carriers.length, carriers[0].length).setValues(carriers);
+  harness.context.__input = loadInput(harness);
+  const plan = harness.evaluate('planPlanFromData(__input)');
+  assert.ok(harness.logs.some(line => /carrier SCH loads at US0099, which is not in Warehouses; planning it from US0007/.test(line)));
+  const sch = plan.routes.filter(route => route.carrier.name === 'SCH');
+  assert.ok(sch.length > 0);
+  sch.forEach(route => assert.equal(route.warehouse, 'US0007'));
+});
+
+test('Generated Plan names each route\'s origin depot', () => {
+  const harness = setup();
+  harness.call('generatePlan');
+  const rows = planRoutes(harness);
+  assert.ok(rows.some(r => r['Origin Depot'] === 'US0008' && /^US0008-/.test(r['Route ID'])));
+  rows.filter(r => /^US0007-/.test(r['Route ID'])).forEach(r => assert.equal(r['Origin Depot'], 'US0007'));
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readCsvFile } = require('../csv');
+const { plan15Harness, PLAN15_FIXTURES, plain } = require('./helpers');
+
+test('the audit finds missing, zero, too-fast, asymmetric and detour-beating pairs', () => {
+  const harness = plan15Harness();
+  harness.evaluate(`
+    const leg = (distance, duration) => ({ distance, duration, source: '' });
+    __entries = {
+      A: { B: leg(10, 15), C: leg(40, 60), D: leg(0, 10) },
+      B: { A: leg(10, 15), C: leg(10, 15), D: leg(100, 30) },
+      C: { A: leg(40, 60), B: leg(10, 15) },
+      D: { B: leg(10, 15) }
+    };
+  `);
+  const audit = plain(harness.evaluate(`auditDistanceData(['A', 'B', 'C', 'D'], __entries, DISTANCE_AUDIT_LIMITS)`));
+  assert.deepEqual(audit.missing, [['C', 'D', 'No'], ['D', 'A', 'Yes'], ['D', 'C', 'No']]);
+  assert.deepEqual(audit.missingByStore, [['D', 3], ['C', 2], ['A', 1]]);
+  assert.deepEqual(audit.invalid, [['A', 'D', 0, 10, 'Zero or negative distance', '']]);
+  assert.deepEqual(audit.speed, [['B', 'D', 100, 30, 200, 'Too fast (kilometers or wrong duration?)', '']]);
+  assert.deepEqual(audit.asymmetry, [['B', 'D', 100, 10, 90, '900%']]);
+  assert.deepEqual(audit.triangle, [['A', 'C', 40, 'B', 20, 20], ['C', 'A', 40, 'B', 20, 20]]);
+});
+
+test('the Distance Matrix sheet is audited into the Data Quality sheet', () => {
+  const matrix = readCsvFile(path.join(PLAN15_FIXTURES, 'Distance Matrix.csv'))
+    .filter(row => !['1094|1035', '1035|1094'].includes(`${row[0]}|${row[1]}`));
+  const harness = plan15Harness({ sheets: { 'Distance Matrix': matrix } });
+  const audit = plain(harness.call('auditDistanceMatrix'));
+  assert.ok(audit.missing.some(row => row[0] === '1094' && row[1] === '1035'));
+  assert.ok(audit.missing.some(row => row[0] === '1035' && row[1] === '1094'));
+
+  const sheet = harness.getSheetValues('Data Quality');
+  assert.ok(String(sheet[0][0]).startsWith('Distance Matrix audit ('));
+  assert.deepEqual(sheet.find(row => row[0] === 'Missing pairs').slice(0, 2).map(String), ['Missing pairs', String(audit.missing.length)]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readCsvFile } = require('../csv');
+const { plan15Harness, PLAN15_FIXTURES, plain, sheetRecords } = require('./helpers');
+
+/** A harness whose Distance Matrix has no 1094/1035 pair in either direction. */
+function setup() {
+  const matrix = readCsvFile(path.join(PLAN15_FIXTURES, 'Distance Matrix.csv'))
+    .filter(row => !['1094|1035', '1035|1094'].includes(`${row[0]}|${row[1]}`));
+  return plan15Harness({ sheets: { 'Distance Matrix': matrix } });
+}
+
+test('distances are estimated from coordinates with the circuity factor and regional speed', () => {
+  const harness = plan15Harness();
+  harness.evaluate(`__addresses = { A: { lat: 40, lng: -74 }, B: { lat: 41, lng: -74 }, C: { lat: null, lng: null } }`);
+  const settings = `{ ESTIMATE_CIRCUITY_FACTOR: 1.3, ESTIMATE_SPEED_MPH: { DEFAULT: 40 } }`;
+  // One degree of latitude is 69.09 straight-line miles
+  assert.deepEqual(plain(harness.evaluate(`estimateDistance('A', 'B', __addresses, ${settings})`)), { distance: 89.8, duration: 135 });
+  assert.equal(harness.evaluate(`estimateDistance('A', 'C', __addresses, ${settings})`), null);
+});
+
+test('workbook cluster names pick the NYC and NJ speeds', () => {
+  const harness = plan15Harness();
+  // Pairs of stores 0.05° of latitude (4.5 road miles) apart in each cluster
+  harness.evaluate(`
+    __store = (cluster, lat) => ({ cluster, lat, lng: -73.9 });
+    __addresses = {};
+    ['LGMain', 'UpperEastLG', 'NorthJersey', 'EastJersey', 'Philly'].forEach(cluster => {
+      __addresses[cluster + '-1'] = __store(cluster, 40.7);
+      __addresses[cluster + '-2'] = __store(cluster, 40.75);
+    });
+    __estimate = (from, to) => estimateDistance(from, to, __addresses, SettingsService.getDefaults());
+  `);
+  const minutes = (from, to) => harness.evaluate(`__estimate('${from}', '${to}')`).duration;
+  assert.equal(harness.evaluate(`__estimate('LGMain-1', 'LGMain-2')`).distance, 4.5);
+  assert.equal(minutes('LGMain-1', 'LGMain-2'), 15); // NYC, 18 mph
+  assert.equal(minutes('UpperEastLG-1', 'LGMain-2'), 15);
+  assert.equal(minutes('NorthJersey-1', 'EastJersey-2'), 8); // NJ, 35 mph
+  assert.equal(minutes('Philly-1', 'Philly-2'), 7); // DEFAULT, 40 mph
+  assert.equal(minutes('NorthJersey-1', 'LGMain-2'), 15); // the slower end's speed
+});
+
+test('missing pairs are estimated, flagged and written back with their source', () => {
+  const harness = setup();
+  const matrix = plain(harness.evaluate(`getDistanceMatrix([{ store: '1094' }, { store: '1035' }], getAddressData(), 'US0007',
+    'YOUR_API_KEY', SettingsService.get())`));
+  assert.equal(matrix['1094']['1035'].estimated, true);
+  assert.ok(matrix['1094']['1035'].distance > 0);
+  assert.equal(matrix['US0007']['1094'].estimated, undefined);
+
+  const written = sheetRecords(harness, 'Distance Matrix').filter(row => row.Source === 'Estimated');
+  assert.deepEqual(written.map(row => `${row.From}|${row.To}`).sort(), ['1035|1094', '1094|1035']);
+  assert.equal(harness.evaluate('getEstimatedDistancePairs().size'), 2);
+});
+
+test('the Dashboard reports estimated pairs', () => {
+  const harness = setup();
+  harness.call('generatePlan');
+  harness.call('updateDashboard');
+  const row = harness.getSheetValues('Dashboard').find(r => r[0] === 'Estimated Distance Pairs (sheet)');
+  assert.deepEqual(row.slice(1, 3).map(String), ['2', '⚠ Verify']);
+});
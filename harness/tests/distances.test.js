@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, loadInput, plain, sheetRecords } = require('./helpers');
+
+/**
+ * Marks the first store-to-store Distance Matrix pair and its reverse as estimated and returns
+ * the harness with the pair in __from/__to.
+ */
+function setupEstimatedPair() {
+  const harness = plan15Harness();
+  const rows = harness.getSheetValues('Distance Matrix');
+  const index = rows.findIndex((row, i) => i > 0 && row[0] !== 'US0007' && row[1] !== 'US0007');
+  const [from, to] = rows[index].map(String);
+  const reverseIndex = rows.findIndex(row => String(row[0]) === to && String(row[1]) === from);
+  harness.context.__from = from;
+  harness.context.__to = to;
+  harness.evaluate(`
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Distance Matrix');
+    sheet.getRange(1, 5).setValue('Source');
+    [${index + 1}, ${reverseIndex + 1}].forEach(row => sheet.getRange(row, 5).setValue(DISTANCE_SOURCE_ESTIMATED));
+  `);
+  return harness;
+}
+
+test('estimated pairs are listed for lookup after the missing ones', () => {
+  const harness = setupEstimatedPair();
+  const pairs = plain(harness.evaluate('findMissingDistancePairs(readDistanceMatrixSheet(), [__from, __to, "NOWHERE"])'));
+  assert.deepEqual(pairs.slice(-2), [
+    { from: harness.context.__from, to: harness.context.__to, estimated: true },
+    { from: harness.context.__to, to: harness.context.__from, estimated: true }
+  ]);
+  assert.ok(pairs.slice(0, -2).every(pair => !pair.estimated && [pair.from, pair.to].includes('NOWHERE')));
+
+  const preview = plain(harness.evaluate('previewDistanceLookups()'));
+  assert.equal(preview.estimated, 2);
+  assert.equal(preview.calls, 1);
+  assert.equal(preview.reverse, 1);
+});
+
+test('a looked-up distance replaces the estimated Distance Matrix rows', () => {
+  const harness = setupEstimatedPair();
+  const rowCount = harness.getSheetValues('Distance Matrix').length;
+  harness.context.__input = loadInput(harness);
+  harness.evaluate(`
+    DistanceLookupService.setProvider({ name: 'Stub', lookup: () => ({ distance: 12.3, duration: 21 }) });
+    __matrix = readDistanceMatrixSheet();
+    __counts = fillMissingDistances(__matrix, findMissingDistancePairs(__matrix, [__from, __to]), __input.addressData, __input.settings, true);
+  `);
+  assert.equal(harness.evaluate('__counts.fetched'), 1);
+  assert.deepEqual(plain(harness.evaluate('__matrix[__from][__to]')), { distance: 12.3, duration: 21 });
+
+  assert.equal(harness.getSheetValues('Distance Matrix').length, rowCount);
+  const written = sheetRecords(harness, 'Distance Matrix').filter(r =>
+    [`${harness.context.__from}|${harness.context.__to}`, `${harness.context.__to}|${harness.context.__from}`].includes(`${r.From}|${r.To}`));
+  assert.deepEqual(written.map(r => [r['Distance (M)'], r.Source]).sort(), [[12.3, 'Reverse'], [12.3, 'Stub']].sort());
+  assert.equal(plain(harness.evaluate('findMissingDistancePairs(readDistanceMatrixSheet(), [__from, __to])')).length, 0);
+});
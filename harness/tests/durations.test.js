@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, plain } = require('./helpers');
+
+const DURATIONS = [
+  ['Store', 'Product Type', 'Loading (Min)', 'Unloading (Min)'],
+  ['DEFAULT', 10, 10, 20],
+  ['default', 50, 12, 30],
+  ['1023', 'Freezer', '', 45],
+  ['1023', 'Bakery', 5, 5],
+  ['1035', 10, -3, 20]
+];
+
+test('durations are read per store and product type, names resolved and bad rows skipped', () => {
+  const harness = plan15Harness({ sheets: { 'Adress Product Type Duration': DURATIONS } });
+  assert.deepEqual(plain(harness.evaluate('getDetailedDurations(getProductTypeMap())')), {
+    DEFAULT: { 10: { loading: 10, unloading: 20 }, 50: { loading: 12, unloading: 30 } },
+    1023: { 50: { unloading: 45 } }
+  });
+});
+
+test('a store row is filled in from the DEFAULT row for its product type', () => {
+  const harness = plan15Harness({ sheets: { 'Adress Product Type Duration': DURATIONS } });
+  harness.evaluate('__durations = getDetailedDurations(getProductTypeMap())');
+  assert.deepEqual(plain(harness.evaluate('getStopDurations(__durations, { store: "1023", productTypeId: "50" })')), { loading: 12, unloading: 45 });
+  assert.deepEqual(plain(harness.evaluate('getStopDurations(__durations, { store: "1035", productTypeId: "10" })')), { loading: 10, unloading: 20 });
+  assert.equal(harness.evaluate('getStopDurations(__durations, { store: "1035", productTypeId: "70" })'), null);
+});
+
+test('loading and unloading minutes are prorated by pallets on the route', () => {
+  const harness = plan15Harness();
+  const stopTime = stops => harness.evaluate(`calculateRouteMetricsWithHOS(${JSON.stringify(stops)}, 'W',
+    { W: { A: { distance: 10, duration: 10 } }, A: { W: { distance: 10, duration: 10 } } },
+    { DEFAULT: { 50: { loading: 12, unloading: 52 } } }).stopTime`);
+  // Half a load: 6 minutes loading at the depot and 26 unloading at the store
+  assert.equal(stopTime([{ store: 'A', category: 'Freezer', productTypeId: '50', pallets: 13 }]), 32);
+  // No duration for the product type: 15 minutes unloading and no loading
+  assert.equal(stopTime([{ store: 'A', category: 'Ambient', productTypeId: '10', pallets: 13 }]), 15);
+});
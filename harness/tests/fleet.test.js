@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, loadInput, plain, palletsByKey } = require('./helpers');
+
+const INVENTORY = [
+  ['Carrier', 'Size', 'Max Pallets', 'Trailers', 'Tractors'],
+  ['CIR', '53', 26, 1, 1],
+  ['CIR', '48', 22, 1, ''],
+  ['SCH', '53', 26, '', 2],
+  ['SCH', '48', 22, '', ''],
+  ['HB', '53', 26, 1, ''],
+  ['CRE', '53', 26, '', ''],
+  ['NFI', '53', 26, '', '']
+];
+
+/** Units owned per fleetBookings key, for the carriers INVENTORY limits. */
+const OWNED = { 'CIR|tractor': 1, 'CIR|53': 1, 'CIR|48': 1, 'SCH|tractor': 2, 'HB|53': 1 };
+
+/** Most bookings out at the same time. */
+function peakBookings(bookings) {
+  return Math.max(0, ...bookings.map(b => bookings.filter(other => other.start <= b.start && b.start < other.end).length));
+}
+
+function setup() {
+  const harness = plan15Harness({ sheets: { 'Carrier Inventory': INVENTORY } });
+  harness.context.__input = loadInput(harness);
+  return harness;
+}
+
+test('a held route takes the equipment a later route in its window would need', () => {
+  const harness = setup();
+  harness.evaluate(`
+    __context = buildPlanningContext(__input);
+    __cir = __input.carriers.find(c => c.name === 'CIR');
+    __route = store => {
+      const stops = __input.shipments.filter(s => s.store === store && s.category !== 'Freezer');
+      return { carrier: __cir, time: '19:00', stops, totalPallets: stops.reduce((sum, s) => sum + s.pallets, 0) };
+    };
+    __first = __route('1094');
+    __second = __route('1035');
+  `);
+  assert.equal(harness.evaluate('hasFleetEquipment(__second, __context)'), true);
+  harness.evaluate('holdFleetEquipment(__first, __context)');
+  assert.equal(harness.evaluate('hasFleetEquipment(__second, __context)'), false);
+  // The held route does not block itself
+  assert.equal(harness.evaluate('hasFleetEquipment(__first, __context)'), true);
+  harness.evaluate('releaseFleetHolds([__first], __context)');
+  assert.equal(harness.evaluate('hasFleetEquipment(__second, __context)'), true);
+});
+
+test('planning never dispatches more tractors or trailers than a carrier has', () => {
+  const harness = setup();
+  const plan = harness.evaluate('planPlanFromData(__input)');
+  const bookings = plain(plan.context.fleetBookings);
+  Object.keys(OWNED).forEach(key => {
+    assert.ok(peakBookings(bookings[key] || []) <= OWNED[key], `${key} booked beyond ${OWNED[key]}`);
+  });
+  ['CIR', 'SCH'].forEach(carrier => {
+    assert.equal((bookings[`${carrier}|tractor`] || []).length, plan.routes.filter(r => r.carrier.name === carrier).length);
+  });
+  plan.routes.forEach(route => assert.ok(!/\[NO .* AVAILABLE\]/.test(route.notes || ''), `${route.routeId}: ${route.notes}`));
+
+  // Shipments without equipment end up in overspill, not lost
+  const placed = [...plan.routes, ...plan.overspill, ...plan.unplannable, ...plan.rejected]
+    .reduce((stops, route) => stops.concat(route.stops), [])
+    .concat(plan.unrouted);
+  assert.deepEqual(palletsByKey(placed), palletsByKey(harness.context.__input.shipments));
+});
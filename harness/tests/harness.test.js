@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sheetNameFromFile, compareWithGolden, parseRunSpec, main } = require('../harness');
+const { PLAN15_FIXTURES, plan15Harness, planRoutes } = require('./helpers');
+
+/** Runs the CLI with console output swallowed. */
+function runCli(argv) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return main(argv);
+  } finally {
+    console.log = log;
+  }
+}
+
+test('sheet names come from Google Sheets export file names', () => {
+  assert.equal(sheetNameFromFile('PlanningTool2 - TollMatrix.csv'), 'TollMatrix');
+  assert.equal(sheetNameFromFile('Carrier Inventory.csv'), 'Carrier Inventory');
+});
+
+test('run specs pass their arguments as one string array', () => {
+  assert.deepEqual(parseRunSpec('replanRoutes:CIR_1, CIR_2'), { fnName: 'replanRoutes', args: [['CIR_1', 'CIR_2']] });
+  assert.deepEqual(parseRunSpec('generatePlan'), { fnName: 'generatePlan', args: [] });
+});
+
+test('golden comparison matches numbers numerically and reports differing cells', () => {
+  const golden = [['Route ID', 'Total Pallets', 'Truck Utilization'], ['CIR_1', '23.95', '92.10%']];
+  assert.equal(compareWithGolden([['Route ID', 'Total Pallets', 'Truck Utilization'], ['CIR_1', 23.95, '92.1%']], golden).mismatches.length, 0);
+  const result = compareWithGolden([['Route ID', 'Total Pallets'], ['CIR_1', 20]], golden);
+  assert.deepEqual(result.missingColumns, ['Truck Utilization']);
+  assert.deepEqual(result.mismatches.map(m => m.column), ['Total Pallets']);
+});
+
+test('generatePlan plans the plan15 fixtures end to end', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  assert.deepEqual(harness.alerts, ['Success: Planning complete! Check the Dashboard sheet for analytics.']);
+  assert.ok(planRoutes(harness).length > 20);
+  assert.equal(runCli(['--fixtures', PLAN15_FIXTURES]), 0);
+});
+
+test('the CLI fails a run that raises an Error alert', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ldpt-harness-'));
+  fs.writeFileSync(path.join(dir, 'Shipments.csv'), 'Store,Pallet Type 1,Pallet Type 2,Pallets,Status\n');
+  try {
+    assert.equal(runCli(['--fixtures', dir]), 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
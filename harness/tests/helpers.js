@@ -0,0 +1,68 @@
+/**
+ * Shared setup for the harness checks: a harness over the committed fixtures and helpers to
+ * reach the planner's pure functions and sheet output.
+ */
+
+const path = require('path');
+const { createHarness } = require('../harness');
+
+const PLAN15_FIXTURES = path.join(__dirname, '..', 'fixtures', 'plan15');
+
+/**
+ * Creates a harness over the plan15 fixtures.
+ * @param {object} [options] - Extra createHarness options (sheets, settings, ...)
+ * @returns {object} Harness API
+ */
+function plan15Harness(options) {
+  return createHarness({ fixturesDir: PLAN15_FIXTURES, ...(options || {}) });
+}
+
+/**
+ * Reads the planner input from the harness sheets, as generatePlan does.
+ * @param {object} harness - Harness from createHarness
+ * @returns {object} Planning input (see loadPlanningInput in code.js)
+ */
+function loadInput(harness) {
+  return harness.evaluate('loadPlanningInput(DEFAULT_WAREHOUSE, "YOUR_API_KEY_HERE", SettingsService.get())');
+}
+
+/**
+ * Copies a value out of the code.js context so assert.deepStrictEqual compares it by content
+ * (objects created in the vm context have that context's prototypes).
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Rows of a sheet as objects keyed by the header row.
+ * @param {object} harness - Harness from createHarness
+ * @param {string} name - Sheet name
+ * @returns {Array<object>} One object per data row
+ */
+function sheetRecords(harness, name) {
+  const values = harness.getSheetValues(name) || [];
+  const headers = values[0] || [];
+  return values.slice(1).map(row => {
+    const record = {};
+    headers.forEach((header, i) => { record[header] = row[i]; });
+    return record;
+  });
+}
+
+/** Route rows of the Generated Plan sheet (placeholder rows such as UNUSED CAPACITY excluded). */
+function planRoutes(harness) {
+  return sheetRecords(harness, 'Generated Plan').filter(r => r['Route ID'] && r['Route ID'] !== 'N/A');
+}
+
+/** Pallets per "store-category" across a list of shipments or route stops. */
+function palletsByKey(items) {
+  const totals = {};
+  items.forEach(item => {
+    const key = `${item.store}-${item.category}`;
+    totals[key] = Math.round(((totals[key] || 0) + Number(item.pallets)) * 100) / 100;
+  });
+  return totals;
+}
+
+module.exports = { PLAN15_FIXTURES, plan15Harness, loadInput, plain, sheetRecords, planRoutes, palletsByKey };
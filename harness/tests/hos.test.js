@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, plain } = require('./helpers');
+
+/**
+ * Drives legs of the given minutes (stores S1, S2, ...) with an unload of `unload` minutes after
+ * each, from a fresh HOS state; returns the state's event types, status and shifts.
+ */
+function drive(harness, legs, options, unload) {
+  return plain(harness.evaluate(`(() => {
+    const state = createHosState(${JSON.stringify(options || {})});
+    ${JSON.stringify(legs)}.forEach((minutes, i) => {
+      hosBeforeLeg(state, minutes, 'S' + (i + 1), null);
+      hosAddDriving(state, minutes);
+      hosAddNonDriving(state, ${unload || 0});
+    });
+    return { events: state.events.map(e => e.type + ' ' + e.before), status: state.status, shifts: state.shifts };
+  })()`));
+}
+
+test('a 30-minute break is taken before driving past 8 hours, unless an unload already was one', () => {
+  const harness = plan15Harness();
+  assert.deepEqual(drive(harness, [300, 240]), { events: ['BREAK S2'], status: 'OK', shifts: 1 });
+  assert.deepEqual(drive(harness, [300, 240], {}, 30), { events: [], status: 'OK', shifts: 1 });
+});
+
+test('past 11 hours of driving a route needs a reset, a sleeper period or a team', () => {
+  const harness = plan15Harness();
+  const legs = [300, 300, 120];
+  assert.equal(drive(harness, legs, {}, 30).status, 'DRIVING_VIOLATION');
+  assert.deepEqual(drive(harness, legs, { maxShifts: 2 }, 30), { events: ['RESET S3'], status: 'OK', shifts: 2 });
+  assert.deepEqual(drive(harness, legs, { maxShifts: 2, sleeperSplit: true }, 30), { events: ['SLEEPER S3'], status: 'OK', shifts: 2 });
+  assert.deepEqual(drive(harness, legs, { teamDrivers: true }, 30), { events: ['SWAP S3'], status: 'OK', shifts: 1 });
+});
+
+test('HOS events are listed with their clock times', () => {
+  const harness = plan15Harness();
+  assert.equal(harness.evaluate(`formatHosEvents([
+    { type: 'BREAK', before: '1467', at: 190 },
+    { type: 'RESET', before: 'depot', at: 1845 }
+  ])`), '30m break before 1467 @ 03:10 / 10h reset before depot @ 06:45 +1');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, sheetRecords, planRoutes } = require('./helpers');
+
+/** Added and removed pallets from the last 'Plan Updated' alert. */
+function lastUpdate(harness) {
+  const message = harness.alerts.filter(alert => /^Plan Updated/.test(alert)).pop() || '';
+  const match = message.match(/Added (\d+(?:\.\d+)?) pallets and removed (\d+(?:\.\d+)?)/);
+  assert.ok(match, `no update alert: ${message}`);
+  return { added: Number(match[1]), removed: Number(match[2]), message };
+}
+
+test('an update with no Shipments changes reports none, unrouted shipments included', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  assert.ok(sheetRecords(harness, 'PlanData').some(r => r['Route Kind'] === 'unrouted'), 'plan15 leaves shipments unrouted');
+  harness.call('updatePlanIncrementally');
+  const update = lastUpdate(harness);
+  assert.equal(update.added, 0, update.message);
+  assert.equal(update.removed, 0, update.message);
+});
+
+test('cancelled pallets left on a locked route are reported once', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  const locked = planRoutes(harness).find(r => r.Carrier === 'CIR');
+  harness.call('updateRouteStatus', [locked['Route ID']], 'Locked');
+  const store = sheetRecords(harness, 'PlanData').find(r => r['Route ID'] === locked['Route ID']).Store;
+  harness.evaluate(`
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Shipments');
+    sheet.getDataRange().getValues().forEach((row, i) => {
+      if (i > 0 && String(row[0]) === '${store}') sheet.getRange(i + 1, 4).setValue(0);
+    });
+  `);
+
+  harness.call('updatePlanIncrementally');
+  const first = lastUpdate(harness);
+  assert.ok(first.removed > 0, first.message);
+  assert.match(first.message, new RegExp(`Cancelled pallets still on locked routes: ${store}-`));
+
+  harness.call('updatePlanIncrementally');
+  const second = lastUpdate(harness);
+  assert.equal(second.added, 0, second.message);
+  assert.equal(second.removed, 0, second.message);
+  assert.match(second.message, new RegExp(`Cancelled pallets still on locked routes: ${store}-`));
+});
+
+test('unlocked rows are deleted in one call per run of rows around locked routes', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  const rows = planRoutes(harness);
+  const locked = rows[Math.floor(rows.length / 2)]['Route ID'];
+  harness.call('updateRouteStatus', [locked], 'Locked');
+  const sheet = harness.spreadsheet.getSheetByName('Generated Plan');
+  const deletions = [];
+  sheet.deleteRow = () => assert.fail('rows are deleted one at a time');
+  const deleteRows = sheet.deleteRows.bind(sheet);
+  sheet.deleteRows = (row, howMany) => {
+    deletions.push([row, howMany]);
+    return deleteRows(row, howMany);
+  };
+
+  harness.call('updatePlanIncrementally');
+  assert.equal(deletions.length, 2, JSON.stringify(deletions));
+  const kept = planRoutes(harness).find(r => r['Route ID'] === locked);
+  assert.equal(kept['Route Status'], 'Locked');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, loadInput, plain, planRoutes } = require('./helpers');
+
+test('route status is written to Generated Plan and locked routes are held back from review lists', () => {
+  const harness = plan15Harness({ userEmail: 'dispatch@example.com' });
+  harness.call('generatePlan');
+  const rows = planRoutes(harness);
+  const approved = rows.find(r => r.Carrier === 'CIR')['Route ID'];
+  const overspill = rows.find(r => /Overspill/.test(r.Carrier))['Route ID'];
+
+  const result = plain(harness.call('updateRouteStatus', [approved, overspill, 'NOPE_1'], 'approved'));
+  assert.deepEqual(result, { status: 'Approved', updated: [approved], skipped: [overspill], notFound: ['NOPE_1'] });
+  const row = planRoutes(harness).find(r => r['Route ID'] === approved);
+  assert.equal(row['Route Status'], 'Approved');
+  assert.equal(row['Approved By'], 'dispatch@example.com');
+
+  const ids = filter => plain(harness.call('getRoutesForReplanning', filter)).map(r => r.routeId);
+  assert.deepEqual(ids('approved'), [approved]);
+  assert.ok(!ids('unlocked').includes(approved));
+  assert.throws(() => harness.call('updateRouteStatus', [approved], 'Shipped'), /Unknown route status 'Shipped'/);
+});
+
+test('a locked route cannot be replanned until it is set back to Draft', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  const id = planRoutes(harness).find(r => r.Carrier === 'SCH')['Route ID'];
+  harness.call('updateRouteStatus', [id], 'Locked');
+  assert.throws(() => harness.call('replanRoutes', [id]), /Cannot replan locked routes/);
+
+  harness.call('updateRouteStatus', [id], 'Draft');
+  assert.equal(planRoutes(harness).find(r => r['Route ID'] === id)['Approved By'], '');
+  harness.call('replanRoutes', [id]);
+});
+
+test('rebalancing never moves shipments onto or off a locked route', () => {
+  const harness = plan15Harness();
+  harness.context.__input = loadInput(harness);
+  harness.evaluate(`
+    __context = buildPlanningContext(__input);
+    __routes = status => ['1094', '1035'].map((store, i) => {
+      const stops = __input.shipments.filter(s => s.store === store && s.category === 'Ambient');
+      return { routeId: 'CIR_' + (i + 1), carrier: __input.carriers.find(c => c.name === 'CIR'), time: '19:00',
+        stops, totalPallets: stops.reduce((sum, s) => sum + s.pallets, 0), status: i === 0 ? status : 'Draft' };
+    });
+  `);
+  const stopCounts = status => plain(harness.evaluate(`(() => {
+    const routes = __routes('${status}');
+    rebalanceRoutes(routes, __context);
+    return routes.map(r => r.stops.length);
+  })()`));
+  // Two draft routes are merged and the empty one dropped
+  assert.deepEqual(stopCounts('Draft'), [2]);
+  assert.deepEqual(stopCounts('Locked'), [1, 1]);
+});
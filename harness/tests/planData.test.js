@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, loadInput, plain, sheetRecords, planRoutes, palletsByKey } = require('./helpers');
+
+test('PlanData holds every shipment once, per route in stop order', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  assert.equal(harness.spreadsheet.getSheetByName('PlanData').isSheetHidden(), true);
+
+  const records = sheetRecords(harness, 'PlanData');
+  const shipments = records.map(r => ({ store: String(r.Store), category: r.Category, pallets: Number(r.Pallets) }));
+  assert.deepEqual(palletsByKey(shipments), palletsByKey(loadInput(harness).shipments));
+
+  planRoutes(harness).forEach(row => {
+    const stops = records.filter(r => r['Route ID'] === row['Route ID']);
+    assert.ok(stops.length > 0, `${row['Route ID']} has PlanData rows`);
+    const stores = [...new Set(stops.map(r => String(r.Store)))];
+    assert.deepEqual(stores, row['Stop Sequence'].split(' / ').map(part => part.split(' ')[0]));
+    stops.forEach(r => assert.equal(r.Sequence, stores.indexOf(String(r.Store)) + 1));
+  });
+});
+
+test('routes are read back from PlanData, not the display columns', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  const row = planRoutes(harness).find(r => r.Carrier === 'CIR');
+  const expected = sheetRecords(harness, 'PlanData')
+    .filter(r => r['Route ID'] === row['Route ID'])
+    .map(r => [String(r.Store), r.Category, Number(r.Pallets)]);
+  harness.evaluate(`
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Generated Plan');
+    const data = sheet.getDataRange().getValues();
+    const rowIdx = data.findIndex(r => r[data[0].indexOf('Route ID')] === '${row['Route ID']}');
+    sheet.getRange(rowIdx + 1, data[0].indexOf('Shipment Detail') + 1).setValue('9999|Ambient|1|10');
+  `);
+  const route = plain(harness.evaluate(`readPlanRoutes(SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Generated Plan'))
+    .routes.find(r => r.routeId === '${row['Route ID']}')`));
+  assert.deepEqual(route.shipments.map(s => [s.store, s.category, s.pallets]), expected);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, loadInput, plain, palletsByKey } = require('./helpers');
+
+/** Makes every sheet, UI and properties access throw inside the code.js context. */
+function cutOffServices(harness) {
+  harness.evaluate(`
+    SpreadsheetApp = { getActiveSpreadsheet() { throw new Error('SHEET ACCESS'); }, getUi() { throw new Error('UI ACCESS'); } };
+    PropertiesService = { getScriptProperties() { throw new Error('PROPS ACCESS'); }, getDocumentProperties() { throw new Error('PROPS ACCESS'); } };
+  `);
+}
+
+test('planPlanFromData runs without sheets or script properties', () => {
+  const harness = plan15Harness();
+  const input = loadInput(harness);
+  cutOffServices(harness);
+  harness.context.__input = { ...input, settings: undefined };
+  const plan = harness.evaluate('planPlanFromData(__input)');
+  assert.ok(plan.routes.length > 0);
+  assert.equal(plan.context.MAX_ROUTE_MILEAGE, harness.evaluate('SettingsService.getDefaults().MAX_ROUTE_MILEAGE'));
+});
+
+test('planPlanFromData is deterministic and accounts for every pallet', () => {
+  const harness = plan15Harness();
+  harness.context.__input = loadInput(harness);
+  const first = plain(harness.evaluate('summarizePlan(planPlanFromData(__input))'));
+  const plan = harness.evaluate('planPlanFromData(__input)');
+  assert.deepEqual(plain(harness.evaluate('summarizePlan')(plan)), first);
+
+  const planned = [...plan.routes, ...plan.overspill, ...plan.unplannable, ...plan.rejected]
+    .reduce((stops, route) => stops.concat(route.stops), [])
+    .concat(plan.unrouted);
+  assert.deepEqual(palletsByKey(planned), palletsByKey(harness.context.__input.shipments));
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, plain } = require('./helpers');
+
+test('every run is recorded as a version and two versions are compared', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  harness.call('generatePlan');
+  const same = plain(harness.call('comparePlanVersions'));
+  assert.deepEqual([same.settingsChanges, same.inputChanges, same.routes, same.storeMoves], [[], [], [], []]);
+
+  // More pallets for one store changes the shipments input and that store's route
+  harness.evaluate(`
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Shipments');
+    const rowIdx = sheet.getDataRange().getValues().findIndex(row => String(row[0]) === '1094' && row[1] === 'Dry');
+    sheet.getRange(rowIdx + 1, 4).setValue(12);
+  `);
+  harness.call('generatePlan');
+  const versions = plain(harness.call('getPlanVersions'));
+  assert.deepEqual(versions.map(v => v.version), [1, 2, 3]);
+  assert.equal(versions[0].inputHash, versions[1].inputHash);
+  assert.notEqual(versions[1].inputHash, versions[2].inputHash);
+
+  const diff = plain(harness.call('comparePlanVersions', 2, 3));
+  assert.deepEqual(diff.inputChanges.map(change => change[0]), ['shipments']);
+  assert.ok(diff.routes.length > 0);
+  assert.ok(diff.routes.some(row => row[4].split(' / ').includes('1094') || row[5].split(' / ').includes('1094')));
+  assert.equal(harness.getSheetValues('Plan Diff')[0][0].startsWith('Plan version 2 ('), true);
+});
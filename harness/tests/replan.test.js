@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, loadInput, plain, sheetRecords, planRoutes, palletsByKey } = require('./helpers');
+
+/** Shipments held in PlanData, as {store, category, pallets}. */
+function planDataShipments(harness) {
+  return sheetRecords(harness, 'PlanData').map(r => ({ store: String(r.Store), category: r.Category, pallets: Number(r.Pallets) }));
+}
+
+test('Stop Sequence codes are read back into the matching shipments', () => {
+  const harness = plan15Harness();
+  harness.context.__input = loadInput(harness);
+  const found = plain(harness.evaluate('shipmentsFromStopSequence("1094 (AMB,CHL) / 1035 (ALL)", __input.shipments)'));
+  assert.deepEqual(found.map(s => `${s.store} ${s.category}`).sort(),
+    ['1035 Ambient', '1035 Chiller', '1035 Produce', '1094 Ambient', '1094 Chiller']);
+  assert.ok(found.every(s => s.pallets > 0 && s.failureReason === null));
+});
+
+test('a route without Shipment Detail is replanned from its Stop Sequence', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  harness.context.__input = loadInput(harness);
+  const id = planRoutes(harness).find(r => r.Carrier === 'SCH')['Route ID'];
+  harness.evaluate(`
+    __existing = readPlanRoutes(SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Generated Plan')).routes;
+    __original = __existing.find(r => r.routeId === '${id}').shipments;
+    __existing = __existing.map(r => (r.routeId === '${id}' ? { ...r, shipments: [] } : r));
+    __result = planReplanFromData(__input, __existing, ['${id}']);
+  `);
+  assert.equal(harness.evaluate('__result.replannedShipments'), harness.evaluate('__original.length'));
+  const plan = harness.evaluate('__result.plan');
+  const placed = [...plan.routes, ...plan.overspill, ...plan.unplannable, ...plan.rejected]
+    .reduce((stops, route) => stops.concat(route.stops), [])
+    .concat(plan.unrouted);
+  assert.deepEqual(palletsByKey(placed), palletsByKey(harness.context.__original));
+});
+
+test('replanRoutes keeps the other routes and every pallet in the plan', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  const before = planRoutes(harness);
+  const ids = before.filter(r => r.Carrier === 'CRE').slice(0, 2).map(r => r['Route ID']);
+  const pallets = palletsByKey(planDataShipments(harness));
+
+  harness.call('replanRoutes', ids);
+  const after = planRoutes(harness);
+  before.filter(r => !ids.includes(r['Route ID']) && !/Overspill|Unplannable/.test(r.Carrier)).forEach(r => {
+    const kept = after.find(row => row['Route ID'] === r['Route ID']);
+    assert.ok(kept, `${r['Route ID']} kept`);
+    assert.equal(kept['Stop Sequence'], r['Stop Sequence']);
+  });
+  assert.deepEqual(palletsByKey(planDataShipments(harness)), pallets);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, loadInput, palletsByKey, sheetRecords } = require('./helpers');
+
+test('SAVINGS plans every pallet within carrier slots, capacity and mileage', () => {
+  const harness = plan15Harness();
+  const input = loadInput(harness);
+  harness.context.__input = { ...input, settings: { ...input.settings, PLANNING_ALGORITHM: 'SAVINGS' } };
+  const plan = harness.evaluate('planPlanFromData(__input)');
+  assert.equal(harness.evaluate('getPlanningAlgorithm')(plan.context), 'SAVINGS');
+  assert.ok(plan.routes.length > 0);
+
+  const slots = {};
+  input.carriers.forEach(carrier => carrier.timeSlots.forEach(slot => { slots[`${carrier.name}|${slot.time}`] = slot.capacity; }));
+  const used = {};
+  plan.routes.forEach(route => {
+    // Promoted consolidations pick from a fresh copy of the carriers (see planDepotFromData)
+    if (!/^PromovedOvsp_/.test(route.routeId)) {
+      const key = `${route.carrier.name}|${route.time}`;
+      used[key] = (used[key] || 0) + 1;
+    }
+    assert.ok(route.totalPallets <= route.capacity + 1e-9, `${route.routeId}: ${route.totalPallets} > ${route.capacity}`);
+    assert.ok(route.metrics.totalDistance <= plan.context.MAX_ROUTE_MILEAGE, route.routeId);
+  });
+  Object.keys(used).forEach(key => assert.ok(used[key] <= slots[key], `${key}: ${used[key]} routes for ${slots[key]} slots`));
+
+  const placed = [...plan.routes, ...plan.overspill, ...plan.unplannable, ...plan.rejected]
+    .reduce((stops, route) => stops.concat(route.stops), [])
+    .concat(plan.unrouted);
+  assert.deepEqual(palletsByKey(placed), palletsByKey(input.shipments));
+});
+
+test('compareAlgorithms writes both plans side by side', () => {
+  const harness = plan15Harness();
+  const summaries = harness.call('compareAlgorithms');
+  const rows = sheetRecords(harness, 'Algorithm Comparison');
+  const trucks = rows.find(r => r.Metric === 'Trucks');
+  assert.equal(Number(trucks.Greedy), summaries.GREEDY.trucks);
+  assert.equal(Number(trucks.Savings), summaries.SAVINGS.trucks);
+  assert.equal(Number(trucks.Difference), summaries.SAVINGS.trucks - summaries.GREEDY.trucks);
+  assert.ok(!harness.getSheetValues('Generated Plan'), 'Generated Plan is not written');
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, plain } = require('./helpers');
+
+/**
+ * Harness with W and stores S1..S<count> evenly spaced, in that order, on a circle; __matrix holds
+ * their straight-line distances and __stops(stores, category) makes one shipment per store.
+ */
+function setup(count) {
+  const harness = plan15Harness();
+  harness.evaluate(`
+    __points = {};
+    ['W', ...Array.from({ length: ${count} }, (_, i) => 'S' + (i + 1))].forEach((id, i, ids) => {
+      const angle = 2 * Math.PI * i / ids.length;
+      __points[id] = [100 * Math.cos(angle), 100 * Math.sin(angle)];
+    });
+    __matrix = {};
+    Object.keys(__points).forEach(a => {
+      __matrix[a] = {};
+      Object.keys(__points).forEach(b => {
+        if (a !== b) __matrix[a][b] = { distance: Math.hypot(__points[a][0] - __points[b][0], __points[a][1] - __points[b][1]) };
+      });
+    });
+    __stops = (stores, category) => stores.map(store => ({ store, category, pallets: 1 }));
+  `);
+  return harness;
+}
+
+/** Store order of the improved stops. */
+function storeOrder(harness, expression) {
+  return [...new Set(plain(harness.evaluate(expression)).map(s => s.store))];
+}
+
+test('local search untangles a scrambled route into the shortest tour', () => {
+  const harness = setup(10);
+  const order = storeOrder(harness, 'improveStopOrder([__stops(["S4", "S9", "S1", "S7", "S2", "S10", "S5", "S3", "S8", "S6"], "Ambient")], "W", __matrix)');
+  const clockwise = ['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'];
+  assert.ok([clockwise.join(), [...clockwise].reverse().join()].includes(order.join()), order.join());
+});
+
+/** Every order of a list. */
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+}
+
+test('stores are reordered inside their temperature block only, into the shortest such tour', () => {
+  const harness = setup(7);
+  const improved = plain(harness.evaluate(`improveStopOrder([
+    [...__stops(['S6', 'S1', 'S7'], 'Ambient'), ...__stops(['S1'], 'Produce')],
+    __stops(['S2', 'S5', 'S3'], 'Chiller')
+  ], 'W', __matrix)`));
+  const order = [...new Set(improved.map(s => s.store))];
+  assert.deepEqual(order.slice(0, 3).sort(), ['S1', 'S6', 'S7']);
+  assert.deepEqual(order.slice(3).sort(), ['S2', 'S3', 'S5']);
+  // A store's shipments stay together
+  const s1 = improved.map((s, i) => (s.store === 'S1' ? i : -1)).filter(i => i >= 0);
+  assert.equal(s1[1], s1[0] + 1);
+
+  const miles = stores => harness.evaluate(`getTourMiles(${JSON.stringify(stores)}, 'W', __matrix)`);
+  const shortest = Math.min(...permutations(['S1', 'S6', 'S7']).flatMap(ambient =>
+    permutations(['S2', 'S3', 'S5']).map(cold => miles([...ambient, ...cold]))));
+  assert.ok(Math.abs(miles(order) - shortest) < 1e-9, `${order.join()} is not the shortest`);
+});
+
+test('a mixed-temperature route is searched once, ambient stores before cold', () => {
+  const harness = setup(7);
+  harness.evaluate(`
+    __searches = 0;
+    const search = improveStopOrder;
+    improveStopOrder = (...args) => { __searches++; return search(...args); };
+  `);
+  const order = storeOrder(harness, `coldChainOptimizeStopOrder([
+    ...__stops(['S5', 'S2'], 'Chiller'), ...__stops(['S7', 'S1', 'S6'], 'Ambient')
+  ], 'W', __matrix)`);
+  assert.equal(harness.evaluate('__searches'), 1);
+  assert.deepEqual(order.slice(0, 3).sort(), ['S1', 'S6', 'S7']);
+  assert.deepEqual(order.slice(3).sort(), ['S2', 'S5']);
+});
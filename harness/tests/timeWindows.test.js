@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, plain } = require('./helpers');
+
+test('arrivals wait for a window that opens soon and run over into overnight windows', () => {
+  const harness = plan15Harness();
+  harness.evaluate('__fit = (arrival, label, maxWait) => fitArrivalToWindow(arrival, parseDeliveryWindow(label), maxWait)');
+  assert.deepEqual(plain(harness.evaluate('__fit(270, "5AM-11AM", 60)')), { wait: 30, inWindow: true });
+  assert.deepEqual(plain(harness.evaluate('__fit(180, "05:00-11:00", 60)')), { wait: 0, inWindow: false });
+  // 02:00 the next morning is inside the window that opened at 20:00 on dispatch day
+  assert.deepEqual(plain(harness.evaluate('__fit(1560, "20:00-06:00", 0)')), { wait: 0, inWindow: true });
+  assert.equal(harness.evaluate('formatClockTime(1560)'), '02:00 +1');
+  assert.equal(harness.evaluate('parseDeliveryWindow("N/A")'), null);
+});
+
+test('each stop gets an ETA, waits for its window and reports the ones it misses', () => {
+  const harness = plan15Harness();
+  harness.evaluate(`
+    __matrix = {
+      W: { A: { distance: 40, duration: 60 } },
+      A: { B: { distance: 20, duration: 30 } },
+      B: { W: { distance: 50, duration: 70 } }
+    };
+    __metrics = calculateRouteMetricsWithHOS(
+      [{ store: 'A', category: 'Ambient', pallets: 1 }, { store: 'B', category: 'Ambient', pallets: 1 }], 'W', __matrix, {},
+      { startTime: '19:00', maxWaitMins: 60, restrictions: { A: { deliveryWindow: '20:30-22:00' }, B: { deliveryWindow: '05:00-06:00' } } });
+  `);
+  const schedule = plain(harness.evaluate('__metrics.stopSchedule'));
+  assert.deepEqual(schedule.map(s => [s.store, s.arrival, s.wait, s.inWindow]), [['A', 1200, 30, true], ['B', 1275, 0, false]]);
+  assert.deepEqual(plain(harness.evaluate('__metrics.timeWindowViolations')), ['B']);
+  assert.equal(harness.evaluate('formatStopEtas(__metrics.stopSchedule)'), 'A 20:30 (wait 30m) / B 21:15 !OUTSIDE 05:00-06:00');
+});
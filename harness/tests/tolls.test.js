@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, plain, sheetRecords } = require('./helpers');
+
+const TOLL_MATRIX = [
+  ['From', 'To', 'Profile', 'Category', 'TollCost'],
+  ['1094', '1035', 'T1', 1, 10],
+  ['1094', '1035', 'T1', 5, 40],
+  ['1035', 'US0007', '', 0, 5]
+];
+
+const CARRIER_INVENTORY = [
+  ['Carrier', 'Size', 'Max Pallets', 'Toll Profile', 'Toll Category'],
+  ['CIR', '36', 18, 'T1', 1],
+  ['CIR', '53', 26, 'T1', 5]
+];
+
+/** A harness whose TollMatrix charges CIR's 53' tractor-trailer more than its 36' straight truck. */
+function setup() {
+  return plan15Harness({ sheets: { TollMatrix: TOLL_MATRIX, 'Carrier Inventory': CARRIER_INVENTORY } });
+}
+
+test('TollMatrix rows are kept per Profile and Category', () => {
+  const harness = setup();
+  const tollMatrix = plain(harness.evaluate('loadTollMatrix()'));
+  assert.deepEqual(tollMatrix, {
+    'T1|1': { 1094: { 1035: 10 } },
+    'T1|5': { 1094: { 1035: 40 } },
+    '*': { 1035: { US0007: 5 } }
+  });
+});
+
+test('each carrier trailer size is charged at its own toll class', () => {
+  const harness = setup();
+  harness.evaluate(`
+    __tollMatrix = loadTollMatrix();
+    __cir = getCarriers().find(c => c.name === 'CIR');
+    __stops = [{ store: '1094' }, { store: '1035' }];
+  `);
+  assert.deepEqual(plain(harness.evaluate('__cir.tollClasses')),
+    { 36: { profile: 'T1', category: '1' }, 53: { profile: 'T1', category: '5' } });
+  const cost = size => harness.evaluate(
+    `calculateRouteTollCost(__stops, 'US0007', __tollMatrix, getCarrierTollClass(__cir, '${size}', { TOLL_PROFILE: 'T1', TOLL_CATEGORY: 1 }))`);
+  // Both sizes also pay the class-less 1035→US0007 depot leg
+  assert.equal(cost('36'), 15);
+  assert.equal(cost('53'), 45);
+  // Sizes with no Toll Profile/Category fall back to the TOLL_PROFILE/TOLL_CATEGORY settings
+  assert.equal(harness.evaluate(`getCarrierTollClass(__cir, '48', { TOLL_PROFILE: 'T1', TOLL_CATEGORY: 1 })`), 'T1|1');
+});
+
+test('depot legs are looked up by warehouse ID and listed per leg', () => {
+  const harness = setup();
+  harness.evaluate(`__tollMatrix = loadTollMatrix(); __stops = [{ store: '1094' }, { store: '1094' }, { store: '1035' }]`);
+  const legs = plain(harness.evaluate(`getRouteTollLegs(__stops, { id: 'US0007' }, __tollMatrix, 'T1|5')`));
+  assert.deepEqual(legs, [
+    { from: 'US0007', to: '1094', cost: null },
+    { from: '1094', to: '1035', cost: 40 },
+    { from: '1035', to: 'US0007', cost: 5 }
+  ]);
+  harness.context.__legs = legs;
+  assert.equal(harness.evaluate('formatTollBreakdown(__legs)'), '1094→1035 $40 / 1035→US0007 $5');
+});
+
+test('Generated Plan reports each route\'s tolls leg by leg', () => {
+  const harness = plan15Harness();
+  harness.call('generatePlan');
+  const rows = sheetRecords(harness, 'Generated Plan').filter(row => row['Route ID']);
+  const tolled = rows.filter(row => Number(row['Toll Cost']) > 0);
+  assert.ok(tolled.length > 0);
+  assert.ok(tolled.some(row => row['Toll Breakdown'].startsWith('US0007→')), 'depot legs are charged');
+  tolled.forEach(row => {
+    const legTotal = row['Toll Breakdown'].split(' / ').reduce((sum, leg) => sum + Number(leg.split(' $')[1]), 0);
+    assert.ok(Math.abs(legTotal - Number(row['Toll Cost'])) < 0.01, `${row['Route ID']} breakdown adds up`);
+  });
+});
+
+test('route legs with no TollMatrix entry are listed in the validation log', () => {
+  const harness = plan15Harness({ sheets: { TollMatrix: TOLL_MATRIX } });
+  harness.call('generatePlan');
+  const start = harness.logs.findIndex(line => String(line).includes('Route legs with no TollMatrix entry'));
+  assert.ok(start !== -1);
+  assert.ok(harness.logs.slice(start + 1).some(line => /^\s+US0007→\d+: /.test(String(line))));
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, loadInput, plain } = require('./helpers');
+
+/** Harness with a CIR route carrying 1023's Ambient, Produce and Freezer and 1561's Chiller in __route. */
+function setup() {
+  const harness = plan15Harness();
+  harness.context.__input = loadInput(harness);
+  harness.evaluate(`
+    __context = buildPlanningContext(__input);
+    __stops = __input.shipments.filter(s => s.store === '1023' || (s.store === '1561' && s.category === 'Chiller'));
+    __route = {
+      carrier: __input.carriers.find(c => c.name === 'CIR'), time: '19:00', routeId: 'CIR_T', stops: __stops,
+      totalPallets: __stops.reduce((sum, s) => sum + s.pallets, 0)
+    };
+  `);
+  return harness;
+}
+
+test('a tri-temp route notes the three compartments its Load Diagram shows', () => {
+  const harness = setup();
+  harness.evaluate('__context.TRAILER_TYPE = "Tri"; __finalized = finalizeRoute(__route, __context)');
+  assert.equal(harness.evaluate('__finalized.tempZones'), '3 TEMP');
+  assert.deepEqual(harness.evaluate('__finalized.load.compartments.map(c => c.zone).join()'), 'FRZ,CHL,AMB');
+  assert.match(harness.evaluate('formatLoadDiagram(__finalized.load)'), /^FRZ .* \| CHL .* \| AMB /);
+  const notes = harness.evaluate('__finalized.notes');
+  assert.match(notes, /\[Front: 1 Freezer stops \| Middle: 1 Chiller stops \| Rear: 1 Ambient stops\]/);
+  assert.doesNotMatch(notes, /cold stops|LOAD:/);
+});
+
+test('a route that needs more compartments than its trailer has is flagged', () => {
+  const harness = setup();
+  harness.evaluate('__context.TRAILER_TYPE = "Dual"; __finalized = finalizeRoute(__route, __context)');
+  assert.match(harness.evaluate('__finalized.notes'), /\[LOAD: FRZ\+CHL\+AMB needs 3 compartments, Dual trailer has 2\]/);
+});
+
+test('compartments run from cold at the nose to ambient at the doors, take whole positions and a bulkhead its minimum', () => {
+  const harness = plan15Harness();
+  harness.evaluate(`
+    __settings = SettingsService.get();
+    __stops = [
+      { store: 'A', category: 'Ambient', pallets: 2.5 },
+      { store: 'B', category: 'Produce', pallets: 2.5 },
+      { store: 'B', category: 'Chiller', pallets: 1 }
+    ];
+  `);
+  const load = plain(harness.evaluate('buildTrailerLoad(__stops, "Dual", 10, __settings)'));
+  assert.deepEqual(load.compartments, [
+    { zone: 'CHL', start: 1, end: 4, stops: [{ store: 'B', category: 'Chiller', start: 1, end: 1 }] },
+    { zone: 'AMB', start: 5, end: 9, stops: [{ store: 'B', category: 'Produce', start: 5, end: 7 }, { store: 'A', category: 'Ambient', start: 7, end: 9 }] }
+  ]);
+  assert.deepEqual([load.used, load.errors], [9, []]);
+  harness.context.__load = load;
+  assert.equal(harness.evaluate('formatLoadDiagram(__load)'), 'CHL 1-4: B 1 | AMB 5-9: B 5-7, A 7-9 | free 10');
+
+  assert.deepEqual(plain(harness.evaluate('buildTrailerLoad(__stops, "Dual", 8, __settings).errors')),
+    ['needs 9 pallet positions, trailer has 8']);
+  assert.deepEqual(plain(harness.evaluate('buildTrailerLoad(__stops, "Single", 10, __settings).errors')),
+    ['CHL+AMB needs 2 compartments, Single trailer has 1']);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { plan15Harness, loadInput, planRoutes } = require('./helpers');
+
+const INVENTORY = [
+  ['Carrier', 'Size', 'Max Pallets', 'Trailers', 'Cost Per Mile', 'Cost Per Route'],
+  ['CIR', '53', 26, 2, 2, 100],
+  ['CIR', '36', 18, 1, 0.5, 0],
+  ['SCH', '53', 26, '', '', ''],
+  ['SCH', '48', 22, '', '', ''],
+  ['HB', '53', 26, '', '', ''],
+  ['CRE', '53', 26, '', '', ''],
+  ['NFI', '53', 26, '', '', '']
+];
+
+/** Harness with INVENTORY as Carrier Inventory, the planning context in __context and CIR in __cir. */
+function setup() {
+  const harness = plan15Harness({ sheets: { 'Carrier Inventory': INVENTORY } });
+  harness.context.__input = loadInput(harness);
+  harness.evaluate('__context = buildPlanningContext(__input); __cir = __input.carriers.find(c => c.name === "CIR")');
+  return harness;
+}
+
+test('sizes a carrier does not list in Carrier Inventory hold nothing and are not owned', () => {
+  const harness = setup();
+  assert.equal(harness.evaluate('getTrailerCapacity(__cir, "48")'), 0);
+  assert.equal(harness.evaluate('getTrailersOwned(__cir, "48")'), 0);
+  assert.equal(harness.evaluate('getTrailersOwned(__cir, "36")'), 1);
+  assert.equal(harness.evaluate('getUsableTrailerSize(__cir, "48")'), '36');
+  // SCH counts no trailers, so its listed sizes are unlimited
+  assert.equal(harness.evaluate('getTrailersOwned(__input.carriers.find(c => c.name === "SCH"), "48")'), null);
+});
+
+test('selectTrailerSize takes the cheapest listed size the carrier has back', () => {
+  const harness = setup();
+  harness.evaluate(`
+    __route = { carrier: __cir, time: '19:00', stops: __input.shipments.filter(s => s.store === '1094'), routeId: 'T_1' };
+    __route.totalPallets = __route.stops.reduce((sum, s) => sum + s.pallets, 0);
+    __window = getRouteEquipmentWindow(__route, __context);
+  `);
+  assert.equal(harness.evaluate('selectTrailerSize(__route, __context, __window)'), '36');
+  harness.evaluate('bookFleetEquipment(__route, "36", __window, __context)');
+  assert.equal(harness.evaluate('selectTrailerSize(__route, __context, __window)'), '53');
+  harness.evaluate('__cir.trailerCosts = {}');
+  assert.equal(harness.evaluate('selectTrailerSize({ ...__route, time: "23:59" }, __context, { ...__window, start: 9999, end: 9999 })'), '53');
+});
+
+test('generatePlan only uses trailer sizes listed for the carrier', () => {
+  const harness = setup();
+  harness.call('generatePlan');
+  const listed = {};
+  INVENTORY.slice(1).forEach(([carrier, size]) => { (listed[carrier] = listed[carrier] || []).push(`${size}'`); });
+  const routes = planRoutes(harness).filter(r => listed[r.Carrier]);
+  assert.ok(routes.length > 0);
+  routes.forEach(r => assert.ok(listed[r.Carrier].includes(r['Trailer Size']), `${r['Route ID']} on ${r['Trailer Size']}`));
+});